@@ -0,0 +1,98 @@
+/**
+ * Achieve AI - Service Worker
+ * Caches the app shell so the web app opens offline, shows reminder notifications and opens the right
+ * goal when one is tapped. API requests aren't touched - the app queues AI requests itself while offline.
+ */
+
+const SHELL_CACHE = 'achieve-shell-v1';
+const SHELL_URLS = ['/', '/index.html', '/mascot.png'];
+const APP_PAGES = ['/', '/index.html'];
+
+// The bundles the built index.html loads. Vite gives them hashed names under /assets/.
+const assetUrls = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+
+// Keep only the bundles the current index.html still loads
+const pruneAssets = async (cache, html) => {
+  const current = new Set(assetUrls(html));
+  const keys = await cache.keys();
+  await Promise.all(keys
+    .filter(request => new URL(request.url).pathname.startsWith('/assets/') && !current.has(new URL(request.url).pathname))
+    .map(request => cache.delete(request)));
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  const html = await (await cache.match('/index.html')).text();
+  await cache.addAll(assetUrls(html));
+};
+
+// Pages come from the network when it's there, otherwise from the cache. Only the app itself
+// refreshes the cached shell - any other page on the site would replace it and prune its bundles.
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok && APP_PAGES.includes(new URL(request.url).pathname)) {
+      const html = await response.clone().text();
+      if (assetUrls(html).length > 0) {
+        await cache.put('/index.html', response.clone());
+        await pruneAssets(cache, html);
+      }
+    }
+    return response;
+  } catch (err) {
+    return (await cache.match('/index.html')) || Response.error();
+  }
+};
+
+// Hashed bundles never change, so the cached copy is always right
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('install', (event) => {
+  // Offline while installing is fine - the shell gets cached on the next visit instead
+  event.waitUntil(precacheShell().catch(() => {}).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== SHELL_CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const goalId = event.notification.data?.goalId;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+    if (client) {
+      await client.focus();
+      if (goalId) client.postMessage({ type: 'open-goal', goalId });
+      return;
+    }
+    await self.clients.openWindow(goalId ? `/?goal=${encodeURIComponent(goalId)}` : '/');
+  })());
+});
@@ -0,0 +1,132 @@
+/**
+ * Achieve AI - Accounts
+ * Email/password accounts with bearer-token sessions, stored in the file store.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SESSION_TTL_DAYS = 90;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Passwords are stored as "salt:scryptHash" - never in plain text
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// Only a hash of each session token is kept, so a leaked store file can't be used to sign in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const publicUser = (user) => ({ id: user.id, email: user.email, createdAt: user.createdAt });
+
+function createAccounts(store) {
+  const users = store.collection('users');
+  const usersByEmail = store.collection('usersByEmail');
+  const sessions = store.collection('sessions');
+
+  const isExpired = (session) => {
+    return Date.now() - new Date(session.createdAt).getTime() > SESSION_TTL_DAYS * 86400000;
+  };
+
+  const startSession = (user) => {
+    // Drop this user's expired sessions while we're here
+    Object.keys(sessions).forEach(key => {
+      if (sessions[key].userId === user.id && isExpired(sessions[key])) delete sessions[key];
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions[hashToken(token)] = { userId: user.id, createdAt: new Date().toISOString() };
+    store.save();
+    return token;
+  };
+
+  // Attach req.user when a valid bearer token is present. Anonymous requests pass through.
+  const authenticate = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+    if (token) {
+      const session = sessions[hashToken(token)];
+      if (session && !isExpired(session) && users[session.userId]) {
+        req.user = users[session.userId];
+        req.sessionKey = hashToken(token);
+      }
+    }
+    next();
+  };
+
+  const requireAuth = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'unauthorized',
+        message: 'Please sign in again.'
+      });
+    }
+    next();
+  };
+
+  const router = express.Router();
+
+  // Create an account
+  router.post('/register', (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'invalid_email', message: 'Please enter a valid email address.' });
+    }
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'weak_password', message: 'Password must be at least 8 characters.' });
+    }
+    if (usersByEmail[email]) {
+      return res.status(409).json({ error: 'email_taken', message: 'An account with this email already exists. Try signing in.' });
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    users[user.id] = user;
+    usersByEmail[email] = user.id;
+
+    const token = startSession(user);
+    res.status(201).json({ token, user: publicUser(user) });
+  });
+
+  // Sign in
+  router.post('/login', (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const user = users[usersByEmail[email]];
+
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'invalid_credentials', message: 'Wrong email or password.' });
+    }
+
+    const token = startSession(user);
+    res.json({ token, user: publicUser(user) });
+  });
+
+  // Sign out of this device
+  router.post('/logout', requireAuth, (req, res) => {
+    delete sessions[req.sessionKey];
+    store.save();
+    res.json({ ok: true });
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: publicUser(req.user) });
+  });
+
+  return { router, authenticate, requireAuth };
+}
+
+module.exports = { createAccounts };
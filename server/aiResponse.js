@@ -0,0 +1,295 @@
+/**
+ * Achieve AI - AI Response Parsing
+ * Pulls JSON out of model replies (fences, chatty preambles and all), validates it against
+ * a per-route schema, and gives the model one corrective retry before giving up (unless it refused outright).
+ * Malformed replies are appended to a JSONL log so we can review them later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMAS - a small subset of JSON Schema: type, required, properties, items, minItems
+// ═══════════════════════════════════════════════════════════════════════════════
+const text = { type: 'string' };
+const optionalText = { type: 'string', optional: true };
+
+const SCHEMAS = {
+  steps: {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      category: optionalText,
+      // Bigger plans are grouped into phases, each ending in a milestone
+      phases: {
+        type: 'array',
+        optional: true,
+        items: {
+          type: 'object',
+          required: ['id', 'title'],
+          properties: {
+            id: { type: ['number', 'string'] },
+            title: text,
+            milestone: optionalText
+          }
+        }
+      },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['id', 'title', 'description', 'duration'],
+          properties: {
+            id: { type: ['number', 'string'] },
+            title: text,
+            description: text,
+            duration: text,
+            mapSearch: optionalText,
+            phase: { type: ['number', 'string'], optional: true },
+            subtasks: { type: 'array', optional: true, items: text },
+            blockedBy: { type: 'array', optional: true, items: { type: ['number', 'string'] } }
+          }
+        }
+      },
+      // Ongoing goals come back as habits; the steps are then what it takes to get started
+      type: optionalText,
+      habit: {
+        type: 'object',
+        optional: true,
+        required: ['period', 'timesPerPeriod', 'target'],
+        properties: {
+          period: text,
+          timesPerPeriod: { type: 'number' },
+          target: text,
+          rampUp: {
+            type: 'array',
+            optional: true,
+            items: {
+              type: 'object',
+              required: ['week', 'target'],
+              properties: {
+                week: { type: 'number' },
+                timesPerPeriod: { type: 'number', optional: true },
+                target: text
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  questions: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['id', 'question'],
+      properties: {
+        id: { type: ['number', 'string'] },
+        question: text,
+        placeholder: optionalText
+      }
+    }
+  },
+
+  expansion: {
+    type: 'object',
+    required: ['detailedGuide', 'resources', 'tips'],
+    properties: {
+      detailedGuide: text,
+      resources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: text,
+            description: optionalText,
+            type: optionalText,
+            url: optionalText,
+            cost: optionalText
+          }
+        }
+      },
+      tips: { type: 'array', items: text },
+      searchQuery: optionalText
+    }
+  },
+
+  // The revised remaining steps; id is the existing step being kept or revised, absent for new ones
+  replan: {
+    type: 'object',
+    required: ['summary', 'steps'],
+    properties: {
+      summary: text,
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'description', 'duration'],
+          properties: {
+            id: { type: ['number', 'string'], optional: true },
+            title: text,
+            description: text,
+            duration: text,
+            mapSearch: optionalText
+          }
+        }
+      }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Returns a list of human-readable problems (empty when valid)
+function validate(value, schema, at = 'response') {
+  if (schema.optional && (value === undefined || value === null)) return [];
+
+  const allowed = [].concat(schema.type);
+  if (!allowed.includes(typeOf(value))) {
+    return [`${at} should be ${allowed.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} is missing`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propSchema, `${at}.${key}`));
+    });
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at} needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXTRACTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Find the balanced {...} or [...] that starts at `start`, skipping over strings
+function sliceBalanced(content, start) {
+  const open = content[start];
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) return content.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// Pull the first parseable JSON value out of a reply. Returns undefined if there isn't one.
+function extractJson(content) {
+  const trimmed = content.trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [trimmed, fenced && fenced[1].trim()].filter(Boolean);
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // Fall through to scanning for an embedded object/array
+    }
+  }
+
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] !== '{' && trimmed[i] !== '[') continue;
+    const slice = sliceBalanced(trimmed, i);
+    if (!slice) continue;
+    try {
+      return JSON.parse(slice);
+    } catch (e) {
+      // Not valid JSON - keep looking
+    }
+  }
+  return undefined;
+}
+
+// A reply with no JSON-looking content at all is the model declining, not a formatting slip
+const looksLikeRefusal = (content) => !/[{[]/.test(content);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════════════════════════
+function createResponseParser({ logFile } = {}) {
+  const logMalformed = (entry) => {
+    if (!logFile) return;
+    try {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fs.appendFileSync(logFile, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      console.error('Could not write malformed AI log:', error.message);
+    }
+  };
+
+  const check = (content, schema) => {
+    const value = extractJson(content);
+    if (value === undefined) {
+      return { errors: ['reply did not contain valid JSON'], refused: looksLikeRefusal(content) };
+    }
+    const errors = validate(value, SCHEMAS[schema]);
+    return { value, errors, refused: false };
+  };
+
+  /**
+   * Ask the model for JSON matching SCHEMAS[schema].
+   * `call(messages)` sends a conversation and resolves with the reply text.
+   * Resolves { ok: true, value } or { ok: false, error: 'parse_error' | 'ai_refused' }.
+   */
+  async function requestJson({ route, schema, userMessage, call }) {
+    const messages = [{ role: 'user', content: userMessage }];
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const content = await call(messages);
+      const result = check(content, schema);
+      if (result.errors.length === 0) return { ok: true, value: result.value };
+
+      console.log(`Malformed AI response from ${route} (attempt ${attempt}):`, result.errors.slice(0, 3).join('; '));
+      logMalformed({ route, attempt, errors: result.errors.slice(0, 20), output: content.slice(0, 4000) });
+
+      // Asking again after a refusal just gets another refusal
+      if (result.refused) return { ok: false, error: 'ai_refused' };
+      if (attempt === 2) return { ok: false, error: 'parse_error' };
+
+      messages.push(
+        { role: 'assistant', content: content.trim() || '(empty reply)' },
+        {
+          role: 'user',
+          content: `That reply couldn't be used: ${result.errors.slice(0, 5).join('; ')}. Reply again with ONLY the JSON in the exact format requested - no markdown fences, no commentary.`
+        }
+      );
+    }
+  }
+
+  return { requestJson };
+}
+
+module.exports = { createResponseParser, extractJson, validate, SCHEMAS };
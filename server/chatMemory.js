@@ -0,0 +1,78 @@
+/**
+ * Achieve AI - Chat Memory
+ * Keeps long coaching chats cheap. The app stores each goal's thread and sends the turns the
+ * server hasn't summarized yet, plus the rolling summary of everything before them. Once those
+ * turns run past a token budget, the older ones are folded into the summary and only the latest
+ * few go to the model word for word. The app saves the new summary with the thread.
+ */
+
+// Rough count - about 4 characters per token for English text
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const historyTokens = (history) => history.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+
+// Helper to write turns out as a transcript, dated when the app sent a timestamp
+const toTranscript = (history) => history
+  .filter(msg => msg.content?.trim())
+  .map(msg => {
+    const date = typeof msg.at === 'string' ? `[${msg.at.slice(0, 10)}] ` : '';
+    return `${date}${msg.role === 'assistant' ? 'Aclio' : 'User'}: ${msg.content.trim()}`;
+  })
+  .join('\n');
+
+const SUMMARY_SYSTEM = `You keep the memory of an ongoing coaching chat between Aclio, a goal coach, and a user.
+You'll get the summary so far and some newer turns. Reply with an updated summary that replaces the old one.
+
+Keep what the coach needs to carry on the conversation in a later session:
+- What the user told you about themselves, their situation and constraints
+- What they're struggling with and what they've tried
+- Advice already given and what they said they'd do (with dates when shown)
+- Plan changes that were proposed
+- Open questions or things to follow up on
+
+Write plain sentences or short bullets in the third person ("The user..."), under 200 words.
+Reply with the summary only - no heading, no preamble.`;
+
+function createChatMemory(llm, { tokenBudget = 3000, keepRecent = 6 } = {}) {
+  /**
+   * Fit a thread into the budget before it goes to the model.
+   * `history` is the unsummarized turns the app sent ({ role, content, at? }).
+   * Resolves { summary, history, folded } - folded is how many of the oldest turns the summary
+   * now covers (0 when nothing changed), so the app knows which turns to stop sending.
+   */
+  async function compact({ goalName, summary = '', history = [] }) {
+    if (history.length <= keepRecent || historyTokens(history) <= tokenBudget) {
+      return { summary, history, folded: 0 };
+    }
+
+    const folded = history.length - keepRecent;
+    const userMessage = `GOAL: "${goalName || 'their goal'}"
+
+SUMMARY SO FAR:
+${summary || '(nothing yet - this is the start of the conversation)'}
+
+NEWER TURNS:
+${toTranscript(history.slice(0, folded))}`;
+
+    try {
+      const updated = (await llm.chat('summarize-chat', {
+        system: SUMMARY_SYSTEM,
+        messages: [{ role: 'user', content: userMessage }],
+        tier: 'sonnet',
+        maxTokens: 500,
+        temperature: 0.3
+      })).trim();
+      if (!updated) throw new Error('Empty summary');
+
+      return { summary: updated, history: history.slice(folded), folded };
+    } catch (error) {
+      // Still keep this request inside the budget - the app resends the turns next time
+      console.error('Chat summary failed:', error.message);
+      return { summary, history: history.slice(folded), folded: 0 };
+    }
+  }
+
+  return { compact };
+}
+
+module.exports = { createChatMemory, estimateTokens };
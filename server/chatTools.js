@@ -0,0 +1,148 @@
+/**
+ * Achieve AI - Chat Tools
+ * Actions Aclio can propose from chat. The model calls these as tools; the server checks each call
+ * against the goal and hands the valid ones to the app, which asks the user before applying them.
+ */
+
+const { validate } = require('./aiResponse');
+
+const stepId = { type: ['number', 'string'], description: 'The step id shown as [id N] in the plan' };
+const stepFields = {
+  title: { type: 'string', description: 'Action verb + specific task (max 8 words)' },
+  description: { type: 'string', description: 'WHY this matters + HOW to do it well' },
+  duration: { type: 'string', description: 'Realistic time estimate' }
+};
+
+// Anthropic tool definitions (providers.js converts them for other APIs)
+const CHAT_TOOLS = [
+  {
+    name: 'add_steps',
+    description: 'Add new steps to the user\'s plan. Use this whenever you suggest new steps instead of listing them in your reply.',
+    input_schema: {
+      type: 'object',
+      required: ['steps'],
+      properties: {
+        steps: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'object', required: ['title', 'description', 'duration'], properties: stepFields }
+        },
+        afterStepId: { ...stepId, description: 'Insert the new steps after this step. Omit to add them at the end.' }
+      }
+    }
+  },
+  {
+    name: 'edit_step',
+    description: 'Change the title, description or duration of an existing step.',
+    input_schema: {
+      type: 'object',
+      required: ['stepId'],
+      properties: { stepId, ...stepFields }
+    }
+  },
+  {
+    name: 'reorder_steps',
+    description: 'Change the order of the steps. List every step id in the new order.',
+    input_schema: {
+      type: 'object',
+      required: ['stepIds'],
+      properties: { stepIds: { type: 'array', minItems: 2, items: stepId } }
+    }
+  },
+  {
+    name: 'set_due_date',
+    description: 'Set or change the goal\'s due date.',
+    input_schema: {
+      type: 'object',
+      required: ['dueDate'],
+      properties: { dueDate: { type: 'string', description: 'YYYY-MM-DD' } }
+    }
+  },
+  {
+    name: 'mark_complete',
+    description: 'Mark a step as done when the user says they finished it.',
+    input_schema: {
+      type: 'object',
+      required: ['stepId'],
+      properties: { stepId }
+    }
+  }
+];
+
+const TOOLS_BY_NAME = Object.fromEntries(CHAT_TOOLS.map(tool => [tool.name, tool]));
+
+// Helper to trim the string fields of a step and drop empty ones
+const cleanStepFields = (input) => Object.fromEntries(
+  Object.keys(stepFields)
+    .filter(field => typeof input[field] === 'string' && input[field].trim())
+    .map(field => [field, input[field].trim()])
+);
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+/**
+ * Check the model's tool calls against the goal they act on.
+ * Returns the usable ones as actions: [{ id, tool, input }]. Anything that doesn't fit the goal is dropped.
+ */
+function toActions(toolCalls, { steps = [], completedSteps = [] } = {}) {
+  const findStep = (id) => steps.find(step => String(step.id) === String(id));
+  const isDone = (step) => completedSteps.some(id => String(id) === String(step.id));
+
+  // Returns the cleaned input, or a reason the call can't be used
+  const checkers = {
+    add_steps: (input) => {
+      const newSteps = input.steps.map(cleanStepFields);
+      if (newSteps.some(step => !step.title)) return 'step without a title';
+      const after = input.afterStepId !== undefined ? findStep(input.afterStepId) : null;
+      return {
+        steps: newSteps,
+        ...(after ? { afterStepId: after.id } : {})
+      };
+    },
+
+    edit_step: (input) => {
+      const step = findStep(input.stepId);
+      if (!step) return 'unknown step';
+      const changes = cleanStepFields(input);
+      if (Object.keys(changes).length === 0) return 'nothing to change';
+      return { stepId: step.id, ...changes };
+    },
+
+    reorder_steps: (input) => {
+      const ordered = input.stepIds.map(findStep);
+      if (ordered.some(step => !step)) return 'unknown step';
+      if (new Set(ordered).size !== ordered.length) return 'duplicate step';
+      return { stepIds: ordered.map(step => step.id) };
+    },
+
+    set_due_date: (input) => (isValidDate(input.dueDate) ? { dueDate: input.dueDate } : 'invalid date'),
+
+    mark_complete: (input) => {
+      const step = findStep(input.stepId);
+      if (!step) return 'unknown step';
+      if (isDone(step)) return 'already complete';
+      return { stepId: step.id };
+    }
+  };
+
+  return (toolCalls || []).flatMap((call, i) => {
+    const tool = TOOLS_BY_NAME[call.name];
+    if (!tool) {
+      console.log(`Dropping unknown chat tool ${call.name}`);
+      return [];
+    }
+
+    // Models sometimes send null for optional fields - treat it as absent
+    const input = Object.fromEntries(Object.entries(call.input || {}).filter(([, value]) => value !== null));
+    const errors = validate(input, tool.input_schema, call.name);
+    const checked = errors.length === 0 ? checkers[call.name](input) : errors.join('; ');
+    if (typeof checked === 'string') {
+      console.log(`Dropping chat tool ${call.name}: ${checked}`);
+      return [];
+    }
+
+    return [{ id: call.id || `action-${i + 1}`, tool: call.name, input: checked }];
+  });
+}
+
+module.exports = { CHAT_TOOLS, toActions };
@@ -0,0 +1,193 @@
+/**
+ * Achieve AI - Entitlements & Quotas
+ * The server decides who is premium and how many AI requests free users get per day.
+ * Quotas follow the account when signed in, otherwise the device (X-Device-Id header). Free requests
+ * also count against the network they come from, so a new device id doesn't mean a new allowance.
+ */
+
+const express = require('express');
+
+// Free tier allowance per UTC day. 0 means premium only.
+const FREE_DAILY_QUOTAS = {
+  doitforme: 2,
+  expand: 3,
+  chat: 0
+};
+
+const FEATURE_NAMES = {
+  doitforme: '"Do it for me"',
+  expand: 'step expansion',
+  chat: 'Talk to Aclio'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const nextReset = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+};
+
+// How many devices' worth of free requests one IP gets per day (a household or office shares one)
+const DEFAULT_DEVICES_PER_IP = 3;
+
+function createEntitlements(store, { verifier = null, env = process.env } = {}) {
+  const entitlements = store.collection('entitlements');
+  const usage = store.collection('usage');
+  const devicesPerIp = parseInt(env.FREE_DEVICES_PER_IP, 10) > 0 ? parseInt(env.FREE_DEVICES_PER_IP, 10) : DEFAULT_DEVICES_PER_IP;
+
+  // Everyone this request could be billed to, most specific first
+  const subjectsFor = (req) => {
+    const deviceId = String(req.get('x-device-id') || '').replace(/[^\w-]/g, '').slice(0, 64);
+    const subjects = [];
+    if (req.user) subjects.push(`user:${req.user.id}`);
+    if (deviceId) subjects.push(`device:${deviceId}`);
+    if (subjects.length === 0) subjects.push(`ip:${req.ip}`);
+    return subjects;
+  };
+
+  // The app logs in to RevenueCat with one of these, so a purchase can only be claimed by whoever made it
+  const purchaseUserIds = (req) => subjectsFor(req).filter(subject => !subject.startsWith('ip:'));
+
+  const activeEntitlement = (subjects) => {
+    return subjects
+      .map(subject => entitlements[subject])
+      .find(entitlement => entitlement && (!entitlement.expiresAt || new Date(entitlement.expiresAt) > new Date()));
+  };
+
+  // Usage resets at UTC midnight - only today's counts are kept
+  const getUsage = (subject) => {
+    if (!usage[subject] || usage[subject].date !== today()) {
+      usage[subject] = { date: today(), counts: {} };
+    }
+    return usage[subject];
+  };
+
+  const summarize = (req) => {
+    const subjects = subjectsFor(req);
+    const entitlement = activeEntitlement(subjects);
+    const counts = getUsage(subjects[0]).counts;
+    const ipCounts = getUsage(`ip:${req.ip}`).counts;
+
+    const quotas = {};
+    Object.entries(FREE_DAILY_QUOTAS).forEach(([feature, limit]) => {
+      const networkDone = (ipCounts[feature] || 0) >= limit * devicesPerIp;
+      quotas[feature] = { limit: entitlement ? null : limit, used: networkDone ? limit : counts[feature] || 0 };
+    });
+
+    return {
+      premium: !!entitlement,
+      productId: entitlement?.productId || null,
+      expiresAt: entitlement?.expiresAt || null,
+      purchaseUserId: purchaseUserIds(req)[0] || null,
+      quotas,
+      resetsAt: nextReset()
+    };
+  };
+
+  // The counters a free request is charged to: the account or device, and its IP
+  const quotaCharges = (req, feature) => {
+    const subjects = subjectsFor(req);
+    const limit = FREE_DAILY_QUOTAS[feature];
+    const charges = [{ subject: subjects[0], limit }];
+    if (!subjects[0].startsWith('ip:')) charges.push({ subject: `ip:${req.ip}`, limit: limit * devicesPerIp });
+    return charges;
+  };
+
+  // Middleware: count one use of `feature`, or reject with quota_exceeded once the free allowance is gone
+  const requireQuota = (feature) => (req, res, next) => {
+    if (activeEntitlement(subjectsFor(req))) return next();
+
+    const limit = FREE_DAILY_QUOTAS[feature];
+    const charges = quotaCharges(req, feature);
+    const usedBy = (charge) => getUsage(charge.subject).counts[feature] || 0;
+    const exhausted = charges.find(charge => usedBy(charge) >= charge.limit);
+
+    if (exhausted) {
+      // Out of the network's allowance counts as out of this device's too
+      const used = exhausted === charges[0] ? usedBy(exhausted) : limit;
+      return res.status(403).json({
+        error: 'quota_exceeded',
+        feature,
+        limit,
+        used,
+        resetsAt: nextReset(),
+        message: limit === 0
+          ? `${FEATURE_NAMES[feature]} is a Premium feature.`
+          : `You've used all ${limit} free ${FEATURE_NAMES[feature]} requests for today. Upgrade to Premium for unlimited access.`
+      });
+    }
+
+    charges.forEach(charge => { getUsage(charge.subject).counts[feature] = usedBy(charge) + 1; });
+    store.save();
+
+    // Give the use back if the request failed (streams flag failures in res.locals since they're already 200)
+    // or was answered from the response cache without calling the model
+    res.on('finish', () => {
+      if (res.statusCode < 400 && !res.locals.failed && !res.locals.fromCache) return;
+      charges.forEach(charge => { getUsage(charge.subject).counts[feature] = Math.max(0, usedBy(charge) - 1); });
+      store.save();
+    });
+
+    next();
+  };
+
+  const router = express.Router();
+
+  router.get('/entitlements', (req, res) => {
+    res.json(summarize(req));
+  });
+
+  // Verify a purchase and grant premium to this device (and account, if signed in)
+  router.post('/purchases/verify', async (req, res) => {
+    if (!verifier) {
+      return res.status(503).json({
+        error: 'purchases_unavailable',
+        message: 'Purchases can\'t be verified right now. Please try again later.'
+      });
+    }
+
+    const { appUserId, receipt, productId } = req.body;
+    const ids = purchaseUserIds(req);
+    if (ids.length === 0 || (appUserId && !ids.includes(appUserId))) {
+      return res.status(403).json({
+        error: 'purchase_user_mismatch',
+        message: 'This purchase belongs to a different device or account.'
+      });
+    }
+
+    try {
+      // The ids come from the request's own device and account, never from the body.
+      // A purchase made before signing in is still on the device id, so each one is tried.
+      let result;
+      for (const id of ids) {
+        result = await verifier.verify({ appUserId: id, receipt, productId });
+        if (result.valid) break;
+      }
+
+      if (!result.valid) {
+        return res.status(400).json({ error: 'invalid_receipt', message: result.reason || 'Purchase could not be verified.' });
+      }
+
+      const entitlement = {
+        productId: result.productId,
+        expiresAt: result.expiresAt,
+        source: verifier.name,
+        verifiedAt: new Date().toISOString()
+      };
+      subjectsFor(req)
+        .filter(subject => !subject.startsWith('ip:'))
+        .forEach(subject => { entitlements[subject] = entitlement; });
+      store.save();
+
+      res.json(summarize(req));
+    } catch (error) {
+      console.error('Purchase verification error:', error);
+      res.status(502).json({ error: 'verification_failed', message: 'Could not reach the purchase service. Please try again.' });
+    }
+  });
+
+  return { router, requireQuota, summarize };
+}
+
+module.exports = { createEntitlements, FREE_DAILY_QUOTAS };
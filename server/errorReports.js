@@ -0,0 +1,170 @@
+/**
+ * Achieve AI - Error Reports
+ * Takes batches of the app's ErrorTracker entries from devices that opted in and groups them by
+ * fingerprint (error type, normalized message and top stack frames), so the same crash from a
+ * thousand devices is one row with a count per app version.
+ *
+ * The app scrubs goal text and profile details before uploading; the server scrubs again and
+ * keeps only an allowlist of context fields. Reading the groups needs ERROR_REPORTS_KEY.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const MAX_BATCH = 50;
+const MAX_GROUPS = 1000;
+const MAX_MESSAGE = 500;
+const MAX_STACK = 4000;
+const TYPES = ['error', 'warning', 'info'];
+const CONTEXT_KEYS = ['action', 'source', 'type', 'lineno', 'colno', 'url'];
+
+const text = (value, max) => typeof value === 'string' ? value.trim().slice(0, max) : '';
+
+// Helper to blank out anything that could identify someone, whatever the app already removed
+function scrub(value) {
+  return value
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>')
+    .replace(/\b(Bearer|token[=:]?)\s*[\w.-]{8,}/gi, '$1 <token>')
+    .replace(/\d{6,}/g, '<number>');
+}
+
+// Helper to reduce a message to its shape, so "Step 12 failed" and "Step 40 failed" group together
+const normalizeMessage = (message) => message
+  .replace(/https?:\/\/\S+/g, '<url>')
+  .replace(/\b[0-9a-f]{8,}\b/gi, '<id>')
+  .replace(/\d+/g, '<n>')
+  .slice(0, 200);
+
+// Helper to take the top stack frames without line numbers or query strings, which change with every build
+const topFrames = (stack) => stack
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line.startsWith('at ') || line.includes('@'))
+  .slice(0, 3)
+  .map(line => line.replace(/\?[^\s):]*/g, '').replace(/(:\d+)+\)?$/, ''));
+
+function fingerprint({ type, message, stack }) {
+  const key = [type, normalizeMessage(message), ...topFrames(stack)].join('\n');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// Helper to validate and scrub one uploaded entry, or null when there's nothing usable
+function toReport(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const message = scrub(text(entry.message, MAX_MESSAGE));
+  if (!message) return null;
+
+  const context = entry.context && typeof entry.context === 'object' ? entry.context : {};
+  const kept = {};
+  CONTEXT_KEYS.forEach(key => {
+    if (['string', 'number'].includes(typeof context[key])) kept[key] = scrub(String(context[key]).slice(0, 200));
+  });
+  if (kept.url) kept.url = kept.url.split(/[?#]/)[0];
+
+  return {
+    type: TYPES.includes(entry.type) ? entry.type : 'error',
+    message,
+    stack: scrub(text(entry.stack, MAX_STACK)),
+    context: kept
+  };
+}
+
+// adminKey: shared secret for reading the grouped errors (the list is off when it isn't set)
+function createErrorReports(store, { adminKey = null } = {}) {
+  const groups = store.collection('errorGroups'); // fingerprint -> group
+
+  const isAdmin = (req) => {
+    const given = Buffer.from(String(req.get('x-admin-key') || ''));
+    const expected = Buffer.from(adminKey || '');
+    return !!adminKey && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  // Forget the groups that haven't been seen for the longest once there are too many
+  const evict = () => {
+    const ids = Object.keys(groups);
+    if (ids.length <= MAX_GROUPS) return;
+    ids
+      .sort((a, b) => groups[a].lastSeen.localeCompare(groups[b].lastSeen))
+      .slice(0, ids.length - MAX_GROUPS)
+      .forEach(id => delete groups[id]);
+  };
+
+  const router = express.Router();
+
+  // Upload a batch: { appVersion, platform, entries: [ErrorTracker entry] } -> { accepted }
+  router.post('/errors', (req, res) => {
+    try {
+      const { entries } = req.body || {};
+      if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_BATCH) {
+        return res.status(400).json({
+          error: 'invalid_batch',
+          message: `Send between 1 and ${MAX_BATCH} entries at a time.`
+        });
+      }
+
+      const appVersion = text(req.body.appVersion, 40) || 'unknown';
+      const platform = text(req.body.platform, 20) || 'unknown';
+      const now = new Date().toISOString();
+      let accepted = 0;
+
+      entries.map(toReport).filter(Boolean).forEach(report => {
+        const id = fingerprint(report);
+        const group = groups[id] || (groups[id] = {
+          fingerprint: id,
+          type: report.type,
+          message: report.message,
+          stack: report.stack,
+          context: report.context,
+          count: 0,
+          firstSeen: now,
+          versions: {},
+          platforms: {}
+        });
+        group.count += 1;
+        group.lastSeen = now;
+        group.versions[appVersion] = (group.versions[appVersion] || 0) + 1;
+        group.platforms[platform] = (group.platforms[platform] || 0) + 1;
+        accepted += 1;
+      });
+
+      evict();
+      store.save();
+      res.status(202).json({ accepted });
+    } catch (error) {
+      console.error('Error report error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Top errors: ?version=&type=&platform=&sort=count|recent&limit=
+  router.get('/errors', (req, res) => {
+    if (!isAdmin(req)) {
+      return res.status(403).json({ error: 'forbidden', message: 'A valid X-Admin-Key header is required.' });
+    }
+
+    const { version, type, platform, sort = 'count' } = req.query;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const matching = Object.values(groups)
+      .filter(group => !version || group.versions[version])
+      .filter(group => !type || group.type === type)
+      .filter(group => !platform || group.platforms[platform])
+      .map(group => ({ ...group, count: version ? group.versions[version] : group.count }));
+
+    matching.sort(sort === 'recent'
+      ? (a, b) => b.lastSeen.localeCompare(a.lastSeen)
+      : (a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+
+    // Reports per app version across every group, to compare releases
+    const versions = {};
+    Object.values(groups).forEach(group => {
+      Object.entries(group.versions).forEach(([v, n]) => { versions[v] = (versions[v] || 0) + n; });
+    });
+
+    res.json({ total: matching.length, versions, groups: matching.slice(0, limit) });
+  });
+
+  return { router };
+}
+
+module.exports = { createErrorReports, fingerprint, toReport };
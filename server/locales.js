@@ -0,0 +1,41 @@
+/**
+ * Achieve AI - Locales
+ * The app sends its UI language with every AI request as `locale`, a BCP 47 tag like "es" or "pt-BR",
+ * and Aclio answers in that language. Any language Intl has a name for works; a missing or unknown
+ * tag means English.
+ *
+ * Only the text people read is translated. JSON keys and fixed values such as the goal category stay
+ * in English, so saved goals look the same whatever language they were planned in.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Helper to tidy what the app sent ("ES-mx" -> "es-MX"), falling back to English
+function resolveLocale(value) {
+  if (typeof value !== 'string' || !value.trim()) return DEFAULT_LOCALE;
+  try {
+    const [tag] = Intl.getCanonicalLocales(value.trim());
+    const { language } = new Intl.Locale(tag);
+    // Intl echoes codes it doesn't know back instead of naming them
+    return languageNames.of(language) !== language ? tag : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+}
+
+// English name of the locale's language, e.g. "Brazilian Portuguese" for pt-BR
+const languageName = (locale) => languageNames.of(resolveLocale(locale));
+
+// The system prompt rule that makes Aclio answer in the user's language ('' for plain English)
+function languageRule(locale) {
+  const tag = resolveLocale(locale);
+  if (tag === DEFAULT_LOCALE) return '';
+
+  const name = languageNames.of(tag);
+  return `LANGUAGE: The user's app is in ${name} (${tag}). Write everything they will read in ${name} - titles, descriptions, questions, placeholders, tips, resource descriptions and replies - even though these instructions are in English. If they write to you in another language, answer in theirs.
+Keep JSON keys and fixed values (such as "category", "type" and "period") exactly as specified above, in English.`;
+}
+
+module.exports = { resolveLocale, languageName, languageRule };
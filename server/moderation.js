@@ -0,0 +1,266 @@
+/**
+ * Achieve AI - Moderation
+ * Screens what users type before it reaches the model or a public page, in two tiers:
+ *   1. Rules - fast patterns for clear-cut harm. Figures of speech ("kill it at my presentation",
+ *      "dying to try surfing") are taken out first, and text with no risky words passes here.
+ *   2. Classifier - text with risky words that no rule settled ("I just want it all to end") goes
+ *      to a short model call on the 'moderate' route for a category.
+ *
+ * self_harm gets a supportive reply with crisis lines for the user's country instead of a refusal;
+ * violence, weapons, crime and child_safety are blocked. Every decision beyond a clean rule pass
+ * (blocks, support replies and all classifier calls) is appended to the audit log - the field and
+ * category with a hash of the text, never the text itself.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES = ['self_harm', 'violence', 'weapons', 'crime', 'child_safety'];
+
+// Violent verbs only count when they're aimed at a person
+const PERSON = '(someone|somebody|anyone|a person|people|him|her|them|(my|the|a|his|her|their)\\s+(wife|husband|partner|boyfriend|girlfriend|ex|boss|coworker|co-worker|neighbou?r|teacher|friend|mom|mother|dad|father|parents?|brother|sister|son|daughter|kids?|child(ren)?|baby|family|roommate|president))\\b';
+
+const RULES = [
+  // Weapons ("bath bomb" is a craft, not a weapon)
+  { category: 'weapons', pattern: /\b(build|make|create|construct)\b.*((?<!bath )bomb|explosive|weapon|\bgun\b|firearm)/i },
+  // Violence has to be aimed at a person - "kill my procrastination" or "kill time" is fine
+  { category: 'violence', pattern: new RegExp(`\\b(kill|murder|assassinate|poison)\\s+${PERSON}`, 'i') },
+
+  { category: 'self_harm', pattern: /\b(kill|hurt|harm)\s*(myself|yourself)/i },
+  { category: 'self_harm', pattern: /\bsuicid(e|al)\b/i },
+  { category: 'self_harm', pattern: /\bself[- ]?harm/i },
+  { category: 'self_harm', pattern: /\bend (my|my own) life\b|\bend it all\b/i },
+  { category: 'self_harm', pattern: /\bways to die\b/i },
+
+  { category: 'crime', pattern: /\b(how to|planning to)\s*(rob|kidnap|abduct|traffick)/i },
+  { category: 'child_safety', pattern: /\bchild\s*(porn|abuse|exploit)/i },
+  { category: 'crime', pattern: /\bterrorist|terrorism\b/i },
+  { category: 'crime', pattern: /\bdrug\s*(deal|traffick|sell|manufacture)/i }
+];
+
+// Everyday phrases that borrow violent words
+const FIGURATIVE = [
+  /\bkill(ing|ed)? (it|time)\b/gi,
+  /\b(crush|nail|slay|smash)(ing|ed)? it\b/gi,
+  /\bdying to\b/gi,
+  /\bdressed to kill\b/gi,
+  /\bmake a killing\b/gi,
+  /\bknock (it|them|'em|em) dead\b/gi,
+  /\bshoot(ing)? (a |the |some |my |our )?(video|photos?|film|movie|hoops|portraits?|reel)s?\b/gi,
+  /\b(bored|scared|tired|embarrassed|laughed) to death\b/gi
+];
+
+// Words that can mean harm but that no rule above decides on, and ways people describe a crisis
+// without naming it - these go to the classifier
+const RISKY = [
+  /\b(die[ds]?|dying|dead|death|alive|overdose|pills|revenge|hurt(ing)?|weapons?|knife|knives|guns?|shoot(ing)?|stab(bing)?|hang (myself|me)|disappear(ed|ing)?|burden|hopeless|worthless|end it|hate (him|her|them|myself)|get back at|abuse|hack into|steal)\b/i,
+  /\b(better off without me|no (reason|point) (to live|in living)|can'?t go on|give up on (life|everything)|(want|wish) (it|it all|everything) to (end|stop))\b/i
+];
+
+const CLASSIFIER_SYSTEM = `You screen messages sent to Aclio, a goal-setting and coaching app, for safety.
+Reply with JSON only, like {"category": "none"}, using one of:
+- "none": anything else, including figures of speech, fiction, games, sport, hunting, cooking, and people asking for help to stop a harmful habit
+- "self_harm": the writer may hurt themselves, wants to die or sounds like they're in crisis
+- "violence": the writer wants to hurt or threaten another person
+- "weapons": making weapons or explosives
+- "crime": planning serious crimes such as robbery, kidnapping, trafficking, dealing drugs or breaking into someone's accounts
+- "child_safety": sexual content involving minors or harming children`;
+
+// English for other clients - the app shows its own translation, keyed by the error code
+const BLOCK_MESSAGE = 'I can\'t help with that because it could cause harm. If I\'ve misunderstood, try rephrasing!';
+const SUPPORT_MESSAGE = 'It sounds like you\'re going through something really hard right now, and you don\'t have to face it alone. Please reach out to someone who can help - these people are there to listen, any time.';
+
+// Crisis lines by country. `countries` holds ISO codes and the names the app's location lookup returns.
+const CRISIS_LINES = [
+  {
+    countries: ['us', 'usa', 'united states', 'united states of america', 'estados unidos'],
+    emergency: '911',
+    resources: [{ name: '988 Suicide & Crisis Lifeline', phone: '988', text: '988', url: 'https://988lifeline.org' }]
+  },
+  {
+    countries: ['ca', 'canada'],
+    emergency: '911',
+    resources: [{ name: '9-8-8 Suicide Crisis Helpline', phone: '988', text: '988', url: 'https://988.ca' }]
+  },
+  {
+    countries: ['gb', 'uk', 'united kingdom', 'england', 'scotland', 'wales', 'northern ireland'],
+    emergency: '999',
+    resources: [
+      { name: 'Samaritans', phone: '116 123', url: 'https://www.samaritans.org' },
+      { name: 'Shout', text: '85258', url: 'https://giveusashout.org' }
+    ]
+  },
+  {
+    countries: ['ie', 'ireland', 'éire'],
+    emergency: '112',
+    resources: [{ name: 'Samaritans Ireland', phone: '116 123', url: 'https://www.samaritans.org/ireland' }]
+  },
+  {
+    countries: ['au', 'australia'],
+    emergency: '000',
+    resources: [{ name: 'Lifeline', phone: '13 11 14', url: 'https://www.lifeline.org.au' }]
+  },
+  {
+    countries: ['nz', 'new zealand', 'aotearoa'],
+    emergency: '111',
+    resources: [{ name: 'Need to talk?', phone: '1737', text: '1737', url: 'https://1737.org.nz' }]
+  },
+  {
+    countries: ['in', 'india', 'भारत'],
+    emergency: '112',
+    resources: [{ name: 'Tele-MANAS', phone: '14416', url: 'https://telemanas.mohfw.gov.in' }]
+  },
+  {
+    countries: ['de', 'germany', 'deutschland'],
+    emergency: '112',
+    resources: [{ name: 'TelefonSeelsorge', phone: '0800 111 0 111', url: 'https://www.telefonseelsorge.de' }]
+  },
+  {
+    countries: ['fr', 'france'],
+    emergency: '112',
+    resources: [{ name: '3114 - Numéro national de prévention du suicide', phone: '3114', url: 'https://3114.fr' }]
+  },
+  {
+    countries: ['es', 'spain', 'españa'],
+    emergency: '112',
+    resources: [{ name: 'Línea 024', phone: '024' }]
+  }
+];
+
+const INTERNATIONAL = { name: 'Find a Helpline', url: 'https://findahelpline.com' };
+
+// Helper to pick the crisis lines for a country (name or ISO code), with a worldwide directory as the fallback
+function crisisResources(country) {
+  const key = typeof country === 'string' ? country.trim().toLowerCase() : '';
+  const match = CRISIS_LINES.find(entry => entry.countries.includes(key));
+  return {
+    emergency: match ? match.emergency : null,
+    resources: [...(match ? match.resources : []), INTERNATIONAL]
+  };
+}
+
+// Which rule category a piece of text falls in, or null. Figures of speech are ignored.
+function checkRules(text) {
+  const literal = FIGURATIVE.reduce((result, pattern) => result.replace(pattern, ' '), String(text));
+  const rule = RULES.find(({ pattern }) => pattern.test(literal));
+  if (rule) return { category: rule.category };
+  return RISKY.some(pattern => pattern.test(literal)) ? { category: null, uncertain: true } : null;
+}
+
+// Helper to list every string in a request value as [field, text], e.g. ['step.title', 'Buy shoes']
+function textFields(value, name, out = []) {
+  if (out.length >= 200) return out;
+  if (typeof value === 'string') {
+    if (value.trim()) out.push([name, value.slice(0, 4000)]);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => textFields(item, `${name}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => textFields(item, `${name}.${key}`, out));
+  }
+  return out;
+}
+
+// Lets the audit log match repeats of the same text without keeping what the user wrote
+const textHash = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+// How many texts the classifier has cleared are remembered, so chat history isn't sent again every turn
+const CLEARED_LIMIT = 5000;
+
+// Self-harm outranks the rest - someone in crisis should always get the supportive reply
+const pickCategory = (categories) => categories.includes('self_harm') ? 'self_harm' : categories.find(Boolean) || null;
+
+// logFile: JSONL audit log of decisions. classifier: false keeps moderation to the rule tier.
+function createModeration(llm, { logFile, classifier = true } = {}) {
+  const audit = (entry) => {
+    if (!logFile) return;
+    try {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      fs.appendFileSync(logFile, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      console.error('Could not write moderation log:', error.message);
+    }
+  };
+
+  // Hashes of texts the classifier found nothing wrong with, oldest first
+  const cleared = new Set();
+  const remember = (hashes) => {
+    hashes.forEach(hash => cleared.add(hash));
+    while (cleared.size > CLEARED_LIMIT) cleared.delete(cleared.values().next().value);
+  };
+
+  // Ask the model about text the rules weren't sure of; anything it can't answer passes
+  async function classify(texts) {
+    const reply = await llm.chat('moderate', {
+      system: CLASSIFIER_SYSTEM,
+      messages: [{ role: 'user', content: texts.join('\n---\n').slice(0, 6000) }],
+      tier: 'sonnet',
+      maxTokens: 50,
+      temperature: 0
+    });
+    const category = JSON.parse((reply.match(/\{[\s\S]*\}/) || ['{}'])[0]).category;
+    return CATEGORIES.includes(category) ? category : null;
+  }
+
+  /**
+   * Decide on a set of fields ({ name: value }, values can be nested objects or arrays).
+   * Resolves { action: 'allow' | 'block' | 'support', category, tier, field, textHash }.
+   */
+  async function assess(fields) {
+    const checked = textFields(fields, '').map(([name, text]) => ({ field: name.slice(1), text, result: checkRules(text) }));
+
+    const flagged = checked.filter(item => item.result?.category);
+    if (flagged.length > 0) {
+      const category = pickCategory(flagged.map(item => item.result.category));
+      const hit = flagged.find(item => item.result.category === category);
+      return { action: category === 'self_harm' ? 'support' : 'block', category, tier: 'rules', field: hit.field, textHash: textHash(hit.text) };
+    }
+
+    // Text the classifier already cleared (earlier chat turns, the summary) isn't asked about again
+    const uncertain = checked
+      .filter(item => item.result?.uncertain)
+      .map(item => ({ ...item, hash: textHash(item.text) }))
+      .filter(item => !cleared.has(item.hash));
+    if (uncertain.length === 0 || !classifier || !llm.isConfigured('moderate')) {
+      return { action: 'allow', category: null, tier: 'rules' };
+    }
+
+    try {
+      const category = await classify(uncertain.map(item => item.text));
+      // Only a clean verdict covers every text; a flagged one may be down to any of them
+      if (!category) remember(uncertain.map(item => item.hash));
+      const action = !category ? 'allow' : category === 'self_harm' ? 'support' : 'block';
+      return { action, category, tier: 'classifier', field: uncertain[0].field, textHash: uncertain[0].hash };
+    } catch (error) {
+      // The rules already caught the clear-cut cases, so a classifier outage doesn't stop the app
+      return { action: 'allow', category: null, tier: 'classifier', field: uncertain[0].field, textHash: uncertain[0].hash, error: error.message };
+    }
+  }
+
+  // Route middleware: moderation.check('expand-step', ({ goalName, step }) => ({ goalName, step }))
+  const check = (route, pickFields) => async (req, res, next) => {
+    try {
+      const decision = await assess(pickFields(req.body || {}));
+      if (decision.action !== 'allow' || decision.tier === 'classifier') audit({ route, ...decision });
+
+      if (decision.action === 'support') {
+        return res.status(400).json({
+          error: 'crisis_support',
+          message: SUPPORT_MESSAGE,
+          ...crisisResources(req.body?.location?.country)
+        });
+      }
+      if (decision.action === 'block') {
+        return res.status(400).json({ error: 'inappropriate', category: decision.category, message: BLOCK_MESSAGE });
+      }
+      next();
+    } catch (error) {
+      console.error('Moderation error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  return { assess, check };
+}
+
+module.exports = { createModeration, checkRules, crisisResources, CATEGORIES };
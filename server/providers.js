@@ -0,0 +1,469 @@
+/**
+ * Achieve AI - LLM Providers
+ * Routes ask for a completion by route name and model tier ('sonnet' for most tasks,
+ * 'opus' for heavy ones). The provider chain for that route decides who answers.
+ *
+ * Providers: anthropic, openai (any OpenAI-compatible endpoint, e.g. a local model), mock.
+ * LLM_PROVIDER sets the default chain - "anthropic,openai" falls back to openai when anthropic
+ * errors or times out. LLM_PROVIDER_<ROUTE> overrides it per route, e.g.
+ * LLM_PROVIDER_TALK_TO_ACLIO=openai,anthropic
+ *
+ * Providers resolve { text, toolCalls }. Tools use Anthropic's format ({ name, description, input_schema })
+ * and come back as [{ id, name, input }] whichever provider answered.
+ */
+
+// Read a Server-Sent Events body, calling onData with each `data:` payload and onChunk with each
+// piece that arrives over the network (keep-alive pings included)
+async function readSSE(body, onData, onChunk = () => {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Frames are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      frame.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .forEach(line => onData(line.slice(5).trim()));
+    }
+  }
+}
+
+// Turn streamed { id, name, json } fragments into tool calls, dropping any that don't parse
+const parseToolBlocks = (blocks) => blocks.flatMap(({ id, name, json }) => {
+  try {
+    return [{ id, name, input: json ? JSON.parse(json) : {} }];
+  } catch (error) {
+    console.error(`Dropping tool call ${name} with unparseable input`);
+    return [];
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANTHROPIC
+// ═══════════════════════════════════════════════════════════════════════════════
+function createAnthropicProvider({ apiKey, baseUrl = 'https://api.anthropic.com', models }) {
+  const endpoint = `${baseUrl.replace(/\/$/, '')}/v1/messages`;
+
+  const request = (body, signal) => fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const toError = async (response) => {
+    const err = await response.json().catch(() => ({}));
+    return new Error(err.error?.message || `Anthropic API Error (${response.status})`);
+  };
+
+  const buildBody = ({ system, messages, tier, maxTokens, temperature, tools }) => ({
+    model: models[tier],
+    max_tokens: maxTokens,
+    temperature,
+    system,
+    messages,
+    ...(tools ? { tools } : {})
+  });
+
+  return {
+    name: 'anthropic',
+    models,
+    isConfigured: () => !!apiKey,
+
+    async chat(options) {
+      const response = await request(buildBody(options), options.signal);
+      if (!response.ok) throw await toError(response);
+
+      const data = await response.json();
+      return {
+        text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: data.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, input: block.input }))
+      };
+    },
+
+    async stream(options) {
+      const response = await request({ ...buildBody(options), stream: true }, options.signal);
+      if (!response.ok) throw await toError(response);
+
+      let text = '';
+      const toolBlocks = {}; // Tool input arrives as JSON fragments per content block
+      await readSSE(response.body, (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+          toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          options.onText(event.delta.text);
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+          toolBlocks[event.index].json += event.delta.partial_json;
+        } else if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic API Error');
+        }
+      }, options.onChunk);
+      return { text, toolCalls: parseToolBlocks(Object.values(toolBlocks)) };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OPENAI-COMPATIBLE (OpenAI, Ollama, LM Studio, vLLM...)
+// ═══════════════════════════════════════════════════════════════════════════════
+function createOpenAICompatibleProvider({ baseUrl, apiKey, models }) {
+  const endpoint = baseUrl ? `${baseUrl.replace(/\/$/, '')}/chat/completions` : null;
+
+  const request = (body, signal) => fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const toError = async (response) => {
+    const err = await response.json().catch(() => ({}));
+    return new Error(err.error?.message || `OpenAI-compatible API Error (${response.status})`);
+  };
+
+  // The system prompt travels as the first message
+  const buildBody = ({ system, messages, tier, maxTokens, temperature, tools }) => ({
+    model: models[tier],
+    max_tokens: maxTokens,
+    temperature,
+    messages: [{ role: 'system', content: system }, ...messages],
+    ...(tools ? {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+      }))
+    } : {})
+  });
+
+  return {
+    name: 'openai',
+    models,
+    isConfigured: () => !!endpoint && !!models.sonnet,
+
+    async chat(options) {
+      const response = await request(buildBody(options), options.signal);
+      if (!response.ok) throw await toError(response);
+
+      const { message } = (await response.json()).choices[0];
+      return {
+        text: message.content || '',
+        toolCalls: parseToolBlocks((message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          json: call.function.arguments
+        })))
+      };
+    },
+
+    async stream(options) {
+      const response = await request({ ...buildBody(options), stream: true }, options.signal);
+      if (!response.ok) throw await toError(response);
+
+      let text = '';
+      const toolBlocks = {};
+      await readSSE(response.body, (data) => {
+        if (data === '[DONE]') return;
+        const delta = JSON.parse(data).choices?.[0]?.delta || {};
+        if (delta.content) {
+          text += delta.content;
+          options.onText(delta.content);
+        }
+        (delta.tool_calls || []).forEach(call => {
+          const block = toolBlocks[call.index] || (toolBlocks[call.index] = { id: call.id, name: '', json: '' });
+          if (call.function?.name) block.name += call.function.name;
+          if (call.function?.arguments) block.json += call.function.arguments;
+        });
+      }, options.onChunk);
+      return { text, toolCalls: parseToolBlocks(Object.values(toolBlocks)) };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MOCK - deterministic offline replies shaped like each route expects
+// ═══════════════════════════════════════════════════════════════════════════════
+function createMockProvider() {
+  const quoted = (content, label) => (content.match(new RegExp(`${label}: "([^"]*)"`)) || [])[1];
+
+  const replies = {
+    // Goals that sound ongoing ("daily", "3x a week") come back as habits
+    'generate-steps': (prompt, system) => {
+      const goal = quoted(prompt, 'Goal') || 'your goal';
+      const forced = system.match(/always answer with "type": "(habit)"|answer with "type": "(plan)"/);
+      const weekly = goal.match(/\b(\d)\s*(?:x|times)\s*(?:a|per)\s*week\b/i);
+      const isHabit = forced ? !!forced[1] : !!weekly || /\b(daily|every (day|night|morning)|habit)\b/i.test(goal);
+      if (isHabit) {
+        const times = weekly ? Number(weekly[1]) : 1;
+        return JSON.stringify({
+          category: 'Personal Growth',
+          type: 'habit',
+          habit: {
+            period: weekly ? 'week' : 'day',
+            timesPerPeriod: times,
+            target: '20 minutes',
+            rampUp: [{ week: 1, timesPerPeriod: Math.max(1, times - 1), target: '10 minutes' }, { week: 3, target: '20 minutes' }]
+          },
+          steps: [
+            { id: 1, title: 'Pick a fixed time and place', description: 'Attach the habit to something you already do every day.', duration: '10 minutes' },
+            { id: 2, title: 'Prepare everything the night before', description: 'Remove friction so starting takes no willpower.', duration: '10 minutes' }
+          ]
+        });
+      }
+      return JSON.stringify({
+        category: 'Personal Growth',
+        phases: [
+          { id: 1, title: 'Get ready', milestone: 'You know exactly what you are doing and when' },
+          { id: 2, title: 'Build momentum', milestone: 'Two weeks of sessions done' }
+        ],
+        steps: [
+          { id: 1, phase: 1, title: `Define what "${goal}" looks like`, description: 'Write down a concrete, measurable finish line so you know when you are done.', duration: '30 minutes' },
+          { id: 2, phase: 1, title: 'Research the best approach', description: 'Spend an hour learning how others have done this and pick one method.', duration: '1 hour', subtasks: ['Read two guides', 'Ask someone who has done it', 'Pick one method'] },
+          { id: 3, phase: 1, title: 'Block time on your calendar', description: 'Schedule three recurring sessions a week and protect them.', duration: '15 minutes' },
+          { id: 4, phase: 2, title: 'Complete your first session', description: 'Do the smallest useful version of the work to build momentum.', duration: '1 hour', blockedBy: [2, 3] },
+          { id: 5, phase: 2, title: 'Review progress and adjust', description: 'After two weeks, look at what worked and change one thing.', duration: '30 minutes', blockedBy: [4] }
+        ]
+      });
+    },
+
+    'generate-questions': () => JSON.stringify([
+      { id: 1, question: "What's your current experience level?", placeholder: 'e.g., Complete beginner' },
+      { id: 2, question: 'How much time can you spend weekly?', placeholder: 'e.g., 3 hours' },
+      { id: 3, question: 'What does success look like?', placeholder: 'e.g., Finish by summer' }
+    ]),
+
+    'expand-step': (prompt) => {
+      const step = quoted(prompt, 'Step') || 'this step';
+      return JSON.stringify({
+        detailedGuide: `Start "${step}" by breaking it into 25-minute blocks.\n\nFocus on the single most important outcome first, then refine.`,
+        resources: [
+          { name: 'Mock Resource', description: 'A placeholder resource from the mock provider.', type: 'website', url: 'https://example.com', cost: 'Free' }
+        ],
+        tips: ['Start smaller than feels necessary', 'Track what you did each session', 'Stop when the outcome is good enough'],
+        searchQuery: `how to ${step}`
+      });
+    },
+
+    'do-it-for-me': (prompt) => {
+      const task = quoted(prompt, 'Task to complete') || 'your task';
+      return `**${task}**\n\nHere's the finished version:\n\n1. First, the most important part\n2. Then, the supporting detail\n3. Finally, the wrap-up\n\n*Generated by the mock provider.*`;
+    },
+
+    // Keeps the remaining steps from the system prompt, revises the first and adds a check-in
+    'replan-goal': (prompt, system) => {
+      const remaining = (system.split('REMAINING STEPS:')[1] || '').split('\n\n')[0];
+      const steps = [...remaining.matchAll(/^- \[id ([^\]]+)\] (.*) \((.*)\): (.*)$/gm)]
+        .map(([, id, title, duration, description]) => ({ id: Number(id) || id, title, description, duration }));
+      if (steps[0]) steps[0] = { ...steps[0], title: `${steps[0].title} (lighter version)`, duration: '30 minutes' };
+      steps.push({ title: 'Check in on the new plan', description: 'After a week, see whether the changes helped.', duration: '15 minutes' });
+      return JSON.stringify({ summary: 'Made the next step lighter and added a check-in.', steps });
+    },
+
+    // Keeps the old summary and adds a line listing what the user brought up
+    'summarize-chat': (prompt) => {
+      const previous = (prompt.split('SUMMARY SO FAR:\n')[1] || '').split('\n\n')[0];
+      const topics = [...prompt.matchAll(/User: (.*)$/gm)].map(([, said]) => said.slice(0, 60));
+      return [previous.startsWith('(') ? '' : previous, `The user talked about: ${topics.join('; ')}.`].filter(Boolean).join('\n');
+    },
+
+    // A rough stand-in for the safety classifier: crisis wording is self_harm, the rest passes
+    'moderate': (prompt) => JSON.stringify({
+      category: /\b(don'?t want to (be alive|wake up|live)|better off without me|no reason to live|disappear forever)\b/i.test(prompt) ? 'self_harm'
+        : /\b(revenge on|get back at|hurt) (him|her|them|my \w+)\b/i.test(prompt) ? 'violence'
+          : 'none'
+    }),
+
+    'talk-to-aclio': (prompt) => `You said: "${prompt.slice(0, 200)}". Here's your next action: pick the smallest open step and do it today.`
+  };
+
+  // Chat proposes an action when asked for one, so the confirm cards can be tried offline
+  const toolCalls = ({ route, tools, messages }) => {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    if (!tools || route !== 'talk-to-aclio') return [];
+    if (/\b(add|more)\b.*\bsteps?\b/i.test(lastUser)) {
+      return [{ id: 'mock-add', name: 'add_steps', input: { steps: [
+        { title: 'Find an accountability partner', description: 'Ask a friend to check in on your progress every Sunday.', duration: '15 minutes' },
+        { title: 'Review your week', description: 'Note what worked and plan the next three sessions.', duration: '20 minutes' }
+      ] } }];
+    }
+    const date = lastUser.match(/\b\d{4}-\d{2}-\d{2}\b/);
+    if (date) return [{ id: 'mock-due', name: 'set_due_date', input: { dueDate: date[0] } }];
+    return [];
+  };
+
+  const reply = ({ route, system = '', messages }) => {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const firstUser = messages.find(m => m.role === 'user')?.content || '';
+    const build = replies[route];
+    // Chat echoes the latest message; JSON routes answer the original request (also on corrective retries)
+    if (!build) return `Mock response for ${route || 'request'}.`;
+    return route === 'talk-to-aclio' ? build(lastUser, system) : build(firstUser, system);
+  };
+
+  return {
+    name: 'mock',
+    models: { sonnet: 'mock', opus: 'mock' },
+    isConfigured: () => true,
+
+    async chat(options) {
+      return { text: reply(options), toolCalls: toolCalls(options) };
+    },
+
+    async stream(options) {
+      const text = reply(options);
+      // Word-sized chunks so clients see a realistic stream
+      (text.match(/\S+\s*/g) || []).forEach(chunk => options.onText(chunk));
+      return { text, toolCalls: toolCalls(options) };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTER - per-route provider chains with fallback and timeouts
+// ═══════════════════════════════════════════════════════════════════════════════
+function createLLM(env = process.env, { anthropicModels }) {
+  const providers = {
+    anthropic: createAnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseUrl: env.ANTHROPIC_BASE_URL,
+      models: anthropicModels
+    }),
+    openai: createOpenAICompatibleProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      models: { sonnet: env.OPENAI_MODEL, opus: env.OPENAI_MODEL_HEAVY || env.OPENAI_MODEL }
+    }),
+    mock: createMockProvider()
+  };
+
+  const timeoutMs = parseInt(env.LLM_TIMEOUT_MS, 10) || 120000;
+  const idleTimeoutMs = parseInt(env.LLM_IDLE_TIMEOUT_MS, 10) || 30000;
+
+  const parseChain = (value) => value.split(',').map(name => name.trim()).filter(Boolean);
+  const defaultChain = parseChain(env.LLM_PROVIDER || 'anthropic');
+
+  const chainFor = (route) => {
+    const override = env[`LLM_PROVIDER_${route.toUpperCase().replace(/-/g, '_')}`];
+    return override ? parseChain(override) : defaultChain;
+  };
+
+  const available = (route) => chainFor(route)
+    .map(name => providers[name])
+    .filter(provider => provider && provider.isConfigured());
+
+  // Run one provider attempt with its own timeout, still honoring the caller's abort signal.
+  // `run` gets the signal plus a function that swaps the clock for an idle timeout, restarted on
+  // each call: streams get timeoutMs to their first token, then idleTimeoutMs between chunks.
+  const attempt = async (run, callerSignal) => {
+    const controller = new AbortController();
+    let timer;
+    let reason;
+    const startClock = (ms, message) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reason = message;
+        controller.abort();
+      }, ms);
+    };
+    startClock(timeoutMs, `Timed out after ${timeoutMs}ms`);
+    const onCallerAbort = () => controller.abort();
+    callerSignal?.addEventListener('abort', onCallerAbort);
+
+    try {
+      return await run(controller.signal, () => startClock(idleTimeoutMs, `Stalled: nothing received for ${idleTimeoutMs}ms`));
+    } catch (error) {
+      if (controller.signal.aborted && !callerSignal?.aborted) {
+        throw new Error(reason);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      callerSignal?.removeEventListener('abort', onCallerAbort);
+    }
+  };
+
+  const noProvider = (route) => new Error(`No AI provider configured for ${route}`);
+
+  // Plain calls get the reply text; calls that pass tools get { text, toolCalls }
+  const result = (options, reply) => (options.tools ? reply : reply.text);
+
+  return {
+    isConfigured: (route) => available(route).length > 0,
+
+    // { system, messages, tier, maxTokens, temperature, tools?, signal } -> full reply text
+    async chat(route, options) {
+      const chain = available(route);
+      if (chain.length === 0) throw noProvider(route);
+
+      let lastError;
+      for (const provider of chain) {
+        try {
+          return result(options, await attempt((signal) => provider.chat({ ...options, route, signal }), options.signal));
+        } catch (error) {
+          if (options.signal?.aborted) throw error;
+          console.error(`LLM provider "${provider.name}" failed for ${route}:`, error.message);
+          lastError = error;
+        }
+      }
+      throw lastError;
+    },
+
+    // Same as chat, calling onText with each chunk. Falls back only if nothing was sent yet.
+    async stream(route, options, onText) {
+      const chain = available(route);
+      if (chain.length === 0) throw noProvider(route);
+
+      let started = false;
+      let lastError;
+      for (const provider of chain) {
+        try {
+          return result(options, await attempt((signal, restartIdleClock) => provider.stream({
+            ...options,
+            route,
+            signal,
+            onChunk: () => {
+              if (started) restartIdleClock();
+            },
+            onText: (text) => {
+              started = true;
+              restartIdleClock();
+              onText(text);
+            }
+          }), options.signal));
+        } catch (error) {
+          if (options.signal?.aborted || started) throw error;
+          console.error(`LLM provider "${provider.name}" failed for ${route}:`, error.message);
+          lastError = error;
+        }
+      }
+      throw lastError;
+    },
+
+    // Provider status for /api/health
+    describe() {
+      return {
+        default: defaultChain,
+        configured: Object.fromEntries(Object.entries(providers).map(([name, provider]) => [name, provider.isConfigured()]))
+      };
+    }
+  };
+}
+
+module.exports = { createLLM, createAnthropicProvider, createOpenAICompatibleProvider, createMockProvider };
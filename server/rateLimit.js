@@ -0,0 +1,161 @@
+/**
+ * Achieve AI - Rate Limiting
+ * Token buckets keep any one IP or client from hammering the API, and a separate
+ * cost budget (weighted by model) caps how much AI spend a single client - or network, since
+ * device ids are easy to make up - can run up.
+ */
+
+// In-memory token bucket keyed by IP, client, etc. Buckets refill continuously.
+function createTokenBucket({ capacity, refillPerSecond }) {
+  const buckets = new Map();
+
+  // Forget buckets that have refilled completely so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) buckets.delete(key);
+    });
+  }, 10 * 60 * 1000);
+  sweep.unref();
+
+  return {
+    // Try to spend `cost` tokens. Returns { allowed, retryAfter } with retryAfter in seconds.
+    take(key, cost = 1) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, retryAfter: 0 };
+      }
+
+      // A cost bigger than the bucket can never succeed - wait for a full refill
+      const missing = Math.min(cost, capacity) - bucket.tokens;
+      return { allowed: false, retryAfter: Math.ceil(missing / refillPerSecond) };
+    },
+
+    // Hand back tokens taken for a request that didn't go ahead after all
+    refund(key, cost = 1) {
+      const bucket = buckets.get(key);
+      if (bucket) bucket.tokens = Math.min(capacity, bucket.tokens + cost);
+    }
+  };
+}
+
+const envNumber = (env, name, fallback) => {
+  const value = parseFloat(env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Who's asking: the signed-in account, else the device id the app sends
+const clientKey = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  const deviceId = String(req.get('x-device-id') || '').replace(/[^\w-]/g, '').slice(0, 64);
+  return deviceId ? `device:${deviceId}` : null;
+};
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'rate_limited', retryAfter, message });
+};
+
+function createRateLimiter(env = process.env) {
+  const perIp = createTokenBucket({
+    capacity: envNumber(env, 'RATE_LIMIT_IP_BURST', 30),
+    refillPerSecond: envNumber(env, 'RATE_LIMIT_IP_PER_MINUTE', 60) / 60
+  });
+  const perClient = createTokenBucket({
+    capacity: envNumber(env, 'RATE_LIMIT_CLIENT_BURST', 15),
+    refillPerSecond: envNumber(env, 'RATE_LIMIT_CLIENT_PER_MINUTE', 30) / 60
+  });
+
+  // AI budget in "cost units" per hour. An Opus call costs several Sonnet calls.
+  // Each network gets a few clients' worth, so inventing new device ids doesn't buy more.
+  const budgetPerHour = envNumber(env, 'AI_BUDGET_PER_HOUR', 60);
+  const ipBudgetPerHour = envNumber(env, 'AI_BUDGET_PER_IP_PER_HOUR', budgetPerHour * 3);
+  const aiBudget = createTokenBucket({ capacity: budgetPerHour, refillPerSecond: budgetPerHour / 3600 });
+  const ipAiBudget = createTokenBucket({ capacity: ipBudgetPerHour, refillPerSecond: ipBudgetPerHour / 3600 });
+  const modelCosts = {
+    sonnet: envNumber(env, 'AI_COST_SONNET', 1),
+    opus: envNumber(env, 'AI_COST_OPUS', 5)
+  };
+
+  // General request limiter for every /api route
+  const limitRequests = (req, res, next) => {
+    const ipResult = perIp.take(`ip:${req.ip}`);
+    if (!ipResult.allowed) {
+      return tooManyRequests(res, ipResult.retryAfter, 'Too many requests from your network. Please slow down.');
+    }
+
+    const key = clientKey(req);
+    if (key) {
+      const clientResult = perClient.take(key);
+      if (!clientResult.allowed) {
+        return tooManyRequests(res, clientResult.retryAfter, 'Too many requests. Please slow down.');
+      }
+    }
+    next();
+  };
+
+  // Per-route middleware charging the AI budget: limitAiCost('opus')
+  const limitAiCost = (model) => (req, res, next) => {
+    const cost = modelCosts[model];
+    const key = clientKey(req);
+    const clientResult = key ? aiBudget.take(key, cost) : { allowed: true };
+    const ipResult = clientResult.allowed ? ipAiBudget.take(`ip:${req.ip}`, cost) : clientResult;
+    if (!ipResult.allowed) {
+      // Only charge the client when the whole request goes ahead
+      if (key && clientResult.allowed) aiBudget.refund(key, cost);
+      return tooManyRequests(res, ipResult.retryAfter, 'You\'ve made a lot of AI requests recently. Take a short break and try again.');
+    }
+
+    // Give the budget back when the request fails or is turned away (moderation, an unusable reply),
+    // like the free quota. Streams flag failures in res.locals since they're already 200, and cached
+    // answers set res.locals.fromCache since they never reach the model.
+    res.on('finish', () => {
+      if (res.statusCode < 400 && !res.locals.failed && !res.locals.fromCache) return;
+      if (key) aiBudget.refund(key, cost);
+      ipAiBudget.refund(`ip:${req.ip}`, cost);
+    });
+    next();
+  };
+
+  return { limitRequests, limitAiCost };
+}
+
+// Always allowed. ALLOWED_ORIGINS adds exact origins, or "*" to allow everything.
+const DEFAULT_ALLOWED_ORIGINS = [
+  'capacitor://localhost', // iOS app
+  'aclio://localhost',     // iOS app (custom scheme from capacitor.config.ts)
+  'http://localhost',      // Android app
+  'https://localhost'
+];
+
+function createOriginCheck(env = process.env) {
+  const allowed = [
+    ...DEFAULT_ALLOWED_ORIGINS,
+    ...(env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim().toLowerCase()).filter(Boolean)
+  ];
+  const allowAll = allowed.includes('*');
+  // Local dev servers (vite, npx serve...) on any port
+  const isLocalDev = (origin) => /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/.test(origin);
+
+  const isAllowed = (origin) => {
+    if (!origin || allowAll) return true; // Native apps and server-to-server calls send no Origin
+    const normalized = origin.toLowerCase();
+    return allowed.includes(normalized) || isLocalDev(normalized);
+  };
+
+  // Reject outright rather than just withholding CORS headers, so the request never reaches the AI
+  const checkOrigin = (req, res, next) => {
+    if (isAllowed(req.get('origin'))) return next();
+    res.status(403).json({ error: 'origin_not_allowed', message: 'This origin is not allowed to use the API.' });
+  };
+
+  return { isAllowed, checkOrigin };
+}
+
+module.exports = { createRateLimiter, createOriginCheck, createTokenBucket };
@@ -0,0 +1,77 @@
+/**
+ * Achieve AI - Receipt Verification
+ * Pluggable purchase verifiers. Each one exposes `verify(purchase)` and resolves with
+ * { valid, productId, expiresAt, reason }. Pick one with RECEIPT_VERIFIER.
+ */
+
+// Production: ask RevenueCat whether this app user has an active premium entitlement.
+// The app user id is the device or account the server knows the request by - the app logs in to RevenueCat with it.
+function createRevenueCatVerifier({ secretKey, entitlementId = 'Aclio Premium' }) {
+  return {
+    name: 'revenuecat',
+
+    async verify({ appUserId }) {
+      if (!appUserId) {
+        return { valid: false, reason: 'Missing RevenueCat app user id' };
+      }
+
+      const response = await fetch(`https://api.revenuecat.com/v1/subscribers/${encodeURIComponent(appUserId)}`, {
+        headers: { 'Authorization': `Bearer ${secretKey}` }
+      });
+      if (!response.ok) {
+        throw new Error(`RevenueCat API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const entitlement = data.subscriber?.entitlements?.[entitlementId];
+      const expiresAt = entitlement?.expires_date || null; // null = lifetime
+      const active = !!entitlement && (!expiresAt || new Date(expiresAt) > new Date());
+
+      return {
+        valid: active,
+        productId: entitlement?.product_identifier || null,
+        expiresAt,
+        reason: active ? null : 'No active subscription found'
+      };
+    }
+  };
+}
+
+// Local development and tests: accepts receipts like "stub:yearly". Never enable in production.
+const STUB_PLAN_DAYS = { weekly: 7, monthly: 30, yearly: 365 };
+
+function createStubVerifier() {
+  return {
+    name: 'stub',
+
+    async verify({ receipt }) {
+      const plan = typeof receipt === 'string' && receipt.startsWith('stub:') ? receipt.slice(5) : null;
+      if (!STUB_PLAN_DAYS[plan]) {
+        return { valid: false, reason: 'Stub receipts look like "stub:yearly"' };
+      }
+
+      return {
+        valid: true,
+        productId: `aclio_premium_${plan}`,
+        expiresAt: new Date(Date.now() + STUB_PLAN_DAYS[plan] * 86400000).toISOString(),
+        reason: null
+      };
+    }
+  };
+}
+
+// Returns null when purchases can't be verified (no RevenueCat key and no stub requested)
+function createReceiptVerifier(env = process.env) {
+  const kind = env.RECEIPT_VERIFIER || (env.REVENUECAT_SECRET_KEY ? 'revenuecat' : 'none');
+
+  if (kind === 'revenuecat') {
+    return createRevenueCatVerifier({
+      secretKey: env.REVENUECAT_SECRET_KEY,
+      entitlementId: env.REVENUECAT_ENTITLEMENT
+    });
+  }
+  if (kind === 'stub') return createStubVerifier();
+  return null;
+}
+
+module.exports = { createReceiptVerifier, createRevenueCatVerifier, createStubVerifier };
@@ -0,0 +1,73 @@
+/**
+ * Achieve AI - Response Cache
+ * Remembers AI answers that only depend on the goal and step text, not on who asked, so a popular
+ * goal ("learn Spanish", "run a 5k") costs one model call instead of one per user.
+ *
+ * Entries are keyed by the prompt version (a hash of the system prompt, so editing a prompt starts
+ * fresh) and the request text normalized for case, spacing and trailing punctuation. Each cache
+ * is in memory, least-recently-used first out once it's full, and entries expire after ttlMs.
+ */
+
+const crypto = require('crypto');
+
+// Helper to make "Run a 5K!" and "  run a 5k" the same request
+const normalize = (value) => String(value ?? '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/[.!?]+$/, '');
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// now: clock override for tests
+function createResponseCache({ ttlMs = 7 * 24 * 60 * 60 * 1000, maxEntries = 1000, now = Date.now } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }, oldest use first
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  const keyFor = (systemPrompt, parts) => hash(JSON.stringify([hash(systemPrompt).slice(0, 12), ...parts.map(normalize)]));
+
+  // The cached answer for this prompt and request text, or undefined
+  function get(systemPrompt, parts) {
+    const key = keyFor(systemPrompt, parts);
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= now()) {
+      if (entry) entries.delete(key);
+      counters.misses += 1;
+      return undefined;
+    }
+
+    // Move to the back so it's the last to be evicted
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits += 1;
+    return entry.value;
+  }
+
+  function set(systemPrompt, parts, value) {
+    if (ttlMs <= 0) return;
+    const key = keyFor(systemPrompt, parts);
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions += 1;
+    }
+  }
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+      size: entries.size,
+      maxEntries,
+      ttlHours: Math.round(ttlMs / 36e5)
+    };
+  };
+
+  return { get, set, stats };
+}
+
+module.exports = { createResponseCache, normalize };
@@ -5,19 +5,67 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+const { createStore } = require('./store');
+const { createAccounts } = require('./accounts');
+const { createSync } = require('./sync');
+const { createEntitlements } = require('./entitlements');
+const { createReceiptVerifier } = require('./receipts');
+const { createRateLimiter, createOriginCheck } = require('./rateLimit');
+const { createResponseParser } = require('./aiResponse');
+const { createLLM } = require('./providers');
+const { CHAT_TOOLS, toActions } = require('./chatTools');
+const { createChatMemory } = require('./chatMemory');
+const { createSharing } = require('./sharing');
+const { createErrorReports } = require('./errorReports');
+const { createModeration } = require('./moderation');
+const { createResponseCache } = require('./responseCache');
+const { languageRule } = require('./locales');
+const { renderShareCard, toPng, THEMES, SIZES, FORMATS } = require('./shareCard');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware - allow all origins for development
+// Behind Railway's proxy - trust it so req.ip is the real client address for rate limiting.
+// TRUST_PROXY is how many proxy hops to trust; anything that isn't a whole number falls back to 1.
+const trustProxy = /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY, 10) : 1;
+app.set('trust proxy', trustProxy);
+
+// Middleware - only the app's own origins (see ALLOWED_ORIGINS); native requests send none
+const originCheck = createOriginCheck();
+const rateLimiter = createRateLimiter();
+
 app.use(cors({
-  origin: true, // Allow all origins (for iOS Capacitor app)
+  origin: (origin, callback) => callback(null, originCheck.isAllowed(origin)),
   methods: ['GET', 'POST'],
   credentials: true
 }));
-app.use(express.json());
+app.use('/api', originCheck.checkOrigin);
+app.use(express.json({ limit: '2mb' })); // Sync pushes can carry a whole goal library
+
+// Accounts and synced user data live in a JSON file under DATA_DIR (mount a volume there in production)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const store = createStore(path.join(DATA_DIR, 'store.json'));
+const accounts = createAccounts(store);
+const sync = createSync(store);
+const entitlements = createEntitlements(store, { verifier: createReceiptVerifier() });
+const sharing = createSharing(store, {
+  appUrl: process.env.APP_URL,
+  publicUrl: process.env.PUBLIC_URL,
+  ttlDays: parseFloat(process.env.SHARE_TTL_DAYS) || 365,
+  maxPerClient: parseInt(process.env.SHARE_MAX_PER_CLIENT, 10) || 50
+});
+const errorReports = createErrorReports(store, { adminKey: process.env.ERROR_REPORTS_KEY });
+const responseParser = createResponseParser({ logFile: path.join(DATA_DIR, 'malformed-ai.jsonl') });
+
+app.use(accounts.authenticate);
+app.use('/api', rateLimiter.limitRequests); // After authenticate so signed-in users are limited per account
+app.use('/api/auth', accounts.router);
+app.use('/api/sync', accounts.requireAuth, sync.router);
+app.use('/api', entitlements.router);
+app.use('/api', errorReports.router);
 
 // API Key from environment variable
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
@@ -82,6 +130,7 @@ const ACLIO = {
 };
 
 // Helper function to build system prompts with Aclio's persona
+// additionalRules: extra instructions after the task, e.g. languageRule(locale) so Aclio answers in the app's language
 function buildSystemPrompt(context, additionalRules = '') {
   return `You are ${ACLIO.identity.name}, a ${ACLIO.identity.role}. ${ACLIO.identity.personality}
 
@@ -105,67 +154,85 @@ ${context}
 ${additionalRules}`;
 }
 
-if (!ANTHROPIC_API_KEY) {
+if (!ANTHROPIC_API_KEY && !process.env.LLM_PROVIDER) {
   console.error('❌ ANTHROPIC_API_KEY is not set in environment variables!');
   console.log('Please create a .env file with: ANTHROPIC_API_KEY=your_api_key_here');
 }
 
-// Helper function to call Anthropic API
-async function callAnthropic(systemPrompt, userMessage, options = {}) {
-  const { model = MODELS.SONNET, maxTokens = 4096, temperature = 0.7 } = options;
-  
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: maxTokens,
-      temperature,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userMessage }]
-    })
-  });
+// All model calls go through the provider layer (see providers.js for LLM_PROVIDER config)
+const llm = createLLM(process.env, {
+  anthropicModels: { sonnet: MODELS.SONNET, opus: MODELS.OPUS }
+});
 
-  if (!response.ok) {
-    const err = await response.json();
-    throw new Error(err.error?.message || 'Anthropic API Error');
-  }
+// Long chats fold their older turns into a rolling summary (see chatMemory.js)
+const chatMemory = createChatMemory(llm, {
+  tokenBudget: parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 3000,
+  keepRecent: parseInt(process.env.CHAT_KEEP_RECENT, 10) || 6
+});
 
-  const data = await response.json();
-  return data.content[0].text;
-}
+// Everything users type is screened before it reaches the model or a public page (see moderation.js)
+const moderation = createModeration(llm, {
+  logFile: path.join(DATA_DIR, 'moderation.jsonl'),
+  classifier: process.env.MODERATION_CLASSIFIER !== 'off'
+});
 
-// Helper function for multi-turn conversations
-async function callAnthropicChat(systemPrompt, messages, options = {}) {
-  const { model = MODELS.OPUS, maxTokens = 4096, temperature = 0.8 } = options;
+// Step guides and clarifying questions only depend on the goal and step text, so they're shared
+// between users (see responseCache.js). AI_CACHE_TTL_HOURS=0 turns caching off.
+const cacheOptions = {
+  ttlMs: parseFloat(process.env.AI_CACHE_TTL_HOURS ?? '168') * 36e5,
+  maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 2000
+};
+const responseCaches = {
+  'expand-step': createResponseCache(cacheOptions),
+  'generate-questions': createResponseCache(cacheOptions)
+};
+
+// Shared plans are public, so they're screened too (and the screening can call the model, so it's on the AI budget)
+app.post('/api/shares', rateLimiter.limitAiCost('sonnet'), moderation.check('shares', ({ goal }) => ({ name: goal?.name, steps: goal?.steps, habit: goal?.habit })));
+app.use('/api', sharing.router);
+app.get('/p/:id', sharing.page); // Shared plan links open a read-only page
+
+// Streaming (Server-Sent Events) support for the Opus routes.
+// Clients opt in with `stream: true` in the body or an `Accept: text/event-stream` header;
+// everyone else keeps getting the plain JSON response.
+const wantsStream = (req) => req.body?.stream === true || (req.get('accept') || '').includes('text/event-stream');
+
+// Relay model tokens to the client as `delta` events, finishing with a `done` event
+// that carries the same payload the JSON response would have had (built by toPayload from the result).
+async function relayStream(res, route, request, toPayload) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
   
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: maxTokens,
-      temperature,
-      system: systemPrompt,
-      messages
-    })
+  // Stop paying for tokens nobody will read if the user cancels or closes the app
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
   });
-
-  if (!response.ok) {
-    const err = await response.json();
-    throw new Error(err.error?.message || 'Anthropic API Error');
+  
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  try {
+    const result = await llm.stream(route, { ...request, signal: controller.signal }, (delta) => {
+      send('delta', { text: delta });
+    });
+    send('done', toPayload(result));
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Stream cancelled by client');
+      return;
+    }
+    console.error('Stream error:', error);
+    res.locals.failed = true;
+    send('error', { error: error.message });
   }
-
-  const data = await response.json();
-  return data.content[0].text;
+  res.end();
 }
 
 // Health check endpoint
@@ -174,57 +241,107 @@ app.get('/api/health', (req, res) => {
     status: 'ok', 
     timestamp: new Date().toISOString(),
     apiKeyConfigured: !!ANTHROPIC_API_KEY,
-    models: MODELS
+    providers: llm.describe(),
+    models: MODELS,
+    cache: Object.fromEntries(Object.entries(responseCaches).map(([route, cache]) => [route, cache.stats()]))
   });
 });
 
-// Content moderation - ONLY block genuinely dangerous content
-const isInappropriateGoal = (goal) => {
-  const lowerGoal = goal.toLowerCase();
-  
-  // Only block: weapons, violence, crimes, self-harm, suicide
-  const dangerousPatterns = [
-    // Weapons & Violence
-    /\b(build|make|create|construct)\b.*(bomb|explosive|weapon|gun|firearm)/i,
-    /\bhow to (kill|murder|assassinate)/i,
-    /\b(kill|murder|assassinate)\s+(someone|a person|my|the)/i,
-    
-    // Self-harm & Suicide
-    /\b(kill|hurt|harm)\s*(myself|yourself)/i,
-    /\bsuicide\b/i,
-    /\bself[- ]?harm/i,
-    /\bend my life\b/i,
-    /\bways to die\b/i,
-    
-    // Serious crimes
-    /\b(how to|planning to)\s*(rob|kidnap|abduct|traffick)/i,
-    /\bchild\s*(porn|abuse|exploit)/i,
-    /\bterrorist|terrorism\b/i,
-    /\bdrug\s*(deal|traffick|sell|manufacture)/i,
-    /\bpoison\s*(someone|a person|my|the)/i,
-  ];
-  
-  return dangerousPatterns.some(pattern => pattern.test(lowerGoal));
-};
+// Helper to keep a suggested habit to what the app can track: one check-in a day at most,
+// so daily habits are once a day and weekly ones 1-7 times a week
+const HABIT_MAX_TIMES = { day: 1, week: 7 };
+
+function normalizeHabit(habit) {
+  if (!habit || !HABIT_MAX_TIMES[habit.period] || !habit.target.trim()) return null;
+  const times = (value) => Math.min(HABIT_MAX_TIMES[habit.period], Math.max(1, Math.round(value) || 1));
+
+  // One stage per week number, in order, never asking for more than the full habit
+  const stages = new Map();
+  (habit.rampUp || [])
+    .filter(stage => stage.week >= 1 && stage.target.trim())
+    .forEach(stage => {
+      const week = Math.round(stage.week);
+      if (!stages.has(week)) {
+        stages.set(week, {
+          week,
+          timesPerPeriod: Math.min(times(stage.timesPerPeriod ?? habit.timesPerPeriod), times(habit.timesPerPeriod)),
+          target: stage.target.trim()
+        });
+      }
+    });
+
+  return {
+    period: habit.period,
+    timesPerPeriod: times(habit.timesPerPeriod),
+    target: habit.target.trim(),
+    rampUp: [...stages.values()].sort((a, b) => a.week - b.week)
+  };
+}
+
+// Helper to tidy the plan's structure so the app can trust it:
+// - phases keep only those with steps, in order, and steps are listed phase by phase
+// - a step with no known phase joins the phase of the step before it
+// - sub-tasks become { id, title } checklist items
+// - a step can only be blocked by steps listed before it, so dependencies never loop
+const MAX_SUBTASKS = 8;
+
+function normalizePlanStructure(phases, steps) {
+  const phaseIds = [...new Set(phases.map(phase => String(phase.id)))];
+  let lastPhase = phaseIds[0];
+  const phased = steps.map(step => {
+    const phase = phaseIds.includes(String(step.phase)) ? String(step.phase) : lastPhase;
+    lastPhase = phase;
+    return { step, phase };
+  });
+  const usedPhases = phaseIds.filter(id => phased.some(entry => entry.phase === id));
+  const hasPhases = usedPhases.length > 1;
+
+  const ordered = hasPhases
+    ? usedPhases.flatMap(id => phased.filter(entry => entry.phase === id))
+    : phased;
+
+  const seen = [];
+  const tidySteps = ordered.map(({ step, phase }) => {
+    const { phase: _phase, subtasks, blockedBy, ...fields } = step;
+    const checklist = [...new Set((subtasks || []).map(item => item.trim()).filter(Boolean))]
+      .slice(0, MAX_SUBTASKS)
+      .map((title, i) => ({ id: i + 1, title }));
+    const blockers = [...new Set((blockedBy || []).map(String))]
+      .map(id => seen.find(earlier => String(earlier) === id))
+      .filter(id => id !== undefined);
+    seen.push(step.id);
+
+    return {
+      ...fields,
+      ...(hasPhases ? { phase: Number(phase) || phase } : {}),
+      ...(checklist.length ? { subtasks: checklist } : {}),
+      ...(blockers.length ? { blockedBy: blockers } : {})
+    };
+  });
+
+  const tidyPhases = usedPhases.map(id => {
+    const phase = phases.find(p => String(p.id) === id);
+    return {
+      id: Number(id) || id,
+      title: phase.title.trim(),
+      ...(phase.milestone?.trim() ? { milestone: phase.milestone.trim() } : {})
+    };
+  });
+
+  return hasPhases ? { phases: tidyPhases, steps: tidySteps } : { steps: tidySteps };
+}
 
 // Generate steps for a goal (Uses Sonnet 4.5)
-app.post('/api/generate-steps', async (req, res) => {
+// goalType: 'habit' or 'plan' when the user chose one; otherwise the model decides
+app.post('/api/generate-steps', rateLimiter.limitAiCost('sonnet'), moderation.check('generate-steps', ({ goal, additionalContext, profile }) => ({ goal, additionalContext, profile })), async (req, res) => {
   try {
-    const { goal, profile, location, additionalContext, categories } = req.body;
+    const { goal, profile, location, additionalContext, categories, goalType, locale } = req.body;
     
     if (!goal) {
       return res.status(400).json({ error: 'Goal is required' });
     }
     
-    // Check for dangerous content only
-    if (isInappropriateGoal(goal)) {
-      return res.status(400).json({ 
-        error: 'inappropriate',
-        message: "I can't help with goals that could cause harm. If you're struggling, please reach out to a crisis helpline. Otherwise, try rephrasing your goal!"
-      });
-    }
-    
-    if (!ANTHROPIC_API_KEY) {
+    if (!llm.isConfigured('generate-steps')) {
       return res.status(500).json({ error: 'API key not configured on server' });
     }
 
@@ -242,6 +359,12 @@ app.post('/api/generate-steps', async (req, res) => {
 
     const categoriesList = categories || 'Health & Fitness, Career, Education, Finance, Creative, Personal Growth, Relationships, Travel, Home & Living, Technology';
 
+    const goalTypeRule = goalType === 'habit'
+      ? 'The user wants to track this as a habit - always answer with "type": "habit" and a "habit" object.'
+      : goalType === 'plan'
+        ? 'The user wants a one-off plan - answer with "type": "plan" and no "habit" object.'
+        : 'Decide: a goal you finish ("run a 5K", "learn to code") is a plan. Something ongoing that is done on repeat ("meditate daily", "run 3x a week", "read every night") is a habit.';
+
     const taskContext = `TASK: Create an achievable action plan for the user's goal.
 ${userContext}${contextFromQuestions}
 ${locationContext}
@@ -251,16 +374,39 @@ PLAN QUALITY: ${ACLIO.response_quality.plans}
 RESPONSE FORMAT (JSON object only):
 {
   "category": "One of: ${categoriesList}",
+  "phases": [
+    { "id": 1, "title": "Short phase name", "milestone": "What's true once this phase is done" }
+  ],
   "steps": [
     {
       "id": 1,
+      "phase": 1,
       "title": "Action verb + specific task (max 8 words)",
       "description": "WHY this matters + HOW to do it well. Include specific tools, techniques, or resources.",
-      "duration": "Realistic time estimate"${location ? ',\n      "mapSearch": "Google Maps search query if this step involves a local place"' : ''}
+      "duration": "Realistic time estimate",
+      "subtasks": ["Concrete checklist item", "Another checklist item"],
+      "blockedBy": [ids of earlier steps that must be finished first]${location ? ',\n      "mapSearch": "Google Maps search query if this step involves a local place"' : ''}
     }
   ]
 }
 
+PLAN STRUCTURE:
+- Group the steps into 2-4 phases in the order they happen, each ending in a clear milestone. Leave out "phases" and "phase" for short plans that don't need them.
+- Add 2-5 "subtasks" only when a step has several distinct parts worth ticking off; leave it out otherwise.
+- Use "blockedBy" only for real dependencies (you can't book the exam before choosing it). Steps that could be done in parallel shouldn't block each other.
+
+PLANS VS HABITS:
+${goalTypeRule}
+For a habit, add these fields and make "steps" the 2-4 setup steps that get the habit started (not the repeated sessions themselves):
+  "type": "habit",
+  "habit": {
+    "period": "day" or "week",
+    "timesPerPeriod": check-ins per period (1 for a daily habit, 1-7 for a weekly one),
+    "target": "What one session is, e.g. 10 minutes of guided meditation",
+    "rampUp": [{ "week": 1, "timesPerPeriod": 2, "target": "5 minutes" }] - start easy and build up to the full habit over 2-4 stages
+  }
+For a plan, use "type": "plan" and leave out "habit".
+
 STEP QUALITY CHECKLIST:
 ✓ Would removing this step hurt the plan? (If no, remove it)
 ✓ Does this step give them something they couldn't figure out themselves?
@@ -269,40 +415,38 @@ STEP QUALITY CHECKLIST:
 
 Output ONLY valid JSON, nothing else.`;
 
-    const systemPrompt = buildSystemPrompt(taskContext);
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
 
     const userMessage = `Goal: "${goal}" - Create a focused action plan with specific, valuable steps. Skip any obvious steps I'd already know. Give me the real strategies and techniques that will actually help. ONLY JSON object with "category" and "steps" fields.`;
 
-    const content = await callAnthropic(systemPrompt, userMessage, {
-      model: MODELS.SONNET,
-      maxTokens: 8000,
-      temperature: 0.7
+    const parsed = await responseParser.requestJson({
+      route: 'generate-steps',
+      schema: 'steps',
+      userMessage,
+      call: (messages) => llm.chat('generate-steps', {
+        system: systemPrompt,
+        messages,
+        tier: 'sonnet',
+        maxTokens: 8000,
+        temperature: 0.7
+      })
     });
     
-    let cleanContent = content.trim();
-    if (cleanContent.startsWith('```')) {
-      cleanContent = cleanContent.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    }
-    
-    // Check if AI refused (non-JSON response)
-    if (!cleanContent.startsWith('{') && !cleanContent.startsWith('[')) {
-      console.log('AI refused request:', cleanContent.substring(0, 200));
+    if (!parsed.ok) {
       return res.status(400).json({ 
-        error: 'ai_refused',
-        message: "I couldn't generate a plan for that. Try rephrasing your goal or being more specific about what you want to achieve!"
+        error: parsed.error,
+        message: parsed.error === 'ai_refused'
+          ? "I couldn't generate a plan for that. Try rephrasing your goal or being more specific about what you want to achieve!"
+          : "Something went wrong creating your plan. Please try rephrasing your goal."
       });
     }
     
-    try {
-      const result = JSON.parse(cleanContent);
-      res.json(result);
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError, 'Content:', cleanContent.substring(0, 500));
-      return res.status(400).json({ 
-        error: 'parse_error',
-        message: "Something went wrong creating your plan. Please try rephrasing your goal."
-      });
-    }
+    // Plans keep their original shape; habits also carry the recurrence the app tracks check-ins against
+    const { type, habit, phases, steps, ...rest } = parsed.value;
+    const plan = { ...rest, ...normalizePlanStructure(phases || [], steps) };
+    const wantsHabit = goalType === 'habit' || (goalType !== 'plan' && type === 'habit');
+    const habitPlan = wantsHabit ? normalizeHabit(habit) : null;
+    res.json(habitPlan ? { ...plan, type: 'habit', habit: habitPlan } : plan);
     
   } catch (error) {
     console.error('Generate steps error:', error);
@@ -311,23 +455,16 @@ Output ONLY valid JSON, nothing else.`;
 });
 
 // Generate context questions for a goal (Uses Sonnet 4.5)
-app.post('/api/generate-questions', async (req, res) => {
+// Answers are cached by goal text; `regenerate: true` asks the model again
+app.post('/api/generate-questions', rateLimiter.limitAiCost('sonnet'), moderation.check('generate-questions', ({ goal }) => ({ goal })), async (req, res) => {
   try {
-    const { goal } = req.body;
+    const { goal, regenerate, locale } = req.body;
     
     if (!goal) {
       return res.status(400).json({ error: 'Goal is required' });
     }
     
-    // Check for dangerous content only
-    if (isInappropriateGoal(goal)) {
-      return res.status(400).json({ 
-        error: 'inappropriate',
-        message: "I can't help with goals that could cause harm."
-      });
-    }
-    
-    if (!ANTHROPIC_API_KEY) {
+    if (!llm.isConfigured('generate-questions')) {
       return res.status(500).json({ error: 'API key not configured on server' });
     }
 
@@ -355,39 +492,41 @@ RESPONSE FORMAT (JSON array only):
 
 Output ONLY valid JSON array, nothing else.`;
 
-    const systemPrompt = buildSystemPrompt(taskContext);
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
+
+    const cache = responseCaches['generate-questions'];
+    const cached = regenerate ? undefined : cache.get(systemPrompt, [goal]);
+    if (cached) {
+      res.locals.fromCache = true; // No model call, so no quota or AI budget used
+      return res.set('X-Cache', 'HIT').json({ questions: cached });
+    }
 
     const userMessage = `Goal: "${goal}"\n\nGenerate 3 contextual questions. ONLY JSON array.`;
 
-    const content = await callAnthropic(systemPrompt, userMessage, {
-      model: MODELS.SONNET,
-      maxTokens: 500,
-      temperature: 0.7
+    const parsed = await responseParser.requestJson({
+      route: 'generate-questions',
+      schema: 'questions',
+      userMessage,
+      call: (messages) => llm.chat('generate-questions', {
+        system: systemPrompt,
+        messages,
+        tier: 'sonnet',
+        maxTokens: 500,
+        temperature: 0.7
+      })
     });
     
-    let cleanContent = content.trim();
-    if (cleanContent.startsWith('```')) {
-      cleanContent = cleanContent.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    }
-    
-    // Check if AI refused (non-JSON response)
-    if (!cleanContent.startsWith('[') && !cleanContent.startsWith('{')) {
+    if (!parsed.ok) {
       return res.status(400).json({ 
-        error: 'ai_refused',
-        message: "Couldn't process that goal. Try rephrasing it!"
+        error: parsed.error,
+        message: parsed.error === 'ai_refused'
+          ? "Couldn't process that goal. Try rephrasing it!"
+          : "Something went wrong. Please try rephrasing your goal."
       });
     }
     
-    try {
-      const questions = JSON.parse(cleanContent);
-      res.json({ questions });
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      return res.status(400).json({ 
-        error: 'parse_error',
-        message: "Something went wrong. Please try rephrasing your goal."
-      });
-    }
+    cache.set(systemPrompt, [goal], parsed.value);
+    res.set('X-Cache', 'MISS').json({ questions: parsed.value });
     
   } catch (error) {
     console.error('Generate questions error:', error);
@@ -396,15 +535,16 @@ Output ONLY valid JSON array, nothing else.`;
 });
 
 // Expand step with resources (Uses Sonnet 4.5)
-app.post('/api/expand-step', async (req, res) => {
+// Guides are cached by goal and step text; `regenerate: true` asks the model again
+app.post('/api/expand-step', entitlements.requireQuota('expand'), rateLimiter.limitAiCost('sonnet'), moderation.check('expand-step', ({ goalName, step }) => ({ goalName, step })), async (req, res) => {
   try {
-    const { goalName, step } = req.body;
+    const { goalName, step, regenerate, locale } = req.body;
     
     if (!step) {
       return res.status(400).json({ error: 'Step is required' });
     }
     
-    if (!ANTHROPIC_API_KEY) {
+    if (!llm.isConfigured('expand-step')) {
       return res.status(500).json({ error: 'API key not configured on server' });
     }
 
@@ -448,23 +588,42 @@ RESPONSE FORMAT (JSON object only):
 
 Output ONLY valid JSON, nothing else.`;
 
-    const systemPrompt = buildSystemPrompt(taskContext);
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
+
+    const cache = responseCaches['expand-step'];
+    const cacheParts = [goalName, step.title, step.description];
+    const cached = regenerate ? undefined : cache.get(systemPrompt, cacheParts);
+    if (cached) {
+      res.locals.fromCache = true; // No model call, so no quota or AI budget used
+      return res.set('X-Cache', 'HIT').json(cached);
+    }
 
     const userMessage = `Goal: "${goalName}"\nStep: "${step.title}"\nDetails: "${step.description}"\n\nProvide detailed resources and tips. Return ONLY JSON.`;
 
-    const content = await callAnthropic(systemPrompt, userMessage, {
-      model: MODELS.SONNET,
-      maxTokens: 2000,
-      temperature: 0.7
+    const parsed = await responseParser.requestJson({
+      route: 'expand-step',
+      schema: 'expansion',
+      userMessage,
+      call: (messages) => llm.chat('expand-step', {
+        system: systemPrompt,
+        messages,
+        tier: 'sonnet',
+        maxTokens: 2000,
+        temperature: 0.7
+      })
     });
     
-    let cleanContent = content.trim();
-    if (cleanContent.startsWith('```')) {
-      cleanContent = cleanContent.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    if (!parsed.ok) {
+      return res.status(400).json({ 
+        error: parsed.error,
+        message: parsed.error === 'ai_refused'
+          ? "I couldn't put together a guide for this step. Try rewording the step and expand it again."
+          : "Something went wrong expanding this step. Please try again."
+      });
     }
     
-    const result = JSON.parse(cleanContent);
-    res.json(result);
+    cache.set(systemPrompt, cacheParts, parsed.value);
+    res.set('X-Cache', 'MISS').json(parsed.value);
     
   } catch (error) {
     console.error('Expand step error:', error);
@@ -472,16 +631,200 @@ Output ONLY valid JSON, nothing else.`;
   }
 });
 
+// Helper to turn the model's revised plan into a diff against the remaining steps.
+// Completed steps are never touched - an id pointing at one (or at nothing) counts as a new step.
+const REPLAN_FIELDS = ['title', 'description', 'duration', 'mapSearch'];
+
+const pickStepFields = (step) => Object.fromEntries(
+  REPLAN_FIELDS.filter(field => typeof step[field] === 'string' && step[field].trim()).map(field => [field, step[field].trim()])
+);
+
+function diffRemainingSteps(remaining, revised) {
+  const byId = new Map(remaining.map(step => [String(step.id), step]));
+  const kept = new Set();
+  const added = [];
+  const modified = [];
+  let afterId = null; // New steps go after the previous kept step, or first among the remaining ones
+
+  revised.forEach(step => {
+    const fields = pickStepFields(step);
+    const original = step.id !== undefined && step.id !== null ? byId.get(String(step.id)) : null;
+
+    if (original && !kept.has(original.id)) {
+      kept.add(original.id);
+      const before = pickStepFields(original);
+      const changed = ['title', 'description', 'duration'].some(field => before[field] !== fields[field]);
+      if (changed) modified.push({ id: original.id, before, after: fields });
+      afterId = original.id;
+    } else {
+      added.push({ key: `add-${added.length + 1}`, afterId, ...fields });
+    }
+  });
+
+  const removed = remaining
+    .filter(step => !kept.has(step.id))
+    .map(step => ({ id: step.id, ...pickStepFields(step) }));
+
+  return { added, removed, modified };
+}
+
+// Re-plan the remaining steps of a goal from the user's feedback (Uses Sonnet 4.5)
+app.post('/api/replan-goal', rateLimiter.limitAiCost('sonnet'), moderation.check('replan-goal', ({ goalName, feedback, steps }) => ({ goalName, feedback, steps })), async (req, res) => {
+  try {
+    const { goalName, goalCategory, steps, completedSteps, feedback, dueDate, profile, locale } = req.body;
+    
+    if (!goalName || !Array.isArray(steps)) {
+      return res.status(400).json({ error: 'Goal and steps are required' });
+    }
+    
+    if (!feedback?.trim()) {
+      return res.status(400).json({ error: 'Feedback is required' });
+    }
+    
+    const completedIds = new Set((completedSteps || []).map(String));
+    const done = steps.filter(step => completedIds.has(String(step.id)));
+    const remaining = steps.filter(step => !completedIds.has(String(step.id)));
+    
+    if (remaining.length === 0) {
+      return res.status(400).json({ error: 'nothing_to_replan', message: 'Every step is already complete - nothing left to re-plan!' });
+    }
+    
+    if (!llm.isConfigured('replan-goal')) {
+      return res.status(500).json({ error: 'API key not configured on server' });
+    }
+
+    const userContext = profile?.name 
+      ? `The user is ${profile.name}${profile.age ? ', ' + profile.age + ' years old' : ''}.`
+      : '';
+    
+    const today = new Date().toISOString().slice(0, 10);
+    const deadline = dueDate
+      ? `Due date: ${dueDate} (today is ${today}). Make the remaining plan fit before it.`
+      : `No due date set (today is ${today}).`;
+    
+    const describeStep = (step) => `- [id ${step.id}] ${step.title} (${step.duration || 'no estimate'}): ${step.description || ''}`;
+
+    const taskContext = `TASK: Re-plan the REMAINING steps of the user's goal based on their feedback.
+
+${userContext}
+
+GOAL: "${goalName}"
+Category: ${goalCategory || 'Personal'}
+${deadline}
+
+ALREADY COMPLETED (fixed - never change, repeat or remove these):
+${done.length ? done.map(describeStep).join('\n') : '- Nothing yet'}
+
+REMAINING STEPS:
+${remaining.map(describeStep).join('\n')}
+
+HOW TO RE-PLAN:
+- Keep steps that still make sense exactly as they are, with their original id
+- Revise a step by keeping its id and changing its title, description or duration
+- Drop steps that no longer fit by leaving them out
+- Add new steps with no id
+- List the steps in the order they should now be done
+- Change only what the feedback calls for - a small tweak is better than a rewrite
+
+PLAN QUALITY: ${ACLIO.response_quality.plans}
+
+RESPONSE FORMAT (JSON object only):
+{
+  "summary": "One or two sentences on what changed and why",
+  "steps": [
+    { "id": 4, "title": "Kept or revised step", "description": "...", "duration": "..." },
+    { "title": "New step", "description": "...", "duration": "..." }
+  ]
+}
+
+Output ONLY valid JSON, nothing else.`;
+
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
+
+    const userMessage = `My feedback: "${feedback.trim()}"\n\nRe-plan my remaining steps. ONLY JSON object with "summary" and "steps" fields.`;
+
+    const parsed = await responseParser.requestJson({
+      route: 'replan-goal',
+      schema: 'replan',
+      userMessage,
+      call: (messages) => llm.chat('replan-goal', {
+        system: systemPrompt,
+        messages,
+        tier: 'sonnet',
+        maxTokens: 4000,
+        temperature: 0.7
+      })
+    });
+    
+    if (!parsed.ok) {
+      return res.status(400).json({ 
+        error: parsed.error,
+        message: parsed.error === 'ai_refused'
+          ? "I couldn't re-plan this goal. Try describing what changed in a different way."
+          : "Something went wrong re-planning your goal. Please try again."
+      });
+    }
+    
+    res.json({ summary: parsed.value.summary, ...diffRemainingSteps(remaining, parsed.value.steps) });
+    
+  } catch (error) {
+    console.error('Replan goal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Draw the achievement card for sharing, as PNG (default) or SVG
+// theme: 'light' | 'dark', size: 'square' (1080x1080) | 'story' (1080x1920), locale: the card's language
+app.post('/api/share-card', rateLimiter.limitAiCost('sonnet'), moderation.check('share-card', ({ goal }) => ({ name: goal?.name })), (req, res) => {
+  try {
+    const { goal, level, badges, theme = 'light', size = 'square', format = 'png', locale } = req.body;
+    
+    if (!goal || typeof goal.name !== 'string' || !goal.name.trim()) {
+      return res.status(400).json({ error: 'Goal name is required' });
+    }
+    
+    if (!THEMES[theme] || !SIZES[size] || !FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'invalid_card_options',
+        message: 'Theme must be light or dark, size square or story, and format png or svg.'
+      });
+    }
+    
+    const svg = renderShareCard({
+      goal: {
+        name: goal.name.slice(0, 200),
+        stepCount: Math.max(0, parseInt(goal.stepCount, 10) || 0),
+        progress: Number(goal.progress) || 0,
+        completed: goal.completed === true
+      },
+      level: level ? { level: Math.max(1, parseInt(level.level, 10) || 1), name: String(level.name || '').slice(0, 24) } : null,
+      badges: (Array.isArray(badges) ? badges : []).filter(badge => typeof badge === 'string' && badge.trim()).map(badge => badge.trim().slice(0, 24)),
+      theme,
+      size,
+      locale
+    });
+    
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(svg);
+    }
+    res.type('image/png').send(toPng(svg));
+    
+  } catch (error) {
+    console.error('Share card error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Do it for me - AI completes the task (Uses Opus 4.5 - heavy task)
-app.post('/api/do-it-for-me', async (req, res) => {
+app.post('/api/do-it-for-me', entitlements.requireQuota('doitforme'), rateLimiter.limitAiCost('opus'), moderation.check('do-it-for-me', ({ goalName, step, profile }) => ({ goalName, step, profile })), async (req, res) => {
   try {
-    const { goalName, step, profile } = req.body;
+    const { goalName, step, profile, locale } = req.body;
     
     if (!step) {
       return res.status(400).json({ error: 'Step is required' });
     }
     
-    if (!ANTHROPIC_API_KEY) {
+    if (!llm.isConfigured('do-it-for-me')) {
       return res.status(500).json({ error: 'API key not configured on server' });
     }
 
@@ -517,15 +860,23 @@ FORMAT GUIDELINES:
 - Use bullet points for options or features
 - Add helpful notes in *italics* where useful`;
 
-    const systemPrompt = buildSystemPrompt(taskContext);
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
 
     const userMessage = `Goal: "${goalName}"\n\nTask to complete: "${step.title}"\nDetails: "${step.description}"\n\nPlease complete this task for me. Be specific and detailed.`;
 
-    const result = await callAnthropic(systemPrompt, userMessage, {
-      model: MODELS.OPUS,
+    const request = {
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userMessage }],
+      tier: 'opus',
       maxTokens: 3000,
       temperature: 0.7
-    });
+    };
+
+    if (wantsStream(req)) {
+      return relayStream(res, 'do-it-for-me', request, (result) => ({ result }));
+    }
+
+    const result = await llm.chat('do-it-for-me', request);
     
     res.json({ result });
     
@@ -535,16 +886,27 @@ FORMAT GUIDELINES:
   }
 });
 
+// Chat screens the user's turns since the last summary and the summary itself - the other turns are Aclio's own replies.
+// Moderation remembers what the classifier already cleared, so earlier turns don't cost a model call each time.
+const chatModerationFields = ({ goalName, goalCategory, message, steps, chatHistory, chatSummary }) => ({
+  goalName,
+  goalCategory,
+  message,
+  steps,
+  chatHistory: Array.isArray(chatHistory) ? chatHistory.filter(msg => msg?.role === 'user').map(msg => msg.content) : [],
+  chatSummary
+});
+
 // Talk to Aclio - chat about a goal (Premium feature) (Uses Opus 4.5 - heavy task)
-app.post('/api/talk-to-aclio', async (req, res) => {
+app.post('/api/talk-to-aclio', entitlements.requireQuota('chat'), rateLimiter.limitAiCost('opus'), moderation.check('talk-to-aclio', chatModerationFields), async (req, res) => {
   try {
-    const { goalName, goalCategory, steps, completedSteps, message, chatHistory, profile } = req.body;
+    const { goalName, goalCategory, steps, completedSteps, dueDate, message, chatHistory, chatSummary, profile, locale } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
     
-    if (!ANTHROPIC_API_KEY) {
+    if (!llm.isConfigured('talk-to-aclio')) {
       return res.status(500).json({ error: 'API key not configured on server' });
     }
 
@@ -556,9 +918,26 @@ app.post('/api/talk-to-aclio', async (req, res) => {
     const totalSteps = steps?.length || 0;
     const progress = totalSteps > 0 ? Math.round((completedCount / totalSteps) * 100) : 0;
     
-    const stepsSummary = steps?.slice(0, 10).map((s, i) => 
-      `${i + 1}. ${s.title}${completedSteps?.includes(s.id) ? ' ✓' : ''}`
+    // Step ids let the plan tools point at the right step
+    const stepsSummary = steps?.slice(0, 30).map((s, i) => 
+      `${i + 1}. [id ${s.id}] ${s.title} (${s.duration || 'no estimate'})${completedSteps?.includes(s.id) ? ' ✓' : ''}`
     ).join('\n') || 'No steps yet';
+    
+    const today = new Date().toISOString().slice(0, 10);
+
+    // The app keeps the whole thread; only the turns since the last summary come with the message
+    const memory = await chatMemory.compact({
+      goalName,
+      summary: typeof chatSummary === 'string' ? chatSummary.trim() : '',
+      history: Array.isArray(chatHistory) ? chatHistory.filter(msg => typeof msg?.content === 'string') : []
+    });
+
+    const earlierContext = memory.summary ? `
+WHAT YOU'VE DISCUSSED BEFORE (summary of earlier chats about this goal):
+${memory.summary}
+
+Build on this - follow up on what they said they'd try, and don't repeat advice you've already given.
+` : '';
 
     const taskContext = `CURRENT COACHING SESSION
 
@@ -567,11 +946,12 @@ ${userContext}
 GOAL: "${goalName}"
 Category: ${goalCategory || 'Personal'}
 Progress: ${progress}% complete (${completedCount}/${totalSteps} steps done)
+Due date: ${dueDate || 'none set'} (today is ${today})
 
 Their current plan:
 ${stepsSummary}
-${totalSteps > 10 ? `... and ${totalSteps - 10} more steps` : ''}
-
+${totalSteps > 30 ? `... and ${totalSteps - 30} more steps` : ''}
+${earlierContext}
 CHAT QUALITY: ${ACLIO.response_quality.chat}
 
 YOUR ROLE AS THEIR COACH:
@@ -584,11 +964,18 @@ You're not just answering questions - you're actively helping them SUCCEED. Ever
 RESPONSE GUIDELINES:
 - Keep responses focused (2-4 paragraphs usually)
 - If they're stuck, break down the obstacle into smaller pieces
-- If they ask for more steps, give 3-5 SPECIFIC additions (not generic)
+- If they ask for more steps, propose 3-5 SPECIFIC additions (not generic) with the add_steps tool
 - If they're frustrated, acknowledge it AND give them a clear next action
 - Celebrate wins but quickly pivot to what's next
 - Be conversational but always valuable
 
+CHANGING THE PLAN:
+You can propose changes with tools: add_steps, edit_step, reorder_steps, set_due_date, mark_complete.
+- Use a tool whenever you suggest a concrete change, so they can apply it with one tap
+- Don't also write the changes out in your reply - say briefly what you're proposing and why
+- Refer to steps by their [id N], never by their position in the list
+- The user confirms every change, so only propose what they'd actually want
+
 DON'T:
 - Give generic motivational speeches
 - Repeat information they already have
@@ -597,31 +984,44 @@ DON'T:
 
 Remember: You ARE Aclio. Speak naturally as their personal coach, not as "an AI assistant."`;
 
-    const systemPrompt = buildSystemPrompt(taskContext);
+    const systemPrompt = buildSystemPrompt(taskContext, languageRule(locale));
 
     // Build messages array with chat history (without system message for Anthropic)
     const messages = [];
     
-    // Add chat history
-    if (chatHistory && chatHistory.length > 0) {
-      chatHistory.forEach(msg => {
-        messages.push({
-          role: msg.role === 'assistant' ? 'assistant' : 'user',
-          content: msg.content
-        });
+    // Add chat history (replies that were only proposed actions have no text to send back)
+    memory.history.filter(msg => msg.content.trim()).forEach(msg => {
+      messages.push({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: msg.content
       });
-    }
+    });
     
     // Add current message
     messages.push({ role: 'user', content: message });
 
-    const aiResponse = await callAnthropicChat(systemPrompt, messages, {
-      model: MODELS.OPUS,
-      maxTokens: 1000,
-      temperature: 0.8
-    });
+    const request = {
+      system: systemPrompt,
+      messages,
+      tier: 'opus',
+      maxTokens: 1500,
+      temperature: 0.8,
+      tools: CHAT_TOOLS
+    };
     
-    res.json({ response: aiResponse });
+    // Proposed plan changes go to the app as actions for the user to confirm.
+    // When older turns were summarized, the app gets the new summary to store with the thread.
+    const toPayload = ({ text, toolCalls }) => ({
+      response: text,
+      actions: toActions(toolCalls, { steps, completedSteps }),
+      ...(memory.folded > 0 ? { memory: { summary: memory.summary, folded: memory.folded } } : {})
+    });
+
+    if (wantsStream(req)) {
+      return relayStream(res, 'talk-to-aclio', request, toPayload);
+    }
+
+    res.json(toPayload(await llm.chat('talk-to-aclio', request)));
     
   } catch (error) {
     console.error('Talk to Aclio error:', error);
@@ -629,21 +1029,26 @@ Remember: You ARE Aclio. Speak naturally as their personal coach, not as "an AI
   }
 });
 
-// Start server - listen on all interfaces for network access
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+// Start server - listen on all interfaces for network access.
+// Tests require this file and start the app themselves.
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
   ╔═══════════════════════════════════════════════════════════╗
   ║                                                           ║
   ║   🎯 Achieve AI Server                                    ║
   ║                                                           ║
   ║   Server running on http://0.0.0.0:${PORT}                  ║
   ║   Anthropic API: ${ANTHROPIC_API_KEY ? '✅ Configured' : '❌ Missing'}                            ║
+  ║   Providers: ${llm.describe().default.join(' → ').padEnd(45)}║
   ║                                                           ║
   ║   Models:                                                 ║
   ║   • Sonnet 4.5 → generate-steps, questions, expand        ║
   ║   • Opus 4.5   → do-it-for-me, chat                       ║
   ║                                                           ║
   ╚═══════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
+module.exports = { app, buildSystemPrompt };
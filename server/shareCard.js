@@ -0,0 +1,181 @@
+/**
+ * Achieve AI - Share Cards
+ * Draws the achievement card people share from a goal's progress, their level and badges.
+ * Cards are plain SVG (no emoji or remote images, so they look the same everywhere) and are
+ * rasterized to PNG with resvg for share sheets and photo libraries.
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+const { resolveLocale } = require('./locales');
+
+const WIDTH = 1080;
+const SIZES = { square: 1080, story: 1920 };
+const FORMATS = ['png', 'svg'];
+
+const THEMES = {
+  light: {
+    background: ['#ffffff', '#f3f0ff'],
+    panel: '#f5f5fa',
+    text: '#1a1a2e',
+    muted: '#6b7280',
+    accent: '#6366f1',
+    track: '#e5e7eb',
+    pill: '#ede9fe'
+  },
+  dark: {
+    background: ['#1a1a2e', '#2d1b4e'],
+    panel: 'rgba(255,255,255,0.08)',
+    text: '#ffffff',
+    muted: 'rgba(255,255,255,0.65)',
+    accent: '#a78bfa',
+    track: 'rgba(255,255,255,0.15)',
+    pill: 'rgba(167,139,250,0.2)'
+  }
+};
+
+const FONT = "-apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+const NAME_LINE_CHARS = 28;
+const NAME_MAX_LINES = 3;
+const MAX_BADGES = 3;
+
+// Same drawings as the app's target and trophy icons, on a 24x24 grid
+const ICONS = {
+  target: '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/>',
+  trophy: '<path d="M6 9H4.5a2.5 2.5 0 0 1 0-5H6"/><path d="M18 9h1.5a2.5 2.5 0 0 0 0-5H18"/><path d="M4 22h16"/><path d="M10 14.66V17c0 .55-.47.98-.97 1.21C7.85 18.75 7 20.24 7 22"/><path d="M14 14.66V17c0 .55.47.98.97 1.21C16.15 18.75 17 20.24 17 22"/><path d="M18 2H6v7a6 6 0 0 0 12 0V2Z"/>'
+};
+
+// Card wording in the languages the app ships; other locales get English
+const LABELS = {
+  en: { achieved: 'Goal Achieved!', working: 'Working On It!', crushed: 'I crushed this goal!', progressing: 'Making progress every day', myGoal: 'MY GOAL', steps: 'Steps', complete: 'Complete', level: 'Lv', levelName: 'Level' },
+  es: { achieved: '¡Meta cumplida!', working: '¡Voy en camino!', crushed: '¡Cumplí esta meta!', progressing: 'Avanzando cada día', myGoal: 'MI META', steps: 'Pasos', complete: 'Completado', level: 'Nv', levelName: 'Nivel' },
+  fr: { achieved: 'Objectif atteint !', working: 'En bonne voie !', crushed: 'J\'ai atteint cet objectif !', progressing: 'Des progrès chaque jour', myGoal: 'MON OBJECTIF', steps: 'Étapes', complete: 'Terminé', level: 'Niv', levelName: 'Niveau' },
+  de: { achieved: 'Ziel erreicht!', working: 'Ich bin dran!', crushed: 'Ich habe dieses Ziel geschafft!', progressing: 'Jeden Tag ein Stück weiter', myGoal: 'MEIN ZIEL', steps: 'Schritte', complete: 'Erledigt', level: 'Lv', levelName: 'Level' }
+};
+
+const labelsFor = (locale) => LABELS[new Intl.Locale(resolveLocale(locale)).language] || LABELS.en;
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;'
+})[char]);
+
+// Helper to break the goal name into lines that fit the card, ending in "…" when it runs long
+function wrapText(text, maxChars = NAME_LINE_CHARS, maxLines = NAME_MAX_LINES) {
+  const lines = [];
+  String(text).trim().split(/\s+/).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+  });
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1).replace(/\s+\S*$/, '')}…`;
+  return kept;
+}
+
+const icon = (name, x, y, size, color) =>
+  `<g transform="translate(${x} ${y}) scale(${size / 24})" fill="none" stroke="${color}" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${ICONS[name]}</g>`;
+
+const text = (x, y, size, color, content, { weight = 400, anchor = 'middle', spacing = 0 } = {}) =>
+  `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}"${spacing ? ` letter-spacing="${spacing}"` : ''}>${escapeXml(content)}</text>`;
+
+/**
+ * Build the card as an SVG string.
+ * card: { goal: { name, stepCount, progress, completed }, level: { level, name }, badges: [name], theme, size, locale }
+ */
+function renderShareCard({ goal, level, badges = [], theme = 'light', size = 'square', locale }) {
+  const labels = labelsFor(locale);
+  const colors = THEMES[theme] || THEMES.light;
+  const height = SIZES[size] || SIZES.square;
+  const center = WIDTH / 2;
+  const completed = !!goal.completed;
+  const progress = Math.max(0, Math.min(100, Math.round(Number(goal.progress) || 0)));
+  const nameLines = wrapText(goal.name);
+
+  // Lay the content out top to bottom from y = 0, then scale and centre it to fit the card
+  const parts = [];
+  let y = 0;
+
+  parts.push(`<circle cx="${center}" cy="${y + 70}" r="70" fill="url(#brand)"/>`);
+  parts.push(icon(completed ? 'trophy' : 'target', center - 36, y + 34, 72, '#ffffff'));
+  y += 140 + 64;
+
+  parts.push(text(center, y, 64, colors.text, completed ? labels.achieved : labels.working, { weight: 800 }));
+  y += 52;
+  parts.push(text(center, y, 32, colors.muted, completed ? labels.crushed : labels.progressing));
+  y += 56;
+
+  const panelHeight = 36 + 24 + 24 + nameLines.length * 60 + 12;
+  parts.push(`<rect x="90" y="${y}" width="${WIDTH - 180}" height="${panelHeight}" rx="32" fill="${colors.panel}"/>`);
+  parts.push(text(center, y + 36 + 20, 24, colors.muted, labels.myGoal, { weight: 600, spacing: 3 }));
+  nameLines.forEach((line, i) => {
+    parts.push(text(center, y + 36 + 24 + 24 + 44 + i * 60, 48, colors.text, line, { weight: 700 }));
+  });
+  y += panelHeight + 56;
+
+  const stats = [
+    [String(goal.stepCount || 0), labels.steps],
+    [`${progress}%`, labels.complete],
+    ...(level ? [[`${labels.level} ${level.level}`, level.name || labels.levelName]] : [])
+  ];
+  const column = (WIDTH - 180) / stats.length;
+  stats.forEach(([value, label], i) => {
+    const x = 90 + column * i + column / 2;
+    parts.push(text(x, y + 52, 60, colors.accent, value, { weight: 800 }));
+    parts.push(text(x, y + 96, 26, colors.muted, label));
+  });
+  y += 96 + 40;
+
+  if (!completed) {
+    parts.push(`<rect x="90" y="${y}" width="${WIDTH - 180}" height="16" rx="8" fill="${colors.track}"/>`);
+    if (progress > 0) parts.push(`<rect x="90" y="${y}" width="${Math.max(16, (WIDTH - 180) * progress / 100)}" height="16" rx="8" fill="url(#brand)"/>`);
+    y += 16 + 40;
+  }
+
+  const shownBadges = badges.slice(0, MAX_BADGES);
+  if (shownBadges.length > 0) {
+    const widths = shownBadges.map(name => 56 + name.length * 17);
+    const gap = 16;
+    let x = center - (widths.reduce((sum, w) => sum + w, 0) + gap * (widths.length - 1)) / 2;
+    shownBadges.forEach((name, i) => {
+      parts.push(`<rect x="${x}" y="${y}" width="${widths[i]}" height="56" rx="28" fill="${colors.pill}"/>`);
+      parts.push(text(x + widths[i] / 2, y + 37, 26, colors.accent, name, { weight: 600 }));
+      x += widths[i] + gap;
+    });
+    y += 56;
+  }
+
+  // Leave room for the logo at the bottom
+  const available = height - 120 - 160;
+  const scale = Math.min(1, available / y);
+  const top = 120 + (available - y * scale) / 2;
+  const offsetX = (WIDTH - WIDTH * scale) / 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${colors.background[0]}"/>
+      <stop offset="1" stop-color="${colors.background[1]}"/>
+    </linearGradient>
+    <linearGradient id="brand" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#667eea"/>
+      <stop offset="0.5" stop-color="#764ba2"/>
+      <stop offset="1" stop-color="#f093fb"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${height}" fill="url(#background)"/>
+  <rect width="${WIDTH}" height="12" fill="url(#brand)"/>
+  <g transform="translate(${offsetX} ${top}) scale(${scale})">
+    ${parts.join('\n    ')}
+  </g>
+  ${icon('target', center - 84, height - 100, 36, colors.accent)}
+  ${text(center + 24, height - 70, 36, colors.text, 'Aclio', { weight: 700 })}
+</svg>`;
+}
+
+// Rasterize a card; system fonts are used for the text, so install a sans-serif font on the server
+function toPng(svg) {
+  return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'Arial' } }).render().asPng();
+}
+
+module.exports = { renderShareCard, toPng, wrapText, THEMES, SIZES, FORMATS };
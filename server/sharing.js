@@ -0,0 +1,272 @@
+/**
+ * Achieve AI - Shared Plans & Templates
+ * Publishes a read-only snapshot of a goal's plan under a short link that anyone can open
+ * and import as their own goal, and serves the curated template catalogue.
+ *
+ * A snapshot is only the plan itself: name, category, phases and steps (plus the habit for
+ * ongoing goals). Progress, dates, notes, check-ins and location searches are never published.
+ *
+ * Links expire after `ttlDays`, and each account or device keeps at most `maxPerClient` of them -
+ * sharing past that drops its oldest link.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { TEMPLATES, CATEGORIES } = require('./templates');
+
+const MAX_STEPS = 50;
+const MAX_SUBTASKS = 8;
+const MAX_TEXT = { name: 200, title: 200, description: 2000, duration: 100 };
+const MAX_SHARES = 20000;
+
+const text = (value, max) => typeof value === 'string' ? value.trim().slice(0, max) : '';
+
+// Helper to copy only the shareable parts of a goal (or template) into a snapshot, or null when there's no plan to share
+function toSnapshot(goal) {
+  if (!goal || typeof goal !== 'object' || !Array.isArray(goal.steps)) return null;
+
+  const name = text(goal.name, MAX_TEXT.name);
+  const steps = goal.steps
+    .filter(step => step && text(step.title, MAX_TEXT.title))
+    .slice(0, MAX_STEPS)
+    .map(step => {
+      const subtasks = (Array.isArray(step.subtasks) ? step.subtasks : [])
+        .map(sub => text(typeof sub === 'string' ? sub : sub?.title, MAX_TEXT.title))
+        .filter(Boolean)
+        .slice(0, MAX_SUBTASKS);
+      const blockedBy = (Array.isArray(step.blockedBy) ? step.blockedBy : []).filter(id => ['string', 'number'].includes(typeof id));
+      return {
+        id: step.id,
+        title: text(step.title, MAX_TEXT.title),
+        description: text(step.description, MAX_TEXT.description),
+        duration: text(step.duration, MAX_TEXT.duration),
+        ...(step.phase !== undefined ? { phase: step.phase } : {}),
+        ...(subtasks.length ? { subtasks: subtasks.map((title, i) => ({ id: i + 1, title })) } : {}),
+        ...(blockedBy.length ? { blockedBy } : {})
+      };
+    });
+  if (!name || steps.length === 0) return null;
+
+  // Dependencies on steps that didn't make it into the snapshot are dropped
+  const stepIds = steps.map(step => String(step.id));
+  steps.forEach(step => {
+    if (!step.blockedBy) return;
+    step.blockedBy = step.blockedBy.filter(id => stepIds.includes(String(id)));
+    if (step.blockedBy.length === 0) delete step.blockedBy;
+  });
+
+  const phases = (Array.isArray(goal.phases) ? goal.phases : [])
+    .filter(phase => phase && text(phase.title, MAX_TEXT.title))
+    .map(phase => ({
+      id: phase.id,
+      title: text(phase.title, MAX_TEXT.title),
+      ...(text(phase.milestone, MAX_TEXT.title) ? { milestone: text(phase.milestone, MAX_TEXT.title) } : {})
+    }));
+
+  // The habit without its start date - whoever imports it starts their own
+  const habit = goal.type === 'habit' && goal.habit && typeof goal.habit === 'object' ? {
+    period: goal.habit.period === 'week' ? 'week' : 'day',
+    timesPerPeriod: Math.max(1, Math.round(Number(goal.habit.timesPerPeriod)) || 1),
+    target: text(goal.habit.target, MAX_TEXT.title) || name,
+    rampUp: (Array.isArray(goal.habit.rampUp) ? goal.habit.rampUp : [])
+      .filter(stage => stage && stage.week >= 1 && text(stage.target, MAX_TEXT.title))
+      .map(stage => ({ week: Math.round(stage.week), timesPerPeriod: Math.max(1, Math.round(Number(stage.timesPerPeriod)) || 1), target: text(stage.target, MAX_TEXT.title) }))
+  } : null;
+
+  return {
+    name,
+    category: CATEGORIES.includes(goal.category) ? goal.category : null,
+    ...(phases.length > 1 ? { phases } : {}),
+    steps,
+    ...(habit ? { type: 'habit', habit } : {})
+  };
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+// The read-only page a shared link opens: the plan, and a button that hands it to the app to import
+function renderSharePage(snapshot, importUrl) {
+  const stepItem = (step, i) => `
+      <li>
+        <strong>${i + 1}. ${escapeHtml(step.title)}</strong>${step.duration ? ` <span class="duration">${escapeHtml(step.duration)}</span>` : ''}
+        ${step.description ? `<p>${escapeHtml(step.description)}</p>` : ''}
+        ${step.subtasks ? `<ul>${step.subtasks.map(sub => `<li>${escapeHtml(sub.title)}</li>`).join('')}</ul>` : ''}
+      </li>`;
+
+  // Steps whose phase isn't one of the plan's phases go in an "Other steps" group at the end
+  const phaseIds = (snapshot.phases || []).map(phase => String(phase.id));
+  const other = snapshot.steps.filter(step => !phaseIds.includes(String(step.phase)));
+  const groups = snapshot.phases
+    ? [...snapshot.phases, ...(other.length ? [{ title: 'Other steps', steps: other }] : [])]
+    : [];
+
+  let number = 0;
+  const sections = snapshot.phases
+    ? groups.map(phase => {
+        const steps = phase.steps || snapshot.steps.filter(step => String(step.phase) === String(phase.id));
+        const items = steps.map(step => stepItem(step, number++)).join('');
+        return `
+    <h2>${escapeHtml(phase.title)}</h2>${phase.milestone ? `
+    <p class="milestone">Milestone: ${escapeHtml(phase.milestone)}</p>` : ''}
+    <ol>${items}
+    </ol>`;
+      }).join('')
+    : `
+    <ol>${snapshot.steps.map(stepItem).join('')}
+    </ol>`;
+
+  const habit = snapshot.habit
+    ? `<p class="habit">Habit: ${escapeHtml(snapshot.habit.target)}, ${snapshot.habit.timesPerPeriod}× a ${snapshot.habit.period}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(snapshot.name)} - Aclio plan</title>
+  <meta property="og:title" content="${escapeHtml(snapshot.name)}">
+  <meta property="og:description" content="A ${snapshot.steps.length}-step plan made with Aclio">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 640px; margin: 0 auto; padding: 24px; color: #1a1a2e; line-height: 1.5; }
+    .category { color: #6366f1; font-size: 13px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; }
+    h1 { margin: 4px 0 8px; }
+    h2 { font-size: 17px; margin: 28px 0 4px; }
+    ol { padding-left: 0; list-style: none; }
+    ol > li { padding: 12px 0; border-bottom: 1px solid #eee; }
+    ol > li p { margin: 4px 0 0; color: #555; }
+    ul { margin: 8px 0 0; color: #555; }
+    .duration, .milestone, .habit { color: #888; font-size: 14px; }
+    .import { display: inline-block; margin-top: 24px; padding: 12px 20px; background: #6366f1; color: #fff; border-radius: 10px; text-decoration: none; font-weight: 600; }
+  </style>
+</head>
+<body>
+  ${snapshot.category ? `<div class="category">${escapeHtml(snapshot.category)}</div>` : ''}
+  <h1>${escapeHtml(snapshot.name)}</h1>
+  ${habit}
+  <main>${sections}
+  </main>
+  <a class="import" href="${escapeHtml(importUrl)}">Import into Aclio</a>
+</body>
+</html>`;
+}
+
+// Who published a share: the signed-in account, else the device id the app sends, else the address
+const ownerOf = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+  const deviceId = String(req.get('x-device-id') || '').replace(/[^\w-]/g, '').slice(0, 64);
+  return deviceId ? `device:${deviceId}` : `ip:${req.ip}`;
+};
+
+// appUrl: where the app lives, for "Import into Aclio" links. publicUrl: this server's public address, for share links.
+function createSharing(store, { appUrl = 'https://aclio.app', publicUrl = null, ttlDays = 365, maxPerClient = 50 } = {}) {
+  const shares = store.collection('shares');
+  const shareIndex = store.collection('shareIndex'); // Owner and snapshot hash -> id, so sharing the same plan twice gives the same link
+
+  const templates = TEMPLATES.map(template => ({
+    id: template.id,
+    summary: template.summary,
+    ...toSnapshot(template)
+  }));
+
+  const baseUrl = (req) => (publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  const importUrl = (id) => `${appUrl.replace(/\/$/, '')}/?import=${encodeURIComponent(id)}`;
+
+  const isExpired = (share) => Date.now() - new Date(share.createdAt).getTime() > ttlDays * 864e5;
+  const findShare = (id) => (shares[id] && !isExpired(shares[id]) ? shares[id] : null);
+
+  const remove = (id) => {
+    if (shareIndex[shares[id].hash] === id) delete shareIndex[shares[id].hash];
+    delete shares[id];
+  };
+
+  // Drop expired links, then the owner's oldest past their cap, then the oldest overall past MAX_SHARES
+  const prune = (owner) => {
+    Object.keys(shares).filter(id => isExpired(shares[id])).forEach(remove);
+    const oldestFirst = (ids) => ids.sort((a, b) => shares[a].createdAt.localeCompare(shares[b].createdAt));
+    const owned = oldestFirst(Object.keys(shares).filter(id => shares[id].owner === owner));
+    owned.slice(0, Math.max(0, owned.length - maxPerClient)).forEach(remove);
+    const all = Object.keys(shares);
+    if (all.length > MAX_SHARES) oldestFirst(all).slice(0, all.length - MAX_SHARES).forEach(remove);
+  };
+
+  const newId = () => {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('base64url');
+    } while (shares[id]);
+    return id;
+  };
+
+  const router = express.Router();
+
+  // Publish a goal's plan: { goal } -> { id, url }
+  router.post('/shares', (req, res) => {
+    try {
+      const snapshot = toSnapshot(req.body?.goal);
+      if (!snapshot) {
+        return res.status(400).json({
+          error: 'invalid_goal',
+          message: 'Only goals with a name and at least one step can be shared.'
+        });
+      }
+
+      const owner = ownerOf(req);
+      const hash = crypto.createHash('sha256').update(JSON.stringify([owner, snapshot])).digest('hex');
+      let id = shareIndex[hash];
+      if (!id || !findShare(id)) {
+        id = newId();
+        shares[id] = { snapshot, owner, hash, createdAt: new Date().toISOString() };
+        shareIndex[hash] = id;
+        prune(owner);
+        store.saveSoon();
+      }
+
+      res.status(201).json({ id, url: `${baseUrl(req)}/p/${id}` });
+    } catch (error) {
+      console.error('Share goal error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The snapshot behind a link, for the app to import
+  router.get('/shares/:id', (req, res) => {
+    const share = findShare(req.params.id);
+    if (!share) {
+      return res.status(404).json({ error: 'not_found', message: 'This shared plan doesn\'t exist or was removed.' });
+    }
+    res.json({ id: req.params.id, ...share.snapshot, createdAt: share.createdAt });
+  });
+
+  // Template summaries for browsing, optionally for one category
+  router.get('/templates', (req, res) => {
+    const { category } = req.query;
+    const list = templates
+      .filter(template => !category || template.category === category)
+      .map(({ id, name, category, summary, type, steps }) => ({ id, name, category, summary, type: type || 'plan', stepCount: steps.length }));
+    res.json({ templates: list });
+  });
+
+  router.get('/templates/:id', (req, res) => {
+    const template = templates.find(t => t.id === req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'not_found', message: 'No template with that id.' });
+    }
+    res.json(template);
+  });
+
+  // Public read-only page for a shared link (mounted outside /api)
+  const page = (req, res) => {
+    const share = findShare(req.params.id);
+    if (!share) {
+      return res.status(404).type('html').send('<!DOCTYPE html><title>Plan not found</title><p>This shared plan doesn\'t exist or was removed.</p>');
+    }
+    res.type('html').send(renderSharePage(share.snapshot, importUrl(req.params.id)));
+  };
+
+  return { router, page };
+}
+
+module.exports = { createSharing, toSnapshot };
@@ -0,0 +1,63 @@
+/**
+ * Achieve AI - File Store
+ * Minimal JSON-file persistence for accounts and synced user data.
+ * Fine for a single server instance - swap for a real database when we outgrow it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Pass no filePath to get an in-memory store (handy for local experiments and tests)
+function createStore(filePath) {
+  let data = {};
+  let version = 0; // Bumped on every write, so a slow background write can't replace a newer one
+  let pending = null;
+
+  if (filePath) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  return {
+    // Get a named collection of records, creating it on first use
+    collection(name) {
+      if (!data[name]) data[name] = {};
+      return data[name];
+    },
+
+    // Write to a temp file and rename it into place so a crash mid-write can't corrupt the store
+    save() {
+      if (!filePath) return;
+      version += 1;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, filePath);
+    },
+
+    // Save in the background within `delayMs`, folding every call in between into one write.
+    // For busy public routes, where a synchronous rewrite per request would stall the server.
+    saveSoon(delayMs = 1000) {
+      if (!filePath || pending) return pending;
+      pending = new Promise(resolve => setTimeout(resolve, delayMs)).then(async () => {
+        pending = null;
+        const written = ++version;
+        const tmpPath = `${filePath}.${written}.tmp`;
+        try {
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+          if (written === version) await fs.promises.rename(tmpPath, filePath);
+          else await fs.promises.unlink(tmpPath);
+        } catch (error) {
+          console.error('Store save error:', error);
+        }
+      });
+      return pending;
+    }
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,186 @@
+/**
+ * Achieve AI - Sync
+ * Keeps goals, points, streak, badges, chat threads and saved AI output in step across a user's devices.
+ *
+ * Each piece of data is a versioned document ("goal:<id>", "points", "badges", ...).
+ * Devices pull everything changed since their last revision, then push local edits along
+ * with the version and value they were based on. When two devices edited the same document
+ * the server does a three-way merge against that base instead of letting one side clobber the other.
+ */
+
+const express = require('express');
+
+const DOC_KEY_PATTERN = /^(goal:[\w-]+|points|streak|badges|expanded|doitforme|profile|chats)$/;
+const MAX_CHANGES_PER_PUSH = 500;
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of plain objects: each field takes whichever side changed it since the base.
+// If both sides changed the same field, the device pushing now wins.
+const mergeFields = (base, server, client, fieldMergers = {}) => {
+  base = base || {};
+  server = server || {};
+  client = client || {};
+
+  const merged = {};
+  const keys = new Set([...Object.keys(base), ...Object.keys(server), ...Object.keys(client)]);
+
+  keys.forEach(key => {
+    let value;
+    if (fieldMergers[key]) value = fieldMergers[key](base[key], server[key], client[key]);
+    else if (isEqual(client[key], base[key])) value = server[key];
+    else value = client[key];
+
+    if (value !== undefined) merged[key] = value;
+  });
+
+  return merged;
+};
+
+// Keep the server's items, then apply the client's additions and removals relative to the base
+const mergeSets = (base, server, client) => {
+  base = base || [];
+  server = server || [];
+  client = client || [];
+
+  const added = client.filter(item => !base.includes(item));
+  const removed = base.filter(item => !client.includes(item));
+
+  return [
+    ...server.filter(item => !removed.includes(item)),
+    ...added.filter(item => !server.includes(item))
+  ];
+};
+
+const MERGERS = {
+  goal: (base, server, client) => mergeFields(base, server, client, {
+    completedSteps: mergeSets,
+    completedSubtasks: mergeSets,
+    completedAt: (b, s, c) => mergeFields(b, s, c)
+  }),
+
+  // Points earned on both devices add up. Without a base (first sync) we can't tell what's
+  // new, so take the larger total rather than double counting.
+  points: (base, server = 0, client = 0) => {
+    if (base === undefined) return Math.max(server, client);
+    return Math.max(0, server + (client - base));
+  },
+
+  badges: mergeSets,
+
+  // The most recently active device owns the current streak; the best streak is the max of both
+  streak: (base, server = {}, client = {}) => {
+    const serverActive = new Date(server.lastActive || 0).getTime() || 0;
+    const clientActive = new Date(client.lastActive || 0).getTime() || 0;
+    const latest = clientActive >= serverActive ? client : server;
+    return { ...latest, best: Math.max(server.best || 0, client.best || 0) };
+  },
+
+  expanded: (base, server, client) => mergeFields(base, server, client),
+  doitforme: (base, server, client) => mergeFields(base, server, client),
+  profile: (base, server, client) => mergeFields(base, server, client),
+  // Keyed by goal id - a thread that moved on one device replaces the other's copy
+  chats: (base, server, client) => mergeFields(base, server, client)
+};
+
+const docType = (key) => key.startsWith('goal:') ? 'goal' : key;
+
+// Resolve a push that was based on an outdated version of the server's document.
+// Edits beat deletes so nobody's work silently disappears.
+function mergeDoc(key, serverDoc, change) {
+  if (change.deleted && serverDoc.deleted) return { deleted: true };
+  if (change.deleted) {
+    return isEqual(serverDoc.value, change.base) ? { deleted: true } : { value: serverDoc.value };
+  }
+  if (serverDoc.deleted) return { value: change.value };
+
+  return { value: MERGERS[docType(key)](change.base, serverDoc.value, change.value) };
+}
+
+function createSync(store) {
+  const userData = store.collection('userData');
+
+  const getUserData = (userId) => {
+    if (!userData[userId]) userData[userId] = { rev: 0, docs: {} };
+    return userData[userId];
+  };
+
+  const router = express.Router();
+
+  // Pull every document changed since the given revision
+  router.get('/', (req, res) => {
+    const since = parseInt(req.query.since, 10) || 0;
+    const data = getUserData(req.user.id);
+
+    const docs = Object.entries(data.docs)
+      .filter(([, doc]) => doc.rev > since)
+      .map(([key, doc]) => ({
+        key,
+        value: doc.value,
+        deleted: !!doc.deleted,
+        version: doc.version,
+        updatedAt: doc.updatedAt
+      }));
+
+    res.json({ rev: data.rev, docs });
+  });
+
+  // Push local changes: [{ key, value, deleted, baseVersion, base }]
+  router.post('/', (req, res) => {
+    const { changes } = req.body;
+
+    if (!Array.isArray(changes) || changes.length > MAX_CHANGES_PER_PUSH) {
+      return res.status(400).json({
+        error: 'invalid_changes',
+        message: `Send an array of at most ${MAX_CHANGES_PER_PUSH} changes.`
+      });
+    }
+
+    // findIndex rather than find, so a null entry is caught too
+    const invalid = changes.findIndex(change => !change || !DOC_KEY_PATTERN.test(change.key) ||
+      (!change.deleted && change.value === undefined));
+    if (invalid !== -1) {
+      return res.status(400).json({
+        error: 'invalid_changes',
+        message: `Unsupported change for "${changes[invalid] && changes[invalid].key}".`
+      });
+    }
+
+    const data = getUserData(req.user.id);
+    const now = new Date().toISOString();
+
+    const results = changes.map(change => {
+      const current = data.docs[change.key];
+      const upToDate = !current || current.version === change.baseVersion ||
+        (!current.deleted && !change.deleted && isEqual(current.value, change.value));
+
+      const outcome = upToDate
+        ? (change.deleted ? { deleted: true } : { value: change.value })
+        : mergeDoc(change.key, current, change);
+
+      const doc = {
+        value: outcome.deleted ? null : outcome.value,
+        deleted: !!outcome.deleted,
+        version: (current ? current.version : 0) + 1,
+        rev: ++data.rev,
+        updatedAt: now
+      };
+      data.docs[change.key] = doc;
+
+      return {
+        key: change.key,
+        value: doc.value,
+        deleted: doc.deleted,
+        version: doc.version,
+        merged: !upToDate
+      };
+    });
+
+    store.save();
+    res.json({ rev: data.rev, results });
+  });
+
+  return { router };
+}
+
+module.exports = { createSync, mergeDoc, mergeFields, mergeSets };
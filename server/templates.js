@@ -0,0 +1,332 @@
+/**
+ * Achieve AI - Goal Templates
+ * A hand-picked catalogue of starter plans, a couple per category, that people can import
+ * without waiting on the model. Templates use the same shape as a shared plan snapshot.
+ */
+
+// Same list as the app's CATEGORIES
+const CATEGORIES = ['Health & Fitness', 'Career', 'Education', 'Finance', 'Creative', 'Personal Growth', 'Relationships', 'Travel', 'Home & Living', 'Technology'];
+
+const TEMPLATES = [
+  // Health & Fitness
+  {
+    id: 'couch-to-5k',
+    category: 'Health & Fitness',
+    name: 'Run my first 5K',
+    summary: 'Go from the couch to running 5K without stopping in about nine weeks.',
+    phases: [
+      { id: 1, title: 'Get set up', milestone: 'First run done' },
+      { id: 2, title: 'Build up', milestone: 'Run 5K without stopping' }
+    ],
+    steps: [
+      { id: 1, phase: 1, title: 'Get fitted for running shoes', description: 'Visit a running store and ask for a gait analysis so your shoes suit how you run.', duration: '1 hour' },
+      { id: 2, phase: 1, title: 'Pick a beginner program', description: 'Download a Couch to 5K app or print a nine-week plan and put your three weekly runs in your calendar.', duration: '20 minutes' },
+      { id: 3, phase: 1, title: 'Do your first run-walk session', description: 'Alternate 60 seconds of running with 90 seconds of walking for 20 minutes.', duration: '30 minutes', blockedBy: [1, 2] },
+      { id: 4, phase: 2, title: 'Complete weeks 1-4', description: 'Stick to three sessions a week and repeat a week if it felt too hard.', duration: '4 weeks', blockedBy: [3] },
+      { id: 5, phase: 2, title: 'Complete weeks 5-9', description: 'The runs get longer; slow down rather than stopping.', duration: '5 weeks', blockedBy: [4] },
+      { id: 6, phase: 2, title: 'Sign up for a local 5K', description: 'Find a parkrun or charity race near you to give yourself a finish line.', duration: '15 minutes' }
+    ]
+  },
+  {
+    id: 'daily-stretching',
+    category: 'Health & Fitness',
+    name: 'Stretch every day',
+    summary: 'A ten-minute daily mobility habit that builds up over the first month.',
+    type: 'habit',
+    habit: {
+      period: 'day',
+      timesPerPeriod: 1,
+      target: 'Stretch for 10 minutes',
+      rampUp: [
+        { week: 1, timesPerPeriod: 1, target: 'Stretch for 5 minutes' },
+        { week: 3, timesPerPeriod: 1, target: 'Stretch for 10 minutes' }
+      ]
+    },
+    steps: [
+      { id: 1, title: 'Choose a routine', description: 'Pick a follow-along beginner mobility video or write down six stretches you like.', duration: '15 minutes' },
+      { id: 2, title: 'Set up a spot', description: 'Put a mat somewhere you pass every day so starting takes no effort.', duration: '10 minutes' },
+      { id: 3, title: 'Anchor it to a habit you already have', description: 'Stretch right after brushing your teeth or before your morning coffee.', duration: '5 minutes' }
+    ]
+  },
+
+  // Career
+  {
+    id: 'land-a-new-job',
+    category: 'Career',
+    name: 'Land a new job',
+    summary: 'From updating your CV to negotiating the offer.',
+    phases: [
+      { id: 1, title: 'Get ready', milestone: 'CV and LinkedIn updated' },
+      { id: 2, title: 'Apply', milestone: 'First interview booked' },
+      { id: 3, title: 'Close the deal', milestone: 'Offer accepted' }
+    ],
+    steps: [
+      { id: 1, phase: 1, title: 'Define your target role', description: 'Write down the job titles, industries, salary range and locations you want.', duration: '1 hour' },
+      { id: 2, phase: 1, title: 'Update your CV', description: 'Lead each role with results and numbers, and keep it to two pages.', duration: '2-3 hours', subtasks: ['List your top five achievements', 'Rewrite each role around results', 'Ask a friend to proofread'], blockedBy: [1] },
+      { id: 3, phase: 1, title: 'Refresh your LinkedIn profile', description: 'Match your headline to the role you want and turn on "Open to work" for recruiters.', duration: '1 hour', blockedBy: [2] },
+      { id: 4, phase: 2, title: 'Apply to five roles a week', description: 'Tailor the first lines of your CV and cover note to each posting.', duration: '3 hours', blockedBy: [2] },
+      { id: 5, phase: 2, title: 'Reach out to your network', description: 'Message ten former colleagues to ask about openings and referrals.', duration: '1 hour' },
+      { id: 6, phase: 3, title: 'Prepare for interviews', description: 'Practise answers to common questions using the STAR method out loud.', duration: '2 hours' },
+      { id: 7, phase: 3, title: 'Negotiate the offer', description: 'Research the market rate and ask for the top of your range politely.', duration: '1 hour', blockedBy: [6] }
+    ]
+  },
+  {
+    id: 'get-promoted',
+    category: 'Career',
+    name: 'Get promoted this year',
+    summary: 'Make your case for the next level with your manager on board.',
+    steps: [
+      { id: 1, title: 'Ask what the next level looks like', description: 'Book a 1:1 with your manager and ask what they would need to see from you.', duration: '30 minutes' },
+      { id: 2, title: 'Write down the gaps', description: 'Compare the expectations with your current work and pick two gaps to close.', duration: '1 hour', blockedBy: [1] },
+      { id: 3, title: 'Take on a stretch project', description: 'Volunteer for work that shows the next-level skills and is visible to leadership.', duration: '2-3 months', blockedBy: [2] },
+      { id: 4, title: 'Keep a brag document', description: 'Note each win with its impact every Friday so review time is easy.', duration: '15 minutes' },
+      { id: 5, title: 'Review progress monthly', description: 'Share your brag document with your manager and ask for honest feedback.', duration: '30 minutes', blockedBy: [1] },
+      { id: 6, title: 'Make the case in review season', description: 'Write a one-page summary mapping your results to the next-level expectations.', duration: '2 hours', blockedBy: [3, 4] }
+    ]
+  },
+
+  // Education
+  {
+    id: 'learn-a-language',
+    category: 'Education',
+    name: 'Hold a basic conversation in a new language',
+    summary: 'Reach everyday conversational level in about six months.',
+    steps: [
+      { id: 1, title: 'Pick your resources', description: 'Choose one app for daily practice and one course or textbook for structure.', duration: '30 minutes' },
+      { id: 2, title: 'Learn the 500 most common words', description: 'Use spaced-repetition flashcards for 15 minutes a day.', duration: '6 weeks', blockedBy: [1] },
+      { id: 3, title: 'Book a weekly tutor session', description: 'Find a tutor on italki or Preply and practise speaking from week two.', duration: '1 hour' },
+      { id: 4, title: 'Watch a show with subtitles', description: 'Watch an episode a week with subtitles in the language you are learning.', duration: '45 minutes' },
+      { id: 5, title: 'Have a 10-minute conversation', description: 'Talk with a native speaker about your day without switching to English.', duration: '10 minutes', blockedBy: [2, 3] }
+    ]
+  },
+  {
+    id: 'finish-an-online-course',
+    category: 'Education',
+    name: 'Finish an online course',
+    summary: 'Actually get to the end of the course you signed up for.',
+    steps: [
+      { id: 1, title: 'Choose one course', description: 'Pick the single course that matters most and pause the others.', duration: '20 minutes' },
+      { id: 2, title: 'Map out the modules', description: 'List each module with its length and give each one a week in your calendar.', duration: '30 minutes', blockedBy: [1] },
+      { id: 3, title: 'Block study time', description: 'Put three 45-minute study sessions a week in your calendar.', duration: '10 minutes', blockedBy: [2] },
+      { id: 4, title: 'Work through the modules', description: 'Take notes in your own words and do every exercise.', duration: '6-8 weeks', blockedBy: [3] },
+      { id: 5, title: 'Build a small project with it', description: 'Apply what you learned to something real so it sticks.', duration: '4-6 hours', blockedBy: [4] }
+    ]
+  },
+
+  // Finance
+  {
+    id: 'emergency-fund',
+    category: 'Finance',
+    name: 'Build a 3-month emergency fund',
+    summary: 'Save three months of essential spending in a separate account.',
+    steps: [
+      { id: 1, title: 'Work out your monthly essentials', description: 'Add up rent, bills, food and transport from last month\'s statements.', duration: '1 hour' },
+      { id: 2, title: 'Open a separate savings account', description: 'Choose an easy-access account with a good interest rate and no fees.', duration: '30 minutes' },
+      { id: 3, title: 'Set up an automatic transfer', description: 'Move a fixed amount the day after payday so you never see it.', duration: '15 minutes', blockedBy: [1, 2] },
+      { id: 4, title: 'Cut one recurring cost', description: 'Cancel or downgrade a subscription and add the saving to your transfer.', duration: '30 minutes' },
+      { id: 5, title: 'Put windfalls straight in', description: 'Send tax refunds, bonuses and gifts to the fund until it is full.', duration: '5 minutes' }
+    ]
+  },
+  {
+    id: 'pay-off-credit-card',
+    category: 'Finance',
+    name: 'Pay off my credit card',
+    summary: 'Clear card debt for good with the avalanche method.',
+    steps: [
+      { id: 1, title: 'List every balance and rate', description: 'Write down each card\'s balance, interest rate and minimum payment.', duration: '30 minutes' },
+      { id: 2, title: 'Look for a 0% balance transfer', description: 'Compare balance-transfer offers and check the fee is worth it.', duration: '1 hour', blockedBy: [1] },
+      { id: 3, title: 'Make a monthly budget', description: 'Find the largest amount you can put towards the debt each month.', duration: '1-2 hours' },
+      { id: 4, title: 'Pay the highest rate first', description: 'Pay minimums everywhere and everything extra on the highest-rate card.', duration: '15 minutes', blockedBy: [1, 3] },
+      { id: 5, title: 'Stop adding new charges', description: 'Take the card out of your wallet and shopping apps until it is paid off.', duration: '10 minutes' }
+    ]
+  },
+
+  // Creative
+  {
+    id: 'write-a-short-story',
+    category: 'Creative',
+    name: 'Write and share a short story',
+    summary: 'Take a story from idea to a finished draft other people have read.',
+    steps: [
+      { id: 1, title: 'Collect ideas for a week', description: 'Jot down any character, situation or line that interests you.', duration: '10 minutes' },
+      { id: 2, title: 'Outline the story', description: 'Decide who wants what, what is in the way and how it ends.', duration: '1 hour', blockedBy: [1] },
+      { id: 3, title: 'Write the first draft', description: 'Write 500 words a session without editing until you reach the end.', duration: '2 weeks', blockedBy: [2] },
+      { id: 4, title: 'Revise', description: 'Read it out loud, cut anything that drags and sharpen the ending.', duration: '3-4 hours', blockedBy: [3] },
+      { id: 5, title: 'Get feedback', description: 'Share it with a writing group or two trusted readers.', duration: '1 week', blockedBy: [4] }
+    ]
+  },
+  {
+    id: 'learn-to-draw',
+    category: 'Creative',
+    name: 'Learn to draw',
+    summary: 'Build the drawing basics with a little practice every day.',
+    type: 'habit',
+    habit: {
+      period: 'day',
+      timesPerPeriod: 1,
+      target: 'Draw for 20 minutes',
+      rampUp: [{ week: 1, timesPerPeriod: 1, target: 'Draw for 10 minutes' }]
+    },
+    steps: [
+      { id: 1, title: 'Get a sketchbook and pencils', description: 'An A5 sketchbook and a couple of pencils are all you need to start.', duration: '30 minutes' },
+      { id: 2, title: 'Pick a beginner course', description: 'Follow a free course like Drawabox so every session has a focus.', duration: '20 minutes' },
+      { id: 3, title: 'Draw from life once a week', description: 'Sketch objects around you to train your eye.', duration: '30 minutes' }
+    ]
+  },
+
+  // Personal Growth
+  {
+    id: 'daily-meditation',
+    category: 'Personal Growth',
+    name: 'Meditate every day',
+    summary: 'A calm daily habit that starts at five minutes.',
+    type: 'habit',
+    habit: {
+      period: 'day',
+      timesPerPeriod: 1,
+      target: 'Meditate for 10 minutes',
+      rampUp: [
+        { week: 1, timesPerPeriod: 1, target: 'Meditate for 5 minutes' },
+        { week: 3, timesPerPeriod: 1, target: 'Meditate for 10 minutes' }
+      ]
+    },
+    steps: [
+      { id: 1, title: 'Try a guided app', description: 'Test a free guided meditation app for a few sessions.', duration: '15 minutes' },
+      { id: 2, title: 'Pick a time and place', description: 'Same time, same spot - first thing in the morning works for most people.', duration: '5 minutes' }
+    ]
+  },
+  {
+    id: 'read-12-books',
+    category: 'Personal Growth',
+    name: 'Read 12 books this year',
+    summary: 'One book a month, with a reading list ready to go.',
+    steps: [
+      { id: 1, title: 'Build a reading list', description: 'Pick 15 books that excite you so you always know what is next.', duration: '1 hour' },
+      { id: 2, title: 'Get a library card', description: 'Borrow books and e-books for free instead of buying them.', duration: '30 minutes' },
+      { id: 3, title: 'Read 20 pages a day', description: 'Read before bed or on your commute instead of scrolling.', duration: '30 minutes' },
+      { id: 4, title: 'Track finished books', description: 'Log each book and one takeaway in a notes app or Goodreads.', duration: '5 minutes' }
+    ]
+  },
+
+  // Relationships
+  {
+    id: 'reconnect-with-friends',
+    category: 'Relationships',
+    name: 'Reconnect with old friends',
+    summary: 'Turn "we should catch up" into actual plans.',
+    steps: [
+      { id: 1, title: 'List the people you miss', description: 'Write down five friends you have lost touch with.', duration: '15 minutes' },
+      { id: 2, title: 'Send one message a week', description: 'A short "I was thinking of you" note is enough to restart things.', duration: '10 minutes', blockedBy: [1] },
+      { id: 3, title: 'Suggest a specific plan', description: 'Offer a day, time and place for a call or coffee.', duration: '10 minutes', blockedBy: [2] },
+      { id: 4, title: 'Put a recurring catch-up in the calendar', description: 'Agree a monthly call or walk with the friends you reconnect with.', duration: '10 minutes', blockedBy: [3] }
+    ]
+  },
+  {
+    id: 'weekly-date-night',
+    category: 'Relationships',
+    name: 'Have a weekly date night',
+    summary: 'Protect one evening a week for the two of you.',
+    type: 'habit',
+    habit: { period: 'week', timesPerPeriod: 1, target: 'Have a date night', rampUp: [] },
+    steps: [
+      { id: 1, title: 'Agree on a night', description: 'Pick a regular evening that works for both of your schedules.', duration: '15 minutes' },
+      { id: 2, title: 'Make an idea list together', description: 'Collect twenty date ideas, from free walks to special dinners.', duration: '30 minutes' },
+      { id: 3, title: 'Take turns planning', description: 'Alternate who plans each week so it stays fresh.', duration: '10 minutes' }
+    ]
+  },
+
+  // Travel
+  {
+    id: 'plan-a-trip-abroad',
+    category: 'Travel',
+    name: 'Plan a trip abroad',
+    summary: 'Everything from budget to packing for a stress-free trip.',
+    phases: [
+      { id: 1, title: 'Plan', milestone: 'Flights booked' },
+      { id: 2, title: 'Prepare', milestone: 'Ready to go' }
+    ],
+    steps: [
+      { id: 1, phase: 1, title: 'Set a budget and dates', description: 'Decide how much you want to spend and when you can take time off.', duration: '1 hour' },
+      { id: 2, phase: 1, title: 'Choose a destination', description: 'Compare two or three options by cost, weather and what you want to do.', duration: '2 hours', blockedBy: [1] },
+      { id: 3, phase: 1, title: 'Book flights and accommodation', description: 'Set price alerts and book once fares drop into your budget.', duration: '2-3 hours', blockedBy: [2] },
+      { id: 4, phase: 2, title: 'Check passport and visa requirements', description: 'Make sure your passport is valid for six months after you return.', duration: '30 minutes', blockedBy: [2] },
+      { id: 5, phase: 2, title: 'Get travel insurance', description: 'Compare policies that cover medical costs and cancellations.', duration: '30 minutes', blockedBy: [3] },
+      { id: 6, phase: 2, title: 'Pack', description: 'Use a packing list and pack light.', duration: '1-2 hours', subtasks: ['Documents and cards', 'Chargers and adapters', 'Clothes for the weather', 'Medication'] }
+    ]
+  },
+  {
+    id: 'weekend-getaway',
+    category: 'Travel',
+    name: 'Take a weekend getaway',
+    summary: 'A quick, affordable break close to home.',
+    steps: [
+      { id: 1, title: 'Pick a place within three hours', description: 'Look for somewhere reachable by train or car so you don\'t waste the weekend travelling.', duration: '30 minutes' },
+      { id: 2, title: 'Book somewhere to stay', description: 'Book a B&B or small hotel with free cancellation.', duration: '1 hour', blockedBy: [1] },
+      { id: 3, title: 'Plan one thing per day', description: 'Choose a highlight for each day and leave the rest open.', duration: '30 minutes', blockedBy: [1] },
+      { id: 4, title: 'Go offline', description: 'Turn off work notifications for the weekend.', duration: '5 minutes' }
+    ]
+  },
+
+  // Home & Living
+  {
+    id: 'declutter-home',
+    category: 'Home & Living',
+    name: 'Declutter my home',
+    summary: 'One room at a time until everything has a place.',
+    steps: [
+      { id: 1, title: 'Get boxes for keep, donate and bin', description: 'Label three boxes before you start so every decision is quick.', duration: '15 minutes' },
+      { id: 2, title: 'Clear the wardrobe', description: 'Donate anything you haven\'t worn in a year.', duration: '2 hours', blockedBy: [1] },
+      { id: 3, title: 'Clear the kitchen', description: 'Check expiry dates and remove duplicate utensils and gadgets.', duration: '2 hours', blockedBy: [1] },
+      { id: 4, title: 'Clear paperwork', description: 'Scan what you need to keep and shred the rest.', duration: '1-2 hours', blockedBy: [1] },
+      { id: 5, title: 'Drop off donations', description: 'Take the donate boxes to a charity shop the same week.', duration: '1 hour', blockedBy: [2, 3, 4] }
+    ]
+  },
+  {
+    id: 'start-a-vegetable-garden',
+    category: 'Home & Living',
+    name: 'Start a vegetable garden',
+    summary: 'Grow your first vegetables, even on a balcony.',
+    steps: [
+      { id: 1, title: 'Find a sunny spot', description: 'Most vegetables need six hours of sun a day.', duration: '20 minutes' },
+      { id: 2, title: 'Pick three easy crops', description: 'Lettuce, radishes and herbs are quick and forgiving.', duration: '30 minutes' },
+      { id: 3, title: 'Get containers, soil and seeds', description: 'Buy pots with drainage holes and peat-free compost.', duration: '1-2 hours', blockedBy: [1, 2] },
+      { id: 4, title: 'Plant and label', description: 'Follow the spacing and depth on each seed packet.', duration: '1 hour', blockedBy: [3] },
+      { id: 5, title: 'Water and check daily', description: 'Keep the soil moist and watch for pests.', duration: '10 minutes', blockedBy: [4] }
+    ]
+  },
+
+  // Technology
+  {
+    id: 'build-a-personal-website',
+    category: 'Technology',
+    name: 'Build a personal website',
+    summary: 'Put a simple site about you or your work online.',
+    steps: [
+      { id: 1, title: 'Decide what goes on it', description: 'Sketch the pages: about, work or projects, and contact.', duration: '1 hour' },
+      { id: 2, title: 'Buy a domain', description: 'Pick a short domain with your name and buy it from a registrar.', duration: '30 minutes' },
+      { id: 3, title: 'Learn the HTML and CSS basics', description: 'Work through a free beginner course until you can build a simple page.', duration: '1-2 weeks' },
+      { id: 4, title: 'Build the pages', description: 'Start from a simple template and make it yours.', duration: '4-6 hours', blockedBy: [1, 3] },
+      { id: 5, title: 'Publish it', description: 'Deploy for free on GitHub Pages or Netlify and connect your domain.', duration: '1-2 hours', blockedBy: [2, 4] }
+    ]
+  },
+  {
+    id: 'learn-python',
+    category: 'Technology',
+    name: 'Learn Python',
+    summary: 'From your first line of code to a small project you built yourself.',
+    phases: [
+      { id: 1, title: 'Basics', milestone: 'First script runs' },
+      { id: 2, title: 'Build', milestone: 'Project finished' }
+    ],
+    steps: [
+      { id: 1, phase: 1, title: 'Install Python and an editor', description: 'Install the latest Python and VS Code with the Python extension.', duration: '30 minutes' },
+      { id: 2, phase: 1, title: 'Work through a beginner course', description: 'Automate the Boring Stuff with Python is free online and practical.', duration: '4 weeks', blockedBy: [1] },
+      { id: 3, phase: 1, title: 'Solve a small exercise a day', description: 'Practise on Exercism or Codewars to make the syntax stick.', duration: '20 minutes' },
+      { id: 4, phase: 2, title: 'Pick a small project', description: 'Automate something you do by hand, like renaming files or tracking spending.', duration: '30 minutes', blockedBy: [2] },
+      { id: 5, phase: 2, title: 'Build it', description: 'Break it into small pieces and get each one working before moving on.', duration: '1-2 weeks', blockedBy: [4] },
+      { id: 6, phase: 2, title: 'Share it on GitHub', description: 'Push the code with a short README explaining what it does.', duration: '1 hour', blockedBy: [5] }
+    ]
+  }
+];
+
+module.exports = { TEMPLATES, CATEGORIES };
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { startAnthropicStub, startServer } = require('./helpers');
+const { createEntitlements } = require('../entitlements');
+const { createStore } = require('../store');
+
+const STEP = { id: 1, title: 'Buy running shoes', description: 'Get fitted at a running store.' };
+const EXPANSION = { detailedGuide: 'Get a gait analysis.', resources: [], tips: [], searchQuery: 'gait analysis' };
+
+let anthropic;
+let server;
+
+before(async () => {
+  anthropic = await startAnthropicStub();
+  server = await startServer({
+    ANTHROPIC_API_KEY: 'test-key',
+    ANTHROPIC_BASE_URL: anthropic.url,
+    FREE_DEVICES_PER_IP: '2',
+    AI_CACHE_TTL_HOURS: '0'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await anthropic.close();
+});
+
+const expand = (deviceId) => server.post('/api/expand-step', { goalName: 'Run a 5K', step: STEP }, { 'X-Device-Id': deviceId });
+
+test('new device ids don\'t reset the free allowance for the network', async () => {
+  // One failed request is given back to both the device and the network
+  anthropic.reply({ status: 500, message: 'Internal error' });
+  assert.equal((await expand('device-a')).status, 500);
+
+  // Two devices' worth of expansions (3 each) from this IP...
+  for (const deviceId of ['device-a', 'device-a', 'device-a', 'device-b', 'device-b', 'device-b']) {
+    anthropic.reply(JSON.stringify(EXPANSION));
+    assert.equal((await expand(deviceId)).status, 200);
+  }
+
+  // ...and a third device gets nothing more
+  const { status, body } = await expand('device-c');
+  assert.equal(status, 403);
+  assert.equal(body.error, 'quota_exceeded');
+  assert.equal(body.used, 3);
+
+  const { body: summary } = await server.get('/api/entitlements', { 'X-Device-Id': 'device-d' });
+  assert.equal(summary.quotas.expand.used, 3);
+  assert.equal(anthropic.requests.length, 7);
+});
+
+test('premium devices aren\'t held back by the network allowance', async () => {
+  const premium = { 'X-Device-Id': 'device-premium' };
+  await server.post('/api/purchases/verify', { receipt: 'stub:monthly' }, premium);
+
+  anthropic.reply(JSON.stringify(EXPANSION));
+  assert.equal((await expand('device-premium')).status, 200);
+});
+
+test('purchases are checked against the caller\'s own device or account, not an id from the body', async () => {
+  const buyer = { 'X-Device-Id': 'device-buyer' };
+  const { body: summary } = await server.get('/api/entitlements', buyer);
+  assert.equal(summary.purchaseUserId, 'device:device-buyer');
+
+  // Claiming someone else's RevenueCat id gets nothing
+  const stolen = await server.post('/api/purchases/verify', { appUserId: 'device:device-premium', receipt: 'stub:monthly' }, buyer);
+  assert.equal(stolen.status, 403);
+  assert.equal(stolen.body.error, 'purchase_user_mismatch');
+  assert.equal((await server.get('/api/entitlements', buyer)).body.premium, false);
+
+  const own = await server.post('/api/purchases/verify', { appUserId: 'device:device-buyer', receipt: 'stub:monthly' }, buyer);
+  assert.equal(own.status, 200);
+  assert.equal(own.body.premium, true);
+});
+
+test('RevenueCat is asked about the request\'s device and account', async () => {
+  const verified = [];
+  const store = createStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aclio-entitlements-')), 'db.json'));
+  const verifier = {
+    name: 'revenuecat',
+    verify: async ({ appUserId }) => {
+      verified.push(appUserId);
+      return { valid: appUserId === 'device:phone', productId: 'aclio_premium_yearly', expiresAt: null };
+    }
+  };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = { id: 'u1' }; next(); });
+  app.use(createEntitlements(store, { verifier }).router);
+  const listener = await new Promise(resolve => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${listener.address().port}/purchases/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Device-Id': 'phone' },
+      body: JSON.stringify({})
+    });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).premium, true);
+    // A purchase made before signing in is found under the device id
+    assert.deepEqual(verified, ['user:u1', 'device:phone']);
+  } finally {
+    await new Promise(resolve => listener.close(resolve));
+  }
+});
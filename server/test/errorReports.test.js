@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprint, toReport } = require('../errorReports');
+
+test('fingerprints ignore numbers, ids and line numbers but not the error itself', () => {
+  const report = (message, stack) => ({ type: 'error', message, stack });
+  const stack = (line) => `Error\n    at syncGoals (https://aclio.app/index.html?v=${line}:${line}:4)\n    at async runSync (https://aclio.app/index.html:${line + 80}:9)`;
+
+  assert.equal(
+    fingerprint(report('Sync failed after 3 attempts (request 9f8e7d6c5b)', stack(100))),
+    fingerprint(report('Sync failed after 5 attempts (request 0a1b2c3d4e)', stack(140)))
+  );
+  assert.notEqual(fingerprint(report('Sync failed', stack(100))), fingerprint(report('Sync timed out', stack(100))));
+  assert.notEqual(fingerprint(report('Sync failed', stack(100))), fingerprint({ ...report('Sync failed', stack(100)), type: 'warning' }));
+});
+
+test('scrubs personal details and drops context outside the allowlist', () => {
+  const report = toReport({
+    type: 'warning',
+    message: 'Sign-in failed for jo@example.com with Bearer abcdef1234567890',
+    stack: null,
+    context: { action: 'signIn', url: 'https://aclio.app/?import=x#top', userAgent: 'Mozilla/5.0', goalName: 'Pay off my debt', phone: '07700900123' }
+  });
+
+  assert.equal(report.message, 'Sign-in failed for <email> with Bearer <token>');
+  assert.deepEqual(report.context, { action: 'signIn', url: 'https://aclio.app/' });
+  assert.equal(report.stack, '');
+  assert.equal(toReport({ message: '   ' }), null);
+  assert.equal(toReport({ message: 'Oops', type: 'fatal' }).type, 'error');
+});
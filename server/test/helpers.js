@@ -0,0 +1,126 @@
+/**
+ * Achieve AI - Test Helpers
+ * Boots the Express app against a local stand-in for the Anthropic Messages API.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Fake Anthropic endpoint. Queue replies with reply(); anything unqueued answers "OK".
+// A reply is a string, { text, toolCalls: [{ name, input }] } for tool use, or { status, message } to fail the request.
+async function startAnthropicStub() {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ path: req.url, headers: req.headers, body });
+      const reply = queue.length > 0 ? queue.shift() : 'OK';
+
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: reply.message } }));
+      }
+
+      const text = typeof reply === 'string' ? reply : reply.text || '';
+      const toolUses = (reply.toolCalls || []).map((call, i) => ({ type: 'tool_use', id: `toolu_${i + 1}`, ...call }));
+
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const write = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        (text.match(/[\s\S]{1,8}/g) || []).forEach(chunk => {
+          write({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } });
+        });
+        // Tool input streams as JSON fragments
+        toolUses.forEach(({ input, ...block }, i) => {
+          write({ type: 'content_block_start', index: i + 1, content_block: { ...block, input: {} } });
+          (JSON.stringify(input).match(/[\s\S]{1,10}/g) || []).forEach(partial_json => {
+            write({ type: 'content_block_delta', index: i + 1, delta: { type: 'input_json_delta', partial_json } });
+          });
+          write({ type: 'content_block_stop', index: i + 1 });
+        });
+        write({ type: 'message_stop' });
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ content: [...(text ? [{ type: 'text', text }] : []), ...toolUses] }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    reply: (...replies) => queue.push(...replies),
+    reset: () => {
+      queue.length = 0;
+      requests.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Require server.js with a test environment and listen on a random port.
+// Must be called before anything else requires server.js - config is read at load time.
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'achieve-test-'));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    LLM_PROVIDER: 'anthropic',
+    RECEIPT_VERIFIER: 'stub',
+    RATE_LIMIT_IP_BURST: '10000',
+    RATE_LIMIT_CLIENT_BURST: '10000',
+    AI_BUDGET_PER_HOUR: '10000',
+    AI_BUDGET_PER_IP_PER_HOUR: '10000',
+    FREE_DEVICES_PER_IP: '10000'
+  }, env);
+
+  const { app } = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // POST JSON and resolve { status, body }; SSE responses come back as text
+  const post = async (route, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Device-Id': 'test-device', ...headers },
+      body: JSON.stringify(body)
+    });
+    const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+    return { status: response.status, body: isStream ? await response.text() : await response.json() };
+  };
+
+  const get = async (route, headers = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, { headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return {
+    baseUrl,
+    post,
+    get,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Turn an SSE body into [{ event, data }]
+const parseEvents = (text) => text.split('\n\n').filter(Boolean).map(frame => {
+  const event = frame.match(/^event: (.*)$/m)?.[1];
+  const data = frame.match(/^data: (.*)$/m)?.[1];
+  return { event, data: data && JSON.parse(data) };
+});
+
+module.exports = { startAnthropicStub, startServer, parseEvents };
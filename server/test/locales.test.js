@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLocale, languageName, languageRule } = require('../locales');
+
+test('tidies locale tags and falls back to English for unknown ones', () => {
+  assert.equal(resolveLocale('ES-mx'), 'es-MX');
+  assert.equal(resolveLocale(' fr '), 'fr');
+  assert.equal(resolveLocale('xx'), 'en');
+  assert.equal(resolveLocale('not a locale!'), 'en');
+  assert.equal(resolveLocale(undefined), 'en');
+
+  assert.equal(languageName('pt-BR'), 'Brazilian Portuguese');
+});
+
+test('only adds a language rule when the app is not in plain English', () => {
+  assert.equal(languageRule('en'), '');
+  assert.equal(languageRule(null), '');
+  assert.match(languageRule('de'), /^LANGUAGE: The user's app is in German \(de\)/);
+  assert.match(languageRule('en-GB'), /British English/);
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const STEP = { id: 1, title: 'Buy running shoes', description: 'Get fitted at a running store.' };
+
+let server;
+
+before(async () => {
+  // Empty rather than unset so a local .env can't fill it back in
+  server = await startServer({ ANTHROPIC_API_KEY: '' });
+});
+
+after(() => server.close());
+
+test('health reports the missing key', async () => {
+  const { body } = await server.get('/api/health');
+
+  assert.equal(body.apiKeyConfigured, false);
+  assert.equal(body.providers.configured.anthropic, false);
+});
+
+test('every AI route fails cleanly without an API key', async () => {
+  const premium = { 'X-Device-Id': 'premium-device' };
+  await server.post('/api/purchases/verify', { receipt: 'stub:monthly' }, premium);
+
+  const requests = [
+    ['/api/generate-steps', { goal: 'Run a 5K' }],
+    ['/api/generate-questions', { goal: 'Run a 5K' }],
+    ['/api/expand-step', { goalName: 'Run a 5K', step: STEP }],
+    ['/api/replan-goal', { goalName: 'Run a 5K', steps: [STEP], completedSteps: [], feedback: 'I\'m behind' }],
+    ['/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP }],
+    ['/api/talk-to-aclio', { goalName: 'Run a 5K', message: 'Hi' }]
+  ];
+
+  for (const [route, body] of requests) {
+    const response = await server.post(route, body, premium);
+    assert.equal(response.status, 500, route);
+    assert.equal(response.body.error, 'API key not configured on server', route);
+  }
+});
+
+test('moderation still runs before the key check', async () => {
+  const { status, body } = await server.post('/api/generate-steps', { goal: 'kill my boss' });
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'inappropriate');
+});
+
+test('the quota is refunded when the key is missing', async () => {
+  const device = { 'X-Device-Id': 'free-device' };
+  await server.post('/api/expand-step', { goalName: 'Run a 5K', step: STEP }, device);
+
+  const { body } = await server.get('/api/entitlements', device);
+  assert.equal(body.quotas.expand.used, 0);
+});
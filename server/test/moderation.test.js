@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSystemPrompt } = require('../server');
+const { createModeration, checkRules, crisisResources } = require('../moderation');
+
+const category = (text) => checkRules(text)?.category || null;
+
+test('blocks violence aimed at people', () => {
+  [
+    'kill my boss',
+    'How to murder someone without getting caught',
+    'poison my husband',
+    'assassinate the president'
+  ].forEach(goal => assert.equal(category(goal), 'violence', goal));
+});
+
+test('blocks weapons, self-harm and serious crimes', () => {
+  [
+    'build a bomb',
+    'make a gun at home',
+    'I want to kill myself',
+    'suicide',
+    'self-harm tips',
+    'end my life',
+    'how to rob a bank',
+    'planning to kidnap a kid',
+    'start a drug dealing business',
+    'join a terrorist group'
+  ].forEach(goal => assert.ok(category(goal), goal));
+
+  assert.equal(category('I want to kill myself'), 'self_harm');
+  assert.equal(category('build a bomb'), 'weapons');
+  assert.equal(category('how to rob a bank'), 'crime');
+});
+
+test('allows everyday goals that use violent words figuratively', () => {
+  [
+    'kill my procrastination',
+    'Kill time productively on my commute',
+    'kill the bad habits holding me back',
+    'how to kill weeds in the garden',
+    'poison the weeds without hurting my dog',
+    'make bath bombs to sell on Etsy',
+    'write a murder mystery novel',
+    'Run a marathon',
+    'Learn Spanish in 6 months'
+  ].forEach(goal => assert.equal(category(goal), null, goal));
+
+  // Common idioms don't even need the classifier
+  [
+    'Kill it at my presentation on Friday',
+    'I\'m dying to try surfing',
+    'Shoot a video for my channel every week'
+  ].forEach(goal => assert.equal(checkRules(goal), null, goal));
+});
+
+test('leaves risky wording the rules can\'t settle to the classifier', () => {
+  ['I just want to disappear', 'stop feeling like a burden', 'get revenge on my ex', 'Everyone would be better off without me'].forEach(text => {
+    assert.deepEqual(checkRules(text), { category: null, uncertain: true }, text);
+  });
+});
+
+test('picks crisis lines for the user\'s country', () => {
+  const uk = crisisResources('United Kingdom');
+  assert.equal(uk.emergency, '999');
+  assert.equal(uk.resources[0].phone, '116 123');
+  assert.equal(crisisResources('US').resources[0].phone, '988');
+  assert.equal(crisisResources('deutschland').emergency, '112');
+
+  // Anywhere else gets the worldwide directory
+  const unknown = crisisResources('Atlantis');
+  assert.equal(unknown.emergency, null);
+  assert.deepEqual(unknown.resources.map(r => r.name), ['Find a Helpline']);
+  assert.equal(crisisResources(undefined).resources.length, 1);
+});
+
+test('the classifier decides uncertain text and never blocks when it fails', async () => {
+  const replies = [];
+  let calls = 0;
+  const llm = {
+    isConfigured: () => true,
+    chat: async () => {
+      calls += 1;
+      const next = replies.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+  const moderation = createModeration(llm);
+
+  replies.push('{"category": "self_harm"}');
+  const { textHash, ...decision } = await moderation.assess({ message: 'I don\'t want to wake up anymore, I\'m a burden' });
+  assert.deepEqual(decision, { action: 'support', category: 'self_harm', tier: 'classifier', field: 'message' });
+  assert.match(textHash, /^[0-9a-f]{16}$/);
+
+  replies.push('{"category": "none"}');
+  assert.equal((await moderation.assess({ goal: 'Learn to cook dry-aged steak without it going dead tasteless' })).action, 'allow');
+
+  replies.push(new Error('overloaded'));
+  const failed = await moderation.assess({ message: 'hopeless about this exam' });
+  assert.equal(failed.action, 'allow');
+  assert.equal(failed.error, 'overloaded');
+
+  // Clear-cut text never needs the model
+  assert.equal((await moderation.assess({ goal: 'Run a 5K', step: { title: 'Buy shoes' } })).action, 'allow');
+  assert.equal((await moderation.assess({ step: { title: 'kill my neighbour' } })).field, 'step.title');
+  assert.equal(calls, 3);
+});
+
+test('text the classifier cleared isn\'t sent to it again', async () => {
+  const sent = [];
+  const llm = {
+    isConfigured: () => true,
+    chat: async (route, { messages }) => {
+      sent.push(messages[0].content);
+      return sent.length === 3 ? '{"category": "self_harm"}' : '{"category": "none"}';
+    }
+  };
+  const moderation = createModeration(llm);
+  const firstTurn = 'I hurt my knee on a long run';
+
+  assert.equal((await moderation.assess({ message: firstTurn })).action, 'allow');
+  // Next turn: the history comes along, but only the new message is asked about
+  const decision = await moderation.assess({ message: 'Should I take pills for it?', chatHistory: [firstTurn] });
+  assert.equal(decision.action, 'allow');
+  assert.deepEqual(sent, [firstTurn, 'Should I take pills for it?']);
+
+  // A flagged batch isn't remembered as clean
+  assert.equal((await moderation.assess({ message: 'I feel hopeless', chatHistory: [firstTurn] })).action, 'support');
+  assert.equal((await moderation.assess({ message: 'I feel hopeless' })).tier, 'classifier');
+  assert.equal(sent.length, 4);
+});
+
+test('buildSystemPrompt wraps the task in the Aclio persona', () => {
+  const prompt = buildSystemPrompt('TASK: Do the thing.', 'EXTRA RULE');
+
+  assert.match(prompt, /^You are Aclio, a Personal Goal Coach\./);
+  assert.match(prompt, /CORE PRINCIPLES:\n- ACHIEVABLE: /);
+  assert.match(prompt, /NEVER DO THESE:\n- Never tell users/);
+  assert.match(prompt, /TONE: Be encouraging but not cheesy/);
+  assert.ok(prompt.endsWith('TASK: Do the thing.\nEXTRA RULE'));
+});
@@ -0,0 +1,257 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLLM } = require('../providers');
+
+const ANTHROPIC = 'http://anthropic.test';
+const OPENAI = 'http://openai.test/v1';
+const MODELS = { sonnet: 'claude-sonnet', opus: 'claude-opus' };
+
+const ENV = {
+  ANTHROPIC_API_KEY: 'anthropic-key',
+  ANTHROPIC_BASE_URL: ANTHROPIC,
+  OPENAI_BASE_URL: OPENAI,
+  OPENAI_API_KEY: 'openai-key',
+  OPENAI_MODEL: 'local-small',
+  OPENAI_MODEL_HEAVY: 'local-large',
+  LLM_PROVIDER: 'anthropic,openai',
+  LLM_TIMEOUT_MS: '50'
+};
+
+const OPTIONS = { system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }], tier: 'sonnet', maxTokens: 100, temperature: 0.5 };
+
+// Stand-in for fetch: handlers[host] answers each request, and every request is recorded
+let handlers;
+let requests;
+const realFetch = global.fetch;
+
+beforeEach(() => {
+  handlers = {};
+  requests = [];
+  global.fetch = async (url, init) => {
+    const { host } = new URL(url);
+    requests.push({ host, url, headers: init.headers, body: JSON.parse(init.body) });
+    return handlers[host](init);
+  };
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// An SSE response whose frames are sent as given; `fail` drops the connection once they've been read
+const sse = (frames, { fail = false } = {}) => new Response(new ReadableStream({
+  async start(controller) {
+    frames.forEach(frame => controller.enqueue(new TextEncoder().encode(`data: ${typeof frame === 'string' ? frame : JSON.stringify(frame)}\n\n`)));
+    if (!fail) return controller.close();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.error(new Error('connection reset'));
+  }
+}), { headers: { 'Content-Type': 'text/event-stream' } });
+
+// Never answers, but gives up like fetch does when the signal aborts
+const hang = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason));
+});
+
+const anthropicText = (text) => json({ content: [{ type: 'text', text }] });
+const textDelta = (text) => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } });
+const openaiDelta = (delta) => ({ choices: [{ delta }] });
+
+const quietly = async (run) => {
+  const realError = console.error;
+  console.error = () => {};
+  try {
+    return await run();
+  } finally {
+    console.error = realError;
+  }
+};
+
+describe('fallback', () => {
+  test('moves on to the next provider when one errors', async () => {
+    handlers['anthropic.test'] = () => json({ error: { message: 'Overloaded' } }, 529);
+    handlers['openai.test'] = () => json({ choices: [{ message: { content: 'From OpenAI' } }] });
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    assert.equal(await quietly(() => llm.chat('generate-steps', OPTIONS)), 'From OpenAI');
+    assert.deepEqual(requests.map(request => request.host), ['anthropic.test', 'openai.test']);
+  });
+
+  test('throws the last error when every provider fails', async () => {
+    handlers['anthropic.test'] = () => json({ error: { message: 'Overloaded' } }, 529);
+    handlers['openai.test'] = () => json({}, 500);
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    await assert.rejects(quietly(() => llm.chat('generate-steps', OPTIONS)), /OpenAI-compatible API Error \(500\)/);
+  });
+
+  test('follows per-route chains and skips providers that aren\'t configured', async () => {
+    handlers['anthropic.test'] = () => anthropicText('From Anthropic');
+    handlers['openai.test'] = () => json({ choices: [{ message: { content: 'From OpenAI' } }] });
+    const llm = createLLM({ ...ENV, LLM_PROVIDER_TALK_TO_ACLIO: 'openai,anthropic' }, { anthropicModels: MODELS });
+
+    assert.equal(await llm.chat('talk-to-aclio', OPTIONS), 'From OpenAI');
+    assert.equal(await llm.chat('generate-steps', OPTIONS), 'From Anthropic');
+
+    const anthropicOnly = createLLM({ ...ENV, OPENAI_BASE_URL: '', LLM_PROVIDER: 'openai' }, { anthropicModels: MODELS });
+    assert.equal(anthropicOnly.isConfigured('generate-steps'), false);
+    await assert.rejects(anthropicOnly.chat('generate-steps', OPTIONS), /No AI provider configured for generate-steps/);
+  });
+
+  test('gives each attempt its own timeout', async () => {
+    handlers['anthropic.test'] = hang;
+    handlers['openai.test'] = () => json({ choices: [{ message: { content: 'From OpenAI' } }] });
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    const errors = [];
+    const realError = console.error;
+    console.error = (...args) => errors.push(args.join(' '));
+    try {
+      assert.equal(await llm.chat('generate-steps', OPTIONS), 'From OpenAI');
+    } finally {
+      console.error = realError;
+    }
+    assert.match(errors[0], /"anthropic" failed for generate-steps: Timed out after 50ms/);
+  });
+
+  test('stops without falling back when the caller aborts', async () => {
+    handlers['anthropic.test'] = hang;
+    const llm = createLLM({ ...ENV, LLM_TIMEOUT_MS: '10000' }, { anthropicModels: MODELS });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(llm.chat('generate-steps', { ...OPTIONS, signal: controller.signal }));
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('streaming', () => {
+  test('falls back when a provider fails before its first token', async () => {
+    handlers['anthropic.test'] = () => json({ error: { message: 'Overloaded' } }, 529);
+    handlers['openai.test'] = () => sse([openaiDelta({ content: 'Hel' }), openaiDelta({ content: 'lo' }), '[DONE]']);
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    const chunks = [];
+    assert.equal(await quietly(() => llm.stream('talk-to-aclio', OPTIONS, chunk => chunks.push(chunk))), 'Hello');
+    assert.deepEqual(chunks, ['Hel', 'lo']);
+  });
+
+  test('doesn\'t fall back once the first token was sent', async () => {
+    handlers['anthropic.test'] = () => sse([textDelta('Half a rep')], { fail: true });
+    handlers['openai.test'] = () => sse([openaiDelta({ content: 'Another reply' }), '[DONE]']);
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    const chunks = [];
+    await assert.rejects(llm.stream('talk-to-aclio', OPTIONS, chunk => chunks.push(chunk)), /connection reset/);
+    assert.deepEqual(chunks, ['Half a rep']);
+    assert.equal(requests.length, 1);
+  });
+
+  test('the first token stops the timeout clock for the rest of the reply', async () => {
+    // Tokens keep coming for longer than the timeout allows a silent provider
+    handlers['anthropic.test'] = ({ signal }) => new Response(new ReadableStream({
+      async start(controller) {
+        signal.addEventListener('abort', () => controller.error(signal.reason));
+        const send = (event) => controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+        send(textDelta('Slow '));
+        await new Promise(resolve => setTimeout(resolve, 100));
+        send(textDelta('but steady'));
+        controller.close();
+      }
+    }));
+    const llm = createLLM(ENV, { anthropicModels: MODELS });
+
+    assert.equal(await llm.stream('talk-to-aclio', OPTIONS, () => {}), 'Slow but steady');
+  });
+
+  test('drops a stream that goes quiet after its first token', async () => {
+    let aborted = false;
+    handlers['anthropic.test'] = ({ signal }) => new Response(new ReadableStream({
+      start(controller) {
+        signal.addEventListener('abort', () => {
+          aborted = true;
+          controller.error(signal.reason);
+        });
+        controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(textDelta('Half a '))}\n\n`));
+      }
+    }));
+    const llm = createLLM({ ...ENV, LLM_TIMEOUT_MS: '10000', LLM_IDLE_TIMEOUT_MS: '50' }, { anthropicModels: MODELS });
+
+    await assert.rejects(llm.stream('talk-to-aclio', OPTIONS, () => {}), /Stalled: nothing received for 50ms/);
+    assert.equal(aborted, true);
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  const TOOLS = [{ name: 'set_due_date', description: 'Set the due date', input_schema: { type: 'object', properties: { dueDate: { type: 'string' } } } }];
+
+  test('sends the system prompt as a message and tools as functions', async () => {
+    handlers['openai.test'] = () => json({ choices: [{ message: { content: null, tool_calls: [
+      { id: 'call_1', function: { name: 'set_due_date', arguments: '{"dueDate":"2026-11-01"}' } },
+      { id: 'call_2', function: { name: 'set_due_date', arguments: '{not json' } }
+    ] } }] });
+    const llm = createLLM({ ...ENV, LLM_PROVIDER: 'openai' }, { anthropicModels: MODELS });
+
+    const reply = await quietly(() => llm.chat('talk-to-aclio', { ...OPTIONS, tier: 'opus', tools: TOOLS }));
+
+    assert.deepEqual(reply, { text: '', toolCalls: [{ id: 'call_1', name: 'set_due_date', input: { dueDate: '2026-11-01' } }] });
+    const [{ url, headers, body }] = requests;
+    assert.equal(url, 'http://openai.test/v1/chat/completions');
+    assert.equal(headers.Authorization, 'Bearer openai-key');
+    assert.equal(body.model, 'local-large');
+    assert.deepEqual(body.messages, [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+    assert.deepEqual(body.tools, [{ type: 'function', function: { name: 'set_due_date', description: 'Set the due date', parameters: TOOLS[0].input_schema } }]);
+  });
+
+  test('puts streamed text and tool call fragments back together', async () => {
+    handlers['openai.test'] = () => sse([
+      openaiDelta({ content: 'Moving it. ' }),
+      openaiDelta({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'set_', arguments: '{"due' } }] }),
+      openaiDelta({ tool_calls: [{ index: 0, function: { name: 'due_date', arguments: 'Date":"2026-11-01"}' } }] }),
+      '[DONE]'
+    ]);
+    const llm = createLLM({ ...ENV, LLM_PROVIDER: 'openai' }, { anthropicModels: MODELS });
+
+    const chunks = [];
+    const reply = await llm.stream('talk-to-aclio', { ...OPTIONS, tools: TOOLS }, chunk => chunks.push(chunk));
+
+    assert.deepEqual(reply, { text: 'Moving it. ', toolCalls: [{ id: 'call_1', name: 'set_due_date', input: { dueDate: '2026-11-01' } }] });
+    assert.deepEqual(chunks, ['Moving it. ']);
+    assert.equal(requests[0].body.stream, true);
+    assert.equal(requests[0].body.model, 'local-small');
+  });
+});
+
+describe('mock provider', () => {
+  const llm = createLLM({ LLM_PROVIDER: 'mock' }, { anthropicModels: MODELS });
+
+  test('answers JSON routes in the shape they expect', async () => {
+    const plan = JSON.parse(await llm.chat('generate-steps', { ...OPTIONS, messages: [{ role: 'user', content: 'Goal: "Run a 5K"' }] }));
+    assert.equal(plan.steps.length, 5);
+    assert.match(plan.steps[0].title, /Run a 5K/);
+
+    const habit = JSON.parse(await llm.chat('generate-steps', { ...OPTIONS, messages: [{ role: 'user', content: 'Goal: "Stretch 3x a week"' }] }));
+    assert.equal(habit.type, 'habit');
+    assert.equal(habit.habit.timesPerPeriod, 3);
+
+    assert.equal(JSON.parse(await llm.chat('generate-questions', OPTIONS)).length, 3);
+    assert.deepEqual(JSON.parse(await llm.chat('moderate', { ...OPTIONS, messages: [{ role: 'user', content: 'I don\'t want to wake up' }] })), { category: 'self_harm' });
+  });
+
+  test('streams chat replies and proposes actions when asked', async () => {
+    const chunks = [];
+    const reply = await llm.stream('talk-to-aclio', {
+      ...OPTIONS,
+      tools: [],
+      messages: [{ role: 'user', content: 'Can you add more steps?' }]
+    }, chunk => chunks.push(chunk));
+
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), reply.text);
+    assert.equal(reply.toolCalls[0].name, 'add_steps');
+    assert.equal(requests.length, 0);
+  });
+});
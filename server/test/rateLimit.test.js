@@ -0,0 +1,164 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startAnthropicStub, startServer } = require('./helpers');
+const { createTokenBucket } = require('../rateLimit');
+
+const QUESTIONS = JSON.stringify([{ id: 1, question: 'How fit are you now?', placeholder: 'e.g., I walk daily' }]);
+
+let anthropic;
+let server;
+
+before(async () => {
+  anthropic = await startAnthropicStub();
+  // Refill slowly enough that nothing comes back during a test
+  server = await startServer({
+    ANTHROPIC_API_KEY: 'test-key',
+    ANTHROPIC_BASE_URL: anthropic.url,
+    AI_CACHE_TTL_HOURS: '0',
+    RATE_LIMIT_IP_BURST: '20',
+    RATE_LIMIT_IP_PER_MINUTE: '0.01',
+    RATE_LIMIT_CLIENT_BURST: '8',
+    RATE_LIMIT_CLIENT_PER_MINUTE: '0.01',
+    AI_BUDGET_PER_HOUR: '4',
+    AI_BUDGET_PER_IP_PER_HOUR: '8',
+    AI_COST_SONNET: '1',
+    ALLOWED_ORIGINS: 'https://aclio.app',
+    // Not a number, so the default of one proxy hop applies and X-Forwarded-For still sets req.ip
+    TRUST_PROXY: 'yes'
+  });
+});
+
+after(async () => {
+  await server.close();
+  await anthropic.close();
+});
+
+// The server trusts one proxy hop, so each test can act as its own network
+const from = (ip, deviceId, extra = {}) => ({ 'X-Forwarded-For': ip, 'X-Device-Id': deviceId, ...extra });
+
+test('token buckets refill over time and say how long to wait', () => {
+  const realNow = Date.now;
+  let now = 1_000_000;
+  Date.now = () => now;
+  try {
+    const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 0.5 });
+    assert.equal(bucket.take('a').allowed, true);
+    assert.equal(bucket.take('a').allowed, true);
+    assert.deepEqual(bucket.take('a'), { allowed: false, retryAfter: 2 });
+    assert.equal(bucket.take('b').allowed, true);
+
+    now += 2000;
+    assert.equal(bucket.take('a').allowed, true);
+    assert.equal(bucket.take('a').allowed, false);
+
+    // A cost bigger than the bucket waits for a full refill rather than forever
+    now += 10000;
+    assert.deepEqual(bucket.take('a', 5), { allowed: false, retryAfter: 0 });
+    assert.equal(bucket.take('a', 2).allowed, true);
+    bucket.refund('a', 1);
+    assert.equal(bucket.take('a').allowed, true);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+describe('request limits', () => {
+  test('slow down one client with a 429 and Retry-After', async () => {
+    for (let i = 0; i < 8; i++) {
+      assert.equal((await server.get('/api/entitlements', from('10.0.0.1', 'busy-device'))).status, 200);
+    }
+
+    const response = await fetch(`${server.baseUrl}/api/entitlements`, { headers: from('10.0.0.1', 'busy-device') });
+    const body = await response.json();
+    assert.equal(response.status, 429);
+    assert.equal(body.error, 'rate_limited');
+    assert.ok(body.retryAfter > 0);
+    assert.equal(response.headers.get('retry-after'), String(body.retryAfter));
+
+    // Another device on the same network still gets through
+    assert.equal((await server.get('/api/entitlements', from('10.0.0.1', 'quiet-device'))).status, 200);
+  });
+
+  test('slow down a network that keeps switching device ids', async () => {
+    for (let i = 0; i < 20; i++) {
+      assert.equal((await server.get('/api/entitlements', from('10.0.0.2', `device-${i}`))).status, 200);
+    }
+
+    const { status, body } = await server.get('/api/entitlements', from('10.0.0.2', 'device-new'));
+    assert.equal(status, 429);
+    assert.match(body.message, /network/);
+  });
+});
+
+describe('AI cost budget', () => {
+  const ask = (headers, goal = 'Run a 5K') => server.post('/api/generate-questions', { goal }, headers);
+
+  test('stops a client once its hourly budget is spent', async () => {
+    for (let i = 0; i < 4; i++) {
+      anthropic.reply(QUESTIONS);
+      assert.equal((await ask(from('10.0.1.1', 'spender'))).status, 200);
+    }
+
+    const { status, body } = await ask(from('10.0.1.1', 'spender'));
+    assert.equal(status, 429);
+    assert.equal(body.error, 'rate_limited');
+    anthropic.reply(QUESTIONS);
+    assert.equal((await ask(from('10.0.1.1', 'someone-else'))).status, 200);
+  });
+
+  test('also caps the network, so new device ids don\'t get a new budget', async () => {
+    anthropic.reset();
+    for (let i = 0; i < 8; i++) {
+      anthropic.reply(QUESTIONS);
+      assert.equal((await ask(from('10.0.1.2', `rotating-${i}`))).status, 200);
+    }
+
+    const { status } = await ask(from('10.0.1.2', 'rotating-new'));
+    assert.equal(status, 429);
+    assert.equal(anthropic.requests.length, 8);
+
+    // The refused request wasn't charged to the client
+    anthropic.reply(QUESTIONS);
+    assert.equal((await ask(from('10.0.1.3', 'rotating-new'))).status, 200);
+  });
+
+  test('gives the budget back when a request is turned away or the reply can\'t be used', async () => {
+    const headers = from('10.0.1.5', 'unlucky');
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await ask(headers, 'How to build a bomb')).body.error, 'inappropriate');
+    }
+    anthropic.reply('{"oops": true}', '{"oops": true}');
+    assert.equal((await ask(headers)).body.error, 'parse_error');
+
+    for (let i = 0; i < 4; i++) {
+      anthropic.reply(QUESTIONS);
+      assert.equal((await ask(headers)).status, 200);
+    }
+    assert.equal((await ask(headers)).status, 429);
+  });
+
+  test('sharing is on the AI budget too, since screening can call the model', async () => {
+    const share = () => server.post('/api/shares', { goal: { name: 'Run a 5K', steps: [{ id: 1, title: 'Buy shoes' }] } }, from('10.0.1.4', 'sharer'));
+    for (let i = 0; i < 4; i++) {
+      assert.notEqual((await share()).status, 429);
+    }
+    assert.equal((await share()).status, 429);
+    assert.equal((await server.post('/api/share-card', { goal: { name: 'Run a 5K' } }, from('10.0.1.4', 'sharer'))).status, 429);
+  });
+});
+
+describe('origins', () => {
+  test('rejects browsers on other sites before doing any work', async () => {
+    const { status, body } = await server.get('/api/entitlements', from('10.0.2.1', 'web', { Origin: 'https://evil.example' }));
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'origin_not_allowed');
+  });
+
+  test('allows the apps, configured origins, local dev and requests without an origin', async () => {
+    for (const origin of ['capacitor://localhost', 'https://aclio.app', 'http://localhost:5173', null]) {
+      const headers = from('10.0.2.2', `origin-${origin}`, origin ? { Origin: origin } : {});
+      assert.equal((await server.get('/api/entitlements', headers)).status, 200, origin);
+    }
+  });
+});
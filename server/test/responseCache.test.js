@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseCache, normalize } = require('../responseCache');
+
+test('treats case, spacing and trailing punctuation as the same request', () => {
+  assert.equal(normalize('  Run a   5K!! '), 'run a 5k');
+  assert.equal(normalize(undefined), '');
+
+  const cache = createResponseCache();
+  cache.set('prompt', ['Run a 5K', 'Buy shoes.'], { guide: 'yes' });
+  assert.deepEqual(cache.get('prompt', ['run a 5k', '  buy SHOES']), { guide: 'yes' });
+  assert.equal(cache.get('prompt', ['Run a 10K', 'Buy shoes']), undefined);
+
+  // A changed prompt is a new version with its own entries
+  assert.equal(cache.get('prompt v2', ['Run a 5K', 'Buy shoes']), undefined);
+  assert.deepEqual(cache.stats(), { hits: 1, misses: 2, evictions: 0, hitRate: 0.333, size: 1, maxEntries: 1000, ttlHours: 168 });
+});
+
+test('expires entries and evicts the least recently used', () => {
+  let clock = 0;
+  const cache = createResponseCache({ ttlMs: 1000, maxEntries: 2, now: () => clock });
+
+  cache.set('p', ['a'], 1);
+  cache.set('p', ['b'], 2);
+  cache.get('p', ['a']);
+  cache.set('p', ['c'], 3);
+  assert.equal(cache.get('p', ['b']), undefined);
+  assert.equal(cache.get('p', ['a']), 1);
+  assert.equal(cache.stats().evictions, 1);
+
+  clock = 1000;
+  assert.equal(cache.get('p', ['c']), undefined);
+  assert.equal(cache.stats().size, 1);
+});
+
+test('stores nothing when the TTL is zero', () => {
+  const cache = createResponseCache({ ttlMs: 0 });
+  cache.set('p', ['a'], 1);
+  assert.equal(cache.get('p', ['a']), undefined);
+  assert.equal(cache.stats().size, 0);
+});
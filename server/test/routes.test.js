@@ -0,0 +1,1003 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startAnthropicStub, startServer, parseEvents } = require('./helpers');
+const { CATEGORIES } = require('../templates');
+
+const PLAN = {
+  category: 'Health & Fitness',
+  steps: [
+    { id: 1, title: 'Buy running shoes', description: 'Get fitted at a running store.', duration: '1 hour' },
+    { id: 2, title: 'Run 3km three times a week', description: 'Use Couch to 5K.', duration: '30 minutes' }
+  ]
+};
+const QUESTIONS = [
+  { id: 1, question: 'How fit are you now?', placeholder: 'e.g., I walk daily' },
+  { id: 2, question: 'When is your race?', placeholder: 'e.g., October' }
+];
+const EXPANSION = {
+  detailedGuide: 'Go to a specialist store and ask for a gait analysis.',
+  resources: [{ name: 'Runner\'s World shoe finder', type: 'website', url: 'https://www.runnersworld.com', cost: 'Free' }],
+  tips: ['Buy half a size up'],
+  searchQuery: 'running shoe gait analysis near me'
+};
+const STEP = { id: 1, title: 'Buy running shoes', description: 'Get fitted at a running store.' };
+
+let anthropic;
+let server;
+
+before(async () => {
+  anthropic = await startAnthropicStub();
+  server = await startServer({ ANTHROPIC_API_KEY: 'test-key', ANTHROPIC_BASE_URL: anthropic.url, ERROR_REPORTS_KEY: 'admin-key' });
+});
+
+after(async () => {
+  await server.close();
+  await anthropic.close();
+});
+
+beforeEach(() => anthropic.reset());
+
+// Each test gets its own device so free-tier quotas don't leak between tests
+let deviceCount = 0;
+const freshDevice = () => ({ 'X-Device-Id': `device-${++deviceCount}` });
+
+test('GET /api/health reports the configured provider', async () => {
+  const { status, body } = await server.get('/api/health');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.apiKeyConfigured, true);
+  assert.deepEqual(body.providers.default, ['anthropic']);
+});
+
+describe('POST /api/generate-steps', () => {
+  test('returns the plan from a clean JSON reply', async () => {
+    anthropic.reply(JSON.stringify(PLAN));
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, PLAN);
+    assert.equal(anthropic.requests.length, 1);
+
+    const { path: requestPath, headers, body: sent } = anthropic.requests[0];
+    assert.equal(requestPath, '/v1/messages');
+    assert.equal(headers['x-api-key'], 'test-key');
+    assert.match(sent.model, /sonnet/);
+    assert.match(sent.system, /^You are Aclio/);
+    assert.match(sent.messages[0].content, /Goal: "Run a 5K"/);
+  });
+
+  test('returns a habit for ongoing goals, kept to what the app can track', async () => {
+    anthropic.reply(JSON.stringify({
+      ...PLAN,
+      type: 'habit',
+      habit: {
+        period: 'week',
+        timesPerPeriod: 12,
+        target: ' 30 minute run ',
+        rampUp: [
+          { week: 3, target: '30 minutes' },
+          { week: 1, timesPerPeriod: 2, target: '15 minutes' },
+          { week: 1, timesPerPeriod: 5, target: 'duplicate' }
+        ]
+      }
+    }));
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run 3x a week' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      ...PLAN,
+      type: 'habit',
+      habit: {
+        period: 'week',
+        timesPerPeriod: 7,
+        target: '30 minute run',
+        rampUp: [{ week: 1, timesPerPeriod: 2, target: '15 minutes' }, { week: 3, timesPerPeriod: 7, target: '30 minutes' }]
+      }
+    });
+    assert.match(anthropic.requests[0].body.system, /Decide: a goal you finish/);
+  });
+
+  test('follows the goal type the user picked', async () => {
+    const habit = { period: 'day', timesPerPeriod: 1, target: '10 minutes' };
+    anthropic.reply(JSON.stringify({ ...PLAN, type: 'habit', habit }), JSON.stringify({ ...PLAN, type: 'plan' }));
+
+    const asPlan = await server.post('/api/generate-steps', { goal: 'Meditate daily', goalType: 'plan' });
+    assert.deepEqual(asPlan.body, PLAN);
+    assert.match(anthropic.requests[0].body.system, /wants a one-off plan/);
+
+    // A habit without a usable recurrence falls back to a plain plan
+    const asHabit = await server.post('/api/generate-steps', { goal: 'Meditate daily', goalType: 'habit' });
+    assert.deepEqual(asHabit.body, PLAN);
+    assert.match(anthropic.requests[1].body.system, /always answer with "type": "habit"/);
+  });
+
+  test('returns phases, sub-tasks and dependencies the app can rely on', async () => {
+    const step = (id, extra) => ({ id, title: `Step ${id}`, description: 'Do it.', duration: '1 hour', ...extra });
+    anthropic.reply(JSON.stringify({
+      category: 'Career',
+      phases: [
+        { id: 1, title: ' Prepare ', milestone: 'CV ready' },
+        { id: 2, title: 'Apply' },
+        { id: 3, title: 'Never used' }
+      ],
+      steps: [
+        step(1, { phase: 1, subtasks: [' List projects ', 'List projects', '', 'Ask for references'] }),
+        step(3, { phase: 2, blockedBy: [1, 2, 3, 99] }),
+        step(4, { phase: 7, blockedBy: [3] }),
+        step(2, { phase: 1, blockedBy: ['1'] })
+      ]
+    }));
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Get a new job' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.phases, [{ id: 1, title: 'Prepare', milestone: 'CV ready' }, { id: 2, title: 'Apply' }]);
+    // Listed phase by phase; unknown phases follow the step before; only earlier steps can block
+    assert.deepEqual(body.steps.map(s => [s.id, s.phase, s.blockedBy]), [[1, 1, undefined], [2, 1, [1]], [3, 2, [1, 2]], [4, 2, [3]]]);
+    assert.deepEqual(body.steps[0].subtasks, [{ id: 1, title: 'List projects' }, { id: 2, title: 'Ask for references' }]);
+    assert.equal('subtasks' in body.steps[1], false);
+    assert.match(anthropic.requests[0].body.system, /PLAN STRUCTURE/);
+  });
+
+  test('drops phases when everything lands in one', async () => {
+    anthropic.reply(JSON.stringify({ ...PLAN, phases: [{ id: 1, title: 'Only phase' }], steps: PLAN.steps.map(s => ({ ...s, phase: 1 })) }));
+
+    const { body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.deepEqual(body, PLAN);
+  });
+
+  test('accepts JSON wrapped in a markdown fence with a preamble', async () => {
+    anthropic.reply(`Here's your plan!\n\n\`\`\`json\n${JSON.stringify(PLAN, null, 2)}\n\`\`\``);
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, PLAN);
+  });
+
+  test('retries once when the JSON is malformed', async () => {
+    anthropic.reply('{"category": "Health", "steps": [{"id": 1,', JSON.stringify(PLAN));
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, PLAN);
+    assert.equal(anthropic.requests.length, 2);
+
+    const retry = anthropic.requests[1].body.messages;
+    assert.equal(retry.length, 3);
+    assert.equal(retry[1].role, 'assistant');
+    assert.match(retry[2].content, /couldn't be used: reply did not contain valid JSON/);
+  });
+
+  test('gives up with parse_error and logs the output when both attempts are malformed', async () => {
+    anthropic.reply('{"steps": [', '{"steps": [{');
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'parse_error');
+    assert.equal(anthropic.requests.length, 2);
+
+    const log = fs.readFileSync(path.join(process.env.DATA_DIR, 'malformed-ai.jsonl'), 'utf8');
+    const entries = log.trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(entries.some(entry => entry.route === 'generate-steps' && entry.output === '{"steps": [{'));
+  });
+
+  test('treats replies missing required fields as malformed', async () => {
+    const incomplete = { category: 'Health', steps: [{ id: 1, title: 'Buy shoes' }] };
+    anthropic.reply(JSON.stringify(incomplete), JSON.stringify(incomplete));
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'parse_error');
+    assert.match(anthropic.requests[1].body.messages[2].content, /response\.steps\[0\]\.description is missing/);
+  });
+
+  test('reports ai_refused when the model declines in prose', async () => {
+    anthropic.reply('I\'m sorry, but I can\'t help with that.');
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Something odd' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'ai_refused');
+    assert.match(body.message, /couldn't generate a plan/);
+    // No corrective retry after a refusal
+    assert.equal(anthropic.requests.length, 1);
+  });
+
+  test('blocks dangerous goals without calling the model', async () => {
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'how to build a bomb' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'inappropriate');
+    assert.equal(anthropic.requests.length, 0);
+  });
+
+  test('lets figurative goals through to the model', async () => {
+    anthropic.reply(JSON.stringify(PLAN));
+
+    const { status } = await server.post('/api/generate-steps', { goal: 'kill my procrastination' });
+
+    assert.equal(status, 200);
+    assert.equal(anthropic.requests.length, 1);
+  });
+
+  test('requires a goal', async () => {
+    const { status, body } = await server.post('/api/generate-steps', {});
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Goal is required');
+  });
+
+  test('surfaces upstream API errors as 500s', async () => {
+    anthropic.reply({ status: 529, message: 'Overloaded' });
+
+    const { status, body } = await server.post('/api/generate-steps', { goal: 'Run a 5K' });
+
+    assert.equal(status, 500);
+    assert.equal(body.error, 'Overloaded');
+  });
+});
+
+describe('POST /api/generate-questions', () => {
+  test('wraps the questions array', async () => {
+    anthropic.reply(JSON.stringify(QUESTIONS));
+
+    const { status, body } = await server.post('/api/generate-questions', { goal: 'Run a 5K' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { questions: QUESTIONS });
+  });
+
+  test('finds the array inside a chatty reply', async () => {
+    anthropic.reply(`Great goal! Here are my questions:\n${JSON.stringify(QUESTIONS)}\nGood luck!`);
+
+    const { status, body } = await server.post('/api/generate-questions', { goal: 'Learn Spanish' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.questions, QUESTIONS);
+  });
+
+  test('rejects an empty list', async () => {
+    anthropic.reply('[]', '[]');
+
+    const { status, body } = await server.post('/api/generate-questions', { goal: 'Write a novel' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'parse_error');
+  });
+
+  test('blocks dangerous goals', async () => {
+    const { status, body } = await server.post('/api/generate-questions', { goal: 'poison my neighbour' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'inappropriate');
+    assert.equal(anthropic.requests.length, 0);
+  });
+});
+
+describe('POST /api/expand-step', () => {
+  test('returns the expansion', async () => {
+    anthropic.reply(JSON.stringify(EXPANSION));
+
+    const { status, body } = await server.post('/api/expand-step', { goalName: 'Run a 5K', step: STEP }, freshDevice());
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, EXPANSION);
+    assert.match(anthropic.requests[0].body.messages[0].content, /Step: "Buy running shoes"/);
+  });
+
+  test('requires a step', async () => {
+    const { status, body } = await server.post('/api/expand-step', { goalName: 'Run a 5K' }, freshDevice());
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Step is required');
+  });
+
+  test('does not charge the free quota for failed expansions', async () => {
+    const device = freshDevice();
+    anthropic.reply('not json', 'still not json');
+    await server.post('/api/expand-step', { goalName: 'Run a 10K', step: STEP }, device);
+
+    const { body } = await server.get('/api/entitlements', device);
+    assert.equal(body.quotas.expand.used, 0);
+  });
+});
+
+describe('response cache', () => {
+  const step = { id: 7, title: 'Find a conversation partner', description: 'Try a language exchange app.' };
+
+  test('answers the same step for everyone from one model call', async () => {
+    anthropic.reply(JSON.stringify(EXPANSION));
+
+    const first = await fetch(`${server.baseUrl}/api/expand-step`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...freshDevice() },
+      body: JSON.stringify({ goalName: 'Learn Italian', step })
+    });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const again = await fetch(`${server.baseUrl}/api/expand-step`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...freshDevice() },
+      body: JSON.stringify({ goalName: '  learn italian!', step: { ...step, title: 'find a CONVERSATION partner' } })
+    });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(await again.json(), EXPANSION);
+    assert.equal(anthropic.requests.length, 1);
+  });
+
+  test('cached guides don\'t use up free expansions', async () => {
+    anthropic.reply(JSON.stringify(EXPANSION));
+    const device = freshDevice();
+    const cachedStep = { ...step, id: 8, title: 'Book a tutor' };
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await server.post('/api/expand-step', { goalName: 'Learn Italian', step: cachedStep }, device)).status, 200);
+    }
+    assert.equal(anthropic.requests.length, 1);
+    assert.equal((await server.get('/api/entitlements', device)).body.quotas.expand.used, 1);
+  });
+
+  test('asks the model again when the app wants a fresh answer', async () => {
+    anthropic.reply(JSON.stringify(QUESTIONS), JSON.stringify(QUESTIONS.slice(0, 1)));
+
+    await server.post('/api/generate-questions', { goal: 'Learn to juggle' });
+    assert.equal((await server.post('/api/generate-questions', { goal: 'Learn to juggle' })).body.questions.length, 2);
+
+    const { body } = await server.post('/api/generate-questions', { goal: 'Learn to juggle', regenerate: true });
+    assert.equal(body.questions.length, 1);
+    assert.equal(anthropic.requests.length, 2);
+
+    // The fresh answer replaces the cached one
+    assert.equal((await server.post('/api/generate-questions', { goal: 'Learn to juggle' })).body.questions.length, 1);
+  });
+
+  test('reports hits and misses on the health check', async () => {
+    const { body } = await server.get('/api/health');
+
+    assert.ok(body.cache['expand-step'].hits >= 1);
+    assert.ok(body.cache['generate-questions'].misses >= 1);
+    assert.equal(body.cache['expand-step'].ttlHours, 168);
+  });
+});
+
+describe('locale', () => {
+  test('asks for answers in the app language and keeps fixed values in English', async () => {
+    anthropic.reply(JSON.stringify(PLAN), JSON.stringify(PLAN));
+
+    await server.post('/api/generate-steps', { goal: 'Correr 5K', locale: 'es-MX' });
+    assert.match(anthropic.requests[0].body.system, /LANGUAGE: The user's app is in Mexican Spanish \(es-MX\)/);
+    assert.match(anthropic.requests[0].body.system, /"category"[\s\S]*in English/);
+
+    await server.post('/api/generate-steps', { goal: 'Run a 5K', locale: 'en' });
+    assert.doesNotMatch(anthropic.requests[1].body.system, /LANGUAGE:/);
+  });
+
+  test('carries the language through the other AI routes', async () => {
+    anthropic.reply('**Lista de compras**');
+
+    await server.post('/api/do-it-for-me', { goalName: 'Correr 5K', step: STEP, locale: 'es' }, freshDevice());
+    assert.match(anthropic.requests[0].body.system, /Write everything they will read in Spanish/);
+  });
+
+  test('caches answers separately per language', async () => {
+    anthropic.reply(JSON.stringify(QUESTIONS), JSON.stringify(QUESTIONS));
+
+    await server.post('/api/generate-questions', { goal: 'Learn to knit' });
+    const french = await fetch(`${server.baseUrl}/api/generate-questions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ goal: 'Learn to knit', locale: 'fr' })
+    });
+
+    assert.equal(french.headers.get('x-cache'), 'MISS');
+    assert.equal(anthropic.requests.length, 2);
+  });
+});
+
+describe('POST /api/replan-goal', () => {
+  const GOAL = {
+    goalName: 'Run a 5K',
+    steps: [
+      { id: 1, title: 'Buy running shoes', description: 'Get fitted.', duration: '1 hour' },
+      { id: 2, title: 'Join a gym', description: 'Use the treadmill.', duration: '1 hour' },
+      { id: 3, title: 'Run 3km three times a week', description: 'Use Couch to 5K.', duration: '30 minutes' }
+    ],
+    completedSteps: [1],
+    feedback: 'I lost my gym access',
+    dueDate: '2030-06-01'
+  };
+
+  test('returns added, removed and modified remaining steps', async () => {
+    anthropic.reply(JSON.stringify({
+      summary: 'Swapped the gym for outdoor runs.',
+      steps: [
+        { title: 'Map a 3km route near home', description: 'Use Strava.', duration: '20 minutes' },
+        { id: 3, title: 'Run 3km three times a week outdoors', description: 'Use Couch to 5K.', duration: '30 minutes' }
+      ]
+    }));
+
+    const { status, body } = await server.post('/api/replan-goal', GOAL);
+
+    assert.equal(status, 200);
+    assert.equal(body.summary, 'Swapped the gym for outdoor runs.');
+    assert.deepEqual(body.added, [
+      { key: 'add-1', afterId: null, title: 'Map a 3km route near home', description: 'Use Strava.', duration: '20 minutes' }
+    ]);
+    assert.deepEqual(body.removed, [{ id: 2, title: 'Join a gym', description: 'Use the treadmill.', duration: '1 hour' }]);
+    assert.deepEqual(body.modified, [{
+      id: 3,
+      before: { title: 'Run 3km three times a week', description: 'Use Couch to 5K.', duration: '30 minutes' },
+      after: { title: 'Run 3km three times a week outdoors', description: 'Use Couch to 5K.', duration: '30 minutes' }
+    }]);
+
+    const sent = anthropic.requests[0].body;
+    assert.match(sent.system, /ALREADY COMPLETED[^\n]*\n- \[id 1\] Buy running shoes/);
+    assert.match(sent.system, /Due date: 2030-06-01/);
+    assert.match(sent.messages[0].content, /My feedback: "I lost my gym access"/);
+  });
+
+  test('never touches completed steps, even when the model reuses their ids', async () => {
+    anthropic.reply(JSON.stringify({
+      summary: 'Tweaked things.',
+      steps: [
+        { id: 1, title: 'Buy trail shoes instead', description: 'Get fitted.', duration: '1 hour' },
+        { id: 2, title: 'Join a gym', description: 'Use the treadmill.', duration: '1 hour' },
+        { id: 3, title: 'Run 3km three times a week', description: 'Use Couch to 5K.', duration: '30 minutes' }
+      ]
+    }));
+
+    const { body } = await server.post('/api/replan-goal', GOAL);
+
+    assert.deepEqual(body.modified, []);
+    assert.deepEqual(body.removed, []);
+    assert.equal(body.added.length, 1);
+    assert.equal(body.added[0].title, 'Buy trail shoes instead');
+  });
+
+  test('requires feedback and at least one open step', async () => {
+    const noFeedback = await server.post('/api/replan-goal', { ...GOAL, feedback: '  ' });
+    assert.equal(noFeedback.status, 400);
+    assert.equal(noFeedback.body.error, 'Feedback is required');
+
+    const allDone = await server.post('/api/replan-goal', { ...GOAL, completedSteps: [1, 2, 3] });
+    assert.equal(allDone.status, 400);
+    assert.equal(allDone.body.error, 'nothing_to_replan');
+    assert.equal(anthropic.requests.length, 0);
+  });
+
+  test('moderates the feedback', async () => {
+    const { status, body } = await server.post('/api/replan-goal', { ...GOAL, feedback: 'I want to kill my boss first' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'inappropriate');
+    assert.equal(anthropic.requests.length, 0);
+  });
+});
+
+describe('POST /api/share-card', () => {
+  const CARD = {
+    goal: { name: 'Run a <5K> & smile', stepCount: 6, progress: 50, completed: false },
+    level: { level: 3, name: 'Achiever' },
+    badges: ['Goal Setter', 'On Fire']
+  };
+
+  const render = (body) => fetch(`${server.baseUrl}/api/share-card`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('renders a PNG by default', async () => {
+    const response = await render(CARD);
+    const image = Buffer.from(await response.arrayBuffer());
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.deepEqual([...image.subarray(1, 4)], [...Buffer.from('PNG')]);
+  });
+
+  test('renders SVG in the requested theme and size', async () => {
+    const response = await render({ ...CARD, format: 'svg', theme: 'dark', size: 'story' });
+    const svg = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /image\/svg\+xml/);
+    assert.match(svg, /width="1080" height="1920"/);
+    assert.ok(svg.includes('Run a &lt;5K&gt; &amp; smile'));
+    assert.ok(svg.includes('Lv 3'));
+    assert.ok(svg.includes('On Fire'));
+    assert.ok(svg.includes('#1a1a2e'));
+  });
+
+  test('labels the card in the requested language', async () => {
+    const svg = await (await render({ ...CARD, format: 'svg', locale: 'de' })).text();
+
+    assert.ok(svg.includes('Ich bin dran!'));
+    assert.ok(svg.includes('Schritte'));
+  });
+
+  test('rejects cards without a goal or with unknown options', async () => {
+    assert.equal((await render({ goal: {} })).status, 400);
+
+    const badSize = await render({ ...CARD, size: 'banner' });
+    assert.equal(badSize.status, 400);
+    assert.equal((await badSize.json()).error, 'invalid_card_options');
+  });
+});
+
+describe('shared plans', () => {
+  const GOAL = {
+    id: 1700000000000,
+    name: 'Run a <5K>',
+    category: 'Health & Fitness',
+    steps: [
+      { ...PLAN.steps[0], mapSearch: 'running store near 10 Downing St', subtasks: [{ id: 1, title: 'Bring old shoes' }] },
+      { ...PLAN.steps[1], blockedBy: [1, 99] }
+    ],
+    completedSteps: [1],
+    completedAt: { 1: '2026-03-02T09:00:00.000Z' },
+    dueDate: '2026-04-01',
+    notes: 'Knee still sore'
+  };
+
+  test('publishes a snapshot of the plan without progress or personal data', async () => {
+    const { status, body } = await server.post('/api/shares', { goal: GOAL });
+
+    assert.equal(status, 201);
+    assert.match(body.id, /^[\w-]{8}$/);
+    assert.ok(body.url.endsWith(`/p/${body.id}`));
+
+    const shared = await server.get(`/api/shares/${body.id}`);
+    assert.equal(shared.status, 200);
+    assert.equal(shared.body.name, 'Run a <5K>');
+    assert.equal(shared.body.category, 'Health & Fitness');
+    assert.deepEqual(shared.body.steps[0].subtasks, [{ id: 1, title: 'Bring old shoes' }]);
+    assert.deepEqual(shared.body.steps[1].blockedBy, [1]);
+    ['completedSteps', 'completedAt', 'dueDate', 'notes'].forEach(field => assert.equal(shared.body[field], undefined, field));
+    assert.equal(shared.body.steps[0].mapSearch, undefined);
+
+    // Sharing the same plan again reuses the link
+    const again = await server.post('/api/shares', { goal: { ...GOAL, completedSteps: [1, 2] } });
+    assert.equal(again.body.id, body.id);
+  });
+
+  test('serves a read-only page that links to the app for importing', async () => {
+    const { body } = await server.post('/api/shares', { goal: GOAL });
+
+    const response = await fetch(`${server.baseUrl}/p/${body.id}`);
+    const html = await response.text();
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.ok(html.includes('Run a &lt;5K&gt;'));
+    assert.ok(html.includes(`https://aclio.app/?import=${body.id}`));
+
+    const missing = await fetch(`${server.baseUrl}/p/nope`);
+    assert.equal(missing.status, 404);
+  });
+
+  test('rejects goals without a plan', async () => {
+    const { status, body } = await server.post('/api/shares', { goal: { name: 'Empty', steps: [] } });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_goal');
+    assert.equal((await server.get('/api/shares/unknown')).status, 404);
+  });
+});
+
+describe('goal templates', () => {
+  test('has templates for every category and filters by category', async () => {
+    const { status, body } = await server.get('/api/templates');
+    assert.equal(status, 200);
+    CATEGORIES.forEach(category => assert.ok(body.templates.some(t => t.category === category), category));
+
+    const career = await server.get(`/api/templates?category=${encodeURIComponent('Career')}`);
+    assert.ok(career.body.templates.length > 0);
+    assert.ok(career.body.templates.every(t => t.category === 'Career'));
+  });
+
+  test('returns the full plan for a template', async () => {
+    const { status, body } = await server.get('/api/templates/daily-meditation');
+
+    assert.equal(status, 200);
+    assert.equal(body.type, 'habit');
+    assert.equal(body.habit.period, 'day');
+    assert.ok(body.steps.length > 0);
+    assert.equal((await server.get('/api/templates/unknown')).status, 404);
+  });
+});
+
+describe('error reports', () => {
+  const admin = { 'X-Admin-Key': 'admin-key' };
+  const entry = (message, line) => ({
+    id: Date.now(),
+    type: 'error',
+    message,
+    stack: `TypeError: ${message}\n    at renderStep (index.html:${line}:12)\n    at App (index.html:9001:3)`,
+    context: { action: 'expandStep', url: 'https://aclio.app/?import=abc123', timestamp: new Date().toISOString(), goal: 'Run a 5K' }
+  });
+
+  test('groups the same error across devices and versions', async () => {
+    const first = await server.post('/api/errors', {
+      appVersion: '1.0.0',
+      platform: 'ios',
+      entries: [entry('Cannot read properties of undefined (reading \'steps\')', 120), entry('Step 12 has no title', 300)]
+    }, freshDevice());
+    assert.equal(first.status, 202);
+    assert.equal(first.body.accepted, 2);
+
+    // A new build moves the line numbers; a different step number is still the same error
+    await server.post('/api/errors', {
+      appVersion: '1.0.1',
+      platform: 'web',
+      entries: [entry('Cannot read properties of undefined (reading \'steps\')', 133), entry('Step 40 has no title', 310)]
+    }, freshDevice());
+
+    const { status, body } = await server.get('/api/errors', admin);
+    assert.equal(status, 200);
+    const group = body.groups.find(g => g.message.includes('reading \'steps\''));
+    assert.equal(group.count, 2);
+    assert.deepEqual(group.versions, { '1.0.0': 1, '1.0.1': 1 });
+    assert.deepEqual(group.platforms, { ios: 1, web: 1 });
+    assert.equal(body.groups.filter(g => g.message.includes('has no title')).length, 1);
+
+    // Only allowlisted context survives, without the query string
+    assert.deepEqual(group.context, { action: 'expandStep', url: 'https://aclio.app/' });
+
+    const latest = await server.get('/api/errors?version=1.0.1&limit=1', admin);
+    assert.equal(latest.body.groups.length, 1);
+    assert.equal(latest.body.groups[0].count, 1);
+    assert.equal(latest.body.versions['1.0.1'] >= 2, true);
+  });
+
+  test('rejects empty or oversized batches', async () => {
+    assert.equal((await server.post('/api/errors', { entries: [] }, freshDevice())).status, 400);
+    const tooMany = Array.from({ length: 51 }, (_, i) => entry(`Error ${i}`, i));
+    const { status, body } = await server.post('/api/errors', { entries: tooMany }, freshDevice());
+    assert.equal(status, 400);
+    assert.equal(body.error, 'invalid_batch');
+  });
+
+  test('needs the admin key to list errors', async () => {
+    assert.equal((await server.get('/api/errors')).status, 403);
+    assert.equal((await server.get('/api/errors', { 'X-Admin-Key': 'wrong' })).status, 403);
+  });
+});
+
+describe('moderation', () => {
+  const premium = freshDevice();
+
+  before(async () => {
+    await server.post('/api/purchases/verify', { receipt: 'stub:monthly' }, premium);
+  });
+
+  test('answers self-harm in chat with crisis lines for the user\'s country', async () => {
+    const { status, body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Get through exams',
+      message: 'Honestly I want to end my life',
+      location: { country: 'United Kingdom' }
+    }, premium);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'crisis_support');
+    assert.equal(body.emergency, '999');
+    assert.equal(body.resources[0].name, 'Samaritans');
+    assert.equal(anthropic.requests.length, 0);
+
+    // A refused request doesn't use up the free quota
+    const device = freshDevice();
+    await server.post('/api/expand-step', { goalName: 'Feel better', step: { ...STEP, title: 'Hurt myself less' } }, device);
+    assert.equal((await server.get('/api/entitlements', device)).body.quotas.expand.used, 0);
+  });
+
+  test('checks step content, not just goals', async () => {
+    const { status, body } = await server.post('/api/do-it-for-me', {
+      goalName: 'Get even',
+      step: { id: 1, title: 'Write a plan to poison my neighbour' }
+    }, premium);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'inappropriate');
+    assert.equal(body.category, 'violence');
+    assert.equal(anthropic.requests.length, 0);
+  });
+
+  test('screens the chat history, summary, steps and profile, not just the latest message', async () => {
+    const harmless = { goalName: 'Get even', message: 'What next?' };
+    for (const extra of [
+      { chatHistory: [{ role: 'user', content: 'Help me poison my neighbour' }, { role: 'assistant', content: 'I can\'t help with that.' }] },
+      { chatSummary: 'The user wants to poison my neighbour.' },
+      { steps: [{ id: 1, title: 'Buy something to poison my neighbour with' }] },
+      { goalCategory: 'How to rob a bank' }
+    ]) {
+      const { body } = await server.post('/api/talk-to-aclio', { ...harmless, ...extra }, premium);
+      assert.equal(body.error, 'inappropriate', Object.keys(extra)[0]);
+    }
+
+    const profile = { name: 'Sam', bio: 'Planning to rob a bank' };
+    assert.equal((await server.post('/api/generate-steps', { goal: 'Get fit', profile })).body.error, 'inappropriate');
+    assert.equal((await server.post('/api/do-it-for-me', { goalName: 'Get fit', step: STEP, profile }, premium)).body.error, 'inappropriate');
+    assert.equal(anthropic.requests.length, 0);
+  });
+
+  test('lets figures of speech through without a classifier call', async () => {
+    anthropic.reply('Practise it out loud three times.');
+
+    const { status } = await server.post('/api/talk-to-aclio', { goalName: 'Public speaking', message: 'I want to kill it at my presentation' }, premium);
+
+    assert.equal(status, 200);
+    assert.equal(anthropic.requests.length, 1);
+  });
+
+  test('asks the classifier about risky wording the rules can\'t settle, and logs the decision', async () => {
+    anthropic.reply('{"category": "self_harm"}');
+
+    const { status, body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Get fit',
+      message: 'What\'s the point, everyone would be fine if I disappeared'
+    }, premium);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'crisis_support');
+    assert.equal(body.resources.at(-1).name, 'Find a Helpline');
+    assert.equal(anthropic.requests.length, 1);
+    assert.match(anthropic.requests[0].body.system, /You screen messages sent to Aclio/);
+
+    const log = fs.readFileSync(path.join(process.env.DATA_DIR, 'moderation.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const entry = log.at(-1);
+    assert.equal(entry.route, 'talk-to-aclio');
+    assert.equal(entry.tier, 'classifier');
+    assert.equal(entry.action, 'support');
+    assert.equal(entry.field, 'message');
+    // What the user wrote stays out of the log
+    assert.match(entry.textHash, /^[0-9a-f]{16}$/);
+    assert.doesNotMatch(JSON.stringify(log), /disappeared/);
+  });
+
+  test('screens plans before they\'re published', async () => {
+    const { status, body } = await server.post('/api/shares', {
+      goal: { name: 'Payback', steps: [{ id: 1, title: 'Learn how to build a bomb' }] }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'inappropriate');
+  });
+});
+
+describe('POST /api/do-it-for-me', () => {
+  test('returns the finished task using the heavy model', async () => {
+    anthropic.reply('**Shoe shopping list**\n\n1. Brooks Ghost');
+
+    const { status, body } = await server.post('/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP }, freshDevice());
+
+    assert.equal(status, 200);
+    assert.equal(body.result, '**Shoe shopping list**\n\n1. Brooks Ghost');
+    assert.match(anthropic.requests[0].body.model, /opus/);
+  });
+
+  test('streams deltas followed by a done event', async () => {
+    anthropic.reply('A long, carefully streamed answer.');
+
+    const { status, body } = await server.post('/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP, stream: true }, freshDevice());
+    const events = parseEvents(body);
+
+    assert.equal(status, 200);
+    assert.equal(anthropic.requests[0].body.stream, true);
+    assert.ok(events.filter(e => e.event === 'delta').length > 1);
+    assert.equal(events.filter(e => e.event === 'delta').map(e => e.data.text).join(''), 'A long, carefully streamed answer.');
+    assert.deepEqual(events.at(-1), { event: 'done', data: { result: 'A long, carefully streamed answer.' } });
+  });
+
+  test('sends an error event when the upstream stream fails', async () => {
+    anthropic.reply({ status: 500, message: 'Internal error' });
+
+    const { body } = await server.post('/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP, stream: true }, freshDevice());
+
+    assert.deepEqual(parseEvents(body).at(-1), { event: 'error', data: { error: 'Internal error' } });
+  });
+
+  test('stops free users after the daily quota', async () => {
+    const device = freshDevice();
+    for (let i = 0; i < 2; i++) {
+      const { status } = await server.post('/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP }, device);
+      assert.equal(status, 200);
+    }
+
+    const { status, body } = await server.post('/api/do-it-for-me', { goalName: 'Run a 5K', step: STEP }, device);
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'quota_exceeded');
+    assert.equal(anthropic.requests.length, 2);
+  });
+});
+
+describe('POST /api/talk-to-aclio', () => {
+  const premium = freshDevice();
+
+  before(async () => {
+    const { status } = await server.post('/api/purchases/verify', { receipt: 'stub:monthly' }, premium);
+    assert.equal(status, 200);
+  });
+
+  test('is premium only', async () => {
+    const { status, body } = await server.post('/api/talk-to-aclio', { message: 'Hi' }, freshDevice());
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'quota_exceeded');
+    assert.equal(body.feature, 'chat');
+  });
+
+  test('sends the chat history and goal context', async () => {
+    anthropic.reply('Lace up and go for a 10 minute jog today.');
+
+    const { status, body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      steps: [STEP],
+      completedSteps: [1],
+      chatHistory: [
+        { role: 'user', content: 'I bought shoes' },
+        { role: 'assistant', content: 'Nice work!' }
+      ],
+      message: 'What now?'
+    }, premium);
+
+    assert.equal(status, 200);
+    assert.equal(body.response, 'Lace up and go for a 10 minute jog today.');
+
+    const sent = anthropic.requests[0].body;
+    assert.deepEqual(sent.messages.map(m => m.role), ['user', 'assistant', 'user']);
+    assert.equal(sent.messages[2].content, 'What now?');
+    assert.match(sent.system, /GOAL: "Run a 5K"/);
+    assert.match(sent.system, /Progress: 100% complete \(1\/1 steps done\)/);
+  });
+
+  test('turns tool calls into actions for the app to confirm', async () => {
+    anthropic.reply({
+      text: 'Two more steps will help you build the habit.',
+      toolCalls: [
+        { name: 'add_steps', input: { steps: [{ title: 'Join a running club', description: 'Find one on Strava.', duration: '1 hour' }], afterStepId: 1 } },
+        { name: 'set_due_date', input: { dueDate: '2030-05-01' } }
+      ]
+    });
+
+    const { status, body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      steps: [STEP],
+      completedSteps: [],
+      message: 'Add more steps and push my deadline'
+    }, premium);
+
+    assert.equal(status, 200);
+    assert.equal(body.response, 'Two more steps will help you build the habit.');
+    assert.deepEqual(body.actions, [
+      { id: 'toolu_1', tool: 'add_steps', input: { steps: [{ title: 'Join a running club', description: 'Find one on Strava.', duration: '1 hour' }], afterStepId: 1 } },
+      { id: 'toolu_2', tool: 'set_due_date', input: { dueDate: '2030-05-01' } }
+    ]);
+
+    const sent = anthropic.requests[0].body;
+    assert.deepEqual(sent.tools.map(tool => tool.name), ['add_steps', 'edit_step', 'reorder_steps', 'set_due_date', 'mark_complete']);
+    assert.match(sent.system, /1\. \[id 1\] Buy running shoes/);
+  });
+
+  test('drops tool calls that do not fit the goal', async () => {
+    anthropic.reply({
+      text: '',
+      toolCalls: [
+        { name: 'edit_step', input: { stepId: 99, title: 'Ghost step' } },
+        { name: 'mark_complete', input: { stepId: 1 } },
+        { name: 'set_due_date', input: { dueDate: 'next Friday' } },
+        { name: 'reorder_steps', input: { stepIds: [2, 2] } },
+        { name: 'delete_goal', input: {} },
+        { name: 'edit_step', input: { stepId: '2', duration: ' 45 minutes ' } }
+      ]
+    });
+
+    const { body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      steps: [STEP, { id: 2, title: 'Run 3km', description: 'Slowly.', duration: '30 minutes' }],
+      completedSteps: [1],
+      message: 'Tidy up my plan'
+    }, premium);
+
+    assert.deepEqual(body.actions, [{ id: 'toolu_6', tool: 'edit_step', input: { stepId: 2, duration: '45 minutes' } }]);
+  });
+
+  test('streams text and sends the actions with the done event', async () => {
+    anthropic.reply({
+      text: 'Nice work - ticking that off.',
+      toolCalls: [{ name: 'mark_complete', input: { stepId: 1 } }]
+    });
+
+    const { body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      steps: [STEP],
+      completedSteps: [],
+      chatHistory: [{ role: 'assistant', content: '' }],
+      message: 'I bought the shoes!',
+      stream: true
+    }, premium);
+    const events = parseEvents(body);
+
+    assert.equal(events.filter(e => e.event === 'delta').map(e => e.data.text).join(''), 'Nice work - ticking that off.');
+    assert.deepEqual(events.at(-1).data, {
+      response: 'Nice work - ticking that off.',
+      actions: [{ id: 'toolu_1', tool: 'mark_complete', input: { stepId: 1 } }]
+    });
+    // Empty replies from earlier actions aren't sent back to the model
+    assert.equal(anthropic.requests[0].body.messages.length, 1);
+  });
+
+  test('folds older turns into the summary once the history runs past the budget', async () => {
+    anthropic.reply('The user struggles to run in the mornings and agreed to try evening runs.', 'How did the evening run go?');
+    const chatHistory = Array.from({ length: 10 }, (_, i) => ({
+      role: i % 2 ? 'assistant' : 'user',
+      content: `Turn ${i + 1}: ${'a long message '.repeat(150)}`,
+      at: '2030-04-0' + (i < 5 ? '1' : '2') + 'T09:00:00.000Z'
+    }));
+
+    const { status, body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      steps: [STEP],
+      completedSteps: [],
+      chatHistory,
+      chatSummary: 'The user bought running shoes.',
+      message: 'Back again!'
+    }, premium);
+
+    assert.equal(status, 200);
+    assert.equal(body.response, 'How did the evening run go?');
+    assert.deepEqual(body.memory, { summary: 'The user struggles to run in the mornings and agreed to try evening runs.', folded: 4 });
+
+    const [summaryRequest, chatRequest] = anthropic.requests.map(r => r.body);
+    assert.match(summaryRequest.messages[0].content, /SUMMARY SO FAR:\nThe user bought running shoes\./);
+    assert.match(summaryRequest.messages[0].content, /\[2030-04-01\] User: Turn 1:/);
+    assert.doesNotMatch(summaryRequest.messages[0].content, /Turn 5:/);
+    assert.equal(chatRequest.messages.length, 7);
+    assert.match(chatRequest.messages[0].content, /^Turn 5:/);
+    assert.match(chatRequest.system, /agreed to try evening runs/);
+  });
+
+  test('sends short histories as they are, with the earlier summary in the prompt', async () => {
+    anthropic.reply('Keep going!');
+
+    const { body } = await server.post('/api/talk-to-aclio', {
+      goalName: 'Run a 5K',
+      chatHistory: [{ role: 'user', content: 'I ran today' }, { role: 'assistant', content: 'Great!' }],
+      chatSummary: 'The user is training for a charity race.',
+      message: 'And again!'
+    }, premium);
+
+    assert.equal(body.memory, undefined);
+    assert.equal(anthropic.requests.length, 1);
+    assert.equal(anthropic.requests[0].body.messages.length, 3);
+    assert.match(anthropic.requests[0].body.system, /WHAT YOU'VE DISCUSSED BEFORE[\s\S]*charity race/);
+  });
+
+  test('still answers when the summary call fails', async () => {
+    anthropic.reply({ status: 500, message: 'overloaded' }, 'Let\'s keep it short today.');
+    const chatHistory = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: 'x'.repeat(2000) }));
+
+    const { status, body } = await server.post('/api/talk-to-aclio', { goalName: 'Run a 5K', chatHistory, message: 'Hi' }, premium);
+
+    assert.equal(status, 200);
+    assert.equal(body.response, 'Let\'s keep it short today.');
+    assert.equal(body.memory, undefined);
+    assert.equal(anthropic.requests[1].body.messages.length, 7);
+  });
+
+  test('requires a message', async () => {
+    const { status, body } = await server.post('/api/talk-to-aclio', { goalName: 'Run a 5K' }, premium);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Message is required');
+  });
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderShareCard, wrapText } = require('../shareCard');
+
+test('wraps long goal names and cuts them off after three lines', () => {
+  assert.deepEqual(wrapText('Run a 5K'), ['Run a 5K']);
+  assert.deepEqual(wrapText('Learn to play the guitar well enough to join a band'), ['Learn to play the guitar', 'well enough to join a band']);
+
+  const lines = wrapText('word '.repeat(40));
+  assert.equal(lines.length, 3);
+  assert.ok(lines[2].endsWith('…'));
+  assert.ok(lines.every(line => line.length <= 28));
+
+  assert.deepEqual(wrapText('Supercalifragilisticexpialidocious-and-more'), ['Supercalifragilisticexpiali…']);
+});
+
+test('shows a trophy and no progress bar once the goal is done', () => {
+  const goal = { name: 'Run a 5K', stepCount: 4, progress: 100, completed: true };
+  const done = renderShareCard({ goal });
+  const inProgress = renderShareCard({ goal: { ...goal, progress: 40, completed: false } });
+
+  assert.ok(done.includes('Goal Achieved!'));
+  assert.ok(!done.includes('height="16"'));
+  assert.ok(inProgress.includes('Working On It!'));
+  assert.ok(inProgress.includes('height="16"'));
+});
+
+test('uses the card labels for the locale, and English for the rest', () => {
+  const goal = { name: 'Courir 5 km', stepCount: 4, progress: 100, completed: true };
+
+  assert.ok(renderShareCard({ goal, locale: 'fr-CA' }).includes('Objectif atteint !'));
+  assert.ok(renderShareCard({ goal, locale: 'ja' }).includes('Goal Achieved!'));
+});
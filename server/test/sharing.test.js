@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createSharing } = require('../sharing');
+const { createStore } = require('../store');
+
+const plan = (name) => ({ name, steps: [{ id: 1, title: 'Buy running shoes' }] });
+
+let dir;
+let store;
+let listener;
+let baseUrl;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'achieve-sharing-'));
+  store = createStore(path.join(dir, 'store.json'));
+  const app = express();
+  app.use(express.json());
+  const sharing = createSharing(store, { maxPerClient: 2, ttlDays: 30 });
+  app.use(sharing.router);
+  app.get('/p/:id', sharing.page);
+  listener = await new Promise(resolve => { const l = app.listen(0, '127.0.0.1', () => resolve(l)); });
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const share = async (goal, deviceId = 'phone') => {
+  const response = await fetch(`${baseUrl}/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Device-Id': deviceId },
+    body: JSON.stringify({ goal })
+  });
+  return response.json();
+};
+const status = async (id) => (await fetch(`${baseUrl}/shares/${id}`)).status;
+
+test('each device keeps only its newest links', async () => {
+  const first = await share(plan('Run a 5K'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await share(plan('Learn Spanish'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const third = await share(plan('Read 12 books'));
+  const other = await share(plan('Run a 5K'), 'tablet');
+
+  assert.equal(await status(first.id), 404);
+  assert.equal(await status(second.id), 200);
+  assert.equal(await status(third.id), 200);
+  // Someone else sharing the same plan gets their own link
+  assert.notEqual(other.id, first.id);
+  assert.equal(await status(other.id), 200);
+});
+
+test('links expire and are pruned on the next share', async () => {
+  const { id } = await share(plan('Bake bread'), 'laptop');
+  const shares = store.collection('shares');
+  shares[id].createdAt = new Date(Date.now() - 31 * 864e5).toISOString();
+
+  assert.equal(await status(id), 404);
+  await share(plan('Bake sourdough'), 'laptop');
+  assert.equal(shares[id], undefined);
+});
+
+test('saves new links to the store file in the background', async () => {
+  const { id } = await share(plan('Plant a garden'), 'desk');
+  await share(plan('Plant a herb garden'), 'desk');
+  await store.saveSoon();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'store.json'), 'utf8'));
+  assert.ok(saved.shares[id]);
+  assert.deepEqual(fs.readdirSync(dir), ['store.json']);
+});
+
+test('shows steps outside the plan\'s phases under "Other steps"', async () => {
+  const { id } = await share({
+    name: 'Learn guitar',
+    phases: [{ id: 'p1', title: 'Basics' }, { id: 'p2', title: 'Songs' }],
+    steps: [
+      { id: 1, title: 'Learn chords', phase: 'p1' },
+      { id: 2, title: 'Play a song', phase: 'p2' },
+      { id: 3, title: 'Join a band', phase: 'p9' },
+      { id: 4, title: 'Buy a capo' }
+    ]
+  }, 'guitar');
+
+  const html = await (await fetch(`${baseUrl}/p/${id}`)).text();
+  const other = html.indexOf('Other steps');
+  assert.ok(other > html.indexOf('Songs'));
+  assert.ok(html.indexOf('3. Join a band') > other);
+  assert.ok(html.indexOf('4. Buy a capo') > other);
+});
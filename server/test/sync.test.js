@@ -0,0 +1,169 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { mergeDoc, mergeFields, mergeSets } = require('../sync');
+
+let server;
+
+before(async () => {
+  server = await startServer({ ANTHROPIC_API_KEY: '' });
+});
+
+after(() => server.close());
+
+let accountCount = 0;
+const register = async () => {
+  const email = `runner${++accountCount}@example.com`;
+  const { status, body } = await server.post('/api/auth/register', { email, password: 'correct horse' });
+  assert.equal(status, 201);
+  return { email, auth: { Authorization: `Bearer ${body.token}` } };
+};
+
+describe('accounts', () => {
+  test('registers, signs in and out', async () => {
+    const registered = await server.post('/api/auth/register', { email: ' Sam@Example.com ', password: 'correct horse' });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.email, 'sam@example.com');
+    assert.equal(registered.body.user.passwordHash, undefined);
+
+    const login = await server.post('/api/auth/login', { email: 'sam@example.com', password: 'correct horse' });
+    assert.equal(login.status, 200);
+    const auth = { Authorization: `Bearer ${login.body.token}` };
+
+    const me = await server.get('/api/auth/me', auth);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, registered.body.user.id);
+
+    assert.equal((await server.post('/api/auth/logout', {}, auth)).status, 200);
+    const after = await server.get('/api/auth/me', auth);
+    assert.equal(after.status, 401);
+    assert.equal(after.body.error, 'unauthorized');
+
+    // The other session is untouched
+    assert.equal((await server.get('/api/auth/me', { Authorization: `Bearer ${registered.body.token}` })).status, 200);
+  });
+
+  test('rejects bad sign-ups and wrong passwords', async () => {
+    const { email } = await register();
+
+    assert.equal((await server.post('/api/auth/register', { email: 'not-an-email', password: 'correct horse' })).body.error, 'invalid_email');
+    assert.equal((await server.post('/api/auth/register', { email: 'new@example.com', password: 'short' })).body.error, 'weak_password');
+    assert.equal((await server.post('/api/auth/register', { email, password: 'correct horse' })).status, 409);
+
+    const wrong = await server.post('/api/auth/login', { email, password: 'wrong horse!' });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error, 'invalid_credentials');
+    assert.equal((await server.post('/api/auth/login', { email: 'nobody@example.com', password: 'correct horse' })).status, 401);
+  });
+
+  test('sync needs a valid session', async () => {
+    assert.equal((await server.get('/api/sync')).status, 401);
+    assert.equal((await server.get('/api/sync', { Authorization: 'Bearer not-a-token' })).status, 401);
+    assert.equal((await server.post('/api/sync', { changes: [] }, { Authorization: 'Bearer not-a-token' })).status, 401);
+  });
+});
+
+describe('sync', () => {
+  const GOAL = { id: 1, name: 'Run a 5K', steps: [{ id: 1 }, { id: 2 }, { id: 3 }], completedSteps: [], completedAt: {} };
+
+  test('pulls only what changed since the given revision', async () => {
+    const { auth } = await register();
+    const first = await server.post('/api/sync', { changes: [{ key: 'goal:1', value: GOAL }, { key: 'points', value: 10 }] }, auth);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.rev, 2);
+
+    await server.post('/api/sync', { changes: [{ key: 'points', value: 25, baseVersion: 1, base: 10 }] }, auth);
+
+    const all = await server.get('/api/sync', auth);
+    assert.deepEqual(all.body.docs.map(doc => doc.key).sort(), ['goal:1', 'points']);
+
+    const since = await server.get('/api/sync?since=2', auth);
+    assert.equal(since.body.rev, 3);
+    assert.deepEqual(since.body.docs.map(doc => [doc.key, doc.value, doc.version]), [['points', 25, 2]]);
+  });
+
+  test('merges pushes from two devices that started from the same version', async () => {
+    const { auth } = await register();
+    await server.post('/api/sync', { changes: [{ key: 'goal:1', value: GOAL }, { key: 'points', value: 100 }] }, auth);
+
+    // Phone ticks step 1 and earns 20 points
+    const phone = await server.post('/api/sync', { changes: [
+      { key: 'goal:1', value: { ...GOAL, completedSteps: [1], completedAt: { 1: 'mon' } }, baseVersion: 1, base: GOAL },
+      { key: 'points', value: 120, baseVersion: 1, base: 100 }
+    ] }, auth);
+    assert.deepEqual(phone.body.results.map(result => result.merged), [false, false]);
+
+    // Laptop, still on version 1, ticks step 3, renames the goal and earns 5 points
+    const laptop = await server.post('/api/sync', { changes: [
+      { key: 'goal:1', value: { ...GOAL, name: 'Run a 10K', completedSteps: [3], completedAt: { 3: 'tue' } }, baseVersion: 1, base: GOAL },
+      { key: 'points', value: 105, baseVersion: 1, base: 100 }
+    ] }, auth);
+    const [goal, points] = laptop.body.results;
+
+    assert.equal(goal.merged, true);
+    assert.equal(goal.value.name, 'Run a 10K');
+    assert.deepEqual(goal.value.completedSteps, [1, 3]);
+    assert.deepEqual(goal.value.completedAt, { 1: 'mon', 3: 'tue' });
+    assert.equal(points.merged, true);
+    assert.equal(points.value, 125);
+  });
+
+  test('keeps a goal that was edited on another device when one deletes it', async () => {
+    const { auth } = await register();
+    await server.post('/api/sync', { changes: [{ key: 'goal:1', value: GOAL }] }, auth);
+    const edited = { ...GOAL, completedSteps: [2] };
+    await server.post('/api/sync', { changes: [{ key: 'goal:1', value: edited, baseVersion: 1, base: GOAL }] }, auth);
+
+    const { body } = await server.post('/api/sync', { changes: [{ key: 'goal:1', deleted: true, baseVersion: 1, base: GOAL }] }, auth);
+    assert.equal(body.results[0].deleted, false);
+    assert.deepEqual(body.results[0].value, edited);
+
+    // Deleting the latest version goes through
+    const deleted = await server.post('/api/sync', { changes: [{ key: 'goal:1', deleted: true, baseVersion: 3, base: edited }] }, auth);
+    assert.equal(deleted.body.results[0].deleted, true);
+  });
+
+  test('rejects unknown document keys and malformed pushes', async () => {
+    const { auth } = await register();
+
+    for (const changes of [
+      [{ key: 'secrets', value: 1 }],
+      [{ key: 'goal:../../etc', value: {} }],
+      [{ key: 'points' }],
+      [null],
+      'points',
+      Array.from({ length: 501 }, () => ({ key: 'points', value: 1 }))
+    ]) {
+      const { status, body } = await server.post('/api/sync', { changes }, auth);
+      assert.equal(status, 400);
+      assert.equal(body.error, 'invalid_changes');
+    }
+    assert.deepEqual((await server.get('/api/sync', auth)).body.docs, []);
+  });
+});
+
+describe('merge helpers', () => {
+  test('each field takes the side that changed it, the pushing device winning ties', () => {
+    assert.deepEqual(
+      mergeFields({ a: 1, b: 1, c: 1 }, { a: 2, b: 1, c: 3 }, { a: 1, b: 4, c: 5 }),
+      { a: 2, b: 4, c: 5 }
+    );
+    assert.deepEqual(mergeFields({ a: 1, b: 1 }, { a: 1 }, { a: 1, b: 1 }), { a: 1 });
+  });
+
+  test('sets keep additions and removals from both sides', () => {
+    assert.deepEqual(mergeSets([1, 2], [1, 2, 3], [2, 4]), [2, 3, 4]);
+    assert.deepEqual(mergeSets(undefined, [1], [2]), [1, 2]);
+  });
+
+  test('points without a base take the larger total instead of adding up', () => {
+    assert.deepEqual(mergeDoc('points', { value: 40 }, { value: 30 }), { value: 40 });
+    assert.deepEqual(mergeDoc('points', { value: 40 }, { value: 10, base: 30 }), { value: 20 });
+  });
+
+  test('an edit beats a delete from either side', () => {
+    assert.deepEqual(mergeDoc('goal:1', { deleted: true, value: null }, { value: { name: 'Kept' }, base: { name: 'Old' } }), { value: { name: 'Kept' } });
+    assert.deepEqual(mergeDoc('goal:1', { value: { name: 'Edited' } }, { deleted: true, base: { name: 'Old' } }), { value: { name: 'Edited' } });
+    assert.deepEqual(mergeDoc('goal:1', { value: { name: 'Old' } }, { deleted: true, base: { name: 'Old' } }), { deleted: true });
+  });
+});
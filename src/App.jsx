@@ -1,211 +1,1952 @@
-import { useState } from 'react'
-import { motion, AnimatePresence } from 'framer-motion'
-import { Target, Check, Loader2, Sparkles, RotateCcw, Clock, ChevronRight } from 'lucide-react'
-
-// ⚠️ Replace with your Groq API key from console.groq.com
-const GROQ_API_KEY = 'YOUR_GROQ_API_KEY_HERE'
-
-const generateSteps = async (goal) => {
-  const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${GROQ_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: 'llama-3.1-70b-versatile',
-      messages: [
-        { 
-          role: 'system', 
-          content: `You are a goal coach. Create 6-8 actionable steps. Return ONLY a JSON array like this:
-[{"id":1,"title":"Step title","description":"One sentence how to do it","duration":"15 min"}]
-No other text, just the JSON array.`
-        },
-        { role: 'user', content: `Create steps to: ${goal}` }
-      ],
-      temperature: 0.7,
-      max_tokens: 1500
-    })
-  })
-
-  if (!response.ok) throw new Error('API request failed')
-  
-  const data = await response.json()
-  let content = data.choices[0].message.content.trim()
-  if (content.startsWith('```')) {
-    content = content.replace(/```json\n?/g, '').replace(/```\n?/g, '')
-  }
-  return JSON.parse(content)
-}
+/**
+ * Achieve AI - App
+ * App state, the actions that change it and which view is showing. Each view is a component in
+ * ./views that gets all of this as its `app` prop.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ErrorTracker } from './errorTracker';
+import { I18n, t, formatDate, categoryLabel } from './i18n';
+import {
+  saveGoals, loadGoals, hasOnboarded, setOnboarded, saveUserProfile, loadUserProfile, saveTheme,
+  loadTheme
+} from './storage';
+import {
+  API_URL, generateSteps, fetchStepGuide, streamFromApi, apiHeaders, apiError, readApiError
+} from './api';
+import { Connectivity, isNetworkError } from './connectivity';
+import { RequestQueue } from './requestQueue';
+import { levelName, POINTS, getLevel, ACHIEVEMENTS, achievementName } from './gamification';
+import { Icons } from './icons';
+import {
+  PREMIUM_CONFIG, REVENUECAT_API_KEY, getPurchases, hasPremiumEntitlement, findPlanPackage, isPurchaseCancelled
+} from './premium';
+import {
+  publishGoal, fetchSharedPlan, fetchTemplates, renderShareCard, shareImage, goalFromPlan
+} from './sharing';
+import {
+  CHAT_SEND_LIMIT, EMPTY_CHAT_THREAD, saveChatThreads, loadChatThreads, trimChatThread, sendableMessages, advanceSummarized
+} from './chatThreads';
+import { SYNC_STORAGE_KEYS, SyncClient } from './sync';
+import { createBackup, parseBackup, mergeBackup, exportFileName, downloadFile } from './backup';
+import { ActivityLog } from './activityLog';
+import { subtaskKey, isSubtaskDone, getPlanProgress, getNextPlanStep, inheritPhase } from './plan';
+import { isHabit, toDateKey, fromDateKey, getHabitPeriods } from './habits';
+import {
+  loadPlannerSettings, savePlannerSettings, loadTodayPlan, saveTodayPlan, checkFeasibility, formatMinutes, getPlannerTask, buildDayPlan, toSavedPlan
+} from './planner';
+import {
+  loadReminderSettings, saveReminderSettings, buildReminderSchedule, ReminderScheduler
+} from './reminders';
+import WelcomeView from './views/WelcomeView';
+import OnboardingView from './views/OnboardingView';
+import ProfileSetupView from './views/ProfileSetupView';
+import DashboardView from './views/DashboardView';
+import NewGoalView from './views/NewGoalView';
+import GoalDetailView from './views/GoalDetailView';
+import SettingsView from './views/SettingsView';
+import AnalyticsView from './views/AnalyticsView';
+import ErrorLogView from './views/ErrorLogView';
+import RemindersView from './views/RemindersView';
+import TemplatesView from './views/TemplatesView';
+import ImportView from './views/ImportView';
+import PlannerView from './views/PlannerView';
+import AccountView from './views/AccountView';
+import EditProfileView from './views/EditProfileView';
 
 export default function App() {
-  const [goal, setGoal] = useState('')
-  const [steps, setSteps] = useState([])
-  const [completed, setCompleted] = useState(new Set())
-  const [loading, setLoading] = useState(false)
-  const [view, setView] = useState('home')
-  const [error, setError] = useState('')
-
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    if (!goal.trim() || loading) return
-    
-    setLoading(true)
-    setError('')
-    
+  const [view, setView] = useState(hasOnboarded() ? 'dashboard' : 'welcome');
+  const [onboardStep, setOnboardStep] = useState(0);
+  const [goals, setGoals] = useState(loadGoals());
+  const [activeGoal, setActiveGoal] = useState(null);
+  const [newGoal, setNewGoal] = useState('');
+  const [newGoalDueDate, setNewGoalDueDate] = useState('');
+  const [newGoalType, setNewGoalType] = useState('auto'); // 'auto' | 'plan' | 'habit'
+  const [goalQuestions, setGoalQuestions] = useState(null); // { questions: [], answers: {} }
+  const [questionsLoading, setQuestionsLoading] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState({ step: 0, message: '' });
+  const [error, setError] = useState('');
+  const [showCelebration, setShowCelebration] = useState(false);
+  const [userProfile, setUserProfile] = useState(loadUserProfile() || { name: '', age: '', gender: '' });
+  const [profileStep, setProfileStep] = useState(0);
+  const [theme, setTheme] = useState(loadTheme());
+  const [locale, setLocale] = useState(I18n.locale);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editModal, setEditModal] = useState(null); // { type: 'goal' | 'step', goalId, stepId?, data }
+  const [replanModal, setReplanModal] = useState(null); // { goalId, feedback, loading, error, plan, rejected: { changeKey: true } }
+  const [notificationsEnabled, setNotificationsEnabled] = useState(localStorage.getItem('achieve_notifications') === 'true');
+  const [reminderSettings, setReminderSettings] = useState(loadReminderSettings);
+  const [plannerSettings, setPlannerSettings] = useState(loadPlannerSettings);
+  const [savedTodayPlan, setSavedTodayPlan] = useState(loadTodayPlan);
+  const [userLocation, setUserLocation] = useState(JSON.parse(localStorage.getItem('achieve_location') || 'null'));
+  // Just the country goes with AI requests, so the server can suggest local helplines if they're ever needed
+  const locationCountry = userLocation?.country ? { country: userLocation.country } : null;
+  const [locationLoading, setLocationLoading] = useState(false);
+  const [expandModal, setExpandModal] = useState(null); // { goalId, stepId, content, loading }
+  const [expandedSteps, setExpandedSteps] = useState({}); // { "goalId-stepId": { content } }
+  const [analyticsFilter, setAnalyticsFilter] = useState('goals'); // 'goals' | 'steps'
+  const [analyticsPeriod, setAnalyticsPeriod] = useState('day'); // 'day' | 'week' | 'month'
+
+  // Gamification State
+  const [userPoints, setUserPoints] = useState(() => parseInt(localStorage.getItem('achieve_points') || '0'));
+  const [streakData, setStreakData] = useState(() => JSON.parse(localStorage.getItem('achieve_streak') || '{"current":0,"best":0,"lastActive":null}'));
+  const [showLevelUp, setShowLevelUp] = useState(null);
+  const [showPointsPopup, setShowPointsPopup] = useState(null);
+  const [dailyBonusClaimed, setDailyBonusClaimed] = useState(() => {
+    const lastClaim = localStorage.getItem('achieve_daily_bonus');
+    return lastClaim === new Date().toDateString();
+  });
+  const [errorFilter, setErrorFilter] = useState('all');
+  const [expandedError, setExpandedError] = useState(null);
+  const [errorStats, setErrorStats] = useState(ErrorTracker.getStats());
+  const [errorReporting, setErrorReporting] = useState(ErrorTracker.isReporting());
+  const [crisisSupport, setCrisisSupport] = useState(null); // { message, emergency, resources } from the server
+  const [doItForMeModal, setDoItForMeModal] = useState(null); // { goalId, stepId, step, loading, result }
+  const doItForMeAbortRef = React.useRef(null);
+  const [savedDoItForMe, setSavedDoItForMe] = useState(() => JSON.parse(localStorage.getItem('achieve_doitforme') || '{}'));
+  const [shareModal, setShareModal] = useState(null); // { goal, isCompleted, theme, size, link, linkLoading, linkError }
+  const [shareCard, setShareCard] = useState(null); // Rendered card for the open share modal: { url, blob } | { loading } | { error }
+  const [templates, setTemplates] = useState(null); // Catalogue summaries, loaded when the templates view opens
+  const [templatesError, setTemplatesError] = useState('');
+  const [templateCategory, setTemplateCategory] = useState('all');
+  const [importPreview, setImportPreview] = useState(null); // { source: 'link' | 'template', plan, loading, error }
+  const [unlockedAchievements, setUnlockedAchievements] = useState(() => JSON.parse(localStorage.getItem('achieve_badges') || '[]'));
+
+  // Premium Subscription State - cached from the server, which owns entitlements and quotas
+  const [isPremium, setIsPremium] = useState(() => localStorage.getItem('achieve_premium') === 'true');
+  const [showPaywall, setShowPaywall] = useState(false);
+  const [selectedPlan, setSelectedPlan] = useState('yearly');
+  const [doItForMeUsesToday, setDoItForMeUsesToday] = useState(() => {
+    const saved = localStorage.getItem('achieve_doitforme_uses');
+    if (saved) {
+      const { date, count } = JSON.parse(saved);
+      if (date === new Date().toDateString()) return count;
+    }
+    return 0;
+  });
+  const [expandUsesToday, setExpandUsesToday] = useState(() => {
+    const saved = localStorage.getItem('achieve_expand_uses');
+    if (saved) {
+      const { date, count } = JSON.parse(saved);
+      if (date === new Date().toDateString()) return count;
+    }
+    return 0;
+  });
+
+  // Talk to Aclio state
+  const [showAclioChat, setShowAclioChat] = useState(false);
+  const [aclioMessage, setAclioMessage] = useState('');
+  const [aclioLoading, setAclioLoading] = useState(false);
+  const [chatThreads, setChatThreads] = useState(loadChatThreads);
+  const [aclioGoalId, setAclioGoalId] = useState(null);
+  const aclioAbortRef = React.useRef(null);
+  const aclioChatHistory = (chatThreads[aclioGoalId] || EMPTY_CHAT_THREAD).messages;
+
+  const restoreInputRef = React.useRef(null);
+
+  // Swipe to delete state
+  const [swipingGoalId, setSwipingGoalId] = useState(null);
+  const [swipeX, setSwipeX] = useState(0);
+  const swipeStartX = React.useRef(0);
+
+  // Pull to refresh state
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [pullDistance, setPullDistance] = useState(0);
+  const pullStartY = React.useRef(0);
+  const dashboardRef = React.useRef(null);
+
+  // Account sync
+  const [syncStatus, setSyncStatus] = useState({ state: SyncClient.isSignedIn() ? 'idle' : 'off', lastSyncedAt: SyncClient.state.lastSyncedAt, error: null });
+  const [authForm, setAuthForm] = useState({ mode: 'login', email: '', password: '', loading: false, error: '' });
+  const syncInFlight = React.useRef(false);
+
+  // Offline mode: AI requests made without a connection wait in RequestQueue and replay when it's back
+  const [online, setOnline] = useState(Connectivity.isOnline());
+  const [queuedRequests, setQueuedRequests] = useState(RequestQueue.items);
+  const replayInFlight = React.useRef(false);
+
+  useEffect(() => { saveGoals(goals); }, [goals]);
+  useEffect(() => { if (userProfile.name) saveUserProfile(userProfile); }, [userProfile]);
+  // A streaming reply is saved once it finishes
+  useEffect(() => { if (!aclioLoading) saveChatThreads(chatThreads); }, [chatThreads, aclioLoading]);
+  useEffect(() => {
+    saveTheme(theme);
+    document.documentElement.className = theme === 'dark' ? 'dark' : '';
+    // Update meta theme color
+    const metaTheme = document.querySelector('meta[name="theme-color"]');
+    if (metaTheme) metaTheme.setAttribute('content', theme === 'dark' ? '#1a2b4a' : '#e8f4fc');
+  }, [theme]);
+
+  const toggleTheme = () => setTheme(theme === 'dark' ? 'light' : 'dark');
+
+  // t() reads I18n.locale; the state re-renders the app in the new language
+  const changeLocale = (next) => {
+    I18n.setLocale(next);
+    setLocale(I18n.locale);
+  };
+
+  // Notifications
+  const requestNotificationPermission = async () => {
+    try {
+      if (await ReminderScheduler.requestPermission()) {
+        setNotificationsEnabled(true);
+        localStorage.setItem('achieve_notifications', 'true');
+        if (!ReminderScheduler.native()) {
+          ReminderScheduler.show({ key: 'enabled', title: 'Aclio', body: t('notifications.enabled') });
+        }
+      } else {
+        alert(t('notifications.blocked'));
+      }
+    } catch (err) {
+      ErrorTracker.log(err, 'warning', { action: 'requestNotificationPermission' });
+    }
+  };
+
+  const updateReminderSettings = (updates) => {
+    const next = { ...reminderSettings, ...updates };
+    setReminderSettings(next);
+    saveReminderSettings(next);
+  };
+
+  // A new budget or set of days re-plans today, keeping what was carried over or already done
+  const updatePlannerSettings = (updates) => {
+    const next = { ...plannerSettings, ...updates };
+    setPlannerSettings(next);
+    savePlannerSettings(next);
+    if (savedTodayPlan?.date === toDateKey(new Date())) {
+      const kept = savedTodayPlan.tasks.filter(t => t.carried || getPlannerTask(goals, t.key, new Date())?.done);
+      const plan = { ...savedTodayPlan, tasks: kept.map(({ key, carried }) => ({ key, ...(carried ? { carried } : {}) })) };
+      setSavedTodayPlan(plan);
+      saveTodayPlan(plan);
+    }
+  };
+
+  const toggleNotifications = () => {
+    if (notificationsEnabled) {
+      setNotificationsEnabled(false);
+      localStorage.setItem('achieve_notifications', 'false');
+    } else {
+      requestNotificationPermission();
+    }
+  };
+
+  // Location
+  const requestLocation = () => {
+    if ('geolocation' in navigator) {
+      setLocationLoading(true);
+      navigator.geolocation.getCurrentPosition(
+        async (position) => {
+          const { latitude, longitude } = position.coords;
+          // Reverse geocode to get city name
+          try {
+            const response = await fetch(`https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json`);
+            const data = await response.json();
+            const location = {
+              lat: latitude,
+              lng: longitude,
+              city: data.address?.city || data.address?.town || data.address?.village || 'your area',
+              country: data.address?.country || '',
+              display: data.address?.city || data.address?.town || data.address?.state || 'your location'
+            };
+            setUserLocation(location);
+            localStorage.setItem('achieve_location', JSON.stringify(location));
+          } catch (err) {
+            const location = { lat: latitude, lng: longitude, city: 'your area', display: 'your location' };
+            setUserLocation(location);
+            localStorage.setItem('achieve_location', JSON.stringify(location));
+          }
+          setLocationLoading(false);
+        },
+        (error) => {
+          console.error('Location error:', error);
+          setLocationLoading(false);
+          alert(t('location.failed'));
+        },
+        { enableHighAccuracy: true }
+      );
+    } else {
+      alert(t('location.unsupported'));
+    }
+  };
+
+  const clearLocation = () => {
+    setUserLocation(null);
+    localStorage.removeItem('achieve_location');
+  };
+
+  // A step waits on at most one request of each kind. Asking again clears one the server turned down;
+  // asking while one is still queued just says so. Returns whether to go ahead.
+  const takeQueueSlot = (type, goalId, stepId) => {
+    const queued = RequestQueue.find(type, goalId, stepId);
+    if (!queued) return true;
+    if (!queued.error) {
+      alert(t('offline.alreadyQueued'));
+      return false;
+    }
+    RequestQueue.remove(queued.id);
+    return true;
+  };
+
+  // Expand Step with AI
+  // regenerate: skip the saved guide and the server's shared cache for a fresh one
+  const expandStep = async (goalId, step, goalName, { regenerate = false } = {}) => {
+    const key = `${goalId}-${step.id}`;
+
+    // If already expanded, just show it
+    if (expandedSteps[key] && !regenerate) {
+      setExpandModal({ goalId, stepId: step.id, step, goalName, content: expandedSteps[key], loading: false });
+      return;
+    }
+
+    if (!takeQueueSlot('expand', goalId, step.id)) return;
+    if (!online) {
+      setExpandModal(null);
+      RequestQueue.add('expand', { goalId, step, goalName, regenerate, location: locationCountry, locale });
+      return;
+    }
+
+    // Show loading state
+    setExpandModal({ goalId, stepId: step.id, step, goalName, content: null, loading: true });
+
+    try {
+      const expandedContent = await fetchStepGuide({ goalName, step, location: locationCountry, locale, regenerate });
+      // A regenerated guide replaces the saved one
+      if (regenerate && expandedSteps[key]) {
+        const newExpanded = { ...expandedSteps, [key]: expandedContent };
+        setExpandedSteps(newExpanded);
+        localStorage.setItem('achieve_expanded', JSON.stringify(newExpanded));
+      }
+      setExpandModal({ goalId, stepId: step.id, step, goalName, content: expandedContent, loading: false });
+      // Guides the server already had cached don't count against the free allowance - catch up with its count
+      if (!isPremium) refreshEntitlements();
+    } catch (err) {
+      if (err.code === 'quota_exceeded') {
+        setExpandModal(null);
+        handleQuotaExceeded(err);
+        return;
+      }
+      if (handleCrisisSupport(err)) {
+        setExpandModal(null);
+        return;
+      }
+      if (isNetworkError(err)) {
+        // The connection dropped on the way - wait for it like any other offline request
+        Connectivity.reportNetworkError();
+        setExpandModal(null);
+        RequestQueue.add('expand', { goalId, step, goalName, regenerate, location: locationCountry, locale });
+        return;
+      }
+      console.error('Expand error:', err);
+      setExpandModal({ goalId, stepId: step.id, step, goalName, content: null, loading: false, error: err.message });
+    }
+  };
+
+  // Save expanded content
+  const saveExpandedContent = () => {
+    if (expandModal && expandModal.content) {
+      const key = `${expandModal.goalId}-${expandModal.stepId}`;
+      const newExpanded = { ...expandedSteps, [key]: expandModal.content };
+      setExpandedSteps(newExpanded);
+      localStorage.setItem('achieve_expanded', JSON.stringify(newExpanded));
+      setExpandModal(null);
+    }
+  };
+
+  // Load expanded steps from localStorage
+  useEffect(() => {
+    const saved = localStorage.getItem('achieve_expanded');
+    if (saved) {
+      setExpandedSteps(JSON.parse(saved));
+    }
+  }, []);
+
+  // Apply changes that arrived from other devices to state and storage
+  const applySyncUpdates = (updates) => {
+    const goalUpdates = Object.entries(updates).filter(([key]) => key.startsWith('goal:'));
+    if (goalUpdates.length > 0) {
+      setGoals(prev => {
+        const next = [...prev];
+        goalUpdates.forEach(([key, value]) => {
+          const index = next.findIndex(g => `goal:${g.id}` === key);
+          if (value === null) {
+            if (index !== -1) next.splice(index, 1);
+          } else if (index !== -1) {
+            next[index] = value;
+          } else {
+            next.push(value);
+          }
+        });
+        // Newest first, same as goals created on this device
+        return next.sort((a, b) => b.id - a.id);
+      });
+    }
+
+    const setters = {
+      points: (value) => setUserPoints(value || 0),
+      streak: (value) => setStreakData(value || { current: 0, best: 0, lastActive: null }),
+      badges: (value) => setUnlockedAchievements(value || []),
+      expanded: (value) => setExpandedSteps(value || {}),
+      doitforme: (value) => setSavedDoItForMe(value || {}),
+      profile: (value) => setUserProfile(value || { name: '', age: '', gender: '' }),
+      chats: (value) => setChatThreads(value || {})
+    };
+    Object.entries(setters).forEach(([key, setter]) => {
+      if (!(key in updates)) return;
+      const value = updates[key];
+      if (value === null) localStorage.removeItem(SYNC_STORAGE_KEYS[key]);
+      else localStorage.setItem(SYNC_STORAGE_KEYS[key], JSON.stringify(value));
+      setter(value);
+    });
+  };
+
+  const downloadBackup = () => {
+    const backup = createBackup();
+    downloadFile(`achieve-ai-backup-${backup.exportedAt.slice(0, 10)}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  };
+
+  // Validate the file, show what it'll add, then merge it in the same way a sync pull would
+  const restoreBackup = async (file) => {
+    let backup;
+    try {
+      backup = parseBackup(await file.text());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+
+    const { updates, added, merged } = mergeBackup(createBackup().data, backup);
+    if (Object.keys(updates).length === 0) {
+      alert(t('backup.nothingNew'));
+      return;
+    }
+    const summary = [
+      added > 0 && t('backup.newGoals', { count: added }),
+      merged > 0 && t('backup.mergedGoals', { count: merged })
+    ].filter(Boolean).join(t('backup.and')) || t('backup.savedContent');
+    const question = backup.exportedAt
+      ? t('backup.confirmFrom', { date: formatDate(backup.exportedAt), summary })
+      : t('backup.confirm', { summary });
+    if (!confirm(question)) return;
+
+    applySyncUpdates(updates);
+    runSync();
+  };
+
+  const runSync = async () => {
+    if (!SyncClient.isSignedIn() || syncInFlight.current || !Connectivity.isOnline()) return;
+    syncInFlight.current = true;
+    setSyncStatus(prev => ({ ...prev, state: 'syncing', error: null }));
+
     try {
-      const result = await generateSteps(goal)
-      setSteps(result)
-      setCompleted(new Set())
-      setView('results')
+      const updates = await SyncClient.sync();
+      if (Object.keys(updates).length > 0) applySyncUpdates(updates);
+      setSyncStatus({ state: 'idle', lastSyncedAt: SyncClient.state.lastSyncedAt, error: null });
     } catch (err) {
-      setError('Failed to generate. Check your API key.')
+      ErrorTracker.log(err, 'warning', { action: 'sync' });
+      setSyncStatus(prev => ({ ...prev, state: SyncClient.isSignedIn() ? 'error' : 'off', error: err.message }));
     } finally {
-      setLoading(false)
-    }
-  }
-
-  const toggle = (id) => {
-    setCompleted(prev => {
-      const next = new Set(prev)
-      next.has(id) ? next.delete(id) : next.add(id)
-      return next
-    })
-  }
-
-  const reset = () => {
-    setGoal('')
-    setSteps([])
-    setCompleted(new Set())
-    setView('home')
-  }
-
-  const progress = steps.length ? Math.round((completed.size / steps.length) * 100) : 0
-
-  const styles = {
-    app: { minHeight: '100vh', padding: '20px', maxWidth: '500px', margin: '0 auto' },
-    header: { display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '40px', paddingTop: '20px' },
-    logo: { width: '44px', height: '44px', background: 'var(--accent)', borderRadius: '12px', display: 'flex', alignItems: 'center', justifyContent: 'center' },
-    title: { fontSize: '22px', fontWeight: '700' },
-    hero: { fontSize: '34px', fontWeight: '700', lineHeight: '1.15', marginBottom: '12px' },
-    subtitle: { color: 'var(--text-dim)', fontSize: '17px', marginBottom: '32px' },
-    input: { width: '100%', padding: '18px', background: 'var(--card)', border: 'none', borderRadius: '14px', color: 'var(--text)', fontSize: '17px', marginBottom: '16px', outline: 'none' },
-    btn: { width: '100%', padding: '18px', background: 'var(--accent)', border: 'none', borderRadius: '14px', color: '#fff', fontSize: '17px', fontWeight: '600', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px' },
-    chips: { display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '32px' },
-    chip: { padding: '10px 16px', background: 'var(--card)', border: 'none', borderRadius: '100px', color: 'var(--text)', fontSize: '15px', cursor: 'pointer' },
-    error: { color: '#ff453a', textAlign: 'center', marginTop: '16px' },
-    backBtn: { width: '44px', height: '44px', background: 'var(--card)', border: 'none', borderRadius: '50%', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center' },
-    goalText: { flex: '1' },
-    goalLabel: { fontSize: '13px', color: 'var(--text-dim)', textTransform: 'uppercase' },
-    goalTitle: { fontSize: '20px', fontWeight: '600', marginTop: '4px' },
-    progressBar: { height: '6px', background: 'var(--card)', borderRadius: '100px', margin: '20px 0', overflow: 'hidden' },
-    progressFill: { height: '100%', background: 'var(--accent)', borderRadius: '100px' },
-    progressInfo: { display: 'flex', justifyContent: 'space-between', color: 'var(--text-dim)', fontSize: '14px' },
-    stepCard: { display: 'flex', alignItems: 'flex-start', gap: '16px', padding: '18px', background: 'var(--card)', borderRadius: '14px', marginBottom: '12px', cursor: 'pointer', border: 'none', width: '100%', textAlign: 'left' },
-    checkbox: { width: '26px', height: '26px', borderRadius: '50%', background: 'rgba(120,120,128,0.2)', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: '0' },
-    checked: { background: 'var(--success)' },
-    stepContent: { flex: '1' },
-    stepNum: { fontSize: '12px', color: 'var(--accent)', fontWeight: '600', textTransform: 'uppercase' },
-    stepTitle: { fontSize: '17px', fontWeight: '600', margin: '4px 0 6px' },
-    stepDesc: { fontSize: '15px', color: 'var(--text-dim)', lineHeight: '1.4' },
-    stepDur: { fontSize: '13px', color: 'var(--text-dim)', marginTop: '10px', display: 'flex', alignItems: 'center', gap: '5px' },
-    done: { padding: '32px', background: 'linear-gradient(135deg, var(--success), #28a745)', borderRadius: '20px', textAlign: 'center', marginTop: '20px' },
-    doneEmoji: { fontSize: '48px', marginBottom: '16px' },
-    doneTitle: { fontSize: '24px', fontWeight: '700', marginBottom: '8px' },
-    doneText: { opacity: '0.9', marginBottom: '24px' },
-    doneBtn: { padding: '14px 28px', background: '#fff', border: 'none', borderRadius: '12px', color: 'var(--success)', fontWeight: '600', cursor: 'pointer' }
-  }
-
-  const suggestions = ["Learn a new language", "Get fit in 30 days", "Start a side hustle", "Read more books"]
-
-  return (
-    <div style={styles.app}>
-      <AnimatePresence mode="wait">
-        {view === 'home' ? (
-          <motion.div key="home" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0, x: -50 }}>
-            <div style={styles.header}>
-              <div style={styles.logo}><Target size={24} /></div>
-              <span style={styles.title}>Achieve AI</span>
-            </div>
-            
-            <h1 style={styles.hero}>What do you want to achieve?</h1>
-            <p style={styles.subtitle}>AI will create your personalized roadmap</p>
-            
-            <form onSubmit={handleSubmit}>
-              <input 
-                style={styles.input} 
-                placeholder="Enter your goal..." 
-                value={goal} 
-                onChange={e => setGoal(e.target.value)}
-                disabled={loading}
-              />
-              <button style={{...styles.btn, opacity: (!goal.trim() || loading) ? 0.5 : 1}} disabled={!goal.trim() || loading}>
-                {loading ? <Loader2 size={22} className="spin" /> : <><Sparkles size={20}/> Generate Plan</>}
-              </button>
-            </form>
-            
-            {error && <p style={styles.error}>{error}</p>}
-            
-            <div style={styles.chips}>
-              {suggestions.map(s => (
-                <button key={s} style={styles.chip} onClick={() => setGoal(s)}>{s}</button>
-              ))}
-            </div>
-          </motion.div>
-        ) : (
-          <motion.div key="results" initial={{ opacity: 0, x: 50 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0 }}>
-            <div style={{...styles.header, marginBottom: '20px'}}>
-              <button style={styles.backBtn} onClick={reset}><RotateCcw size={20}/></button>
-              <div style={styles.goalText}>
-                <div style={styles.goalLabel}>Your Goal</div>
-                <div style={styles.goalTitle}>{goal}</div>
+      syncInFlight.current = false;
+    }
+  };
+
+  // Sync on launch and whenever the app comes back to the foreground
+  useEffect(() => {
+    runSync();
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') runSync();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  // ...and a few seconds after local changes settle
+  useEffect(() => {
+    if (!SyncClient.isSignedIn()) return;
+    const timer = setTimeout(runSync, 3000);
+    return () => clearTimeout(timer);
+  }, [goals, userPoints, streakData, unlockedAchievements, expandedSteps, savedDoItForMe, userProfile]);
+
+  // Run one queued request and store what comes back, the same way the live request would have
+  const replayRequest = async ({ type, payload }) => {
+    const key = `${payload.goalId}-${payload.step?.id}`;
+    if (type === 'create_goal') {
+      const result = await generateSteps(payload.goal, payload.profile, payload.location, payload.additionalContext, payload.goalType);
+      const goal = goalFromGenerated(payload.goal, result, payload.goalType);
+      // Keep the placeholder's id and anything edited on it while it waited
+      setGoals(prev => prev.map(g => g.id === payload.goalId
+        ? { ...goal, id: g.id, name: g.name, dueDate: g.dueDate, createdAt: g.createdAt }
+        : g));
+    } else if (type === 'expand') {
+      const content = await fetchStepGuide(payload);
+      setExpandedSteps(prev => {
+        const next = { ...prev, [key]: content };
+        localStorage.setItem('achieve_expanded', JSON.stringify(next));
+        return next;
+      });
+    } else if (type === 'doitforme') {
+      const { goalName, step, profile, location, locale } = payload;
+      const data = await streamFromApi('do-it-for-me', { goalName, step, profile, location, locale });
+      setSavedDoItForMe(prev => {
+        const next = { ...prev, [key]: data.result };
+        localStorage.setItem('achieve_doitforme', JSON.stringify(next));
+        return next;
+      });
+    }
+  };
+
+  // Send queued requests oldest first. Stop at the first one that can't connect and leave the rest for
+  // next time; one the server turns down keeps its error so its goal or step can offer to try again.
+  const replayQueue = async () => {
+    if (replayInFlight.current) return;
+    replayInFlight.current = true;
+    try {
+      for (const item of RequestQueue.pending()) {
+        if (!Connectivity.isOnline()) break;
+        RequestQueue.update(item.id, { attempts: item.attempts + 1 });
+        try {
+          await replayRequest(item);
+          RequestQueue.remove(item.id);
+        } catch (err) {
+          if (isNetworkError(err)) {
+            Connectivity.reportNetworkError();
+            break;
+          }
+          RequestQueue.update(item.id, { error: err.message });
+          if (err.code === 'quota_exceeded') handleQuotaExceeded(err);
+          else if (!handleCrisisSupport(err) && err.code !== 'rate_limited') {
+            ErrorTracker.log(err, 'error', { action: 'replayQueued', type: item.type });
+          }
+        }
+      }
+    } finally {
+      replayInFlight.current = false;
+    }
+  };
+
+  const retryQueuedRequest = (item) => {
+    RequestQueue.update(item.id, { error: null });
+    if (online) replayQueue();
+  };
+
+  // Follow connectivity and the queue
+  useEffect(() => {
+    const unsubscribeQueue = RequestQueue.subscribe(setQueuedRequests);
+    const unsubscribe = Connectivity.subscribe(setOnline);
+    Connectivity.start();
+    return () => { unsubscribe(); unsubscribeQueue(); };
+  }, []);
+
+  // Send anything left queued from last time, and whenever we're back online catch up with other devices too
+  const wasOnline = React.useRef(online);
+  useEffect(() => {
+    if (online) replayQueue();
+    if (online && !wasOnline.current) {
+      runSync();
+      refreshEntitlements();
+    }
+    wasOnline.current = online;
+  }, [online]);
+
+  const submitAuth = async () => {
+    if (!authForm.email.trim() || !authForm.password) return;
+    setAuthForm(prev => ({ ...prev, loading: true, error: '' }));
+
+    try {
+      await SyncClient.signIn(authForm.mode, authForm.email.trim(), authForm.password);
+      setAuthForm({ mode: 'login', email: '', password: '', loading: false, error: '' });
+      setSyncStatus({ state: 'idle', lastSyncedAt: null, error: null });
+      refreshEntitlements();
+      // Signing in from the welcome screen skips onboarding - their profile comes down with the sync
+      if (!hasOnboarded()) {
+        setOnboarded();
+        setView('dashboard');
+      }
+      runSync();
+    } catch (err) {
+      setAuthForm(prev => ({ ...prev, loading: false, error: err.message }));
+    }
+  };
+
+  const signOutOfSync = async () => {
+    await SyncClient.signOut();
+    setSyncStatus({ state: 'off', lastSyncedAt: null, error: null });
+    refreshEntitlements();
+  };
+
+  // Gamification Functions
+  const addPoints = (amount, reason) => {
+    const currentLevel = getLevel(userPoints);
+    const newPoints = userPoints + amount;
+    const newLevel = getLevel(newPoints);
+
+    setUserPoints(newPoints);
+    localStorage.setItem('achieve_points', newPoints.toString());
+    ActivityLog.record('points_awarded', { amount, reason });
+
+    // Show points popup
+    setShowPointsPopup({ amount, reason });
+    setTimeout(() => setShowPointsPopup(null), 1500);
+
+    // Check for level up
+    if (newLevel.level > currentLevel.level) {
+      setTimeout(() => setShowLevelUp(newLevel), 500);
+    }
+  };
+
+  const updateStreak = () => {
+    const today = new Date().toDateString();
+    const yesterday = new Date(Date.now() - 86400000).toDateString();
+
+    let newStreak = { ...streakData };
+
+    if (streakData.lastActive === today) {
+      // Already active today
+      return;
+    } else if (streakData.lastActive === yesterday) {
+      // Continue streak
+      newStreak.current += 1;
+      newStreak.lastActive = today;
+      if (newStreak.current > newStreak.best) {
+        newStreak.best = newStreak.current;
+      }
+      // Bonus points for streak
+      addPoints(POINTS.STREAK_BONUS * newStreak.current, t('points.streakBonus'));
+    } else {
+      // Streak broken, start new
+      newStreak.current = 1;
+      newStreak.lastActive = today;
+    }
+
+    setStreakData(newStreak);
+    localStorage.setItem('achieve_streak', JSON.stringify(newStreak));
+  };
+
+  const claimDailyBonus = () => {
+    if (!dailyBonusClaimed) {
+      addPoints(POINTS.DAILY_BONUS, t('points.dailyBonus'));
+      setDailyBonusClaimed(true);
+      localStorage.setItem('achieve_daily_bonus', new Date().toDateString());
+      updateStreak();
+    }
+  };
+
+  // Check and update streak on load
+  useEffect(() => {
+    const today = new Date().toDateString();
+    const yesterday = new Date(Date.now() - 86400000).toDateString();
+
+    if (streakData.lastActive && streakData.lastActive !== today && streakData.lastActive !== yesterday) {
+      // Streak broken
+      const newStreak = { ...streakData, current: 0 };
+      setStreakData(newStreak);
+      localStorage.setItem('achieve_streak', JSON.stringify(newStreak));
+    }
+  }, []);
+
+  // Do It For Me Feature
+  const canDoItForMe = (stepTitle, stepDesc) => {
+    const text = (stepTitle + ' ' + stepDesc).toLowerCase();
+    const actionableKeywords = [
+      'create', 'make', 'write', 'draft', 'design', 'plan', 'schedule',
+      'list', 'outline', 'template', 'budget', 'meal plan', 'workout',
+      'routine', 'checklist', 'timeline', 'roadmap', 'strategy',
+      'script', 'email', 'letter', 'proposal', 'resume', 'cv',
+      'study guide', 'flashcards', 'notes', 'summary', 'syllabus',
+      'itinerary', 'packing list', 'shopping list', 'grocery',
+      'recipe', 'menu', 'diet plan', 'exercise', 'training',
+      'business plan', 'marketing', 'content calendar', 'social media'
+    ];
+    return actionableKeywords.some(keyword => text.includes(keyword));
+  };
+
+  const doItForMe = async (goalId, step, goalName) => {
+    const key = `${goalId}-${step.id}`;
+
+    // If already done, show saved result
+    if (savedDoItForMe[key]) {
+      setDoItForMeModal({ goalId, stepId: step.id, step, goalName, loading: false, result: savedDoItForMe[key] });
+      return;
+    }
+
+    if (!takeQueueSlot('doitforme', goalId, step.id)) return;
+    if (!online) {
+      setDoItForMeModal(null);
+      RequestQueue.add('doitforme', { goalId, step, goalName, profile: userProfile, location: locationCountry, locale });
+      return;
+    }
+
+    setDoItForMeModal({ goalId, stepId: step.id, step, goalName, loading: true, result: null });
+
+    // Render the result as it streams in; only update the modal if it's still showing this step
+    const controller = new AbortController();
+    doItForMeAbortRef.current = controller;
+    const isCurrent = (prev) => prev && prev.goalId === goalId && prev.stepId === step.id;
+    let partial = '';
+
+    try {
+      const data = await streamFromApi('do-it-for-me', { goalName, step, profile: userProfile, location: locationCountry, locale }, {
+        signal: controller.signal,
+        onDelta: (text) => {
+          partial += text;
+          setDoItForMeModal(prev => isCurrent(prev) ? { ...prev, loading: false, streaming: true, result: partial } : prev);
+        }
+      });
+      setDoItForMeModal(prev => isCurrent(prev) ? { ...prev, loading: false, streaming: false, result: data.result } : prev);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before the user stopped it
+        setDoItForMeModal(prev => isCurrent(prev) ? { ...prev, loading: false, streaming: false, cancelled: true, result: partial || null, error: partial ? null : t('doItForMe.cancelled') } : prev);
+        return;
+      }
+      if (err.code === 'quota_exceeded') {
+        setDoItForMeModal(null);
+        handleQuotaExceeded(err);
+        return;
+      }
+      if (handleCrisisSupport(err)) {
+        setDoItForMeModal(null);
+        return;
+      }
+      if (isNetworkError(err) && !partial) {
+        Connectivity.reportNetworkError();
+        setDoItForMeModal(null);
+        RequestQueue.add('doitforme', { goalId, step, goalName, profile: userProfile, location: locationCountry, locale });
+        return;
+      }
+      if (err.code !== 'rate_limited') ErrorTracker.log(err, 'error', { action: 'doItForMe', step: step.title });
+      setDoItForMeModal(prev => isCurrent(prev) ? { ...prev, loading: false, streaming: false, result: null, error: err.message } : prev);
+    } finally {
+      if (doItForMeAbortRef.current === controller) doItForMeAbortRef.current = null;
+    }
+  };
+
+  const cancelDoItForMe = () => {
+    doItForMeAbortRef.current?.abort();
+  };
+
+  const closeDoItForMe = () => {
+    cancelDoItForMe();
+    setDoItForMeModal(null);
+  };
+
+  const saveDoItForMeResult = () => {
+    if (doItForMeModal && doItForMeModal.result && !doItForMeModal.streaming && !doItForMeModal.cancelled) {
+      const key = `${doItForMeModal.goalId}-${doItForMeModal.stepId}`;
+      const newSaved = { ...savedDoItForMe, [key]: doItForMeModal.result };
+      setSavedDoItForMe(newSaved);
+      localStorage.setItem('achieve_doitforme', JSON.stringify(newSaved));
+
+      // Award points
+      addPoints(15, t('points.aiAssist'));
+    }
+  };
+
+  const copyDoItForMeResult = () => {
+    if (doItForMeModal?.result) {
+      navigator.clipboard.writeText(doItForMeModal.result);
+      alert(t('common.copied'));
+    }
+  };
+
+  const downloadDoItForMeResult = () => {
+    if (doItForMeModal?.result) {
+      const blob = new Blob([doItForMeModal.result], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${doItForMeModal.step.title.replace(/[^a-z0-9]/gi, '-').toLowerCase()}.txt`;
+      a.click();
+    }
+  };
+
+  const updateChatThread = (goalId, update) => {
+    setChatThreads(prev => ({ ...prev, [goalId]: trimChatThread(update(prev[goalId] || EMPTY_CHAT_THREAD)) }));
+  };
+
+  const updateChatMessages = (goalId, update) => {
+    updateChatThread(goalId, thread => ({ ...thread, messages: update(thread.messages) }));
+  };
+
+  // Talk to Aclio - chat about the goal (Premium only)
+  const sendAclioMessage = async (goal) => {
+    if (!aclioMessage.trim()) return;
+
+    const userMessage = aclioMessage.trim();
+    const thread = chatThreads[goal.id] || EMPTY_CHAT_THREAD;
+    setAclioMessage('');
+    const sentAt = new Date().toISOString();
+    updateChatMessages(goal.id, prev => [...prev, { role: 'user', content: userMessage, at: sentAt }]);
+    setAclioLoading(true);
+
+    const controller = new AbortController();
+    aclioAbortRef.current = controller;
+    let partial = '';
+
+    // The reply streams into a single assistant bubble at the end of the thread
+    const setStreamingReply = (content, extra = {}) => {
+      updateChatMessages(goal.id, prev => {
+        const last = prev[prev.length - 1];
+        const reply = { role: 'assistant', content, at: new Date().toISOString(), ...extra };
+        return last?.streaming ? [...prev.slice(0, -1), reply] : [...prev, reply];
+      });
+    };
+
+    // A message that was turned away isn't sent again with later ones
+    const keepMessageLocal = () => {
+      updateChatMessages(goal.id, prev => prev.map(msg => msg.role === 'user' && msg.at === sentAt ? { ...msg, error: true } : msg));
+    };
+
+    // Everything since the last summary; the server summarizes again when it gets long
+    const unsummarized = sendableMessages(thread.messages.slice(thread.summarizedCount));
+    const history = unsummarized.slice(-CHAT_SEND_LIMIT);
+    const skipped = unsummarized.length - history.length;
+
+    try {
+      const data = await streamFromApi('talk-to-aclio', {
+        goalName: goal.name,
+        goalCategory: goal.category,
+        steps: goal.steps,
+        completedSteps: goal.completedSteps,
+        dueDate: goal.dueDate || null,
+        message: userMessage,
+        chatHistory: history.map(({ role, content, at }) => ({ role, content, at })),
+        chatSummary: thread.summary,
+        profile: userProfile,
+        location: locationCountry,
+        locale
+      }, {
+        signal: controller.signal,
+        onDelta: (text) => {
+          partial += text;
+          setStreamingReply(partial, { streaming: true });
+        }
+      });
+      // Plan changes Aclio proposed show up as cards for the user to confirm
+      setStreamingReply(data.response, { actions: (data.actions || []).map(action => ({ ...action, status: 'pending' })) });
+      // Turns past the send limit never reached the server, so they're left out of the context too
+      if (data.memory) {
+        updateChatThread(goal.id, prev => ({
+          ...prev,
+          summary: data.memory.summary,
+          summarizedCount: advanceSummarized(prev, skipped + data.memory.folded)
+        }));
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        if (partial) setStreamingReply(partial, { cancelled: true });
+        return;
+      }
+      if (err.code === 'quota_exceeded') {
+        setShowAclioChat(false);
+        handleQuotaExceeded(err);
+        return;
+      }
+      // Error notes stay on this device - they aren't Aclio's words, so they're never sent back as history
+      if (err.code === 'rate_limited' || err.code === 'inappropriate') {
+        if (err.code === 'inappropriate') keepMessageLocal();
+        setStreamingReply(err.message, { error: true });
+        return;
+      }
+      if (handleCrisisSupport(err)) {
+        keepMessageLocal();
+        setStreamingReply(err.message, { error: true });
+        return;
+      }
+      ErrorTracker.log(err, 'error', { action: 'talkToAclio' });
+      setStreamingReply(t('chat.failed'), { error: true });
+    } finally {
+      if (aclioAbortRef.current === controller) aclioAbortRef.current = null;
+      setAclioLoading(false);
+    }
+  };
+
+  const setChatActionStatus = (goalId, messageIndex, actionId, status) => {
+    updateChatMessages(goalId, prev => prev.map((msg, i) => i !== messageIndex ? msg : {
+      ...msg,
+      actions: msg.actions.map(action => action.id === actionId ? { ...action, status } : action)
+    }));
+  };
+
+  // Apply a plan change Aclio proposed in chat, once the user confirms it
+  const applyChatAction = (goalId, messageIndex, action) => {
+    const goal = goals.find(g => g.id === goalId);
+    if (!goal) return;
+    const { input } = action;
+
+    if (action.tool === 'add_steps') {
+      let nextId = Math.max(0, ...goal.steps.map(s => Number(s.id) || 0)) + 1;
+      const afterIndex = goal.steps.findIndex(s => s.id === input.afterStepId);
+      const at = afterIndex === -1 ? goal.steps.length : afterIndex + 1;
+      const phase = at > 0 ? inheritPhase(goal, goal.steps[at - 1].id) : {};
+      const added = input.steps.map(step => ({ id: nextId++, ...phase, ...step }));
+      setGoals(goals.map(g => g.id !== goalId ? g : {
+        ...g,
+        steps: [...g.steps.slice(0, at), ...added, ...g.steps.slice(at)]
+      }));
+    } else if (action.tool === 'edit_step') {
+      const { stepId, ...updates } = input;
+      updateStep(goalId, stepId, updates);
+    } else if (action.tool === 'reorder_steps') {
+      // Steps the model left out keep their relative order at the end
+      const listed = input.stepIds.map(id => goal.steps.find(s => s.id === id)).filter(Boolean);
+      const rest = goal.steps.filter(s => !input.stepIds.includes(s.id));
+      setGoals(goals.map(g => g.id !== goalId ? g : { ...g, steps: [...listed, ...rest] }));
+    } else if (action.tool === 'set_due_date') {
+      updateGoal(goalId, { dueDate: input.dueDate });
+    } else if (action.tool === 'mark_complete') {
+      if (!goal.completedSteps.includes(input.stepId)) toggleStep(goalId, input.stepId);
+    }
+
+    setChatActionStatus(goalId, messageIndex, action.id, 'applied');
+  };
+
+  // Card text for a proposed action: { title, lines }
+  const describeChatAction = (goal, action) => {
+    const { input } = action;
+    const stepTitle = (id) => goal.steps.find(s => s.id === id)?.title || t('chatAction.step', { id });
+    switch (action.tool) {
+      case 'add_steps':
+        return {
+          title: input.afterStepId !== undefined
+            ? t('chatAction.addStepsAfter', { count: input.steps.length, title: stepTitle(input.afterStepId) })
+            : t('chatAction.addSteps', { count: input.steps.length }),
+          lines: input.steps.map(step => `${step.title}${step.duration ? ` (${step.duration})` : ''}`)
+        };
+      case 'edit_step':
+        return {
+          title: t('chatAction.edit', { title: stepTitle(input.stepId) }),
+          lines: ['title', 'description', 'duration'].filter(field => input[field]).map(field => `${t(`chatAction.field.${field}`)}: ${input[field]}`)
+        };
+      case 'reorder_steps':
+        return { title: t('chatAction.reorder'), lines: input.stepIds.map((id, i) => `${i + 1}. ${stepTitle(id)}`) };
+      case 'set_due_date':
+        return {
+          title: t('chatAction.setDueDate', { date: formatDate(fromDateKey(input.dueDate)) }),
+          lines: goal.dueDate ? [t('chatAction.currently', { date: formatDate(fromDateKey(goal.dueDate)) })] : []
+        };
+      case 'mark_complete':
+        return { title: t('chatAction.markComplete', { title: stepTitle(input.stepId) }), lines: [] };
+      default:
+        return { title: action.tool, lines: [] };
+    }
+  };
+
+  const cancelAclioMessage = () => {
+    aclioAbortRef.current?.abort();
+  };
+
+  const closeAclioChat = () => {
+    cancelAclioMessage();
+    setShowAclioChat(false);
+  };
+
+  const openAclioChat = (goal) => {
+    setAclioGoalId(goal.id);
+    setShowAclioChat(true);
+  };
+
+  // Shown above the thread, not part of it - so it's never sent to the server
+  const aclioGreeting = (goal) => aclioChatHistory.length > 0
+    ? t('chat.welcomeBack', { name: goal.name })
+    : t('chat.greeting', { name: goal.name });
+
+  // Swipe to delete handlers
+  const handleSwipeStart = (e, goalId) => {
+    const touch = e.touches ? e.touches[0] : e;
+    swipeStartX.current = touch.clientX;
+    setSwipingGoalId(goalId);
+  };
+
+  const handleSwipeMove = (e, goalId) => {
+    if (swipingGoalId !== goalId) return;
+    const touch = e.touches ? e.touches[0] : e;
+    const diff = swipeStartX.current - touch.clientX;
+    // Only allow left swipe, max 100px
+    const newX = Math.max(0, Math.min(100, diff));
+    setSwipeX(newX);
+  };
+
+  const handleSwipeEnd = (goalId) => {
+    if (swipeX > 60) {
+      // Show delete confirmation
+      if (confirm(t('goal.confirmDelete'))) {
+        deleteGoal(goalId);
+      }
+    }
+    setSwipeX(0);
+    setSwipingGoalId(null);
+  };
+
+  // Pull to refresh handlers
+  const handlePullStart = (e) => {
+    if (dashboardRef.current?.scrollTop === 0) {
+      const touch = e.touches ? e.touches[0] : e;
+      pullStartY.current = touch.clientY;
+    }
+  };
+
+  const handlePullMove = (e) => {
+    if (pullStartY.current === 0 || isRefreshing) return;
+    if (dashboardRef.current?.scrollTop > 0) {
+      pullStartY.current = 0;
+      setPullDistance(0);
+      return;
+    }
+    const touch = e.touches ? e.touches[0] : e;
+    const diff = touch.clientY - pullStartY.current;
+    if (diff > 0) {
+      setPullDistance(Math.min(diff * 0.5, 80));
+      e.preventDefault();
+    }
+  };
+
+  const handlePullEnd = async () => {
+    if (pullDistance > 60 && !isRefreshing) {
+      setIsRefreshing(true);
+      // Simulate refresh - reload data from localStorage
+      await new Promise(resolve => setTimeout(resolve, 800));
+      setGoals(loadGoals());
+      checkAchievements();
+      setIsRefreshing(false);
+    }
+    pullStartY.current = 0;
+    setPullDistance(0);
+  };
+
+  // Check and unlock achievements
+  const checkAchievements = () => {
+    const newUnlocked = [];
+    ACHIEVEMENTS.forEach(ach => {
+      if (!unlockedAchievements.includes(ach.id)) {
+        if (ach.check(goals, getProgress, streakData.current, userPoints)) {
+          newUnlocked.push(ach.id);
+        }
+      }
+    });
+    if (newUnlocked.length > 0) {
+      const allUnlocked = [...unlockedAchievements, ...newUnlocked];
+      setUnlockedAchievements(allUnlocked);
+      localStorage.setItem('achieve_badges', JSON.stringify(allUnlocked));
+      // Show toast for new achievements
+      newUnlocked.forEach((id, i) => {
+        const ach = ACHIEVEMENTS.find(a => a.id === id);
+        setTimeout(() => {
+          setShowPointsPopup({ amount: '', reason: `🏆 ${t('achievement.unlocked', { name: achievementName(ach) })}` });
+        }, i * 1500);
+      });
+    }
+  };
+
+  // Check achievements whenever relevant data changes
+  useEffect(() => {
+    checkAchievements();
+  }, [goals, userPoints, streakData]);
+
+  // Share goal functions
+  const shareGoal = (goal) => {
+    const isCompleted = isGoalComplete(goal);
+    setShareModal({ goal, isCompleted, theme: theme === 'dark' ? 'dark' : 'light', size: 'square' });
+  };
+
+  // What the server needs to draw the card: the goal's progress, the user's level and latest badges
+  const shareCardData = (goal) => {
+    const level = getLevel(userPoints);
+    return {
+      goal: { name: goal.name, stepCount: goal.steps.length, progress: getProgress(goal), completed: isGoalComplete(goal) },
+      level: { level: level.level, name: levelName(level) },
+      badges: ACHIEVEMENTS.filter(a => unlockedAchievements.includes(a.id)).slice(-3).map(achievementName)
+    };
+  };
+
+  // Re-render the card whenever the modal opens or its theme or size changes
+  useEffect(() => {
+    if (!shareModal) {
+      setShareCard(null);
+      return;
+    }
+    let cancelled = false;
+    setShareCard({ loading: true });
+    renderShareCard(shareCardData(shareModal.goal), { theme: shareModal.theme, size: shareModal.size })
+      .then(blob => { if (!cancelled) setShareCard({ blob, url: URL.createObjectURL(blob) }); })
+      .catch(err => {
+        if (cancelled) return;
+        setShareCard({ error: err.message });
+        ErrorTracker.log(err, 'warning', { action: 'renderShareCard' });
+      });
+    return () => { cancelled = true; };
+  }, [shareModal?.goal, shareModal?.theme, shareModal?.size, locale]);
+
+  useEffect(() => () => { if (shareCard?.url) URL.revokeObjectURL(shareCard.url); }, [shareCard?.url]);
+
+  const shareCardImage = async () => {
+    if (!shareCard?.blob) return;
+    try {
+      await shareImage(shareCard.blob, exportFileName(shareModal.goal, 'png'), withShareLink(t('share.madeWith', { name: shareModal.goal.name })));
+    } catch (err) {
+      // Closing the share sheet without picking anything isn't an error
+      if (err.name === 'AbortError' || /cancel/i.test(err.message)) return;
+      ErrorTracker.log(err, 'error', { action: 'shareCardImage' });
+      alert(t('share.imageFailed'));
+    }
+  };
+
+  // Publish the plan so others can open and import it. Only the plan is shared - not progress or notes.
+  const createShareLink = async () => {
+    setShareModal(m => ({ ...m, linkLoading: true, linkError: '' }));
+    try {
+      const { url } = await publishGoal(shareModal.goal);
+      setShareModal(m => m && { ...m, link: url, linkLoading: false });
+      navigator.clipboard?.writeText(url).catch(() => {});
+    } catch (err) {
+      if (handleCrisisSupport(err)) {
+        setShareModal(null);
+        return;
+      }
+      setShareModal(m => m && { ...m, linkLoading: false, linkError: err.message });
+      ErrorTracker.log(err, 'warning', { action: 'createShareLink', goalId: shareModal.goal.id });
+    }
+  };
+
+  // Once there's a plan link, the text shares carry it too
+  const withShareLink = (text) => shareModal.link ? `${text}\n${t('share.getPlan', { link: shareModal.link })}` : text;
+
+  const shareText = () => shareModal.isCompleted
+    ? t('share.completedText', { name: shareModal.goal.name, count: shareModal.goal.steps.length })
+    : t('share.progressText', { name: shareModal.goal.name, progress: getProgress(shareModal.goal) });
+
+  const shareToTwitter = () => {
+    const text = shareText();
+    const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(withShareLink(text))}`;
+    window.open(url, '_blank');
+  };
+
+  const shareToWhatsApp = () => {
+    const text = shareText();
+    const url = `https://wa.me/?text=${encodeURIComponent(withShareLink(text))}`;
+    window.open(url, '_blank');
+  };
+
+  const copyShareLink = () => {
+    const text = `${shareText()} #Aclio`;
+    navigator.clipboard.writeText(withShareLink(text));
+    alert(t('common.copied'));
+  };
+
+  // Premium Subscription Functions
+  const canCreateGoal = () => {
+    if (isPremium) return true;
+    return goals.length < PREMIUM_CONFIG.FREE_GOAL_LIMIT;
+  };
+
+  const canUseDoItForMe = () => {
+    if (isPremium) return true;
+    return doItForMeUsesToday < PREMIUM_CONFIG.FREE_DOITFORME_DAILY;
+  };
+
+  const canUseExpand = () => {
+    if (isPremium) return true;
+    return expandUsesToday < PREMIUM_CONFIG.FREE_EXPAND_DAILY;
+  };
+
+  const canShareGoal = () => {
+    return isPremium;
+  };
+
+  const trackDoItForMeUse = () => {
+    const newCount = doItForMeUsesToday + 1;
+    setDoItForMeUsesToday(newCount);
+    localStorage.setItem('achieve_doitforme_uses', JSON.stringify({
+      date: new Date().toDateString(),
+      count: newCount
+    }));
+  };
+
+  const trackExpandUse = () => {
+    const newCount = expandUsesToday + 1;
+    setExpandUsesToday(newCount);
+    localStorage.setItem('achieve_expand_uses', JSON.stringify({
+      date: new Date().toDateString(),
+      count: newCount
+    }));
+  };
+
+  // Mirror the server's entitlement and today's usage locally
+  const applyEntitlements = (data) => {
+    setIsPremium(data.premium);
+    localStorage.setItem('achieve_premium', String(data.premium));
+    setDoItForMeUsesToday(data.quotas.doitforme.used);
+    setExpandUsesToday(data.quotas.expand.used);
+  };
+
+  const refreshEntitlements = async () => {
+    if (!Connectivity.isOnline()) return null;
+    try {
+      const response = await fetch(`${API_URL}/entitlements`, { headers: apiHeaders() });
+      if (!response.ok) return null;
+      const data = await response.json();
+      applyEntitlements(data);
+      return data;
+    } catch (err) {
+      console.warn('Could not refresh entitlements:', err.message);
+      return null;
+    }
+  };
+
+  // RevenueCat has to know this device or account by the id the server checks purchases against
+  const logInToPurchases = async (Purchases) => {
+    const entitlements = await refreshEntitlements();
+    if (!entitlements?.purchaseUserId) throw new Error(t('error.verifyPurchase'));
+    const { customerInfo } = await Purchases.logIn({ appUserID: entitlements.purchaseUserId });
+    return customerInfo;
+  };
+
+  // Only the server can grant premium, after checking the purchase with the store
+  const verifyPurchase = async (purchase) => {
+    const response = await fetch(`${API_URL}/purchases/verify`, {
+      method: 'POST',
+      headers: apiHeaders(),
+      body: JSON.stringify(purchase)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw apiError(data, t('error.verifyPurchase'));
+    applyEntitlements(data);
+    return data;
+  };
+
+  // The server heard someone who may be in crisis - show the helplines it sent instead of an error.
+  // Returns false for any other error so callers carry on with their usual handling.
+  const handleCrisisSupport = (err) => {
+    if (err.code !== 'crisis_support') return false;
+    setCrisisSupport(err.details);
+    return true;
+  };
+
+  // The server turned down an AI request - catch our counters up and offer an upgrade
+  const handleQuotaExceeded = (err) => {
+    const { feature, used } = err.details;
+    if (feature === 'doitforme') setDoItForMeUsesToday(used);
+    if (feature === 'expand') setExpandUsesToday(used);
+    setShowPaywall(true);
+  };
+
+  const handlePremiumFeature = (feature, callback) => {
+    let hasAccess = false;
+    switch(feature) {
+      case 'goal': hasAccess = canCreateGoal(); break;
+      case 'doitforme': hasAccess = canUseDoItForMe(); break;
+      case 'expand': hasAccess = canUseExpand(); break;
+      case 'share': hasAccess = canShareGoal(); break;
+      default: hasAccess = isPremium;
+    }
+
+    if (hasAccess) {
+      if (callback) callback();
+    } else {
+      setShowPaywall(true);
+    }
+  };
+
+  const handlePurchase = async () => {
+    const plan = PREMIUM_CONFIG.PLANS[selectedPlan];
+
+    // Check if running in Capacitor (native iOS)
+    const Purchases = getPurchases();
+    if (Purchases) {
+      try {
+        await logInToPurchases(Purchases);
+        const pkg = await findPlanPackage(Purchases, selectedPlan);
+        console.log('Purchasing package:', JSON.stringify(pkg, null, 2));
+
+        // Purchase the package - pass the package object directly
+        const result = await Purchases.purchasePackage({
+          aPackage: pkg
+        });
+
+        console.log('Purchase result:', JSON.stringify(result, null, 2));
+
+        // Check if premium entitlement is now active, then have our server confirm it
+        if (hasPremiumEntitlement(result?.customerInfo)) {
+          try {
+            await verifyPurchase({ productId: plan.id });
+            setShowPaywall(false);
+            alert(t('purchase.welcome'));
+          } catch (verifyError) {
+            ErrorTracker.log(verifyError, 'error', { action: 'verifyPurchase' });
+            alert(t('purchase.notActivated'));
+          }
+        }
+      } catch (error) {
+        console.error('Full purchase error:', JSON.stringify(error, null, 2));
+        if (isPurchaseCancelled(error)) {
+          console.log('User cancelled purchase');
+        } else {
+          console.error('Purchase error:', error);
+          alert(t('purchase.failed', { reason: error.message || error.code || t('purchase.unknownError') }));
+        }
+      }
+    } else {
+      // Web has no store to buy from. A dev server running RECEIPT_VERIFIER=stub accepts test receipts.
+      console.log('Purchase initiated for:', plan.id);
+      try {
+        await verifyPurchase({ receipt: `stub:${selectedPlan}`, productId: plan.id });
+        setShowPaywall(false);
+      } catch (err) {
+        alert(t('purchase.iosOnly'));
+      }
+    }
+  };
+
+  const restorePurchases = async () => {
+    const Purchases = getPurchases();
+    if (Purchases) {
+      try {
+        await logInToPurchases(Purchases);
+        const { customerInfo } = await Purchases.restorePurchases();
+
+        if (hasPremiumEntitlement(customerInfo)) {
+          await verifyPurchase({});
+          setShowPaywall(false);
+          alert(t('purchase.restored'));
+        } else {
+          alert(t('purchase.noneFound'));
+        }
+      } catch (error) {
+        console.error('Restore error:', error);
+        alert(t('purchase.restoreFailed'));
+      }
+    } else {
+      // Web fallback - ask the server whether this device or account already has premium
+      const entitlements = await refreshEntitlements();
+      if (entitlements?.premium) {
+        setShowPaywall(false);
+        alert(t('purchase.restored'));
+      } else {
+        alert(t('purchase.noneFound'));
+      }
+    }
+  };
+
+  // Initialize RevenueCat on app load (for native)
+  const initRevenueCat = async () => {
+    const Purchases = getPurchases();
+    if (Purchases) {
+      try {
+        await Purchases.configure({ apiKey: REVENUECAT_API_KEY });
+
+        // Check current subscription status and make sure the server knows about it
+        const customerInfo = await logInToPurchases(Purchases);
+        if (hasPremiumEntitlement(customerInfo)) {
+          await verifyPurchase({});
+        }
+
+        console.log('RevenueCat initialized successfully');
+      } catch (error) {
+        console.error('RevenueCat init error:', error);
+      }
+    }
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { initRevenueCat(); refreshEntitlements(); }, []);
+
+  // Generate contextual questions for a goal
+  const generateQuestions = async (goal) => {
+    if (!goal.trim()) return;
+    // Generic questions if the backend can't be reached
+    const fallbackQuestions = () => setGoalQuestions({
+      questions: [1, 2, 3].map(id => ({ id, question: t(`questions.fallback${id}`), placeholder: t(`questions.fallback${id}.placeholder`) })),
+      answers: {}
+    });
+    if (!online) {
+      fallbackQuestions();
+      return;
+    }
+    setQuestionsLoading(true);
+
+    try {
+      const response = await fetch(`${API_URL}/generate-questions`, {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ goal, location: locationCountry, locale })
+      });
+
+      if (!response.ok) throw await readApiError(response, t('error.questions'));
+
+      const data = await response.json();
+      setGoalQuestions({ questions: data.questions, answers: {} });
+    } catch (err) {
+      if (handleCrisisSupport(err)) {
+        setQuestionsLoading(false);
+        return;
+      }
+      console.error('Questions error:', err);
+      fallbackQuestions();
+    }
+    setQuestionsLoading(false);
+  };
+
+  const updateQuestionAnswer = (questionId, answer) => {
+    setGoalQuestions(prev => ({
+      ...prev,
+      answers: { ...prev.answers, [questionId]: answer }
+    }));
+  };
+
+  const resetGoalForm = () => {
+    setNewGoal('');
+    setNewGoalDueDate('');
+    setNewGoalType('auto');
+    setGoalQuestions(null);
+  };
+
+  // Show a shared plan or template before it's added: source is 'link' or 'template'
+  const previewPlan = async (source, load) => {
+    setImportPreview({ source, loading: true });
+    setView('import');
+    try {
+      setImportPreview({ source, plan: await load() });
+    } catch (err) {
+      setImportPreview({ source, error: err.message });
+      ErrorTracker.log(err, 'warning', { action: 'previewPlan', source });
+    }
+  };
+
+  const importPlan = (plan) => handlePremiumFeature('goal', () => {
+    const goal = goalFromPlan(plan.name, plan);
+    ActivityLog.record('goal_created', { goalId: goal.id, goalName: goal.name });
+    if (goals.length === 0) {
+      addPoints(POINTS.FIRST_GOAL, t('points.firstGoal'));
+    }
+
+    setGoals([goal, ...goals]);
+    setImportPreview(null);
+    resetGoalForm();
+    setActiveGoal(goal);
+    setView('detail');
+  });
+
+  // The catalogue loads the first time the templates view opens
+  useEffect(() => {
+    if (view !== 'templates' || templates) return;
+    setTemplatesError('');
+    fetchTemplates()
+      .then(setTemplates)
+      .catch(err => {
+        setTemplatesError(err.message);
+        ErrorTracker.log(err, 'warning', { action: 'fetchTemplates' });
+      });
+  }, [view, templates]);
+
+  // A shared plan link opens the app with ?import=<id>
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const shareId = params.get('import');
+    if (!shareId) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    previewPlan('link', () => fetchSharedPlan(shareId));
+  }, []);
+
+  // Rebuild the reminder schedule whenever goals, the streak, reminder settings or the language change
+  useEffect(() => {
+    if (!notificationsEnabled) {
+      ReminderScheduler.clear().catch(() => {});
+      return;
+    }
+    ReminderScheduler.schedule(buildReminderSchedule(goals, streakData, reminderSettings))
+      .catch(err => ErrorTracker.log(err, 'warning', { action: 'scheduleReminders' }));
+  }, [notificationsEnabled, goals, streakData, reminderSettings, locale]);
+
+  // Tapping a reminder opens the goal it's about
+  useEffect(() => {
+    const openGoal = (goalId) => {
+      const goal = loadGoals().find(g => String(g.id) === String(goalId));
+      if (goal) {
+        setActiveGoal(goal);
+        setView('detail');
+      }
+    };
+
+    // Browser: the service worker opens the app with ?goal=<id> when no window was open
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('goal')) {
+      openGoal(params.get('goal'));
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+
+    ReminderScheduler.registerServiceWorker();
+    const onMessage = (e) => {
+      if (e.data?.type === 'open-goal') openGoal(e.data.goalId);
+    };
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+
+    const listener = ReminderScheduler.native()?.addListener('localNotificationActionPerformed', ({ notification }) => {
+      openGoal(notification.extra?.goalId);
+    });
+
+    return () => {
+      navigator.serviceWorker?.removeEventListener('message', onMessage);
+      Promise.resolve(listener).then(handle => handle?.remove());
+    };
+  }, []);
+
+  // Edit goal
+  const updateGoal = (goalId, updates) => {
+    setGoals(goals.map(g => g.id === goalId ? { ...g, ...updates } : g));
+    setEditModal(null);
+  };
+
+  // Edit step
+  const updateStep = (goalId, stepId, updates) => {
+    setGoals(goals.map(g => {
+      if (g.id !== goalId) return g;
+      return {
+        ...g,
+        steps: g.steps.map(s => s.id === stepId ? { ...s, ...updates } : s)
+      };
+    }));
+    setEditModal(null);
+  };
+
+  // Re-plan the remaining steps of a goal from the user's feedback
+  const requestReplan = async (goal) => {
+    if (!replanModal?.feedback.trim() || replanModal.loading) return;
+    setReplanModal(prev => ({ ...prev, loading: true, error: '' }));
+
+    try {
+      const response = await fetch(`${API_URL}/replan-goal`, {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          goalName: goal.name,
+          goalCategory: goal.category,
+          steps: goal.steps,
+          completedSteps: goal.completedSteps,
+          feedback: replanModal.feedback.trim(),
+          dueDate: goal.dueDate || null,
+          profile: userProfile,
+          location: locationCountry,
+          locale
+        })
+      });
+      if (!response.ok) {
+        throw await readApiError(response, t('error.replan'));
+      }
+      const plan = await response.json();
+      const hasChanges = plan.added.length + plan.removed.length + plan.modified.length > 0;
+      setReplanModal(prev => ({
+        ...prev,
+        loading: false,
+        plan,
+        rejected: {},
+        error: hasChanges ? '' : t('replan.noChanges')
+      }));
+    } catch (err) {
+      if (handleCrisisSupport(err)) {
+        setReplanModal(null);
+        return;
+      }
+      if (err.code !== 'rate_limited' && err.code !== 'inappropriate') {
+        ErrorTracker.log(err, 'error', { action: 'replanGoal' });
+      }
+      setReplanModal(prev => ({ ...prev, loading: false, error: err.message }));
+    }
+  };
+
+  // Every change in a re-plan, keyed so each one can be accepted or rejected on its own
+  const getReplanChanges = (plan) => [
+    ...plan.modified.map(change => ({ ...change, type: 'modify', key: `modify-${change.id}` })),
+    ...plan.removed.map(step => ({ id: step.id, before: step, type: 'remove', key: `remove-${step.id}` })),
+    ...plan.added.map(({ key, afterId, ...step }) => ({ afterId, after: step, type: 'add', key }))
+  ];
+
+  const toggleReplanChange = (key) => {
+    setReplanModal(prev => ({ ...prev, rejected: { ...prev.rejected, [key]: !prev.rejected[key] } }));
+  };
+
+  // Apply the accepted changes. Completed steps are never modified or removed.
+  const applyReplan = (goalId) => {
+    const { plan, rejected } = replanModal;
+    const accepted = getReplanChanges(plan).filter(change => !rejected[change.key]);
+
+    setGoals(goals.map(g => {
+      if (g.id !== goalId) return g;
+      const isOpen = (step) => !g.completedSteps.includes(step.id);
+
+      // New steps get fresh ids so saved expansions and completions keep pointing at the right steps
+      let nextId = Math.max(0, ...g.steps.map(s => Number(s.id) || 0)) + 1;
+      const additions = accepted.filter(c => c.type === 'add').map(c => ({ afterId: c.afterId, step: { id: nextId++, ...inheritPhase(g, c.afterId), ...c.after } }));
+      const addedAfter = (id) => additions.filter(a => a.afterId === id).map(a => a.step);
+      const firstOpen = g.steps.findIndex(isOpen);
+
+      const steps = [];
+      g.steps.forEach((step, i) => {
+        if (i === firstOpen) steps.push(...addedAfter(null));
+        const change = isOpen(step) && accepted.find(c => c.id === step.id && c.type !== 'add');
+        if (!change) steps.push(step);
+        else if (change.type === 'modify') steps.push({ ...step, ...change.after });
+        steps.push(...addedAfter(step.id));
+      });
+      if (firstOpen === -1) steps.push(...addedAfter(null));
+
+      return { ...g, steps };
+    }));
+
+    if (accepted.length > 0) {
+      ActivityLog.record('goal_replanned', { goalId, changes: accepted.length });
+    }
+    setReplanModal(null);
+  };
+
+  // Filter goals by search
+  const filteredGoals = goals.filter(g =>
+    g.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
+    g.category?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+    (g.category && categoryLabel(g.category).toLowerCase().includes(searchQuery.toLowerCase()))
+  );
+
+  // Get due date status
+  const getDueDateStatus = (dueDate) => {
+    if (!dueDate) return null;
+    const now = new Date();
+    const due = new Date(dueDate);
+    const daysLeft = Math.ceil((due - now) / (1000 * 60 * 60 * 24));
+    if (daysLeft < 0) return { status: 'overdue', text: t('due.overdue', { count: Math.abs(daysLeft) }) };
+    if (daysLeft === 0) return { status: 'soon', text: t('due.today') };
+    if (daysLeft <= 3) return { status: 'soon', text: t('due.daysLeft', { count: daysLeft }) };
+    return { status: 'normal', text: t('due.daysLeft', { count: daysLeft }) };
+  };
+
+  const finishOnboarding = () => {
+    setOnboarded();
+    saveUserProfile(userProfile);
+    setView('dashboard');
+  };
+
+  // A new goal from freshly generated steps.
+  // Ongoing goals come back with a habit; asking for a habit always gets one, even if the plan didn't include it.
+  const goalFromGenerated = (name, result, goalType) => {
+    const steps = result.steps || result; // Handle both new and old format
+    const habit = result.habit || (goalType === 'habit' ? { period: 'day', timesPerPeriod: 1, target: name, rampUp: [] } : null);
+    return goalFromPlan(name, { ...result, steps, habit });
+  };
+
+  // Offline, the goal is saved straight away as a placeholder and its plan is generated once we're back
+  const queueGoal = (additionalContext, goalType) => {
+    const goal = { ...goalFromPlan(newGoal, { steps: [] }), dueDate: newGoalDueDate || null, pending: true };
+    RequestQueue.add('create_goal', { goalId: goal.id, goal: newGoal, profile: userProfile, location: userLocation, additionalContext, goalType });
+    ActivityLog.record('goal_created', { goalId: goal.id, goalName: goal.name });
+    if (goals.length === 0) {
+      addPoints(POINTS.FIRST_GOAL, t('points.firstGoal'));
+    }
+
+    setGoals(prev => [goal, ...prev]);
+    resetGoalForm();
+    setActiveGoal(goal);
+    setView('detail');
+  };
+
+  const createGoal = async () => {
+    if (!newGoal.trim() || loading) return;
+
+    // Build additional context from questions
+    let additionalContext = null;
+    if (goalQuestions?.questions && Object.keys(goalQuestions.answers).length > 0) {
+      additionalContext = goalQuestions.questions
+        .map(q => `${q.question} ${goalQuestions.answers[q.id] || 'Not specified'}`)
+        .join('\n');
+    }
+    const goalType = newGoalType === 'auto' ? null : newGoalType;
+    if (!online) {
+      queueGoal(additionalContext, goalType);
+      return;
+    }
+
+    setLoading(true); setError('');
+    setGenerationProgress({ step: 0, message: t('generate.starting') });
+
+    // Progress simulation messages - step 5 stays active until API returns
+    const progressSteps = [1, 2, 3, 4, 5].map(step => ({ step, message: t(`generate.step${step}`) }));
+
+    // Simulate progress while waiting for API (slower pace, stops at step 5)
+    let progressIndex = 0;
+    const progressInterval = setInterval(() => {
+      if (progressIndex < progressSteps.length - 1) {
+        // Steps 1-4 advance normally
+        setGenerationProgress(progressSteps[progressIndex]);
+        progressIndex++;
+      } else if (progressIndex === progressSteps.length - 1) {
+        // Step 5 stays as "in progress" until API returns
+        setGenerationProgress(progressSteps[progressSteps.length - 1]);
+        progressIndex++; // Only increment once so it stops
+      }
+      // After step 5, interval keeps running but does nothing (waiting for API)
+    }, 2500);
+
+    try {
+      const result = await generateSteps(newGoal, userProfile, userLocation, additionalContext, goalType);
+      clearInterval(progressInterval);
+      setGenerationProgress({ step: 6, message: t('generate.done') }); // Step 6 = all complete
+
+      const goal = { ...goalFromGenerated(newGoal, result, goalType), dueDate: newGoalDueDate || null };
+      ActivityLog.record('goal_created', { goalId: goal.id, goalName: goal.name });
+      // Award points for first goal
+      if (goals.length === 0) {
+        addPoints(POINTS.FIRST_GOAL, t('points.firstGoal'));
+      }
+
+      setGoals([goal, ...goals]);
+      resetGoalForm();
+      setActiveGoal(goal);  // Open the new goal directly
+      setView('detail');    // Go to goal detail page instead of dashboard
+    } catch (err) {
+      clearInterval(progressInterval);
+      if (handleCrisisSupport(err)) return;
+      if (isNetworkError(err)) {
+        Connectivity.reportNetworkError();
+        queueGoal(additionalContext, goalType);
+        return;
+      }
+      setError(err.message);
+      ErrorTracker.log(err, 'error', { action: 'createGoal', goal: newGoal });
+    }
+    finally {
+      setLoading(false);
+      setGenerationProgress({ step: 0, message: '' });
+    }
+  };
+
+  // Tick or untick a step and award points, returning the updated goal
+  const applyStepToggle = (g, stepId) => {
+    const goalId = g.id;
+    const done = g.completedSteps.includes(stepId);
+    const completed = done ? g.completedSteps.filter(id => id !== stepId) : [...g.completedSteps, stepId];
+    const completedAt = { ...(g.completedAt || {}) };
+    if (done) {
+      delete completedAt[stepId];
+    } else {
+      completedAt[stepId] = new Date().toISOString();
+    }
+    ActivityLog.record(done ? 'step_uncompleted' : 'step_completed', { goalId, stepId });
+
+    // Award points for completing step
+    if (!done) {
+      addPoints(POINTS.STEP_COMPLETE, t('points.stepDone'));
+      updateStreak();
+
+      // Bonus for completing goal (a habit's setup steps don't finish it)
+      if (completed.length === g.steps.length && !isHabit(g)) {
+        ActivityLog.record('goal_completed', { goalId });
+        setTimeout(() => {
+          addPoints(POINTS.GOAL_COMPLETE, t('points.goalComplete'));
+          setShowCelebration(true);
+        }, 300);
+      }
+    }
+
+    return { ...g, completedSteps: completed, completedAt };
+  };
+
+  const toggleStep = (goalId, stepId) => {
+    setGoals(goals.map(g => {
+      if (g.id !== goalId) return g;
+      // A step's sub-tasks follow it when it's ticked or unticked as a whole
+      const keys = (g.steps.find(s => s.id === stepId)?.subtasks || []).map(sub => subtaskKey(stepId, sub.id));
+      if (keys.length === 0) return applyStepToggle(g, stepId);
+      const others = (g.completedSubtasks || []).filter(key => !keys.includes(key));
+      const completedSubtasks = g.completedSteps.includes(stepId) ? others : [...others, ...keys];
+      return applyStepToggle({ ...g, completedSubtasks }, stepId);
+    }));
+  };
+
+  // Tick a sub-task. Ticking the last one completes its step; unticking one reopens it.
+  const toggleSubtask = (goalId, stepId, subtaskId) => {
+    setGoals(goals.map(g => {
+      if (g.id !== goalId) return g;
+      const key = subtaskKey(stepId, subtaskId);
+      const done = isSubtaskDone(g, stepId, subtaskId);
+      const completedSubtasks = done ? g.completedSubtasks.filter(k => k !== key) : [...(g.completedSubtasks || []), key];
+      ActivityLog.record(done ? 'subtask_uncompleted' : 'subtask_completed', { goalId, stepId, subtaskId });
+
+      const updated = { ...g, completedSubtasks };
+      const allDone = g.steps.find(s => s.id === stepId).subtasks.every(sub => isSubtaskDone(updated, stepId, sub.id));
+      return allDone !== g.completedSteps.includes(stepId) ? applyStepToggle(updated, stepId) : updated;
+    }));
+  };
+
+  // Check in to a habit for a day (today by default), or undo the check-in
+  const toggleCheckIn = (goalId, dateKey = toDateKey(new Date())) => {
+    setGoals(goals.map(g => {
+      if (g.id !== goalId) return g;
+      const checkIns = g.checkIns || [];
+      const done = checkIns.includes(dateKey);
+      ActivityLog.record(done ? 'habit_check_in_undone' : 'habit_checked_in', { goalId, date: dateKey });
+
+      if (!done) {
+        addPoints(POINTS.STEP_COMPLETE, t('points.checkedIn'));
+        updateStreak();
+      }
+
+      return { ...g, checkIns: done ? checkIns.filter(d => d !== dateKey) : [...checkIns, dateKey].sort() };
+    }));
+  };
+
+  const deleteGoal = (id) => {
+    if (confirm(t('goal.confirmDelete'))) {
+      const goal = goals.find(g => g.id === id);
+      ActivityLog.record('goal_deleted', { goalId: id, goalName: goal?.name });
+      setGoals(goals.filter(g => g.id !== id));
+      RequestQueue.removeForGoal(id);
+      setChatThreads(({ [id]: removed, ...rest }) => rest);
+      setView('dashboard');
+    }
+  };
+
+  // Habits show how far through this period's check-ins they are
+  const getProgress = (g) => {
+    if (isHabit(g)) {
+      const period = getHabitPeriods(g).at(-1);
+      return period ? Math.min(100, Math.round((period.done / period.needed) * 100)) : 0;
+    }
+    return getPlanProgress(g);
+  };
+  const getNextStep = getNextPlanStep;
+  const isGoalComplete = (g) => !isHabit(g) && getProgress(g) === 100;
+
+  const todayPlan = buildDayPlan(goals, plannerSettings, savedTodayPlan);
+
+  // Save today's plan as it fills in, so tomorrow knows what to carry over
+  useEffect(() => {
+    if (todayPlan.restDay) return;
+    const plan = toSavedPlan(todayPlan);
+    if (JSON.stringify(plan) !== JSON.stringify(savedTodayPlan)) {
+      setSavedTodayPlan(plan);
+      saveTodayPlan(plan);
+    }
+  }, [goals, plannerSettings, savedTodayPlan]);
+
+  // Deadline checks for dated goals by goal id, { result }. Plain arithmetic on the plan, so it's worked out on
+  // every render and slipping goals get flagged as soon as they slip. The daily budget is shared by every goal with work left.
+  const deadlineAvailability = {
+    dailyMinutes: plannerSettings.dailyMinutes,
+    days: plannerSettings.days,
+    activeGoals: goals.filter(g => isHabit(g) || getNextStep(g)).length
+  };
+  const feasibility = Object.fromEntries(goals
+    .filter(g => g.dueDate && !isHabit(g) && !g.pending)
+    .map(goal => [goal.id, { result: checkFeasibility(goal, deadlineAvailability) }]));
+
+  // Offer a shorter plan through the usual re-plan review
+  const compressPlan = (goal, check) => {
+    setReplanModal({
+      goalId: goal.id,
+      feedback: t('feasibility.compressFeedback', {
+        date: formatDate(fromDateKey(goal.dueDate)),
+        available: formatMinutes(check.available),
+        needed: formatMinutes(check.effort.expected)
+      }),
+      loading: false,
+      error: '',
+      plan: null,
+      rejected: {}
+    });
+  };
+
+  const totalDone = goals.reduce((sum, g) => sum + g.completedSteps.length, 0);
+  const streak = Math.min(7, totalDone); // Simple streak calc
+
+  const getGreeting = () => {
+    const h = new Date().getHours();
+    if (h < 12) return t('greeting.morning');
+    if (h < 18) return t('greeting.afternoon');
+    return t('greeting.evening');
+  };
+
+  const suggestions = [1, 2, 3, 4].map(n => t(`suggestion.${n}`));
+
+  // Helplines the server sent back when someone sounded like they're in crisis (see handleCrisisSupport)
+  const crisisSupportSheet = crisisSupport && (
+    <div className="modal-overlay" onClick={() => setCrisisSupport(null)}>
+      <div className="support-card fade-in" onClick={e => e.stopPropagation()}>
+        <div className="modal-emoji"><Icons.heart /></div>
+        <h2 className="modal-title">{t('crisis.title')}</h2>
+        <p className="modal-text">{crisisSupport.message}</p>
+        <div className="support-lines">
+          {crisisSupport.resources.map(line => (
+            <div key={line.name} className="support-line">
+              <div className="support-line-name">{line.name}</div>
+              <div className="support-line-actions">
+                {line.phone && <a href={`tel:${line.phone.replace(/\s/g, '')}`}>{t('crisis.call', { phone: line.phone })}</a>}
+                {line.text && <a href={`sms:${line.text}`}>{t('crisis.text', { number: line.text })}</a>}
+                {line.url && <a href={line.url} target="_blank" rel="noopener noreferrer">{t('crisis.website')}</a>}
               </div>
             </div>
-            
-            <div style={styles.progressInfo}>
-              <span>{completed.size} of {steps.length} done</span>
-              <span style={{color: 'var(--accent)', fontWeight: '600'}}>{progress}%</span>
-            </div>
-            <div style={styles.progressBar}>
-              <motion.div style={styles.progressFill} initial={{width: 0}} animate={{width: `${progress}%`}} />
-            </div>
-            
-            {steps.map((step, i) => (
-              <motion.button 
-                key={step.id} 
-                style={{...styles.stepCard, opacity: completed.has(step.id) ? 0.6 : 1}}
-                onClick={() => toggle(step.id)}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: i * 0.08 }}
-              >
-                <div style={{...styles.checkbox, ...(completed.has(step.id) ? styles.checked : {})}}>
-                  {completed.has(step.id) && <Check size={14} strokeWidth={3} />}
-                </div>
-                <div style={styles.stepContent}>
-                  <div style={styles.stepNum}>Step {step.id}</div>
-                  <div style={{...styles.stepTitle, textDecoration: completed.has(step.id) ? 'line-through' : 'none'}}>{step.title}</div>
-                  <div style={styles.stepDesc}>{step.description}</div>
-                  <div style={styles.stepDur}><Clock size={12}/> {step.duration}</div>
-                </div>
-                <ChevronRight size={20} color="var(--text-dim)" />
-              </motion.button>
-            ))}
-            
-            {progress === 100 && (
-              <motion.div style={styles.done} initial={{scale: 0.9, opacity: 0}} animate={{scale: 1, opacity: 1}}>
-                <div style={styles.doneEmoji}>🎉</div>
-                <div style={styles.doneTitle}>Amazing work!</div>
-                <div style={styles.doneText}>You've completed all steps!</div>
-                <button style={styles.doneBtn} onClick={reset}>Set New Goal</button>
-              </motion.div>
-            )}
-          </motion.div>
-        )}
-      </AnimatePresence>
-      
-      <style>{`.spin { animation: spin 1s linear infinite; } @keyframes spin { to { transform: rotate(360deg); } }`}</style>
+          ))}
+        </div>
+        <p className="support-emergency">
+          {t('crisis.emergency', { number: crisisSupport.emergency || t('crisis.localEmergency') })}
+        </p>
+        <button className="primary-btn" onClick={() => setCrisisSupport(null)}>{t('common.close')}</button>
+      </div>
     </div>
-  )
-}
+  );
 
+  // Shown at the top of the main screens while the server can't be reached
+  const offlineBanner = !online && (
+    <div className="offline-banner">
+      <Icons.wifiOff />
+      <span>{queuedRequests.length > 0 ? t('offline.bannerQueued', { count: queuedRequests.length }) : t('offline.banner')}</span>
+    </div>
+  );
+
+  // Everything the views read: state, setters, actions and shared elements
+  const app = {
+    view, setView, onboardStep, setOnboardStep, goals, setGoals, setActiveGoal, activeGoal, newGoal,
+    setNewGoal, newGoalDueDate, setNewGoalDueDate, newGoalType, setNewGoalType, goalQuestions,
+    setGoalQuestions, questionsLoading, loading, generationProgress, error, showCelebration,
+    setShowCelebration, userProfile, setUserProfile, theme, locale, searchQuery, setSearchQuery,
+    setEditModal, editModal, setReplanModal, replanModal, notificationsEnabled, reminderSettings,
+    plannerSettings, feasibility, userLocation, locationLoading, expandModal, setExpandModal,
+    expandedSteps, analyticsFilter, setAnalyticsFilter, analyticsPeriod, setAnalyticsPeriod,
+    userPoints, streakData, showLevelUp, setShowLevelUp, showPointsPopup, dailyBonusClaimed,
+    errorFilter, setErrorFilter, setExpandedError, expandedError, errorStats, setErrorStats,
+    errorReporting, setErrorReporting, doItForMeModal, savedDoItForMe, shareModal, setShareModal,
+    shareCard, templates, templatesError, templateCategory, setTemplateCategory, importPreview,
+    setImportPreview, isPremium, setShowPaywall, showPaywall, selectedPlan, setSelectedPlan,
+    doItForMeUsesToday, expandUsesToday, showAclioChat, aclioMessage, setAclioMessage, aclioLoading,
+    setChatThreads, aclioChatHistory, restoreInputRef, swipingGoalId, swipeX, isRefreshing,
+    pullDistance, dashboardRef, syncStatus, authForm, setAuthForm, toggleTheme, changeLocale,
+    updateReminderSettings, updatePlannerSettings, toggleNotifications, requestLocation,
+    clearLocation, expandStep, saveExpandedContent, downloadBackup, restoreBackup, runSync,
+    submitAuth, signOutOfSync, claimDailyBonus, canDoItForMe, doItForMe, cancelDoItForMe,
+    closeDoItForMe, saveDoItForMeResult, copyDoItForMeResult, downloadDoItForMeResult,
+    sendAclioMessage, setChatActionStatus, applyChatAction, describeChatAction, cancelAclioMessage,
+    closeAclioChat, openAclioChat, aclioGreeting, handleSwipeStart, handleSwipeMove, handleSwipeEnd,
+    handlePullStart, handlePullMove, handlePullEnd, shareGoal, shareCardImage, createShareLink,
+    shareToTwitter, shareToWhatsApp, copyShareLink, trackDoItForMeUse, trackExpandUse,
+    handlePremiumFeature, handlePurchase, restorePurchases, generateQuestions, updateQuestionAnswer,
+    resetGoalForm, previewPlan, importPlan, updateGoal, updateStep, requestReplan, getReplanChanges,
+    toggleReplanChange, applyReplan, filteredGoals, getDueDateStatus, finishOnboarding, createGoal,
+    toggleStep, toggleSubtask, toggleCheckIn, deleteGoal, getProgress, getNextStep, isGoalComplete,
+    todayPlan, compressPlan, getGreeting, suggestions, crisisSupportSheet, online, queuedRequests,
+    retryQueuedRequest, offlineBanner
+  };
+
+  if (view === 'welcome') return <WelcomeView app={app} />;
+  if (view === 'onboarding') return <OnboardingView app={app} />;
+  if (view === 'profile-setup') return <ProfileSetupView app={app} />;
+  if (view === 'dashboard') return <DashboardView app={app} />;
+  if (view === 'new') return <NewGoalView app={app} />;
+  if (view === 'detail' && activeGoal) return <GoalDetailView app={app} />;
+  if (view === 'settings') return <SettingsView app={app} />;
+  if (view === 'analytics') return <AnalyticsView app={app} />;
+  if (view === 'error-log') return <ErrorLogView app={app} />;
+  if (view === 'reminders') return <RemindersView app={app} />;
+  if (view === 'templates') return <TemplatesView app={app} />;
+  if (view === 'import') return <ImportView app={app} />;
+  if (view === 'planner') return <PlannerView app={app} />;
+  if (view === 'account') return <AccountView app={app} />;
+  if (view === 'edit-profile') return <EditProfileView app={app} />;
+
+  return null;
+}
@@ -0,0 +1,168 @@
+/**
+ * Achieve AI - Activity Log
+ * Timestamped history of what the user did. Analytics are built from this instead of goal snapshots.
+ * Event types: goal_created, goal_deleted, goal_completed, goal_replanned, step_completed, step_uncompleted,
+ * subtask_completed, subtask_uncompleted, habit_checked_in, habit_check_in_undone, points_awarded
+ */
+
+import { formatDate } from './i18n';
+
+const ACTIVITY_LOG_VERSION = 1;
+const ACTIVITY_LOG_LIMIT = 5000;
+
+export const ActivityLog = {
+  events: JSON.parse(localStorage.getItem('achieve_activity') || '[]'),
+
+  record(type, data = {}, at = new Date()) {
+    const entry = {
+      id: `${at.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      at: at.toISOString(),
+      ...data
+    };
+
+    this.events.push(entry);
+    // Keep the log bounded - drop the oldest entries first
+    if (this.events.length > ACTIVITY_LOG_LIMIT) {
+      this.events = this.events.slice(-ACTIVITY_LOG_LIMIT);
+    }
+
+    this.save();
+    return entry;
+  },
+
+  save() {
+    localStorage.setItem('achieve_activity', JSON.stringify(this.events));
+  },
+
+  getEvents(type = 'all') {
+    if (type === 'all') return this.events;
+    return this.events.filter(e => e.type === type);
+  },
+
+  // One-time upgrade of data saved before the log existed.
+  // Goal ids are creation timestamps, so goal_created is exact. Old step completions have no
+  // timestamp, so they're recorded as approximate and left out of the daily charts.
+  migrate() {
+    const version = parseInt(localStorage.getItem('achieve_activity_version') || '0');
+    if (version >= ACTIVITY_LOG_VERSION) return;
+
+    const goals = JSON.parse(localStorage.getItem('achieve_goals') || '[]');
+    const migratedGoals = goals.map(goal => {
+      const createdAt = new Date(typeof goal.id === 'number' ? goal.id : goal.createdAt);
+      const at = isNaN(createdAt) ? new Date() : createdAt;
+
+      this.events.push({ id: `migrated-${goal.id}`, type: 'goal_created', at: at.toISOString(), goalId: goal.id, goalName: goal.name, migrated: true });
+      (goal.completedSteps || []).forEach(stepId => {
+        this.events.push({ id: `migrated-${goal.id}-${stepId}`, type: 'step_completed', at: at.toISOString(), goalId: goal.id, stepId, migrated: true, approximate: true });
+      });
+
+      return { ...goal, completedAt: goal.completedAt || {} };
+    });
+
+    this.events.sort((a, b) => a.at.localeCompare(b.at));
+    this.save();
+    localStorage.setItem('achieve_goals', JSON.stringify(migratedGoals));
+    localStorage.setItem('achieve_activity_version', String(ACTIVITY_LOG_VERSION));
+  }
+};
+
+ActivityLog.migrate();
+
+// Analytics helpers - all derived from the activity log
+export const ANALYTICS_PERIODS = {
+  day: { label: 'analytics.period.day', buckets: 7 },
+  week: { label: 'analytics.period.week', buckets: 8 },
+  month: { label: 'analytics.period.month', buckets: 6 }
+};
+
+const toDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+export const getBucketStart = (date, period) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  if (period === 'week') d.setDate(d.getDate() - d.getDay());
+  if (period === 'month') d.setDate(1);
+  return d;
+};
+
+// Net step completions per day/week/month, or distinct goals worked on when filter is 'goals'
+export const buildActivityChart = (events, period, filter) => {
+  const { buckets } = ANALYTICS_PERIODS[period];
+
+  const chart = [];
+  const current = getBucketStart(new Date(), period);
+  for (let i = buckets - 1; i >= 0; i--) {
+    const start = new Date(current);
+    if (period === 'day') start.setDate(start.getDate() - i);
+    if (period === 'week') start.setDate(start.getDate() - i * 7);
+    if (period === 'month') start.setMonth(start.getMonth() - i);
+
+    const label = formatDate(start, period === 'day' ? { weekday: 'short' }
+      : period === 'week' ? { month: 'numeric', day: 'numeric' }
+      : { month: 'short' });
+    chart.push({ key: start.getTime(), label, completed: 0, uncompleted: 0, goals: new Set() });
+  }
+
+  const byKey = Object.fromEntries(chart.map(b => [b.key, b]));
+  events.forEach(e => {
+    if (e.approximate) return;
+    if (e.type !== 'step_completed' && e.type !== 'step_uncompleted') return;
+    const bucket = byKey[getBucketStart(e.at, period).getTime()];
+    if (!bucket) return;
+    if (e.type === 'step_completed') {
+      bucket.completed++;
+      bucket.goals.add(e.goalId);
+    } else {
+      bucket.uncompleted++;
+    }
+  });
+
+  return chart.map(b => ({
+    label: b.label,
+    value: filter === 'goals' ? b.goals.size : Math.max(0, b.completed - b.uncompleted)
+  }));
+};
+
+// The single most productive day, plus the weekday the user tends to get the most done
+export const getBestDayStats = (events) => {
+  const perDay = {};
+  const perWeekday = [0, 0, 0, 0, 0, 0, 0];
+  events.forEach(e => {
+    if (e.type !== 'step_completed' || e.approximate) return;
+    const key = toDayKey(e.at);
+    perDay[key] = (perDay[key] || 0) + 1;
+    perWeekday[new Date(e.at).getDay()]++;
+  });
+
+  const days = Object.entries(perDay);
+  if (days.length === 0) return null;
+
+  const [bestDay, bestCount] = days.reduce((best, day) => day[1] > best[1] ? day : best);
+  const bestWeekday = perWeekday.indexOf(Math.max(...perWeekday));
+  return {
+    date: new Date(`${bestDay}T00:00:00`),
+    count: bestCount,
+    weekday: formatDate(new Date(2024, 0, 7 + bestWeekday), { weekday: 'long' }), // Jan 7, 2024 was a Sunday
+    activeDays: days.length
+  };
+};
+
+// Steps completed per week since the goal was created, and a rough finish estimate at that pace
+export const getGoalVelocity = (goal, events) => {
+  const createdAt = typeof goal.id === 'number' ? goal.id : Date.now();
+  const weeks = Math.max(1, (Date.now() - createdAt) / (7 * 86400000));
+  const completedCount = goal.completedSteps.length;
+  const perWeek = completedCount / weeks;
+  const remaining = goal.steps.length - completedCount;
+  const lastActivity = events.filter(e => e.goalId === goal.id && e.type === 'step_completed' && !e.approximate).pop();
+
+  return {
+    perWeek: Math.round(perWeek * 10) / 10,
+    weeksToFinish: perWeek > 0 && remaining > 0 ? Math.ceil(remaining / perWeek) : null,
+    lastActivity: lastActivity ? new Date(lastActivity.at) : null
+  };
+};
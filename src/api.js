@@ -0,0 +1,122 @@
+/**
+ * Achieve AI - API Client
+ * Requests to the Achieve AI server. Every call identifies this install (quotas and premium are tracked
+ * per device) and the account, when signed in.
+ */
+
+import { I18n, t } from './i18n';
+import { CATEGORIES } from './categories';
+import { SyncClient } from './sync';
+
+// Backend API URL - change this when deploying
+export const API_URL = 'https://aclio-production.up.railway.app/api';
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem('achieve_device_id');
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem('achieve_device_id', deviceId);
+  }
+  return deviceId;
+};
+
+export const apiHeaders = (extra = {}) => ({
+  'Content-Type': 'application/json',
+  'X-Device-Id': getDeviceId(),
+  ...(SyncClient.state.token ? { 'Authorization': `Bearer ${SyncClient.state.token}` } : {}),
+  ...extra
+});
+
+// Moderation replies come from the server in English, so the app shows its own wording for them
+const LOCALIZED_ERRORS = { inappropriate: 'moderation.blocked', crisis_support: 'crisis.message' };
+
+// Keep the server's error code (e.g. 'quota_exceeded') and details so callers can react to them
+export const apiError = (data, fallbackMessage) => {
+  const localized = LOCALIZED_ERRORS[data.error];
+  const error = new Error(localized ? t(localized) : data.message || data.error || fallbackMessage);
+  error.code = data.error;
+  error.details = localized ? { ...data, message: error.message } : data;
+  return error;
+};
+
+// Build the Error for a failed response. Rate limits get a friendly "slow down" instead of the raw error.
+export const readApiError = async (response, fallbackMessage) => {
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 429) {
+    const retryAfter = data.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || null;
+    const wait = !retryAfter ? t('rateLimit.moment') : retryAfter < 90 ? t('rateLimit.seconds', { count: retryAfter }) : t('rateLimit.minutes', { count: Math.ceil(retryAfter / 60) });
+    return apiError({ ...data, error: 'rate_limited', retryAfter, message: t('rateLimit.message', { wait }) }, fallbackMessage);
+  }
+  return apiError(data, fallbackMessage);
+};
+
+// goalType: 'habit' or 'plan' when the user picked one, otherwise Aclio decides
+export const generateSteps = async (goal, profile = {}, location = null, additionalContext = null, goalType = null) => {
+  const response = await fetch(`${API_URL}/generate-steps`, {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({ goal, profile, location, additionalContext, goalType, categories: CATEGORIES.join(', '), locale: I18n.locale })
+  });
+  if (!response.ok) {
+    // Handle inappropriate goal, parse errors and rate limits with a user-friendly message
+    throw await readApiError(response, t('error.backendDown'));
+  }
+  return await response.json();
+};
+
+// A detailed guide for one step. regenerate skips the server's shared cache for a fresh one.
+export const fetchStepGuide = async ({ goalName, step, location, locale, regenerate = false }) => {
+  const response = await fetch(`${API_URL}/expand-step`, {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({ goalName, step, location, locale, regenerate })
+  });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.expand'));
+  }
+  return await response.json();
+};
+
+// Stream a Server-Sent Events response from the backend.
+// Calls onDelta with each text chunk as it arrives and resolves with the final `done` payload.
+export const streamFromApi = async (path, body, { onDelta, signal } = {}) => {
+  const response = await fetch(`${API_URL}/${path}`, {
+    method: 'POST',
+    headers: apiHeaders({ 'Accept': 'text/event-stream' }),
+    body: JSON.stringify({ ...body, stream: true }),
+    signal
+  });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.requestFailed'));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const eventLine = frame.split('\n').find(line => line.startsWith('event:'));
+      const dataLine = frame.split('\n').find(line => line.startsWith('data:'));
+      if (!eventLine || !dataLine) continue;
+
+      const event = eventLine.slice(6).trim();
+      const data = JSON.parse(dataLine.slice(5).trim());
+      if (event === 'delta' && onDelta) onDelta(data.text);
+      else if (event === 'done') result = data;
+      else if (event === 'error') throw new Error(data.error || t('error.streamFailed'));
+    }
+  }
+
+  if (!result) throw new Error(t('error.connectionClosed'));
+  return result;
+};
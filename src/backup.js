@@ -0,0 +1,296 @@
+/**
+ * Achieve AI - Backup & Export
+ * A backup is a versioned JSON file with everything we'd sync: goals plus the SYNC_STORAGE_KEYS documents.
+ * Restoring merges it into what's on this device instead of replacing it.
+ */
+
+import { t, formatDate, categoryLabel } from './i18n';
+import { loadGoals } from './storage';
+import { SYNC_STORAGE_KEYS, isSameValue } from './sync';
+import { isSubtaskDone, getPlanPhases } from './plan';
+import { isHabit, fromDateKey, describeHabitFrequency } from './habits';
+
+const BACKUP_FORMAT = 'achieve-ai-backup';
+const BACKUP_VERSION = 1;
+
+export const createBackup = () => {
+  const data = { goals: loadGoals() };
+  Object.entries(SYNC_STORAGE_KEYS).forEach(([key, storageKey]) => {
+    const raw = localStorage.getItem(storageKey);
+    if (raw !== null) data[key] = JSON.parse(raw);
+  });
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Shape each backed-up document must have (anything missing is fine - it's left alone on restore)
+const BACKUP_CHECKS = {
+  points: (value) => typeof value === 'number' && value >= 0,
+  streak: (value) => isPlainObject(value) && typeof (value.current ?? 0) === 'number',
+  badges: (value) => Array.isArray(value) && value.every(id => typeof id === 'string'),
+  expanded: isPlainObject,
+  doitforme: isPlainObject,
+  profile: isPlainObject,
+  chats: (value) => isPlainObject(value) && Object.values(value).every(thread => Array.isArray(thread?.messages))
+};
+
+const isValidBackupGoal = (goal) => isPlainObject(goal) &&
+  (typeof goal.id === 'number' || typeof goal.id === 'string') &&
+  typeof goal.name === 'string' && goal.name.trim() !== '' &&
+  Array.isArray(goal.steps) && goal.steps.every(step => isPlainObject(step) && step.id !== undefined && typeof step.title === 'string') &&
+  Array.isArray(goal.completedSteps);
+
+// Parse and check a backup file. Throws an Error with a message we can show the user.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error(t('backup.notJson'));
+  }
+  // The old "Export Data" file was just { goals, profile }
+  if (isPlainObject(backup) && !backup.format && Array.isArray(backup.goals)) {
+    backup = { format: BACKUP_FORMAT, version: 0, data: { goals: backup.goals, ...(backup.profile ? { profile: backup.profile } : {}) } };
+  }
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT || !isPlainObject(backup.data)) {
+    throw new Error(t('backup.notBackup'));
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(t('backup.newer'));
+  }
+
+  const { goals = [], ...docs } = backup.data;
+  if (!Array.isArray(goals) || !goals.every(isValidBackupGoal)) {
+    throw new Error(t('backup.damagedGoals'));
+  }
+  const damaged = Object.keys(BACKUP_CHECKS).find(key => key in docs && !BACKUP_CHECKS[key](docs[key]));
+  if (damaged) {
+    throw new Error(t('backup.damagedPart', { part: damaged }));
+  }
+  return backup;
+};
+
+// Move per-step entries ("<goalId>-<stepId>") over to a goal's new id
+const remapGoalKeys = (entries = {}, fromId, toId) => Object.fromEntries(
+  Object.entries(entries).map(([key, value]) => [
+    key.startsWith(`${fromId}-`) ? `${toId}-${key.slice(String(fromId).length + 1)}` : key,
+    value
+  ])
+);
+
+/**
+ * Merge a parsed backup into the current data (same shape as createBackup().data).
+ * Returns { updates, added, merged } - updates are keyed like sync documents ("goal:<id>", "points", ...)
+ * so they can go straight through applySyncUpdates.
+ */
+export const mergeBackup = (current, backup) => {
+  const { goals: backupGoals = [], ...backupDocs } = backup.data;
+  const docs = {
+    expanded: { ...(backupDocs.expanded || {}) },
+    doitforme: { ...(backupDocs.doitforme || {}) },
+    chats: { ...(backupDocs.chats || {}) }
+  };
+  const updates = {};
+  let added = 0;
+  let merged = 0;
+  let nextId = Math.max(Date.now(), ...current.goals.map(g => Number(g.id) || 0)) + 1;
+
+  backupGoals.forEach(goal => {
+    const existing = current.goals.find(g => String(g.id) === String(goal.id));
+    if (!existing) {
+      updates[`goal:${goal.id}`] = goal;
+      added++;
+    } else if (existing.name === goal.name) {
+      // Same goal - keep this device's edits and bring back any progress (and habit check-ins) the backup had
+      const stepIds = existing.steps.map(s => s.id);
+      const completedSteps = [...new Set([...existing.completedSteps, ...goal.completedSteps])].filter(id => stepIds.includes(id));
+      const completedSubtasks = [...new Set([...(existing.completedSubtasks || []), ...(goal.completedSubtasks || [])])];
+      const checkIns = [...new Set([...(existing.checkIns || []), ...(Array.isArray(goal.checkIns) ? goal.checkIns : [])])].sort();
+      if (completedSteps.length !== existing.completedSteps.length ||
+          completedSubtasks.length !== (existing.completedSubtasks || []).length ||
+          checkIns.length !== (existing.checkIns || []).length) {
+        updates[`goal:${existing.id}`] = { ...existing, completedSteps, completedSubtasks, ...(checkIns.length ? { checkIns } : {}) };
+        merged++;
+      }
+    } else {
+      // A different goal that happens to share the id - restore it as a new one
+      const id = nextId++;
+      updates[`goal:${id}`] = { ...goal, id };
+      ['expanded', 'doitforme'].forEach(key => { docs[key] = remapGoalKeys(docs[key], goal.id, id); });
+      if (docs.chats[goal.id]) {
+        docs.chats[id] = docs.chats[goal.id];
+        delete docs.chats[goal.id];
+      }
+      added++;
+    }
+  });
+
+  // Saved AI content and chats: this device wins where both have an entry
+  ['expanded', 'doitforme', 'chats'].forEach(key => {
+    const value = { ...docs[key], ...(current[key] || {}) };
+    if (!isSameValue(value, current[key] || {})) updates[key] = value;
+  });
+
+  if ('points' in backupDocs && backupDocs.points > (current.points || 0)) updates.points = backupDocs.points;
+
+  if (backupDocs.badges) {
+    const badges = [...new Set([...(current.badges || []), ...backupDocs.badges])];
+    if (badges.length !== (current.badges || []).length) updates.badges = badges;
+  }
+
+  // The more recently active copy owns the current streak; the best streak is the max of both
+  if (backupDocs.streak) {
+    const local = current.streak || { current: 0, best: 0, lastActive: null };
+    const activeAt = (streak) => new Date(streak.lastActive || 0).getTime() || 0;
+    const latest = activeAt(backupDocs.streak) > activeAt(local) ? backupDocs.streak : local;
+    const streak = { ...latest, best: Math.max(local.best || 0, backupDocs.streak.best || 0) };
+    if (!isSameValue(streak, local)) updates.streak = streak;
+  }
+
+  // Only fill in profile fields that are empty here
+  if (backupDocs.profile) {
+    const local = current.profile || {};
+    const profile = { ...local };
+    Object.entries(backupDocs.profile).forEach(([field, value]) => {
+      if (!local[field] && value) profile[field] = value;
+    });
+    if (!isSameValue(profile, local)) updates.profile = profile;
+  }
+
+  return { updates, added, merged };
+};
+
+// ---- Per-goal exports ----
+export const exportFileName = (goal, extension) => `${goal.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'goal'}.${extension}`;
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Checklist, ready to paste into notes apps that understand Markdown task lists
+const goalToMarkdown = (goal) => {
+  const done = goal.completedSteps.length;
+  const lines = [
+    `# ${goal.name}`,
+    '',
+    [goal.category && categoryLabel(goal.category), goal.dueDate && t('export.due', { date: formatDate(fromDateKey(goal.dueDate)) }), t('export.stepsDone', { done, count: goal.steps.length })].filter(Boolean).join(' · '),
+    ''
+  ];
+  if (isHabit(goal)) {
+    lines.push(`**${t('export.habit')}** ${describeHabitFrequency(goal.habit)} · ${goal.habit.target} (${t('export.checkIns', { count: (goal.checkIns || []).length })})`, '');
+  }
+  getPlanPhases(goal).forEach(({ phase, steps }) => {
+    if (phase) lines.push(`## ${phase.title}`, ...(phase.milestone ? [t('export.milestone', { milestone: phase.milestone })] : []), '');
+    steps.forEach(step => {
+      const checked = goal.completedSteps.includes(step.id) ? 'x' : ' ';
+      lines.push(`- [${checked}] **${step.title}**${step.duration ? ` (${step.duration})` : ''}`);
+      if (step.description) lines.push(`  ${step.description.replace(/\n+/g, ' ')}`);
+      (step.subtasks || []).forEach(sub => {
+        const ticked = checked === 'x' || isSubtaskDone(goal, step.id, sub.id) ? 'x' : ' ';
+        lines.push(`  - [${ticked}] ${sub.title}`);
+      });
+    });
+    if (phase) lines.push('');
+  });
+  return lines.join('\n') + '\n';
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const goalToCsv = (goal) => {
+  const rows = [['step', 'phase', 'title', 'description', 'duration', 'status', 'goal', 'dueDate'].map(column => t(`export.csv.${column}`))];
+  goal.steps.forEach((step, i) => {
+    const phase = (goal.phases || []).find(p => p.id === step.phase)?.title;
+    rows.push([i + 1, phase, step.title, step.description, step.duration, goal.completedSteps.includes(step.id) ? t('export.done') : t('export.toDo'), goal.name, goal.dueDate || '']);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const icsDate = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+const icsText = (text) => String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545). Cuts fall
+// between characters (code points), so multi-byte characters and emoji are never split.
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      parts.push(part);
+      part = ' ';
+      octets = 1;
+    }
+    part += char;
+    octets += size;
+  }
+  return [...parts, part].join('\r\n');
+};
+
+/**
+ * Calendar with the steps still to do spread evenly from today up to the due date
+ * (one a day when there's no due date or it has passed), plus the due date itself.
+ */
+const goalToIcs = (goal, now = new Date()) => {
+  const remaining = goal.steps.filter(step => !goal.completedSteps.includes(step.id));
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const due = goal.dueDate ? new Date(`${goal.dueDate}T00:00:00`) : null;
+  const daysLeft = due ? Math.round((due - today) / 86400000) : 0;
+  const spacing = daysLeft > 0 && remaining.length > 0 ? daysLeft / remaining.length : 1;
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+  const event = (uid, date, summary, description) => {
+    const end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${uid}@achieve-ai`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(date)}`,
+      `DTEND;VALUE=DATE:${icsDate(end)}`,
+      `SUMMARY:${icsText(summary)}`,
+      ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+      'END:VEVENT'
+    ];
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Achieve AI//Goal Plan//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(goal.name)}`
+  ];
+  remaining.forEach((step, i) => {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + Math.floor(i * spacing));
+    const description = [step.description, step.duration && t('export.time', { duration: step.duration }), t('export.goal', { name: goal.name })].filter(Boolean).join('\n\n');
+    lines.push(...event(`goal-${goal.id}-step-${step.id}`, date, step.title, description));
+  });
+  if (due && daysLeft >= 0) {
+    lines.push(...event(`goal-${goal.id}-due`, due, t('export.dueEvent', { name: goal.name }), null));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const GOAL_EXPORTS = {
+  markdown: { extension: 'md', type: 'text/markdown', build: goalToMarkdown },
+  csv: { extension: 'csv', type: 'text/csv', build: goalToCsv },
+  ics: { extension: 'ics', type: 'text/calendar', build: goalToIcs }
+};
+
+export const exportGoal = (goal, format) => {
+  const { extension, type, build } = GOAL_EXPORTS[format];
+  downloadFile(exportFileName(goal, extension), build(goal), type);
+};
@@ -0,0 +1,41 @@
+/**
+ * Achieve AI - Categories
+ * Goal categories and the icons and colours goals are drawn with.
+ */
+
+export const CATEGORIES = ['Health & Fitness', 'Career', 'Education', 'Finance', 'Creative', 'Personal Growth', 'Relationships', 'Travel', 'Home & Living', 'Technology'];
+
+// Each category's goal icon and colours
+export const CATEGORY_ICONS = {
+  'Health & Fitness': 'fitness',
+  'Career': 'rocket',
+  'Education': 'book',
+  'Finance': 'dollar',
+  'Creative': 'palette',
+  'Personal Growth': 'brain',
+  'Relationships': 'heart',
+  'Travel': 'plane',
+  'Home & Living': 'home',
+  'Technology': 'code'
+};
+
+export const CATEGORY_COLORS = {
+  'Health & Fitness': { bg: 'var(--success-soft)', color: 'var(--success)' },
+  'Career': { bg: 'var(--accent-soft)', color: 'var(--accent)' },
+  'Education': { bg: 'var(--purple-soft)', color: 'var(--purple)' },
+  'Finance': { bg: 'var(--gold-soft)', color: '#b45309' },
+  'Creative': { bg: 'var(--pink-soft, rgba(236,72,153,0.1))', color: 'var(--pink)' },
+  'Personal Growth': { bg: 'var(--accent-soft)', color: 'var(--accent)' },
+  'Relationships': { bg: 'rgba(236,72,153,0.1)', color: 'var(--pink)' },
+  'Travel': { bg: 'var(--accent-soft)', color: 'var(--accent)' },
+  'Home & Living': { bg: 'var(--orange-soft)', color: 'var(--orange)' },
+  'Technology': { bg: 'var(--purple-soft)', color: 'var(--purple)' }
+};
+
+const GOAL_ICON_KEYS = ['target', 'fitness', 'book', 'dollar', 'palette', 'rocket', 'run', 'music', 'code', 'plane', 'home', 'heart', 'brain', 'pencil'];
+export const ICON_COLORS = [
+  { bg: 'var(--accent-soft)', color: 'var(--accent)' },
+  { bg: 'var(--purple-soft)', color: 'var(--purple)' },
+  { bg: 'var(--orange-soft)', color: 'var(--orange)' },
+  { bg: 'var(--success-soft)', color: 'var(--success)' },
+];
@@ -0,0 +1,37 @@
+/**
+ * Achieve AI - Chat Threads
+ * Each goal keeps its Talk to Aclio thread: { messages, summary, summarizedCount }.
+ * The server folds older turns into `summary` once a chat gets long; the first `summarizedCount`
+ * messages are covered by it and stay here only so the user can scroll back through them.
+ * Messages marked `error` (failures, rate limits, crisis notes) are shown but never sent or summarized.
+ */
+
+const CHAT_THREAD_LIMIT = 200;
+export const CHAT_SEND_LIMIT = 40;
+export const EMPTY_CHAT_THREAD = { messages: [], summary: '', summarizedCount: 0 };
+
+export const saveChatThreads = (threads) => localStorage.setItem('achieve_chats', JSON.stringify(threads));
+export const loadChatThreads = () => JSON.parse(localStorage.getItem('achieve_chats') || '{}');
+
+// Drop the oldest messages past the limit, keeping summarizedCount pointing at the same message
+export const trimChatThread = (thread) => {
+  const dropped = Math.max(0, thread.messages.length - CHAT_THREAD_LIMIT);
+  if (dropped === 0) return thread;
+  return {
+    ...thread,
+    messages: thread.messages.slice(dropped),
+    summarizedCount: Math.max(0, thread.summarizedCount - dropped)
+  };
+};
+
+// The turns the server gets to see
+export const sendableMessages = (messages) => messages.filter(message => !message.error);
+
+// Move summarizedCount past the next `count` sendable messages
+export const advanceSummarized = (thread, count) => {
+  let index = thread.summarizedCount;
+  for (let left = count; left > 0 && index < thread.messages.length; index++) {
+    if (!thread.messages[index].error) left--;
+  }
+  return index;
+};
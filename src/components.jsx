@@ -0,0 +1,41 @@
+/**
+ * Achieve AI - Shared Components
+ * Small pieces of UI used by more than one view.
+ */
+
+function CircleProgress({ percent, size = 64, stroke = 5 }) {
+  const radius = (size - stroke) / 2;
+  const circ = radius * 2 * Math.PI;
+  const offset = circ - (percent / 100) * circ;
+  return (
+    <svg width={size} height={size}>
+      <circle cx={size/2} cy={size/2} r={radius} fill="none" stroke="var(--border)" strokeWidth={stroke} />
+      <circle cx={size/2} cy={size/2} r={radius} fill="none" stroke="var(--accent)" strokeWidth={stroke} strokeDasharray={circ} strokeDashoffset={offset} strokeLinecap="round" />
+    </svg>
+  );
+}
+
+// Simple markdown-like formatting for AI output (safe to render while it is still streaming in)
+export function MarkdownText({ text }) {
+  return text.split('\n').map((line, i) => {
+    if (line.startsWith('## ')) return <h2 key={i}>{line.slice(3)}</h2>;
+    if (line.startsWith('# ')) return <h1 key={i}>{line.slice(2)}</h1>;
+    if (line.startsWith('**') && line.endsWith('**')) return <h3 key={i}>{line.slice(2, -2)}</h3>;
+    if (line.startsWith('- ')) return <li key={i} style={{marginLeft: '20px'}}>{line.slice(2)}</li>;
+    if (line.match(/^\d+\./)) return <li key={i} style={{marginLeft: '20px'}}>{line}</li>;
+    if (line.includes('|')) {
+      const cells = line.split('|').filter(c => c.trim());
+      if (cells.length > 1) {
+        return (
+          <div key={i} style={{display: 'flex', borderBottom: '1px solid var(--border)', padding: '8px 0'}}>
+            {cells.map((cell, j) => (
+              <span key={j} style={{flex: 1, fontSize: '13px'}}>{cell.trim()}</span>
+            ))}
+          </div>
+        );
+      }
+    }
+    if (line.trim() === '') return <br key={i} />;
+    return <p key={i} style={{marginBottom: '8px'}}>{line}</p>;
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Achieve AI - Connectivity
+ * Whether the server is reachable right now. The browser's online/offline events are a hint;
+ * a health check against the server decides, and a request that fails to connect counts as offline.
+ */
+
+import { API_URL } from './api';
+
+const HEALTH_TIMEOUT_MS = 5000;
+const OFFLINE_RECHECK_MS = 30000;
+
+// fetch() rejects with a TypeError when it can't reach the server at all
+export const isNetworkError = (err) => err instanceof TypeError || err?.name === 'TimeoutError';
+
+export const Connectivity = {
+  online: navigator.onLine !== false,
+  listeners: new Set(),
+  recheckTimer: null,
+
+  isOnline() {
+    return this.online;
+  },
+
+  // listener(online) runs whenever we go offline or come back
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  setOnline(online) {
+    // Keep asking the server while we think it's unreachable, in case no 'online' event comes
+    clearTimeout(this.recheckTimer);
+    if (!online) this.recheckTimer = setTimeout(() => this.check(), OFFLINE_RECHECK_MS);
+
+    if (online === this.online) return;
+    this.online = online;
+    this.listeners.forEach(listener => listener(online));
+  },
+
+  async check() {
+    if (navigator.onLine === false) {
+      this.setOnline(false);
+      return false;
+    }
+    try {
+      const response = await fetch(`${API_URL}/health`, { cache: 'no-store', signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) });
+      this.setOnline(response.ok);
+    } catch (err) {
+      this.setOnline(false);
+    }
+    return this.online;
+  },
+
+  // Call when a request couldn't connect, so everything else switches to offline behaviour straight away
+  reportNetworkError() {
+    this.setOnline(false);
+  },
+
+  start() {
+    window.addEventListener('online', () => this.check());
+    window.addEventListener('offline', () => this.setOnline(false));
+    this.check();
+  }
+};
@@ -0,0 +1,219 @@
+/**
+ * Achieve AI - Error Tracking
+ * Keeps recent errors and warnings on the device for the developer log, and reports them to the server
+ * when the user has opted in. Reports are scrubbed of the user's own words first.
+ */
+
+import { API_URL, apiHeaders } from './api';
+
+export const APP_VERSION = '1.0.0';
+
+// The user's own words on this device - goal names, steps, notes, profile, chats and do-it-for-me
+// results - longest first so "Run a 5K in spring" is replaced before "Run a 5K"
+const personalText = () => {
+  const read = (key, fallback) => {
+    try { return JSON.parse(localStorage.getItem(key)) || fallback; } catch { return fallback; }
+  };
+  const goals = read('achieve_goals', []);
+  const profile = read('achieve_profile', {});
+  const location = read('achieve_location', {});
+  const chats = Object.values(read('achieve_chats', {}));
+  const doItForMe = Object.values(read('achieve_doitforme', {}));
+  // Long replies are matched line by line, since an error only ever quotes part of one
+  const lines = (value) => typeof value === 'string' ? value.split('\n') : [];
+  const texts = [
+    ...goals.flatMap(goal => [
+      ['goal', goal.name],
+      ...(goal.steps || []).flatMap(step => [['step', step.title], ['step', step.description], ...(step.subtasks || []).map(sub => ['step', sub.title])]),
+      ['note', goal.habit?.target]
+    ]),
+    ...chats.flatMap(thread => [
+      ...(thread.messages || []).flatMap(message => lines(message.content).map(line => ['chat', line])),
+      ...lines(thread.summary).map(line => ['chat', line])
+    ]),
+    ...doItForMe.flatMap(result => lines(result).map(line => ['note', line])),
+    ['name', profile.name],
+    ['place', location.city],
+    ['place', location.display]
+  ];
+  return texts
+    .filter(([, value]) => typeof value === 'string' && value.trim().length >= 3)
+    .sort((a, b) => b[1].length - a[1].length);
+};
+
+// Copy of an entry that's safe to upload: personal text replaced with [goal], [step], [name]...,
+// no browser details or page query, and only context fields that describe what the app was doing
+const scrubErrorEntry = (entry, texts = personalText()) => {
+  const scrub = (value) => {
+    if (typeof value !== 'string') return value;
+    let result = value;
+    texts.forEach(([label, text]) => { result = result.split(text.trim()).join(`[${label}]`); });
+    return result.replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[email]');
+  };
+  const { action, source, type, lineno, colno, url } = entry.context || {};
+  return {
+    type: entry.type,
+    message: scrub(entry.message),
+    stack: scrub(entry.stack),
+    context: {
+      action: scrub(action), source: scrub(source), type: scrub(type), lineno, colno,
+      url: url ? scrub(url.split(/[?#]/)[0]) : undefined,
+      timestamp: entry.context?.timestamp
+    }
+  };
+};
+
+export const ErrorTracker = {
+  errors: JSON.parse(localStorage.getItem('achieve_errors') || '[]'),
+  uploadTimer: null,
+  uploading: false,
+
+  // Ids only ever go up, even for errors logged in the same millisecond, so the upload cursor
+  // (the last reported id) never skips one
+  nextId() {
+    const reported = Number(localStorage.getItem('achieve_errors_reported')) || 0;
+    return Math.max(Date.now(), (this.errors[0]?.id || 0) + 1, reported + 1);
+  },
+
+  log(error, type = 'error', context = {}) {
+    const entry = {
+      id: this.nextId(),
+      type, // 'error', 'warning', 'info'
+      message: error.message || String(error),
+      stack: error.stack || null,
+      context: {
+        url: window.location.href,
+        userAgent: navigator.userAgent,
+        timestamp: new Date().toISOString(),
+        ...context
+      }
+    };
+
+    this.errors.unshift(entry);
+    // Keep only last 100 errors
+    if (this.errors.length > 100) {
+      this.errors = this.errors.slice(0, 100);
+    }
+
+    localStorage.setItem('achieve_errors', JSON.stringify(this.errors));
+    console.log(`[ErrorTracker] ${type}:`, error);
+    this.scheduleUpload();
+
+    return entry;
+  },
+
+  getErrors(filter = 'all') {
+    if (filter === 'all') return this.errors;
+    return this.errors.filter(e => e.type === filter);
+  },
+
+  getStats() {
+    return {
+      total: this.errors.length,
+      errors: this.errors.filter(e => e.type === 'error').length,
+      warnings: this.errors.filter(e => e.type === 'warning').length,
+      info: this.errors.filter(e => e.type === 'info').length,
+      lastError: this.errors[0] || null
+    };
+  },
+
+  clear() {
+    this.errors = [];
+    localStorage.removeItem('achieve_errors');
+  },
+
+  export() {
+    return JSON.stringify(this.errors, null, 2);
+  },
+
+  // ---- Opt-in error reports: new entries are scrubbed and sent to the server in batches ----
+  isReporting() {
+    return localStorage.getItem('achieve_error_reporting') === 'true';
+  },
+
+  // Only errors logged after the user opts in are sent, never the backlog from before
+  setReporting(enabled) {
+    localStorage.setItem('achieve_error_reporting', String(enabled));
+    clearTimeout(this.uploadTimer);
+    this.uploadTimer = null;
+    if (enabled) localStorage.setItem('achieve_errors_reported', String(this.errors[0]?.id || 0));
+  },
+
+  // Entries logged since the last upload, oldest first
+  pendingReports() {
+    const lastId = Number(localStorage.getItem('achieve_errors_reported')) || 0;
+    return this.errors.filter(e => e.id > lastId).reverse();
+  },
+
+  // Wait a little so a burst of errors goes up as one batch
+  scheduleUpload(delay = 30000) {
+    if (!this.isReporting() || this.uploadTimer) return;
+    this.uploadTimer = setTimeout(() => {
+      this.uploadTimer = null;
+      this.uploadReports();
+    }, delay);
+  },
+
+  async uploadReports() {
+    const batch = this.pendingReports().slice(0, 50);
+    if (!this.isReporting() || this.uploading || batch.length === 0) return;
+
+    this.uploading = true;
+    try {
+      const texts = personalText();
+      const response = await fetch(`${API_URL}/errors`, {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({
+          appVersion: APP_VERSION,
+          platform: window.Capacitor?.getPlatform?.() || 'web',
+          entries: batch.map(entry => scrubErrorEntry(entry, texts))
+        })
+      });
+      // Failures aren't logged (that would report itself); the entries stay pending for the next try
+      if (!response.ok) return;
+      localStorage.setItem('achieve_errors_reported', String(batch[batch.length - 1].id));
+      if (this.pendingReports().length > 0) this.scheduleUpload();
+    } catch {
+      // Offline - try again after the next error or launch
+    } finally {
+      this.uploading = false;
+    }
+  }
+};
+
+// Send anything left over from the last session
+ErrorTracker.scheduleUpload(10000);
+
+// Global error handler
+window.onerror = function(message, source, lineno, colno, error) {
+  ErrorTracker.log(error || { message, stack: `at ${source}:${lineno}:${colno}` }, 'error', {
+    source, lineno, colno
+  });
+  return false;
+};
+
+// Unhandled promise rejection handler
+window.onunhandledrejection = function(event) {
+  ErrorTracker.log(event.reason || { message: 'Unhandled Promise Rejection' }, 'error', {
+    type: 'unhandledrejection'
+  });
+};
+
+// Console error interceptor
+const originalConsoleError = console.error;
+console.error = function(...args) {
+  const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
+  if (!message.includes('[ErrorTracker]')) {
+    ErrorTracker.log({ message }, 'error', { source: 'console.error' });
+  }
+  originalConsoleError.apply(console, args);
+};
+
+// Console warn interceptor
+const originalConsoleWarn = console.warn;
+console.warn = function(...args) {
+  const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
+  ErrorTracker.log({ message }, 'warning', { source: 'console.warn' });
+  originalConsoleWarn.apply(console, args);
+};
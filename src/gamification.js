@@ -0,0 +1,61 @@
+/**
+ * Achieve AI - Gamification
+ * Points, levels and achievements.
+ */
+
+import { t } from './i18n';
+import { isHabit } from './habits';
+
+const LEVELS = [
+  { level: 1, minPoints: 0, icon: 'star' },
+  { level: 2, minPoints: 100, icon: 'zap' },
+  { level: 3, minPoints: 300, icon: 'flame' },
+  { level: 4, minPoints: 600, icon: 'trophy' },
+  { level: 5, minPoints: 1000, icon: 'award' },
+  { level: 6, minPoints: 1500, icon: 'crown' },
+  { level: 7, minPoints: 2500, icon: 'gem' },
+  { level: 8, minPoints: 4000, icon: 'sparkles' },
+  { level: 9, minPoints: 6000, icon: 'rocket' },
+  { level: 10, minPoints: 10000, icon: 'target' },
+];
+
+export const levelName = (level) => t(`level.${level.level}`);
+
+export const POINTS = {
+  STEP_COMPLETE: 10,
+  GOAL_COMPLETE: 50,
+  DAILY_BONUS: 25,
+  STREAK_BONUS: 5, // per day of streak
+  FIRST_GOAL: 30,
+};
+
+export const getLevel = (points) => {
+  for (let i = LEVELS.length - 1; i >= 0; i--) {
+    if (points >= LEVELS[i].minPoints) return LEVELS[i];
+  }
+  return LEVELS[0];
+};
+
+export const getNextLevel = (points) => {
+  const currentLevel = getLevel(points);
+  const nextIdx = LEVELS.findIndex(l => l.level === currentLevel.level) + 1;
+  return nextIdx < LEVELS.length ? LEVELS[nextIdx] : null;
+};
+
+// Dynamic Achievements System
+export const ACHIEVEMENTS = [
+  { id: 'first_goal', icon: 'star', gradient: 'linear-gradient(135deg, #8b5cf6, #6d28d9)', check: (goals) => goals.length >= 1 },
+  { id: 'first_step', icon: 'rocket', gradient: 'linear-gradient(135deg, #10b981, #059669)', check: (goals) => goals.some(g => g.completedSteps?.length > 0) },
+  { id: 'first_complete', icon: 'trophy', gradient: 'linear-gradient(135deg, #f59e0b, #d97706)', check: (goals, getProgress) => goals.some(g => !isHabit(g) && getProgress(g) === 100) },
+  { id: 'streak_3', icon: 'flame', gradient: 'linear-gradient(135deg, #ef4444, #dc2626)', check: (goals, getProgress, streak) => streak >= 3 },
+  { id: 'streak_7', icon: 'zap', gradient: 'linear-gradient(135deg, #3b82f6, #1d4ed8)', check: (goals, getProgress, streak) => streak >= 7 },
+  { id: 'five_goals', icon: 'target', gradient: 'linear-gradient(135deg, #ec4899, #db2777)', check: (goals) => goals.length >= 5 },
+  { id: 'three_complete', icon: 'award', gradient: 'linear-gradient(135deg, #14b8a6, #0d9488)', check: (goals, getProgress) => goals.filter(g => !isHabit(g) && getProgress(g) === 100).length >= 3 },
+  { id: 'ten_steps', icon: 'activity', gradient: 'linear-gradient(135deg, #6366f1, #4f46e5)', check: (goals) => goals.reduce((sum, g) => sum + (g.completedSteps?.length || 0), 0) >= 10 },
+  { id: 'fifty_steps', icon: 'gem', gradient: 'linear-gradient(135deg, #0ea5e9, #0284c7)', check: (goals) => goals.reduce((sum, g) => sum + (g.completedSteps?.length || 0), 0) >= 50 },
+  { id: 'hundred_points', icon: 'coins', gradient: 'linear-gradient(135deg, #a855f7, #9333ea)', check: (goals, getProgress, streak, points) => points >= 100 },
+  { id: 'five_hundred_points', icon: 'crown', gradient: 'linear-gradient(135deg, #facc15, #eab308)', check: (goals, getProgress, streak, points) => points >= 500 },
+  { id: 'level_5', icon: 'sparkles', gradient: 'linear-gradient(135deg, #f97316, #ea580c)', check: (goals, getProgress, streak, points) => getLevel(points).level >= 5 },
+];
+
+export const achievementName = (achievement) => t(`achievement.${achievement.id}.name`);
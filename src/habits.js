@@ -0,0 +1,78 @@
+/**
+ * Achieve AI - Habits
+ * Habit goals repeat instead of finishing. goal.habit is the recurrence:
+ * { period: 'day' | 'week', timesPerPeriod, target, rampUp: [{ week, timesPerPeriod, target }], startDate }
+ * goal.checkIns logs one 'YYYY-MM-DD' per day the user checked in. A habit's steps are its setup steps.
+ */
+
+import { t } from './i18n';
+import { getBucketStart } from './activityLog';
+
+export const HABIT_HISTORY = { day: 30, week: 12 }; // Periods the completion rate looks back over
+
+export const isHabit = (goal) => goal.type === 'habit' && !!goal.habit;
+
+export const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+export const fromDateKey = (key) => new Date(`${key}T00:00:00`);
+
+export const describeHabitFrequency = ({ period, timesPerPeriod }) => (period === 'day' || timesPerPeriod >= 7 ? t('habit.everyDay') : t('habit.timesAWeek', { count: timesPerPeriod }));
+
+// What the habit asks for on `date`. A ramp-up stage runs until the next one starts;
+// the last one lasts a week, then the full habit applies.
+export const habitStage = (habit, date = new Date()) => {
+  const days = Math.round((getBucketStart(date, 'day') - fromDateKey(habit.startDate)) / 86400000);
+  const week = Math.floor(days / 7) + 1;
+  const stages = habit.rampUp || [];
+  const stage = stages.find((s, i) => week >= s.week && week < (stages[i + 1]?.week ?? s.week + 1));
+  return stage
+    ? { week, period: habit.period, timesPerPeriod: stage.timesPerPeriod || habit.timesPerPeriod, target: stage.target, rampingUp: true }
+    : { week, period: habit.period, timesPerPeriod: habit.timesPerPeriod, target: habit.target, rampingUp: false };
+};
+
+// Every period from the habit's start up to today, oldest first: [{ start, done, needed, met, current }]
+export const getHabitPeriods = (goal, today = new Date()) => {
+  const { period, startDate } = goal.habit;
+  const checkIns = new Set(goal.checkIns || []);
+  const current = getBucketStart(today, period);
+  const started = fromDateKey(startDate);
+  const periods = [];
+
+  let start = getBucketStart(started, period);
+  while (start <= current) {
+    const next = new Date(start);
+    next.setDate(next.getDate() + (period === 'week' ? 7 : 1));
+    let done = 0;
+    for (const day = new Date(start); day < next; day.setDate(day.getDate() + 1)) {
+      if (checkIns.has(toDateKey(day))) done++;
+    }
+    // The first week may begin before the habit did - it's on the habit's first stage
+    const needed = habitStage(goal.habit, start < started ? started : start).timesPerPeriod;
+    periods.push({ start, done, needed, met: done >= needed, current: start.getTime() === current.getTime() });
+    start = next;
+  }
+  return periods;
+};
+
+// Periods in a row with the target met. The one in progress counts once it's met but can't break the streak yet.
+export const getHabitStreak = (goal, today = new Date()) => {
+  let run = 0;
+  let best = 0;
+  getHabitPeriods(goal, today).forEach(p => {
+    if (p.met) {
+      run++;
+      best = Math.max(best, run);
+    } else if (!p.current) {
+      run = 0;
+    }
+  });
+  return { current: run, best };
+};
+
+// How many recent periods hit the target: { met, total, rate } (rate is null before a period has finished)
+export const getHabitCompletion = (goal, today = new Date()) => {
+  const periods = getHabitPeriods(goal, today)
+    .filter(p => !p.current || p.met)
+    .slice(-HABIT_HISTORY[goal.habit.period]);
+  const met = periods.filter(p => p.met).length;
+  return { met, total: periods.length, rate: periods.length > 0 ? Math.round((met / periods.length) * 100) : null };
+};
@@ -0,0 +1,60 @@
+/**
+ * Achieve AI - Localization
+ * UI text is looked up by key: t('dashboard.activeGoals'), t('analytics.stepsDone', { count: 3 }).
+ * Entries can have {placeholders} and plural forms ({ one, other, ... } by Intl.PluralRules
+ * category); keys a language doesn't have yet fall back to English. Saved data keeps its English
+ * ids (categories, achievements, levels) - only their labels are translated.
+ */
+
+import en from './locales/en';
+import es from './locales/es';
+import fr from './locales/fr';
+import de from './locales/de';
+
+export const LANGUAGES = { en: 'English', es: 'Español', fr: 'Français', de: 'Deutsch' };
+
+export const MESSAGES = { en, es, fr, de };
+
+// The language picked in Settings, otherwise the first device language we have text for
+const detectLocale = () => {
+  const saved = localStorage.getItem('achieve_locale');
+  if (LANGUAGES[saved]) return saved;
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language || 'en'];
+  return preferred.map(tag => String(tag).split('-')[0].toLowerCase()).find(language => LANGUAGES[language]) || 'en';
+};
+
+export const I18n = {
+  locale: detectLocale(),
+
+  setLocale(locale) {
+    this.locale = LANGUAGES[locale] ? locale : 'en';
+    localStorage.setItem('achieve_locale', this.locale);
+    document.documentElement.lang = this.locale;
+  },
+
+  t(key, params = {}) {
+    const own = MESSAGES[this.locale]?.[key];
+    const locale = own !== undefined ? this.locale : 'en';
+    const entry = own ?? MESSAGES.en[key] ?? key;
+    const text = typeof entry === 'string' ? entry : entry[new Intl.PluralRules(locale).select(params.count ?? 0)] ?? entry.other;
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === 'number' ? value.toLocaleString(this.locale) : value;
+    });
+  },
+
+  // Dates read the way the user's language writes them ("Oct 19, 2026", "19 oct 2026", "19. Okt. 2026").
+  // Goals saved before this stored their date as English text, which shows as saved if it won't parse.
+  formatDate(date, options = { month: 'short', day: 'numeric', year: 'numeric' }) {
+    const value = date instanceof Date ? date : new Date(date);
+    return isNaN(value) ? String(date) : new Intl.DateTimeFormat(this.locale, options).format(value);
+  }
+};
+document.documentElement.lang = I18n.locale;
+
+export const t = (key, params) => I18n.t(key, params);
+export const formatDate = (date, options) => I18n.formatDate(date, options);
+
+// Categories are stored in English (the server picks from that list); older or custom ones show as saved
+export const categoryLabel = (category) => MESSAGES.en[`category.${category}`] ? t(`category.${category}`) : category;
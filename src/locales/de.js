@@ -0,0 +1,619 @@
+/**
+ * Achieve AI - German
+ * German UI text, keyed like ./en.js.
+ */
+
+export default {
+  'category.Health & Fitness': 'Gesundheit & Fitness',
+  'category.Career': 'Karriere',
+  'category.Education': 'Bildung',
+  'category.Finance': 'Finanzen',
+  'category.Creative': 'Kreatives',
+  'category.Personal Growth': 'Persönliche Entwicklung',
+  'category.Relationships': 'Beziehungen',
+  'category.Travel': 'Reisen',
+  'category.Home & Living': 'Haus & Wohnen',
+  'category.Technology': 'Technik',
+  'level.1': 'Anfänger',
+  'level.2': 'Entdecker',
+  'level.3': 'Macher',
+  'level.4': 'Champion',
+  'level.5': 'Meister',
+  'level.6': 'Experte',
+  'level.7': 'Legende',
+  'level.8': 'Elite',
+  'level.9': 'Großmeister',
+  'level.10': 'Ultimativ',
+  'achievement.first_goal.name': 'Zielsetzer',
+  'achievement.first_step.name': 'Erster Schritt',
+  'achievement.first_complete.name': 'Macher',
+  'achievement.streak_3.name': 'Im Flow',
+  'achievement.streak_7.name': 'Unaufhaltsam',
+  'achievement.five_goals.name': 'Ehrgeizig',
+  'achievement.three_complete.name': 'Hattrick',
+  'achievement.ten_steps.name': 'Schrittmeister',
+  'achievement.fifty_steps.name': 'Dranbleiber',
+  'achievement.hundred_points.name': 'Hunderter',
+  'achievement.five_hundred_points.name': 'Elite',
+  'achievement.level_5.name': 'Meister',
+  'premium.goals.title': 'Unbegrenzte Ziele',
+  'premium.goals.desc': 'Erstelle so viele Ziele, wie du willst',
+  'premium.doItForMe.title': 'Unbegrenztes „Mach es für mich“',
+  'premium.doItForMe.desc': 'Lass die KI jede Aufgabe für dich erledigen',
+  'premium.share.title': 'Erfolge teilen',
+  'premium.share.desc': 'Schöne Erfolgskarten zum Teilen',
+  'premium.priority.title': 'Bevorzugte KI',
+  'premium.priority.desc': 'Schnellere und ausführlichere Schritte',
+  'error.backendDown': 'Der Server läuft nicht. Starte ihn mit: cd server && npm start',
+  'error.requestFailed': 'Anfrage fehlgeschlagen',
+  'error.streamFailed': 'Übertragung fehlgeschlagen',
+  'error.connectionClosed': 'Die Verbindung wurde getrennt, bevor die Antwort fertig war',
+  'error.publish': 'Es konnte kein Link zu diesem Plan erstellt werden',
+  'error.sharedPlan': 'Dieser geteilte Plan konnte nicht geöffnet werden',
+  'error.templates': 'Vorlagen konnten nicht geladen werden',
+  'error.template': 'Diese Vorlage konnte nicht geladen werden',
+  'error.shareImage': 'Das Bild zum Teilen konnte nicht erstellt werden',
+  'rateLimit.moment': 'einem Moment',
+  'rateLimit.seconds': { one: '{count} Sekunde', other: '{count} Sekunden' },
+  'rateLimit.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+  'rateLimit.message': 'Langsam! Aclio braucht eine Pause – versuch es in {wait} noch einmal.',
+  'onboarding.plan.title': 'KI-gestützte Zielplanung',
+  'onboarding.plan.text': 'Mach aus deinen Wünschen persönliche Aktionspläne, von KI erstellt und auf deine Ziele zugeschnitten.',
+  'onboarding.plan.guidance': 'Kluge Begleitung für jedes Ziel',
+  'onboarding.plan.personalized': 'Persönliche Aktionspläne',
+  'onboarding.plan.timeline': 'Passend zu deinem Zeitplan',
+  'onboarding.steps.title': 'Schritt-für-Schritt-Anleitung',
+  'onboarding.steps.text': 'Zerlege dein Ziel in klare, machbare Aufgaben – mit einem Coaching, das sich an deinen Fortschritt anpasst.',
+  'onboarding.steps.research': 'Branchentrends recherchieren',
+  'onboarding.steps.course': 'Einen Onlinekurs abschließen',
+  'onboarding.steps.portfolio': 'Ein Portfolio-Projekt bauen',
+  'onboarding.steps.mentors': 'Mit Mentoren vernetzen',
+  'onboarding.steps.apply': 'Neue Fähigkeiten anwenden',
+  'onboarding.track.title': 'Verfolge deinen Erfolg',
+  'onboarding.track.text': 'Feiere Meilensteine, bleib motiviert und sieh zu, wie deine Serien wachsen, während du deine Ziele erreichst.',
+  'onboarding.track.badge': '7-Tage-Serie freigeschaltet',
+  'welcome.mascot': 'Aclio-Maskottchen',
+  'welcome.tagline': 'Entfache deine Ziele.',
+  'welcome.getStarted': 'Los geht\'s',
+  'welcome.haveAccount': 'Du hast schon ein Konto?',
+  'welcome.signIn': 'Anmelden',
+  'common.skip': 'Überspringen',
+  'common.next': 'Weiter',
+  'profileSetup.title': 'Erzähl uns von dir',
+  'profileSetup.subtitle': 'Damit wir dein Erlebnis anpassen können',
+  'profileSetup.name': 'Dein Name *',
+  'profileSetup.namePlaceholder': 'z. B. Theyab',
+  'profileSetup.age': 'Dein Alter',
+  'profileSetup.agePlaceholder': 'z. B. 22',
+  'profileSetup.continueAs': 'Weiter als {name}',
+  'profileSetup.enterName': 'Gib deinen Namen ein, um fortzufahren',
+  'profile.gender': 'Geschlecht',
+  'profile.gender.Male': 'Männlich',
+  'profile.gender.Female': 'Weiblich',
+  'profile.gender.Other': 'Divers',
+  'profile.edit': 'Profil bearbeiten',
+  'profile.name': 'Dein Name',
+  'profile.save': 'Profil speichern',
+  'backup.notJson': 'Diese Datei ist keine gültige Sicherung (kein JSON).',
+  'backup.notBackup': 'Diese Datei ist keine Achieve-AI-Sicherung.',
+  'backup.newer': 'Diese Sicherung stammt aus einer neueren App-Version. Aktualisiere die App und versuch es noch einmal.',
+  'backup.damagedGoals': 'Die Ziele in dieser Sicherung sind beschädigt, deshalb wurde nichts wiederhergestellt.',
+  'backup.damagedPart': 'Die Daten „{part}“ in dieser Sicherung sind beschädigt, deshalb wurde nichts wiederhergestellt.',
+  'export.due': 'Fällig am {date}',
+  'export.stepsDone': { one: '{done}/{count} Schritt erledigt', other: '{done}/{count} Schritte erledigt' },
+  'export.habit': 'Gewohnheit:',
+  'export.checkIns': { one: 'Bisher {count} Check-in', other: 'Bisher {count} Check-ins' },
+  'export.milestone': 'Meilenstein: {milestone}',
+  'export.csv.step': 'Schritt',
+  'export.csv.phase': 'Phase',
+  'export.csv.title': 'Titel',
+  'export.csv.description': 'Beschreibung',
+  'export.csv.duration': 'Dauer',
+  'export.csv.status': 'Status',
+  'export.csv.goal': 'Ziel',
+  'export.csv.dueDate': 'Frist',
+  'export.done': 'Erledigt',
+  'export.toDo': 'Offen',
+  'export.time': 'Zeit: {duration}',
+  'export.goal': 'Ziel: {name}',
+  'export.dueEvent': 'Fällig: {name}',
+  'analytics.period.day': 'Letzte 7 Tage',
+  'analytics.period.week': 'Letzte 8 Wochen',
+  'analytics.period.month': 'Letzte 6 Monate',
+  'habit.everyDay': 'Jeden Tag',
+  'habit.timesAWeek': { one: '{count}-mal pro Woche', other: '{count}-mal pro Woche' },
+  'time.minutes': '{minutes} Min.',
+  'time.hoursMinutes': '{hours} Std. {minutes} Min.',
+  'time.hours': '{hours} Std.',
+  'planner.checkIn': 'Einchecken: {target}',
+  'reminder.dueToday': '„{name}“ ist heute fällig',
+  'reminder.dueTomorrow': '„{name}“ ist morgen fällig',
+  'reminder.dueIn': { one: '„{name}“ ist in {count} Tag fällig', other: '„{name}“ ist in {count} Tagen fällig' },
+  'reminder.stepsToGo': { one: 'Noch {count} Schritt. Du schaffst das!', other: 'Noch {count} Schritte. Du schaffst das!' },
+  'reminder.nextUp': 'Als Nächstes: {title}',
+  'reminder.closer': 'Ein Schritt näher an „{name}“.',
+  'reminder.habit': 'Zeit für „{name}“',
+  'reminder.streak': { one: 'Deine {count}-Tage-Serie ist in Gefahr 🔥', other: 'Deine {count}-Tage-Serie ist in Gefahr 🔥' },
+  'reminder.streakBody': 'Erledige heute einen Schritt, um sie zu halten.',
+  'error.requestStatus': 'Anfrage fehlgeschlagen ({status})',
+  'notifications.enabled': 'Benachrichtigungen aktiviert! Wir erinnern dich an deine Ziele.',
+  'notifications.blocked': 'Benachrichtigungen sind blockiert. Du kannst sie in den Geräteeinstellungen aktivieren.',
+  'location.failed': 'Dein Standort konnte nicht ermittelt werden. Bitte aktiviere die Ortungsdienste.',
+  'location.unsupported': 'Dein Browser unterstützt keine Standortermittlung.',
+  'error.expand': 'Der Schritt konnte nicht erweitert werden',
+  'error.replan': 'Dieses Ziel konnte nicht neu geplant werden. Bitte versuch es noch einmal.',
+  'backup.nothingNew': 'Alles aus dieser Sicherung ist bereits auf diesem Gerät.',
+  'backup.newGoals': { one: '{count} neues Ziel', other: '{count} neue Ziele' },
+  'backup.mergedGoals': { one: 'den Fortschritt von {count} vorhandenen Ziel', other: 'den Fortschritt von {count} vorhandenen Zielen' },
+  'backup.and': ' und ',
+  'backup.savedContent': 'gespeicherte Inhalte und Statistiken',
+  'backup.confirmFrom': 'Sicherung vom {date} wiederherstellen? Hinzugefügt wird: {summary}. Auf diesem Gerät wird nichts gelöscht.',
+  'backup.confirm': 'Sicherung wiederherstellen? Hinzugefügt wird: {summary}. Auf diesem Gerät wird nichts gelöscht.',
+  'points.streakBonus': 'Serienbonus!',
+  'points.dailyBonus': 'Tagesbonus!',
+  'points.aiAssist': '+15 KI-Hilfe!',
+  'doItForMe.cancelled': 'Abgebrochen',
+  'common.copied': 'In die Zwischenablage kopiert!',
+  'chat.failed': 'Das konnte ich leider nicht verarbeiten. Bitte versuch es noch einmal!',
+  'chatAction.step': 'Schritt {id}',
+  'chatAction.addSteps': { one: '{count} Schritt hinzufügen', other: '{count} Schritte hinzufügen' },
+  'chatAction.addStepsAfter': { one: '{count} Schritt nach „{title}“ hinzufügen', other: '{count} Schritte nach „{title}“ hinzufügen' },
+  'chatAction.edit': '„{title}“ bearbeiten',
+  'chatAction.field.title': 'Titel',
+  'chatAction.field.description': 'Beschreibung',
+  'chatAction.field.duration': 'Dauer',
+  'chatAction.reorder': 'Schritte neu ordnen',
+  'chatAction.setDueDate': 'Frist auf {date} setzen',
+  'chatAction.currently': 'Derzeit {date}',
+  'chatAction.markComplete': '„{title}“ als erledigt markieren',
+  'chat.welcomeBack': 'Willkommen zurück! Machen wir bei „{name}“ weiter, wo wir aufgehört haben, oder gibt es etwas Neues?',
+  'chat.greeting': 'Hallo! Ich helfe dir bei „{name}“. Du kannst mich um Rat fragen, zusätzliche Schritte anfordern oder mir mehr über deine Situation erzählen, damit ich den Plan besser anpassen kann. Was möchtest du wissen?',
+  'achievement.unlocked': '{name} freigeschaltet!',
+  'share.madeWith': '{name} – erstellt mit Aclio',
+  'share.imageFailed': 'Das Bild konnte nicht geteilt werden. Bitte versuch es noch einmal.',
+  'share.getPlan': 'Hol dir den Plan: {link}',
+  'share.completedText': { one: '🎉 Ich habe gerade mein Ziel „{name}“ mit Aclio erreicht! {count} Schritt geschafft! 💪', other: '🎉 Ich habe gerade mein Ziel „{name}“ mit Aclio erreicht! {count} Schritte geschafft! 💪' },
+  'share.progressText': '🎯 Ich arbeite mit Aclio an meinem Ziel „{name}“. Schon {progress} % geschafft!',
+  'goal.confirmDelete': 'Dieses Ziel löschen?',
+  'purchase.welcome': '🎉 Willkommen bei Premium!',
+  'purchase.notActivated': 'Dein Kauf war erfolgreich, aber Premium konnte noch nicht aktiviert werden. Nutze gleich „Käufe wiederherstellen“.',
+  'purchase.failed': 'Kauf fehlgeschlagen: {reason}',
+  'purchase.unknownError': 'Unbekannter Fehler',
+  'purchase.iosOnly': 'Käufe sind nur in der Aclio-App für iOS möglich.',
+  'purchase.restored': 'Premium erfolgreich wiederhergestellt!',
+  'purchase.noneFound': 'Keine früheren Käufe gefunden.',
+  'purchase.restoreFailed': 'Käufe konnten nicht wiederhergestellt werden. Bitte versuch es noch einmal.',
+  'points.firstGoal': '+30 Erstes Ziel!',
+  'points.stepDone': '+10 Schritt erledigt!',
+  'points.goalComplete': '+50 Ziel erreicht!',
+  'points.checkedIn': '+10 Eingecheckt!',
+  'due.overdue': { one: '{count} Tag überfällig', other: '{count} Tage überfällig' },
+  'due.today': 'Heute fällig',
+  'due.daysLeft': { one: 'Noch {count} Tag', other: 'Noch {count} Tage' },
+  'generate.starting': 'KI wird gestartet...',
+  'generate.step1': 'Dein Ziel wird erfasst...',
+  'generate.step2': 'Die besten Strategien werden analysiert...',
+  'generate.step3': 'Konkrete Schritte werden erstellt...',
+  'generate.step4': 'Passende Ressourcen werden ergänzt...',
+  'generate.step5': 'Dein Plan wird fertiggestellt...',
+  'generate.done': 'Fertig!',
+  'feasibility.compressFeedback': 'Meine Frist ist der {date} und ich habe nur noch etwa {available} für dieses Ziel, aber die restlichen Schritte brauchen etwa {needed}. Straffe den Plan, damit er passt – fasse Schritte zusammen, kürze sie und streiche alles, was nicht unbedingt nötig ist.',
+  'greeting.morning': 'Guten Morgen',
+  'greeting.afternoon': 'Guten Tag',
+  'greeting.evening': 'Guten Abend',
+  'suggestion.1': 'Eine neue Sprache lernen',
+  'suggestion.2': 'Einen Marathon laufen',
+  'suggestion.3': 'Ein Nebenprojekt starten',
+  'suggestion.4': 'Dieses Jahr 20 Bücher lesen',
+  'crisis.title': 'Du bist nicht allein',
+  'crisis.call': '{phone} anrufen',
+  'crisis.text': 'SMS an {number}',
+  'crisis.website': 'Website',
+  'crisis.emergency': 'Wenn du in akuter Gefahr bist, ruf {number} an.',
+  'crisis.localEmergency': 'den örtlichen Notruf',
+  'crisis.message': 'Es klingt, als würdest du gerade etwas wirklich Schweres durchmachen, und damit musst du nicht allein sein. Bitte wende dich an jemanden, der helfen kann - diese Menschen hören dir zu, jederzeit.',
+  'moderation.blocked': 'Dabei kann ich nicht helfen, weil es Schaden anrichten könnte. Falls ich dich falsch verstanden habe, formuliere es gern anders!',
+  'common.close': 'Schließen',
+  'dashboard.refreshing': 'Wird aktualisiert...',
+  'dashboard.releaseToRefresh': 'Loslassen zum Aktualisieren',
+  'dashboard.pullToRefresh': 'Ziehen zum Aktualisieren',
+  'dashboard.achiever': 'Macher',
+  'dashboard.subtitle': 'Lass uns heute deine Ziele voranbringen.',
+  'dashboard.createGoal': 'Neues Ziel erstellen',
+  'common.lightMode': 'Heller Modus',
+  'common.darkMode': 'Dunkler Modus',
+  'premium.bannerTitle': 'Hol dir Premium',
+  'premium.bannerDesc': 'Schalte unbegrenzte Ziele, KI-Hilfe und teilbare Erfolge frei!',
+  'premium.bannerCta': '3 Tage kostenlos testen',
+  'dashboard.searchPlaceholder': 'Ziele durchsuchen...',
+  'planner.todaysPlan': 'Plan für heute',
+  'planner.budget': '{planned} von {budget}',
+  'planner.title': 'Tagesplaner',
+  'planner.restDay': 'Ruhetag – nichts geplant. Offenes wartet auf deinen nächsten Tag.',
+  'planner.fromYesterday': 'Von gestern',
+  'planner.session': 'Einheit: {minutes}',
+  'dashboard.activeGoals': 'Aktive Ziele',
+  'goal.personal': 'Persönliches Ziel',
+  'feasibility.wontFit': 'Passt nicht bis zur Frist',
+  'feasibility.fallingBehind': 'Im Rückstand',
+  'habit.dayStreak': { one: '{count}-Tage-Serie', other: '{count}-Tage-Serie' },
+  'habit.weekStreak': { one: '{count}-Wochen-Serie', other: '{count}-Wochen-Serie' },
+  'goal.progress': 'Fortschritt',
+  'dashboard.noResults': 'Keine Ziele gefunden',
+  'dashboard.noGoals': 'Noch keine Ziele',
+  'dashboard.noResultsText': 'Kein Ziel passt zu „{query}“. Versuch eine andere Suche.',
+  'dashboard.noGoalsText': 'Tippe auf „Neues Ziel“, um dein erstes Ziel festzulegen, und lass die KI deinen Aktionsplan erstellen!',
+  'level.number': 'Level {level}',
+  'level.points': 'Punkte',
+  'level.max': 'MAX',
+  'dailyBonus.title': 'Tagesbonus verfügbar!',
+  'dailyBonus.desc': 'Hol dir +{points} Punkte',
+  'dailyBonus.claim': 'Abholen',
+  'streak.current': 'Aktuelle Serie',
+  'streak.best': 'Beste',
+  'streak.days': { one: '{count} Tag', other: '{count} Tage' },
+  'dashboard.progressHub': 'Fortschrittszentrale',
+  'dashboard.levelAchiever': 'Level-{level}-Macher',
+  'dashboard.goalSetter': 'Zielsetzer',
+  'dashboard.streakChampion': 'Serien-Champion',
+  'dashboard.newGoal': 'Neues Ziel',
+  'dashboard.goalsLeft': { one: 'noch {count}', other: 'noch {count}' },
+  'levelUp.title': 'Level aufgestiegen!',
+  'levelUp.reached': 'Du hast Level {level} erreicht: {name}',
+  'levelUp.newTitle': 'Neuer Titel freigeschaltet!',
+  'levelUp.awesome': 'Super!',
+  'premium.badge': 'Premium',
+  'premium.title': 'Entfalte dein volles Potenzial',
+  'premium.subtitle': 'Nutze alle Funktionen ohne Grenzen und erreiche deine Ziele schneller mit KI-Unterstützung.',
+  'premium.weekly': 'Wöchentlich',
+  'premium.monthly': 'Monatlich',
+  'premium.yearly': 'Jährlich',
+  'premium.perWeekShort': '/Wo.',
+  'premium.perMonthShort': '/Mon.',
+  'premium.perYearShort': '/Jahr',
+  'premium.bestValue': 'Bestes Angebot',
+  'premium.save': '{percent} % sparen',
+  'premium.startTrial': 'Kostenlos testen',
+  'premium.trialTerms.week': '3 Tage kostenlos, danach {price}/Woche. Jederzeit kündbar.',
+  'premium.trialTerms.month': '3 Tage kostenlos, danach {price}/Monat. Jederzeit kündbar.',
+  'premium.trialTerms.year': '3 Tage kostenlos, danach {price}/Jahr. Jederzeit kündbar.',
+  'premium.terms': 'Nutzungsbedingungen',
+  'premium.privacy': 'Datenschutzerklärung',
+  'premium.restore': 'Käufe wiederherstellen',
+  'newGoal.label': 'Was möchtest du erreichen?',
+  'newGoal.placeholder': 'z. B. In 3 Monaten die Grundlagen von Salsa lernen',
+  'newGoal.hint': 'Beschreibe genau, wie Erfolg für dich aussieht',
+  'newGoal.getQuestions': 'Persönliche Fragen erhalten',
+  'newGoal.preparingQuestions': 'Die KI bereitet Fragen vor...',
+  'newGoal.questionsTitle': 'Hilf der KI, dich besser zu verstehen',
+  'newGoal.questionsSubtitle': 'Antworte für einen persönlichen Plan',
+  'newGoal.questionsHint': 'Deine Antworten prägen deine Schritte',
+  'newGoal.skipQuestions': 'Fragen überspringen',
+  'newGoal.kind': 'Art des Ziels',
+  'newGoal.kind.auto': 'Aclio entscheiden lassen',
+  'newGoal.kind.plan': 'Einmaliger Plan',
+  'newGoal.kind.habit': 'Gewohnheit',
+  'newGoal.dueDate': 'Zieldatum (optional)',
+  'newGoal.dueDatePlaceholder': 'Optional – hilft beim Priorisieren der Schritte',
+  'location.enabled': 'Standort aktiviert',
+  'location.enabledHint': 'Vorschläge in der Nähe aktiv',
+  'location.loading': 'Standort wird ermittelt...',
+  'location.enable': 'Standort aktivieren',
+  'location.enableHint': 'Erhalte Vorschläge für Angebote in deiner Nähe',
+  'newGoal.templateTitle': 'Mit einer Vorlage starten',
+  'newGoal.templateDesc': 'Fertige Pläne für jede Kategorie',
+  'newGoal.quickIdeas': 'Schnelle Ideen',
+  'newGoal.ctaHint': 'Wir erstellen einen Schritt-für-Schritt-Plan aus deinem Ziel',
+  'newGoal.ctaHintAnswers': 'Wir erstellen einen Schritt-für-Schritt-Plan aus deinem Ziel und deinen Antworten',
+  'newGoal.generating': 'Wird erstellt...',
+  'newGoal.generatePersonalized': 'Persönlichen Plan erstellen',
+  'newGoal.generate': 'Plan erstellen',
+  'generate.title': 'Dein Plan entsteht',
+  'generate.crafting': 'Die KI erstellt einen persönlichen Aktionsplan nur für dich...',
+  'generate.progress': 'Schritt {step} von {total}',
+  'generate.initializing': 'Wird vorbereitet...',
+  'generate.stage1': 'Dein Ziel erfassen',
+  'generate.stage2': 'Strategien analysieren',
+  'generate.stage3': 'Schritte erstellen',
+  'generate.stage4': 'Ressourcen ergänzen',
+  'generate.stage5': 'Plan fertigstellen',
+  'detail.title': 'Zieldetails',
+  'detail.share': 'Ziel teilen',
+  'common.premiumFeature': 'Premium-Funktion',
+  'detail.recently': 'Kürzlich',
+  'habit.rampUpWeek': 'Aufbauwoche {week}',
+  'habit.doneThis.day': { one: '{done} von {count} heute', other: '{done} von {count} heute' },
+  'habit.doneThis.week': { one: '{done} von {count} diese Woche', other: '{done} von {count} diese Woche' },
+  'habit.checkedIn': 'Heute eingecheckt',
+  'habit.checkIn': 'Heute einchecken',
+  'habit.streakLabel.day': 'Tage in Folge',
+  'habit.streakLabel.week': 'Wochen in Folge',
+  'habit.best': 'Rekord',
+  'habit.last.day': { one: 'letzter Tag', other: 'letzte {count} Tage' },
+  'habit.last.week': { one: 'letzte Woche', other: 'letzte {count} Wochen' },
+  'habit.week': 'Woche {week}',
+  'habit.then': 'Danach',
+  'detail.stepsCompleted': { one: '{done} von {count} Schritt erledigt', other: '{done} von {count} Schritten erledigt' },
+  'feasibility.onTrack': 'Im Plan – noch etwa {work} Arbeit, und du hast {available} bis zum {date}',
+  'feasibility.title.overdue': 'Die Frist ist abgelaufen',
+  'feasibility.title.unrealistic': 'Dieser Plan passt nicht bis zur Frist',
+  'feasibility.title.at_risk': 'Die Frist wird knapp',
+  'feasibility.overdueText': { one: 'Noch etwa {work} Arbeit in {count} Schritt.', other: 'Noch etwa {work} Arbeit in {count} Schritten.' },
+  'feasibility.tightText': 'Noch etwa {work} Arbeit, aber bei {perDay} pro Tag hast du bis zum {date} nur {available}.',
+  'feasibility.compress': 'Plan straffen',
+  'feasibility.moveTo': 'Auf {date} verschieben',
+  'feasibility.changeTime': 'Meine tägliche Zeit ändern',
+  'chat.talkToAclio': 'Mit Aclio sprechen',
+  'replan.button': 'Restliche Schritte neu planen',
+  'detail.gettingStarted': 'Erste Schritte',
+  'detail.actionSteps': 'Aktionsschritte',
+  'detail.phase': 'Phase {number}',
+  'detail.stepPrefix': 'SCHRITT {id}:',
+  'detail.waitingOn': 'Wartet auf {steps}',
+  'detail.ready': 'Bereit',
+  'detail.viewDetails': 'Details ansehen',
+  'detail.expand': 'Erweitern',
+  'detail.viewResult': 'Ergebnis ansehen',
+  'detail.doItForMe': 'Mach es für mich',
+  'detail.nearby': 'In der Nähe',
+  'detail.export': 'Exportieren',
+  'detail.exportChecklist': 'Checkliste',
+  'detail.exportCalendar': 'Kalender',
+  'detail.delete': 'Ziel löschen',
+  'celebration.title': 'Ziel erreicht!',
+  'celebration.text': 'Großartig! Du hast alle Schritte geschafft. Zeit zu feiern und deinen Erfolg zu teilen!',
+  'celebration.share': 'Erfolg teilen',
+  'celebration.back': 'Zurück zur Startseite',
+  'doItForMe.subtitle': 'KI-generiertes Ergebnis',
+  'doItForMe.working': 'Die KI arbeitet daran...',
+  'doItForMe.creating': 'In Arbeit: {title}',
+  'common.cancel': 'Abbrechen',
+  'common.tryAgain': 'Erneut versuchen',
+  'doItForMe.saved': 'Gespeichert',
+  'doItForMe.stoppedEarly': 'Vorzeitig gestoppt',
+  'doItForMe.stop': 'Stopp',
+  'common.copy': 'Kopieren',
+  'common.download': 'Herunterladen',
+  'common.save': 'Speichern',
+  'expand.title': 'Schrittdetails',
+  'expand.loading': 'Ressourcen werden gesucht und deine Anleitung erstellt...',
+  'expand.guide': 'Ausführliche Anleitung',
+  'expand.resources': 'Empfohlene Ressourcen',
+  'expand.tips': 'Tipps',
+  'expand.searchMore': 'Weitere Ressourcen suchen',
+  'expand.regenerate': 'Neu erstellen',
+  'expand.save': 'Ressourcen speichern',
+  'resource.course': 'Kurs',
+  'resource.video': 'Video',
+  'resource.article': 'Artikel',
+  'resource.app': 'App',
+  'resource.website': 'Website',
+  'resource.book': 'Buch',
+  'resource.tool': 'Tool',
+  'chat.subtitle': 'Dein KI-Zielcoach',
+  'chatAction.dismiss': 'Verwerfen',
+  'chatAction.apply': 'Übernehmen',
+  'chatAction.applied': 'Übernommen',
+  'chatAction.dismissed': 'Verworfen',
+  'chat.thinking': 'Denkt nach',
+  'chat.placeholder': 'Frag nach Rat, mehr Schritten oder erzähl mehr...',
+  'chat.stop': 'Stopp',
+  'chat.prompt.moreSteps': 'Mehr Schritte',
+  'chat.prompt.moreSteps.message': 'Kannst du ausführlichere Schritte hinzufügen?',
+  'chat.prompt.help': 'Ich brauche Hilfe',
+  'chat.prompt.help.message': 'Ich tue mich mit diesem Ziel schwer. Hast du Tipps?',
+  'chat.prompt.next': 'Wie geht\'s weiter?',
+  'chat.prompt.next.message': 'Worauf sollte ich mich zuerst konzentrieren?',
+  'edit.goalTitle': 'Ziel bearbeiten',
+  'edit.stepTitle': 'Schritt bearbeiten',
+  'edit.goalName': 'Name des Ziels',
+  'edit.dueDate': 'Frist',
+  'edit.type': 'Art',
+  'edit.repeat': 'Wiederholen',
+  'edit.daily': 'Täglich',
+  'edit.weekly': 'Wöchentlich',
+  'edit.timesAWeek': 'Mal pro Woche',
+  'edit.eachTime': 'Jedes Mal',
+  'edit.eachTimePlaceholder': 'z. B. 20 Minuten lesen',
+  'edit.saveChanges': 'Änderungen speichern',
+  'edit.stepName': 'Titel des Schritts',
+  'edit.durationPlaceholder': 'z. B. 2 Stunden, 1 Woche',
+  'replan.reviewTitle': 'Änderungen prüfen',
+  'replan.title': 'Ziel neu planen',
+  'replan.intro': 'Sag Aclio, was sich geändert hat, und es plant die Schritte neu, die du noch nicht erledigt hast. Erledigte Schritte bleiben, wie sie sind.',
+  'replan.dueDate': 'Deine Frist ist',
+  'replan.whatChanged': 'Was hat sich geändert?',
+  'replan.placeholder': 'z. B. Ich bin zwei Wochen im Rückstand oder habe keinen Zugang mehr zum Fitnessstudio',
+  'replan.loading': 'Wird neu geplant...',
+  'replan.submit': 'Neu planen',
+  'replan.change.add': 'Neu',
+  'replan.change.remove': 'Entfernt',
+  'replan.change.modify': 'Geändert',
+  'replan.keep': 'Änderung behalten',
+  'replan.reject': 'Ablehnen',
+  'replan.was': 'vorher {duration}',
+  'replan.discard': 'Verwerfen',
+  'replan.apply': { one: '{count} Änderung übernehmen', other: '{count} Änderungen übernehmen' },
+  'share.cardAlt': 'Teilen-Karte für {name}',
+  'share.achieved': 'Ziel erreicht!',
+  'share.working': 'Dran geblieben!',
+  'share.crushed': 'Ich habe dieses Ziel geschafft!',
+  'share.progressing': 'Jeden Tag ein Stück weiter',
+  'share.myGoal': 'Mein Ziel',
+  'share.steps': 'Schritte',
+  'share.complete': 'Geschafft',
+  'share.done': 'Fertig!',
+  'share.theme.light': 'Hell',
+  'share.theme.dark': 'Dunkel',
+  'share.size.square': 'Quadrat',
+  'share.size.story': 'Story',
+  'share.creatingLink': 'Link wird erstellt...',
+  'share.createLink': 'Link zum Plan teilen',
+  'share.linkCopied': 'Link kopiert! Wer ihn hat, kann deine Schritte als eigenes Ziel übernehmen.',
+  'share.linkHint': 'Jeder mit dem Link kann deine Schritte sehen und übernehmen. Dein Fortschritt und deine Notizen bleiben privat.',
+  'share.preparing': 'Wird vorbereitet...',
+  'share.image': 'Bild teilen',
+  'share.copyText': 'Text kopieren',
+  'settings.title': 'Einstellungen',
+  'settings.profile': 'Profil',
+  'settings.yourProfile': 'Dein Profil',
+  'settings.profileDesc': 'Name, Alter und Geschlecht bearbeiten',
+  'settings.preferences': 'Präferenzen',
+  'settings.darkMode': 'Dunkler Modus',
+  'settings.darkModeDesc': 'Zwischen heller und dunkler Darstellung wechseln',
+  'settings.language': 'Sprache',
+  'settings.languageDesc': 'Für die App und für die Pläne und Antworten von Aclio',
+  'settings.notifications': 'Benachrichtigungen',
+  'settings.notificationsDesc': 'Erinnerungen an deine Ziele erhalten',
+  'reminders.title': 'Erinnerungen',
+  'settings.remindersDesc': 'Fristen, täglicher Anstoß, Serienwarnungen, Ruhezeiten',
+  'settings.planner': 'Tagesplaner',
+  'settings.plannerDescEveryDay': '{minutes} pro Tag, jeden Tag',
+  'settings.plannerDesc': { one: '{minutes} pro Tag, an {count} Tag pro Woche', other: '{minutes} pro Tag, an {count} Tagen pro Woche' },
+  'settings.location': 'Standort',
+  'settings.locationDesc': 'Aktivieren für Vorschläge in der Nähe',
+  'settings.data': 'Daten',
+  'settings.backup': 'Sichern',
+  'settings.backupDesc': 'Ziele, Fortschritt, Abzeichen und gespeicherte KI-Inhalte in einer JSON-Datei',
+  'settings.restore': 'Sicherung wiederherstellen',
+  'settings.restoreDesc': 'Eine Sicherungsdatei mit diesem Gerät zusammenführen',
+  'settings.clearConfirm': 'Bist du sicher? Dadurch werden ALLE deine Ziele gelöscht. Das lässt sich nicht rückgängig machen.',
+  'settings.clear': 'Alle Ziele löschen',
+  'settings.clearDesc': 'Alle Daten endgültig entfernen',
+  'settings.developer': 'Entwickler',
+  'settings.errorLog': 'Fehlerprotokoll',
+  'settings.noIssues': 'Keine Probleme erkannt',
+  'settings.errors': { one: '{count} Fehler', other: '{count} Fehler' },
+  'settings.warnings': { one: '{count} Warnung', other: '{count} Warnungen' },
+  'settings.errorReports': 'Fehlerberichte senden',
+  'settings.errorReportsDesc': 'Teile Absturzdetails, damit sie behoben werden können. Zieltexte und Profildaten werden vorher entfernt.',
+  'settings.about': 'Über',
+  'settings.version': 'Version {version} • Mit ❤️ gemacht',
+  'settings.account': 'Konto',
+  'settings.sync': 'Synchronisierung',
+  'settings.signedInAs': 'Angemeldet als {email}',
+  'settings.syncDesc': 'Melde dich an, um deine Geräte zu synchronisieren',
+  'settings.logoutConfirm': 'Möchtest du dich wirklich abmelden? Du kehrst zum Startbildschirm zurück.',
+  'settings.logout': 'Abmelden',
+  'settings.logoutDesc': 'Zurück zum Startbildschirm',
+  'analytics.title': 'Statistik',
+  'analytics.heading': 'Dein Fortschritt',
+  'analytics.since': 'Verfolge deinen Weg seit dem {date}',
+  'analytics.sinceStart': 'Verfolge deinen Weg seit dem Start',
+  'analytics.emptyTitle': 'Noch keine Daten',
+  'analytics.emptyText': 'Erstelle dein erstes Ziel, um Fortschritt und Erfolge zu verfolgen!',
+  'analytics.goals': 'Ziele',
+  'analytics.totalGoals': 'Ziele insgesamt',
+  'analytics.completed': 'Erreicht',
+  'analytics.rate': '{percent} % Erfolgsquote',
+  'analytics.avgProgress': 'Ø Fortschritt',
+  'analytics.daysActive': 'Aktive Tage',
+  'analytics.stepsCompleted': 'Erledigte Schritte',
+  'analytics.ofAll': '{percent} % aller Schritte',
+  'analytics.totalSteps': 'Schritte insgesamt',
+  'analytics.avgPerGoal': 'Ø pro Ziel',
+  'analytics.remaining': 'Offen',
+  'analytics.goalsActivity': 'Zielaktivität',
+  'analytics.stepsActivity': 'Schrittaktivität',
+  'analytics.tab.day': 'Täglich',
+  'analytics.tab.week': 'Wöchentlich',
+  'analytics.tab.month': 'Monatlich',
+  'analytics.bestDay': 'Bester Tag • {date}',
+  'analytics.mostProductive': { one: 'Produktivster Tag • {count} aktiver Tag', other: 'Produktivster Tag • {count} aktive Tage' },
+  'analytics.velocity': 'Tempo',
+  'analytics.stepsPerWeek': 'Schritte / Woche',
+  'analytics.weeksToFinish': { one: '~{count} Woche bis zum Ziel bei diesem Tempo', other: '~{count} Wochen bis zum Ziel bei diesem Tempo' },
+  'analytics.noStepsYet': 'Noch keine Schritte erledigt',
+  'analytics.lastActive': 'zuletzt aktiv am {date}',
+  'analytics.completedGoals': { one: 'Du hast {count} Ziel erreicht!', other: 'Du hast {count} Ziele erreicht!' },
+  'analytics.keepGoing': 'Weiter so!',
+  'analytics.stepsDoneIn': '{steps} in {days}',
+  'analytics.stepsDone': { one: '{count} Schritt', other: '{count} Schritte' },
+  'analytics.firstStep': 'Erledige deinen ersten Schritt, um deinen Fortschritt zu sehen',
+  'analytics.completedList': 'Erreichte Ziele',
+  'analytics.done': 'Erledigt',
+  'analytics.achievements': 'Erfolge',
+  'analytics.totalPoints': 'Punkte insgesamt',
+  'analytics.dayStreak': 'Tage in Folge',
+  'analytics.bestStreak': 'Beste Serie',
+  'analytics.habits': 'Gewohnheiten',
+  'analytics.metOfLast.day': { one: '{met} am letzten Tag', other: '{met} der letzten {count} Tage' },
+  'analytics.metOfLast.week': { one: '{met} in der letzten Woche', other: '{met} der letzten {count} Wochen' },
+  'analytics.justStarted': 'Gerade begonnen',
+  'analytics.inProgress': 'In Arbeit',
+  'analytics.stepsFraction': { one: '{done}/{count} Schritt', other: '{done}/{count} Schritte' },
+  'reminders.dueDates': 'Fristen',
+  'reminders.remindMe': 'Erinnern',
+  'reminders.onTheDay': 'Am selben Tag',
+  'reminders.daysBefore': { one: '{count} Tag vorher', other: '{count} Tage vorher' },
+  'reminders.at': 'Uhrzeit',
+  'reminders.daily': 'Täglich',
+  'reminders.nudge': 'Anstoß für den nächsten Schritt',
+  'reminders.nudgeDesc': 'Dein nächster Schritt, einmal am Tag',
+  'reminders.streak': 'Serie in Gefahr',
+  'reminders.streakDesc': 'Ein Hinweis am Abend, wenn du heute noch keinen Schritt erledigt hast',
+  'reminders.quietHours': 'Ruhezeiten',
+  'reminders.quiet': 'Ruhezeiten',
+  'reminders.quietDesc': 'Erinnerungen warten, bis die Ruhezeit vorbei ist',
+  'reminders.from': 'Von',
+  'reminders.to': 'bis',
+  'reminders.comingUp': 'Demnächst',
+  'templates.title': 'Vorlagen',
+  'templates.all': 'Alle',
+  'templates.loading': 'Vorlagen werden geladen...',
+  'import.template': 'Vorlage',
+  'import.shared': 'Geteilter Plan',
+  'import.loading': 'Plan wird geladen...',
+  'import.unavailable': 'Plan nicht verfügbar',
+  'import.hint': 'Wird als dein eigenes neues Ziel hinzugefügt – nichts, was du tust, wird geteilt',
+  'import.add': 'Zu meinen Zielen hinzufügen',
+  'planner.timePerDay': 'Zeit pro Tag',
+  'planner.timeForGoals': 'Zeit für deine Ziele an jedem Tag',
+  'planner.daysAvailable': 'Verfügbare Tage',
+  'planner.planOn': 'Aufgaben planen am',
+  'planner.rollOver': 'Unerledigte Aufgaben wandern auf den nächsten Tag, an dem du Zeit hast.',
+  'planner.today': 'Heute',
+  'planner.restDayTitle': 'Ruhetag',
+  'planner.nothingPlanned': 'Heute ist nichts geplant',
+  'planner.nothingToPlan': 'Nichts zu planen',
+  'planner.createGoal': 'Erstelle ein Ziel, um deinen Tag zu füllen',
+  'planner.sessionOf': '{minutes} von ~{estimate}',
+  'account.syncing': 'Wird synchronisiert...',
+  'account.syncFailed': 'Letzte Synchronisierung fehlgeschlagen',
+  'account.lastSynced': 'Zuletzt synchronisiert: {date}',
+  'account.notSynced': 'Noch nicht synchronisiert',
+  'account.createAccount': 'Konto erstellen',
+  'account.signIn': 'Anmelden',
+  'account.syncNow': 'Jetzt synchronisieren',
+  'account.syncNowDesc': 'Ziele, Punkte, Serie, Abzeichen und gespeicherte Ergebnisse',
+  'account.signOut': 'Von der Synchronisierung abmelden',
+  'account.signOutNote': 'Deine Ziele bleiben nach dem Abmelden auf diesem Gerät.',
+  'account.intro': 'Halte deine Ziele, Punkte und Abzeichen auf all deinen Geräten synchron.',
+  'account.email': 'E-Mail',
+  'account.password': 'Passwort',
+  'account.passwordNew': 'Mindestens 8 Zeichen',
+  'account.passwordCurrent': 'Dein Passwort',
+  'account.wait': 'Einen Moment...',
+  'account.haveAccount': 'Du hast schon ein Konto?',
+  'account.newHere': 'Neu hier?',
+  'account.switchSignIn': 'Anmelden',
+  'account.switchRegister': 'Konto erstellen',
+  'error.verifyPurchase': 'Kauf konnte nicht bestätigt werden',
+  'error.questions': 'Fragen konnten nicht erstellt werden',
+  'questions.fallback1': 'Wie viel Erfahrung hast du bereits?',
+  'questions.fallback1.placeholder': 'z. B. Anfänger, Fortgeschritten',
+  'questions.fallback2': 'Was ist deine Hauptmotivation?',
+  'questions.fallback2.placeholder': 'z. B. Beruf, persönliche Entwicklung, Spaß',
+  'questions.fallback3': 'Gibt es einen bestimmten Ansatz oder eine Vorliebe?',
+  'questions.fallback3.placeholder': 'z. B. Online lernen, praktisch üben',
+  'replan.noChanges': 'Aclio findet, dass dein aktueller Plan noch passt. Beschreib genauer, was sich geändert hat.',
+  'offline.banner': 'Du bist offline. Deine Ziele und dein Fortschritt werden weiter auf diesem Gerät gespeichert.',
+  'offline.bannerQueued': { one: 'Du bist offline. {count} Anfrage wird gesendet, sobald du wieder online bist.', other: 'Du bist offline. {count} Anfragen werden gesendet, sobald du wieder online bist.' },
+  'offline.queued': 'In Warteschlange',
+  'offline.requestFailed': 'Fehlgeschlagen - tippen zum Wiederholen',
+  'offline.alreadyQueued': 'Das ist schon in der Warteschlange. Es ist fertig, sobald du wieder online bist.',
+  'offline.goalWaiting': 'Wartet auf Verbindung',
+  'offline.goalFailed': 'Plan konnte nicht erstellt werden',
+  'offline.goalWaitingText': 'Aclio erstellt den Plan für dieses Ziel, sobald du wieder online bist.',
+  'offline.createHint': 'Du bist offline. Wir speichern dein Ziel jetzt und erstellen den Plan, sobald du wieder online bist.'
+};
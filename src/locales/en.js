@@ -0,0 +1,619 @@
+/**
+ * Achieve AI - English
+ * English UI text, the fallback for any key another language is missing.
+ */
+
+export default {
+  'category.Health & Fitness': 'Health & Fitness',
+  'category.Career': 'Career',
+  'category.Education': 'Education',
+  'category.Finance': 'Finance',
+  'category.Creative': 'Creative',
+  'category.Personal Growth': 'Personal Growth',
+  'category.Relationships': 'Relationships',
+  'category.Travel': 'Travel',
+  'category.Home & Living': 'Home & Living',
+  'category.Technology': 'Technology',
+  'level.1': 'Beginner',
+  'level.2': 'Explorer',
+  'level.3': 'Achiever',
+  'level.4': 'Champion',
+  'level.5': 'Master',
+  'level.6': 'Expert',
+  'level.7': 'Legend',
+  'level.8': 'Elite',
+  'level.9': 'Grandmaster',
+  'level.10': 'Ultimate',
+  'achievement.first_goal.name': 'Goal Setter',
+  'achievement.first_step.name': 'First Step',
+  'achievement.first_complete.name': 'Achiever',
+  'achievement.streak_3.name': 'On Fire',
+  'achievement.streak_7.name': 'Unstoppable',
+  'achievement.five_goals.name': 'Ambitious',
+  'achievement.three_complete.name': 'Hat Trick',
+  'achievement.ten_steps.name': 'Step Master',
+  'achievement.fifty_steps.name': 'Dedicated',
+  'achievement.hundred_points.name': 'Century',
+  'achievement.five_hundred_points.name': 'Elite',
+  'achievement.level_5.name': 'Master',
+  'premium.goals.title': 'Unlimited Goals',
+  'premium.goals.desc': 'Create as many goals as you want',
+  'premium.doItForMe.title': 'Unlimited "Do it for me"',
+  'premium.doItForMe.desc': 'Let AI complete any task for you',
+  'premium.share.title': 'Share Achievements',
+  'premium.share.desc': 'Beautiful celebration cards to share',
+  'premium.priority.title': 'Priority AI',
+  'premium.priority.desc': 'Faster, more detailed step generation',
+  'error.backendDown': 'Backend server not running. Start it with: cd server && npm start',
+  'error.requestFailed': 'Request failed',
+  'error.streamFailed': 'Stream failed',
+  'error.connectionClosed': 'Connection closed before the response finished',
+  'error.publish': 'Couldn\'t create a link to this plan',
+  'error.sharedPlan': 'Couldn\'t open this shared plan',
+  'error.templates': 'Couldn\'t load templates',
+  'error.template': 'Couldn\'t load this template',
+  'error.shareImage': 'Couldn\'t create the share image',
+  'rateLimit.moment': 'a moment',
+  'rateLimit.seconds': { one: '{count} second', other: '{count} seconds' },
+  'rateLimit.minutes': { one: '{count} minute', other: '{count} minutes' },
+  'rateLimit.message': 'Whoa, slow down! Aclio needs a breather - try again in {wait}.',
+  'onboarding.plan.title': 'AI-Powered Goal Planning',
+  'onboarding.plan.text': 'Transform your aspirations into personalized, AI-generated action plans tailored to your goals.',
+  'onboarding.plan.guidance': 'Smart guidance for any goal',
+  'onboarding.plan.personalized': 'Personalized action plans',
+  'onboarding.plan.timeline': 'Tailored to your timeline',
+  'onboarding.steps.title': 'Step-by-Step Guidance',
+  'onboarding.steps.text': 'Break down your goal into clear, manageable tasks with intelligent coaching that adapts to your progress.',
+  'onboarding.steps.research': 'Research industry trends',
+  'onboarding.steps.course': 'Complete an online course',
+  'onboarding.steps.portfolio': 'Build a portfolio project',
+  'onboarding.steps.mentors': 'Connect with mentors',
+  'onboarding.steps.apply': 'Apply your new skills',
+  'onboarding.track.title': 'Track Your Success',
+  'onboarding.track.text': 'Celebrate milestones, stay motivated, and watch your streaks grow as you achieve your goals.',
+  'onboarding.track.badge': '7-day streak unlocked',
+  'welcome.mascot': 'Aclio Mascot',
+  'welcome.tagline': 'Ignite your goals.',
+  'welcome.getStarted': 'Get Started',
+  'welcome.haveAccount': 'Already have an account?',
+  'welcome.signIn': 'Sign in',
+  'common.skip': 'Skip',
+  'common.next': 'Next',
+  'profileSetup.title': 'Tell us about yourself',
+  'profileSetup.subtitle': 'This helps us personalize your experience',
+  'profileSetup.name': 'Your Name *',
+  'profileSetup.namePlaceholder': 'e.g., Theyab',
+  'profileSetup.age': 'Your Age',
+  'profileSetup.agePlaceholder': 'e.g., 22',
+  'profileSetup.continueAs': 'Continue as {name}',
+  'profileSetup.enterName': 'Enter your name to continue',
+  'profile.gender': 'Gender',
+  'profile.gender.Male': 'Male',
+  'profile.gender.Female': 'Female',
+  'profile.gender.Other': 'Other',
+  'profile.edit': 'Edit Profile',
+  'profile.name': 'Your Name',
+  'profile.save': 'Save Profile',
+  'backup.notJson': 'That file isn\'t a valid backup (it\'s not JSON).',
+  'backup.notBackup': 'That file isn\'t an Achieve AI backup.',
+  'backup.newer': 'This backup was made by a newer version of the app. Update the app and try again.',
+  'backup.damagedGoals': 'The goals in this backup are damaged, so nothing was restored.',
+  'backup.damagedPart': 'The {part} in this backup are damaged, so nothing was restored.',
+  'export.due': 'Due {date}',
+  'export.stepsDone': { one: '{done}/{count} step done', other: '{done}/{count} steps done' },
+  'export.habit': 'Habit:',
+  'export.checkIns': { one: '{count} check-in so far', other: '{count} check-ins so far' },
+  'export.milestone': 'Milestone: {milestone}',
+  'export.csv.step': 'Step',
+  'export.csv.phase': 'Phase',
+  'export.csv.title': 'Title',
+  'export.csv.description': 'Description',
+  'export.csv.duration': 'Duration',
+  'export.csv.status': 'Status',
+  'export.csv.goal': 'Goal',
+  'export.csv.dueDate': 'Due Date',
+  'export.done': 'Done',
+  'export.toDo': 'To do',
+  'export.time': 'Time: {duration}',
+  'export.goal': 'Goal: {name}',
+  'export.dueEvent': 'Due: {name}',
+  'analytics.period.day': 'Last 7 days',
+  'analytics.period.week': 'Last 8 weeks',
+  'analytics.period.month': 'Last 6 months',
+  'habit.everyDay': 'Every day',
+  'habit.timesAWeek': { one: '{count}× a week', other: '{count}× a week' },
+  'time.minutes': '{minutes} min',
+  'time.hoursMinutes': '{hours}h {minutes}m',
+  'time.hours': '{hours}h',
+  'planner.checkIn': 'Check in: {target}',
+  'reminder.dueToday': '"{name}" is due today',
+  'reminder.dueTomorrow': '"{name}" is due tomorrow',
+  'reminder.dueIn': { one: '"{name}" is due in {count} day', other: '"{name}" is due in {count} days' },
+  'reminder.stepsToGo': { one: '{count} step to go. You\'ve got this!', other: '{count} steps to go. You\'ve got this!' },
+  'reminder.nextUp': 'Next up: {title}',
+  'reminder.closer': 'One step closer to "{name}".',
+  'reminder.habit': 'Time for "{name}"',
+  'reminder.streak': { one: 'Your {count}-day streak is at risk 🔥', other: 'Your {count}-day streak is at risk 🔥' },
+  'reminder.streakBody': 'Complete one step today to keep it going.',
+  'error.requestStatus': 'Request failed ({status})',
+  'notifications.enabled': 'Notifications enabled! We\'ll remind you of your goals.',
+  'notifications.blocked': 'Notifications are blocked. You can turn them on in your device settings.',
+  'location.failed': 'Could not get your location. Please enable location services.',
+  'location.unsupported': 'Location is not supported by your browser.',
+  'error.expand': 'Failed to expand step',
+  'error.replan': 'Couldn\'t re-plan this goal. Please try again.',
+  'backup.nothingNew': 'Everything in this backup is already on this device.',
+  'backup.newGoals': { one: '{count} new goal', other: '{count} new goals' },
+  'backup.mergedGoals': { one: 'progress on {count} existing goal', other: 'progress on {count} existing goals' },
+  'backup.and': ' and ',
+  'backup.savedContent': 'saved content and stats',
+  'backup.confirmFrom': 'Restore backup from {date}? This adds {summary}. Nothing on this device will be deleted.',
+  'backup.confirm': 'Restore backup? This adds {summary}. Nothing on this device will be deleted.',
+  'points.streakBonus': 'Streak bonus!',
+  'points.dailyBonus': 'Daily bonus!',
+  'points.aiAssist': '+15 AI assist!',
+  'doItForMe.cancelled': 'Cancelled',
+  'common.copied': 'Copied to clipboard!',
+  'chat.failed': 'Sorry, I couldn\'t process that. Please try again!',
+  'chatAction.step': 'Step {id}',
+  'chatAction.addSteps': { one: 'Add {count} step', other: 'Add {count} steps' },
+  'chatAction.addStepsAfter': { one: 'Add {count} step after "{title}"', other: 'Add {count} steps after "{title}"' },
+  'chatAction.edit': 'Edit "{title}"',
+  'chatAction.field.title': 'Title',
+  'chatAction.field.description': 'Description',
+  'chatAction.field.duration': 'Duration',
+  'chatAction.reorder': 'Reorder steps',
+  'chatAction.setDueDate': 'Set due date to {date}',
+  'chatAction.currently': 'Currently {date}',
+  'chatAction.markComplete': 'Mark "{title}" complete',
+  'chat.welcomeBack': 'Welcome back! Want to pick up where we left off with "{name}", or is there something new?',
+  'chat.greeting': 'Hi! I\'m here to help you with "{name}". You can ask me for more guidance, request additional steps, or tell me more about your situation so I can tailor the plan better. What would you like to know?',
+  'achievement.unlocked': '{name} unlocked!',
+  'share.madeWith': '{name} - made with Aclio',
+  'share.imageFailed': 'Couldn\'t share the image. Please try again.',
+  'share.getPlan': 'Get the plan: {link}',
+  'share.completedText': { one: '🎉 I just completed my goal: "{name}" with Aclio! {count} step crushed! 💪', other: '🎉 I just completed my goal: "{name}" with Aclio! {count} steps crushed! 💪' },
+  'share.progressText': '🎯 Working on my goal: "{name}" with Aclio! {progress}% complete!',
+  'goal.confirmDelete': 'Delete this goal?',
+  'purchase.welcome': '🎉 Welcome to Premium!',
+  'purchase.notActivated': 'Your purchase went through, but we couldn\'t activate Premium yet. Please use Restore Purchases in a moment.',
+  'purchase.failed': 'Purchase failed: {reason}',
+  'purchase.unknownError': 'Unknown error',
+  'purchase.iosOnly': 'Purchases are only available in the Aclio iOS app.',
+  'purchase.restored': 'Premium restored successfully!',
+  'purchase.noneFound': 'No previous purchases found.',
+  'purchase.restoreFailed': 'Could not restore purchases. Please try again.',
+  'points.firstGoal': '+30 First goal!',
+  'points.stepDone': '+10 Step done!',
+  'points.goalComplete': '+50 Goal complete!',
+  'points.checkedIn': '+10 Checked in!',
+  'due.overdue': { one: '{count} day overdue', other: '{count} days overdue' },
+  'due.today': 'Due today',
+  'due.daysLeft': { one: '{count} day left', other: '{count} days left' },
+  'generate.starting': 'Starting AI...',
+  'generate.step1': 'Understanding your goal...',
+  'generate.step2': 'Analyzing best strategies...',
+  'generate.step3': 'Creating actionable steps...',
+  'generate.step4': 'Adding specific resources...',
+  'generate.step5': 'Finalizing your plan...',
+  'generate.done': 'Done!',
+  'feasibility.compressFeedback': 'My due date is {date} and I only have about {available} left for this goal, but the remaining steps need around {needed}. Compress the plan to fit: merge or shorten steps and drop anything nice-to-have.',
+  'greeting.morning': 'Good Morning',
+  'greeting.afternoon': 'Good Afternoon',
+  'greeting.evening': 'Good Evening',
+  'suggestion.1': 'Learn a new language',
+  'suggestion.2': 'Run a marathon',
+  'suggestion.3': 'Start a side business',
+  'suggestion.4': 'Read 20 books this year',
+  'crisis.title': 'You\'re not alone',
+  'crisis.call': 'Call {phone}',
+  'crisis.text': 'Text {number}',
+  'crisis.website': 'Website',
+  'crisis.emergency': 'If you\'re in immediate danger, call {number}.',
+  'crisis.localEmergency': 'your local emergency number',
+  'crisis.message': 'It sounds like you\'re going through something really hard right now, and you don\'t have to face it alone. Please reach out to someone who can help - these people are there to listen, any time.',
+  'moderation.blocked': 'I can\'t help with that because it could cause harm. If I\'ve misunderstood, try rephrasing!',
+  'common.close': 'Close',
+  'dashboard.refreshing': 'Refreshing...',
+  'dashboard.releaseToRefresh': 'Release to refresh',
+  'dashboard.pullToRefresh': 'Pull to refresh',
+  'dashboard.achiever': 'Achiever',
+  'dashboard.subtitle': 'Let\'s make progress on your goals today.',
+  'dashboard.createGoal': 'Create New Goal',
+  'common.lightMode': 'Light mode',
+  'common.darkMode': 'Dark mode',
+  'premium.bannerTitle': 'Go Premium',
+  'premium.bannerDesc': 'Unlock unlimited goals, AI assistance, and achievement sharing!',
+  'premium.bannerCta': 'Try Free for 3 Days',
+  'dashboard.searchPlaceholder': 'Search goals...',
+  'planner.todaysPlan': 'Today\'s Plan',
+  'planner.budget': '{planned} of {budget}',
+  'planner.title': 'Daily planner',
+  'planner.restDay': 'Rest day - nothing planned. Anything unfinished waits for your next day.',
+  'planner.fromYesterday': 'From yesterday',
+  'planner.session': '{minutes} session',
+  'dashboard.activeGoals': 'Active Goals',
+  'goal.personal': 'Personal Goal',
+  'feasibility.wontFit': 'Won\'t fit in time',
+  'feasibility.fallingBehind': 'Falling behind',
+  'habit.dayStreak': { one: '{count}-day streak', other: '{count}-day streak' },
+  'habit.weekStreak': { one: '{count}-week streak', other: '{count}-week streak' },
+  'goal.progress': 'Progress',
+  'dashboard.noResults': 'No goals found',
+  'dashboard.noGoals': 'No goals yet',
+  'dashboard.noResultsText': 'No goals match "{query}". Try a different search.',
+  'dashboard.noGoalsText': 'Tap "New Goal" to set your first goal and let AI create your action plan!',
+  'level.number': 'Level {level}',
+  'level.points': 'points',
+  'level.max': 'MAX',
+  'dailyBonus.title': 'Daily Bonus Available!',
+  'dailyBonus.desc': 'Claim +{points} points',
+  'dailyBonus.claim': 'Claim',
+  'streak.current': 'Current Streak',
+  'streak.best': 'Best',
+  'streak.days': { one: '{count} day', other: '{count} days' },
+  'dashboard.progressHub': 'Progress Hub',
+  'dashboard.levelAchiever': 'Level {level} Achiever',
+  'dashboard.goalSetter': 'Goal Setter',
+  'dashboard.streakChampion': 'Streak Champion',
+  'dashboard.newGoal': 'New Goal',
+  'dashboard.goalsLeft': { one: '{count} left', other: '{count} left' },
+  'levelUp.title': 'Level Up!',
+  'levelUp.reached': 'You reached Level {level}: {name}',
+  'levelUp.newTitle': 'New title unlocked!',
+  'levelUp.awesome': 'Awesome!',
+  'premium.badge': 'Premium',
+  'premium.title': 'Unlock Your Full Potential',
+  'premium.subtitle': 'Get unlimited access to all features and achieve your goals faster with AI-powered guidance.',
+  'premium.weekly': 'Weekly',
+  'premium.monthly': 'Monthly',
+  'premium.yearly': 'Yearly',
+  'premium.perWeekShort': '/wk',
+  'premium.perMonthShort': '/mo',
+  'premium.perYearShort': '/yr',
+  'premium.bestValue': 'Best Value',
+  'premium.save': 'Save {percent}%',
+  'premium.startTrial': 'Start Free Trial',
+  'premium.trialTerms.week': '3-day free trial, then {price}/week. Cancel anytime.',
+  'premium.trialTerms.month': '3-day free trial, then {price}/month. Cancel anytime.',
+  'premium.trialTerms.year': '3-day free trial, then {price}/year. Cancel anytime.',
+  'premium.terms': 'Terms of Service',
+  'premium.privacy': 'Privacy Policy',
+  'premium.restore': 'Restore Purchases',
+  'newGoal.label': 'What do you want to achieve?',
+  'newGoal.placeholder': 'e.g., Learn salsa basics in 3 months',
+  'newGoal.hint': 'Be specific about what success looks like',
+  'newGoal.getQuestions': 'Get personalized questions',
+  'newGoal.preparingQuestions': 'AI is preparing questions...',
+  'newGoal.questionsTitle': 'Help AI understand better',
+  'newGoal.questionsSubtitle': 'Answer to get a personalized plan',
+  'newGoal.questionsHint': 'Your answers shape your action steps',
+  'newGoal.skipQuestions': 'Skip questions',
+  'newGoal.kind': 'Kind of goal',
+  'newGoal.kind.auto': 'Let Aclio decide',
+  'newGoal.kind.plan': 'One-off plan',
+  'newGoal.kind.habit': 'Habit',
+  'newGoal.dueDate': 'Target completion date (optional)',
+  'newGoal.dueDatePlaceholder': 'Optional – helps prioritize steps',
+  'location.enabled': 'Location enabled',
+  'location.enabledHint': 'Nearby suggestions active',
+  'location.loading': 'Getting location...',
+  'location.enable': 'Enable Location',
+  'location.enableHint': 'Get nearby resource suggestions',
+  'newGoal.templateTitle': 'Start from a template',
+  'newGoal.templateDesc': 'Ready-made plans for every category',
+  'newGoal.quickIdeas': 'Quick ideas',
+  'newGoal.ctaHint': 'We\'ll create a step-by-step plan based on your goal',
+  'newGoal.ctaHintAnswers': 'We\'ll create a step-by-step plan based on your goal and answers',
+  'newGoal.generating': 'Generating...',
+  'newGoal.generatePersonalized': 'Generate Personalized Plan',
+  'newGoal.generate': 'Generate Plan',
+  'generate.title': 'Creating Your Plan',
+  'generate.crafting': 'AI is crafting a personalized action plan just for you...',
+  'generate.progress': 'Step {step} of {total}',
+  'generate.initializing': 'Initializing...',
+  'generate.stage1': 'Understanding your goal',
+  'generate.stage2': 'Analyzing strategies',
+  'generate.stage3': 'Creating action steps',
+  'generate.stage4': 'Adding resources',
+  'generate.stage5': 'Finalizing plan',
+  'detail.title': 'Goal Details',
+  'detail.share': 'Share goal',
+  'common.premiumFeature': 'Premium feature',
+  'detail.recently': 'Recently',
+  'habit.rampUpWeek': 'Ramp-up week {week}',
+  'habit.doneThis.day': { one: '{done} of {count} today', other: '{done} of {count} today' },
+  'habit.doneThis.week': { one: '{done} of {count} this week', other: '{done} of {count} this week' },
+  'habit.checkedIn': 'Checked in today',
+  'habit.checkIn': 'Check in for today',
+  'habit.streakLabel.day': 'day streak',
+  'habit.streakLabel.week': 'week streak',
+  'habit.best': 'best',
+  'habit.last.day': { one: 'last {count} day', other: 'last {count} days' },
+  'habit.last.week': { one: 'last {count} week', other: 'last {count} weeks' },
+  'habit.week': 'Week {week}',
+  'habit.then': 'Then',
+  'detail.stepsCompleted': { one: '{done} of {count} step completed', other: '{done} of {count} steps completed' },
+  'feasibility.onTrack': 'On track: about {work} of work left, {available} available by {date}',
+  'feasibility.title.overdue': 'Past the due date',
+  'feasibility.title.unrealistic': 'This plan won\'t fit before the deadline',
+  'feasibility.title.at_risk': 'This deadline is tight',
+  'feasibility.overdueText': { one: 'About {work} of work is left in {count} step.', other: 'About {work} of work is left in {count} steps.' },
+  'feasibility.tightText': 'About {work} of work is left, but at {perDay} a day you have {available} before {date}.',
+  'feasibility.compress': 'Compress plan',
+  'feasibility.moveTo': 'Move to {date}',
+  'feasibility.changeTime': 'Change my daily time',
+  'chat.talkToAclio': 'Talk to Aclio',
+  'replan.button': 'Re-plan remaining steps',
+  'detail.gettingStarted': 'Getting Started',
+  'detail.actionSteps': 'Action Steps',
+  'detail.phase': 'Phase {number}',
+  'detail.stepPrefix': 'STEP {id}:',
+  'detail.waitingOn': 'Waiting on {steps}',
+  'detail.ready': 'Ready to start',
+  'detail.viewDetails': 'View details',
+  'detail.expand': 'Expand',
+  'detail.viewResult': 'View result',
+  'detail.doItForMe': 'Do it for me',
+  'detail.nearby': 'Nearby',
+  'detail.export': 'Export',
+  'detail.exportChecklist': 'Checklist',
+  'detail.exportCalendar': 'Calendar',
+  'detail.delete': 'Delete Goal',
+  'celebration.title': 'Goal Complete!',
+  'celebration.text': 'Amazing work! You crushed every step. Time to celebrate and share!',
+  'celebration.share': 'Share Your Achievement',
+  'celebration.back': 'Back to Dashboard',
+  'doItForMe.subtitle': 'AI-generated result',
+  'doItForMe.working': 'AI is working on this...',
+  'doItForMe.creating': 'Working on: {title}',
+  'common.cancel': 'Cancel',
+  'common.tryAgain': 'Try Again',
+  'doItForMe.saved': 'Saved',
+  'doItForMe.stoppedEarly': 'Stopped early',
+  'doItForMe.stop': 'Stop generating',
+  'common.copy': 'Copy',
+  'common.download': 'Download',
+  'common.save': 'Save',
+  'expand.title': 'Step Details',
+  'expand.loading': 'Finding resources and creating your guide...',
+  'expand.guide': 'Detailed Guide',
+  'expand.resources': 'Recommended Resources',
+  'expand.tips': 'Pro Tips',
+  'expand.searchMore': 'Search for more resources',
+  'expand.regenerate': 'Regenerate',
+  'expand.save': 'Save Resources',
+  'resource.course': 'course',
+  'resource.video': 'video',
+  'resource.article': 'article',
+  'resource.app': 'app',
+  'resource.website': 'website',
+  'resource.book': 'book',
+  'resource.tool': 'tool',
+  'chat.subtitle': 'Your AI goal coach',
+  'chatAction.dismiss': 'Dismiss',
+  'chatAction.apply': 'Apply',
+  'chatAction.applied': 'Applied',
+  'chatAction.dismissed': 'Dismissed',
+  'chat.thinking': 'Thinking',
+  'chat.placeholder': 'Ask for guidance, more steps, or share context...',
+  'chat.stop': 'Stop',
+  'chat.prompt.moreSteps': 'Add more steps',
+  'chat.prompt.moreSteps.message': 'Can you add more detailed steps?',
+  'chat.prompt.help': 'I need help',
+  'chat.prompt.help.message': 'I\'m struggling with this goal. Any tips?',
+  'chat.prompt.next': 'What\'s next?',
+  'chat.prompt.next.message': 'What should I focus on first?',
+  'edit.goalTitle': 'Edit Goal',
+  'edit.stepTitle': 'Edit Step',
+  'edit.goalName': 'Goal Name',
+  'edit.dueDate': 'Due Date',
+  'edit.type': 'Type',
+  'edit.repeat': 'Repeat',
+  'edit.daily': 'Daily',
+  'edit.weekly': 'Weekly',
+  'edit.timesAWeek': 'Times a Week',
+  'edit.eachTime': 'Each Time',
+  'edit.eachTimePlaceholder': 'e.g., 20 minutes of reading',
+  'edit.saveChanges': 'Save Changes',
+  'edit.stepName': 'Step Title',
+  'edit.durationPlaceholder': 'e.g., 2 hours, 1 week',
+  'replan.reviewTitle': 'Review Changes',
+  'replan.title': 'Re-plan Goal',
+  'replan.intro': 'Tell Aclio what changed and it will rework the steps you haven\'t done yet. Completed steps stay as they are.',
+  'replan.dueDate': 'Your due date is',
+  'replan.whatChanged': 'What changed?',
+  'replan.placeholder': 'e.g., I\'m two weeks behind, or I lost my gym access',
+  'replan.loading': 'Re-planning...',
+  'replan.submit': 'Re-plan',
+  'replan.change.add': 'New',
+  'replan.change.remove': 'Removed',
+  'replan.change.modify': 'Changed',
+  'replan.keep': 'Keep change',
+  'replan.reject': 'Reject',
+  'replan.was': 'was {duration}',
+  'replan.discard': 'Discard',
+  'replan.apply': { one: 'Apply {count} change', other: 'Apply {count} changes' },
+  'share.cardAlt': 'Share card for {name}',
+  'share.achieved': 'Goal Achieved!',
+  'share.working': 'Working On It!',
+  'share.crushed': 'I crushed this goal!',
+  'share.progressing': 'Making progress every day',
+  'share.myGoal': 'My Goal',
+  'share.steps': 'Steps',
+  'share.complete': 'Complete',
+  'share.done': 'Done!',
+  'share.theme.light': 'Light',
+  'share.theme.dark': 'Dark',
+  'share.size.square': 'Square',
+  'share.size.story': 'Story',
+  'share.creatingLink': 'Creating link...',
+  'share.createLink': 'Share Plan Link',
+  'share.linkCopied': 'Link copied! Anyone with it can copy your steps as their own goal.',
+  'share.linkHint': 'Anyone with the link can see your steps and copy them. Your progress and notes stay private.',
+  'share.preparing': 'Preparing...',
+  'share.image': 'Share Image',
+  'share.copyText': 'Copy Text',
+  'settings.title': 'Settings',
+  'settings.profile': 'Profile',
+  'settings.yourProfile': 'Your Profile',
+  'settings.profileDesc': 'Edit your name, age, and gender',
+  'settings.preferences': 'Preferences',
+  'settings.darkMode': 'Dark Mode',
+  'settings.darkModeDesc': 'Toggle dark/light appearance',
+  'settings.language': 'Language',
+  'settings.languageDesc': 'For the app and for the plans and answers Aclio writes',
+  'settings.notifications': 'Notifications',
+  'settings.notificationsDesc': 'Get reminders for your goals',
+  'reminders.title': 'Reminders',
+  'settings.remindersDesc': 'Due dates, daily nudge, streak alerts, quiet hours',
+  'settings.planner': 'Daily Planner',
+  'settings.plannerDescEveryDay': '{minutes} a day, every day',
+  'settings.plannerDesc': { one: '{minutes} a day, {count} day a week', other: '{minutes} a day, {count} days a week' },
+  'settings.location': 'Location',
+  'settings.locationDesc': 'Enable for nearby suggestions',
+  'settings.data': 'Data',
+  'settings.backup': 'Back Up Data',
+  'settings.backupDesc': 'Goals, progress, badges and saved AI content as a JSON file',
+  'settings.restore': 'Restore Backup',
+  'settings.restoreDesc': 'Merge a backup file into this device',
+  'settings.clearConfirm': 'Are you sure? This will delete ALL your goals and cannot be undone.',
+  'settings.clear': 'Clear All Goals',
+  'settings.clearDesc': 'Permanently delete all data',
+  'settings.developer': 'Developer',
+  'settings.errorLog': 'Error Log',
+  'settings.noIssues': 'No issues detected',
+  'settings.errors': { one: '{count} error', other: '{count} errors' },
+  'settings.warnings': { one: '{count} warning', other: '{count} warnings' },
+  'settings.errorReports': 'Send Error Reports',
+  'settings.errorReportsDesc': 'Share crash details to help fix bugs. Goal text and profile details are removed first.',
+  'settings.about': 'About',
+  'settings.version': 'Version {version} • Made with ❤️',
+  'settings.account': 'Account',
+  'settings.sync': 'Sync',
+  'settings.signedInAs': 'Signed in as {email}',
+  'settings.syncDesc': 'Sign in to sync across devices',
+  'settings.logoutConfirm': 'Are you sure you want to log out? You\'ll return to the welcome screen.',
+  'settings.logout': 'Log Out',
+  'settings.logoutDesc': 'Return to welcome screen',
+  'analytics.title': 'Analytics',
+  'analytics.heading': 'Your Progress',
+  'analytics.since': 'Track your journey since {date}',
+  'analytics.sinceStart': 'Track your journey since you started',
+  'analytics.emptyTitle': 'No data yet',
+  'analytics.emptyText': 'Create your first goal to start tracking your progress and achievements!',
+  'analytics.goals': 'Goals',
+  'analytics.totalGoals': 'Total Goals',
+  'analytics.completed': 'Completed',
+  'analytics.rate': '{percent}% rate',
+  'analytics.avgProgress': 'Avg. Progress',
+  'analytics.daysActive': 'Days Active',
+  'analytics.stepsCompleted': 'Steps Completed',
+  'analytics.ofAll': '{percent}% of all',
+  'analytics.totalSteps': 'Total Steps',
+  'analytics.avgPerGoal': 'Avg. per Goal',
+  'analytics.remaining': 'Remaining',
+  'analytics.goalsActivity': 'Goals Activity',
+  'analytics.stepsActivity': 'Steps Activity',
+  'analytics.tab.day': 'Daily',
+  'analytics.tab.week': 'Weekly',
+  'analytics.tab.month': 'Monthly',
+  'analytics.bestDay': 'Best day • {date}',
+  'analytics.mostProductive': { one: 'Most productive day • {count} active day', other: 'Most productive day • {count} active days' },
+  'analytics.velocity': 'Velocity',
+  'analytics.stepsPerWeek': 'steps / week',
+  'analytics.weeksToFinish': { one: '~{count} week to finish at this pace', other: '~{count} weeks to finish at this pace' },
+  'analytics.noStepsYet': 'No steps completed yet',
+  'analytics.lastActive': 'last active {date}',
+  'analytics.completedGoals': { one: 'You\'ve completed {count} goal!', other: 'You\'ve completed {count} goals!' },
+  'analytics.keepGoing': 'Keep going!',
+  'analytics.stepsDoneIn': '{steps} done in {days}',
+  'analytics.stepsDone': { one: '{count} step', other: '{count} steps' },
+  'analytics.firstStep': 'Complete your first step to see progress',
+  'analytics.completedList': 'Completed Goals',
+  'analytics.done': 'Done',
+  'analytics.achievements': 'Achievements',
+  'analytics.totalPoints': 'Total Points',
+  'analytics.dayStreak': 'Day Streak',
+  'analytics.bestStreak': 'Best Streak',
+  'analytics.habits': 'Habits',
+  'analytics.metOfLast.day': { one: '{met} of last {count} day', other: '{met} of last {count} days' },
+  'analytics.metOfLast.week': { one: '{met} of last {count} week', other: '{met} of last {count} weeks' },
+  'analytics.justStarted': 'Just started',
+  'analytics.inProgress': 'In Progress',
+  'analytics.stepsFraction': { one: '{done}/{count} step', other: '{done}/{count} steps' },
+  'reminders.dueDates': 'Due Dates',
+  'reminders.remindMe': 'Remind me',
+  'reminders.onTheDay': 'On the day',
+  'reminders.daysBefore': { one: '{count} day before', other: '{count} days before' },
+  'reminders.at': 'At',
+  'reminders.daily': 'Daily',
+  'reminders.nudge': 'Next step nudge',
+  'reminders.nudgeDesc': 'Your next step, once a day',
+  'reminders.streak': 'Streak at risk',
+  'reminders.streakDesc': 'An evening heads-up if you haven\'t completed a step yet',
+  'reminders.quietHours': 'Quiet Hours',
+  'reminders.quiet': 'Quiet hours',
+  'reminders.quietDesc': 'Reminders wait until quiet hours are over',
+  'reminders.from': 'From',
+  'reminders.to': 'to',
+  'reminders.comingUp': 'Coming Up',
+  'templates.title': 'Templates',
+  'templates.all': 'All',
+  'templates.loading': 'Loading templates...',
+  'import.template': 'Template',
+  'import.shared': 'Shared Plan',
+  'import.loading': 'Loading plan...',
+  'import.unavailable': 'Plan not available',
+  'import.hint': 'It\'s added as a new goal of your own - nothing you do is shared back',
+  'import.add': 'Add to My Goals',
+  'planner.timePerDay': 'Time Per Day',
+  'planner.timeForGoals': 'Time for your goals each day',
+  'planner.daysAvailable': 'Days Available',
+  'planner.planOn': 'Plan tasks on',
+  'planner.rollOver': 'Unfinished tasks roll over to the next day you\'re available.',
+  'planner.today': 'Today',
+  'planner.restDayTitle': 'Rest day',
+  'planner.nothingPlanned': 'Nothing planned today',
+  'planner.nothingToPlan': 'Nothing to plan',
+  'planner.createGoal': 'Create a goal to fill your day',
+  'planner.sessionOf': '{minutes} of ~{estimate}',
+  'account.syncing': 'Syncing...',
+  'account.syncFailed': 'Last sync failed',
+  'account.lastSynced': 'Last synced {date}',
+  'account.notSynced': 'Not synced yet',
+  'account.createAccount': 'Create Account',
+  'account.signIn': 'Sign In',
+  'account.syncNow': 'Sync Now',
+  'account.syncNowDesc': 'Goals, points, streak, badges and saved results',
+  'account.signOut': 'Sign Out of Sync',
+  'account.signOutNote': 'Your goals stay on this device after you sign out.',
+  'account.intro': 'Keep your goals, points and badges in sync across all your devices.',
+  'account.email': 'Email',
+  'account.password': 'Password',
+  'account.passwordNew': 'At least 8 characters',
+  'account.passwordCurrent': 'Your password',
+  'account.wait': 'Please wait...',
+  'account.haveAccount': 'Already have an account?',
+  'account.newHere': 'New here?',
+  'account.switchSignIn': 'Sign in',
+  'account.switchRegister': 'Create an account',
+  'error.verifyPurchase': 'Purchase could not be verified',
+  'error.questions': 'Failed to generate questions',
+  'questions.fallback1': 'What\'s your current experience level?',
+  'questions.fallback1.placeholder': 'e.g., Beginner, Intermediate',
+  'questions.fallback2': 'What\'s your main motivation?',
+  'questions.fallback2.placeholder': 'e.g., Career, Personal growth, Fun',
+  'questions.fallback3': 'Any specific focus or preferences?',
+  'questions.fallback3.placeholder': 'e.g., Online learning, Hands-on practice',
+  'replan.noChanges': 'Aclio thinks your current plan still fits. Try describing what changed in more detail.',
+  'offline.banner': 'You\'re offline. Your goals and progress still save on this device.',
+  'offline.bannerQueued': { one: 'You\'re offline. {count} request will be sent when you reconnect.', other: 'You\'re offline. {count} requests will be sent when you reconnect.' },
+  'offline.queued': 'Queued',
+  'offline.requestFailed': 'Couldn\'t finish - tap to retry',
+  'offline.alreadyQueued': 'This is already queued. It\'ll be ready once you\'re back online.',
+  'offline.goalWaiting': 'Waiting for connection',
+  'offline.goalFailed': 'Plan couldn\'t be created',
+  'offline.goalWaitingText': 'Aclio will build the plan for this goal as soon as you\'re back online.',
+  'offline.createHint': 'You\'re offline. We\'ll save your goal now and build its plan when you reconnect.'
+};
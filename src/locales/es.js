@@ -0,0 +1,619 @@
+/**
+ * Achieve AI - Spanish
+ * Spanish UI text, keyed like ./en.js.
+ */
+
+export default {
+  'category.Health & Fitness': 'Salud y forma física',
+  'category.Career': 'Carrera',
+  'category.Education': 'Educación',
+  'category.Finance': 'Finanzas',
+  'category.Creative': 'Creatividad',
+  'category.Personal Growth': 'Crecimiento personal',
+  'category.Relationships': 'Relaciones',
+  'category.Travel': 'Viajes',
+  'category.Home & Living': 'Hogar',
+  'category.Technology': 'Tecnología',
+  'level.1': 'Principiante',
+  'level.2': 'Explorador',
+  'level.3': 'Triunfador',
+  'level.4': 'Campeón',
+  'level.5': 'Maestro',
+  'level.6': 'Experto',
+  'level.7': 'Leyenda',
+  'level.8': 'Élite',
+  'level.9': 'Gran maestro',
+  'level.10': 'Definitivo',
+  'achievement.first_goal.name': 'Fijador de metas',
+  'achievement.first_step.name': 'Primer paso',
+  'achievement.first_complete.name': 'Triunfador',
+  'achievement.streak_3.name': 'En racha',
+  'achievement.streak_7.name': 'Imparable',
+  'achievement.five_goals.name': 'Ambicioso',
+  'achievement.three_complete.name': 'Triplete',
+  'achievement.ten_steps.name': 'Maestro de pasos',
+  'achievement.fifty_steps.name': 'Constante',
+  'achievement.hundred_points.name': 'Centenario',
+  'achievement.five_hundred_points.name': 'Élite',
+  'achievement.level_5.name': 'Maestro',
+  'premium.goals.title': 'Metas ilimitadas',
+  'premium.goals.desc': 'Crea tantas metas como quieras',
+  'premium.doItForMe.title': '"Hazlo por mí" ilimitado',
+  'premium.doItForMe.desc': 'Deja que la IA complete cualquier tarea por ti',
+  'premium.share.title': 'Comparte tus logros',
+  'premium.share.desc': 'Tarjetas de celebración preciosas para compartir',
+  'premium.priority.title': 'IA prioritaria',
+  'premium.priority.desc': 'Pasos generados más rápido y con más detalle',
+  'error.backendDown': 'El servidor no está en marcha. Inícialo con: cd server && npm start',
+  'error.requestFailed': 'La solicitud falló',
+  'error.streamFailed': 'La transmisión falló',
+  'error.connectionClosed': 'La conexión se cerró antes de terminar la respuesta',
+  'error.publish': 'No se pudo crear un enlace a este plan',
+  'error.sharedPlan': 'No se pudo abrir este plan compartido',
+  'error.templates': 'No se pudieron cargar las plantillas',
+  'error.template': 'No se pudo cargar esta plantilla',
+  'error.shareImage': 'No se pudo crear la imagen para compartir',
+  'rateLimit.moment': 'un momento',
+  'rateLimit.seconds': { one: '{count} segundo', other: '{count} segundos' },
+  'rateLimit.minutes': { one: '{count} minuto', other: '{count} minutos' },
+  'rateLimit.message': '¡Más despacio! Aclio necesita un respiro: inténtalo de nuevo en {wait}.',
+  'onboarding.plan.title': 'Planificación de metas con IA',
+  'onboarding.plan.text': 'Convierte tus aspiraciones en planes de acción personalizados, generados por IA y adaptados a tus metas.',
+  'onboarding.plan.guidance': 'Orientación inteligente para cualquier meta',
+  'onboarding.plan.personalized': 'Planes de acción personalizados',
+  'onboarding.plan.timeline': 'Adaptados a tus plazos',
+  'onboarding.steps.title': 'Guía paso a paso',
+  'onboarding.steps.text': 'Divide tu meta en tareas claras y manejables con un acompañamiento inteligente que se adapta a tu progreso.',
+  'onboarding.steps.research': 'Investiga las tendencias del sector',
+  'onboarding.steps.course': 'Completa un curso en línea',
+  'onboarding.steps.portfolio': 'Crea un proyecto para tu portafolio',
+  'onboarding.steps.mentors': 'Conecta con mentores',
+  'onboarding.steps.apply': 'Aplica tus nuevas habilidades',
+  'onboarding.track.title': 'Sigue tu éxito',
+  'onboarding.track.text': 'Celebra los hitos, mantén la motivación y mira crecer tus rachas mientras cumples tus metas.',
+  'onboarding.track.badge': 'Racha de 7 días desbloqueada',
+  'welcome.mascot': 'Mascota de Aclio',
+  'welcome.tagline': 'Enciende tus metas.',
+  'welcome.getStarted': 'Empezar',
+  'welcome.haveAccount': '¿Ya tienes una cuenta?',
+  'welcome.signIn': 'Inicia sesión',
+  'common.skip': 'Omitir',
+  'common.next': 'Siguiente',
+  'profileSetup.title': 'Cuéntanos sobre ti',
+  'profileSetup.subtitle': 'Así podemos personalizar tu experiencia',
+  'profileSetup.name': 'Tu nombre *',
+  'profileSetup.namePlaceholder': 'p. ej., Theyab',
+  'profileSetup.age': 'Tu edad',
+  'profileSetup.agePlaceholder': 'p. ej., 22',
+  'profileSetup.continueAs': 'Continuar como {name}',
+  'profileSetup.enterName': 'Escribe tu nombre para continuar',
+  'profile.gender': 'Género',
+  'profile.gender.Male': 'Hombre',
+  'profile.gender.Female': 'Mujer',
+  'profile.gender.Other': 'Otro',
+  'profile.edit': 'Editar perfil',
+  'profile.name': 'Tu nombre',
+  'profile.save': 'Guardar perfil',
+  'backup.notJson': 'Ese archivo no es una copia de seguridad válida (no es JSON).',
+  'backup.notBackup': 'Ese archivo no es una copia de seguridad de Achieve AI.',
+  'backup.newer': 'Esta copia de seguridad se hizo con una versión más reciente de la app. Actualiza la app e inténtalo de nuevo.',
+  'backup.damagedGoals': 'Las metas de esta copia de seguridad están dañadas, así que no se restauró nada.',
+  'backup.damagedPart': 'Los datos de {part} de esta copia de seguridad están dañados, así que no se restauró nada.',
+  'export.due': 'Vence el {date}',
+  'export.stepsDone': { one: '{done}/{count} paso hecho', other: '{done}/{count} pasos hechos' },
+  'export.habit': 'Hábito:',
+  'export.checkIns': { one: '{count} registro hasta ahora', other: '{count} registros hasta ahora' },
+  'export.milestone': 'Hito: {milestone}',
+  'export.csv.step': 'Paso',
+  'export.csv.phase': 'Fase',
+  'export.csv.title': 'Título',
+  'export.csv.description': 'Descripción',
+  'export.csv.duration': 'Duración',
+  'export.csv.status': 'Estado',
+  'export.csv.goal': 'Meta',
+  'export.csv.dueDate': 'Fecha límite',
+  'export.done': 'Hecho',
+  'export.toDo': 'Pendiente',
+  'export.time': 'Tiempo: {duration}',
+  'export.goal': 'Meta: {name}',
+  'export.dueEvent': 'Vence: {name}',
+  'analytics.period.day': 'Últimos 7 días',
+  'analytics.period.week': 'Últimas 8 semanas',
+  'analytics.period.month': 'Últimos 6 meses',
+  'habit.everyDay': 'Todos los días',
+  'habit.timesAWeek': { one: '{count} vez por semana', other: '{count} veces por semana' },
+  'time.minutes': '{minutes} min',
+  'time.hoursMinutes': '{hours} h {minutes} min',
+  'time.hours': '{hours} h',
+  'planner.checkIn': 'Registrar: {target}',
+  'reminder.dueToday': '"{name}" vence hoy',
+  'reminder.dueTomorrow': '"{name}" vence mañana',
+  'reminder.dueIn': { one: '"{name}" vence en {count} día', other: '"{name}" vence en {count} días' },
+  'reminder.stepsToGo': { one: 'Te queda {count} paso. ¡Tú puedes!', other: 'Te quedan {count} pasos. ¡Tú puedes!' },
+  'reminder.nextUp': 'Siguiente: {title}',
+  'reminder.closer': 'Un paso más cerca de "{name}".',
+  'reminder.habit': 'Es hora de "{name}"',
+  'reminder.streak': { one: 'Tu racha de {count} día está en peligro 🔥', other: 'Tu racha de {count} días está en peligro 🔥' },
+  'reminder.streakBody': 'Completa un paso hoy para mantenerla.',
+  'error.requestStatus': 'La solicitud falló ({status})',
+  'notifications.enabled': '¡Notificaciones activadas! Te recordaremos tus metas.',
+  'notifications.blocked': 'Las notificaciones están bloqueadas. Puedes activarlas en los ajustes del dispositivo.',
+  'location.failed': 'No se pudo obtener tu ubicación. Activa los servicios de ubicación.',
+  'location.unsupported': 'Tu navegador no admite la ubicación.',
+  'error.expand': 'No se pudo ampliar el paso',
+  'error.replan': 'No se pudo replanificar esta meta. Inténtalo de nuevo.',
+  'backup.nothingNew': 'Todo lo de esta copia de seguridad ya está en este dispositivo.',
+  'backup.newGoals': { one: '{count} meta nueva', other: '{count} metas nuevas' },
+  'backup.mergedGoals': { one: 'el progreso de {count} meta existente', other: 'el progreso de {count} metas existentes' },
+  'backup.and': ' y ',
+  'backup.savedContent': 'contenido guardado y estadísticas',
+  'backup.confirmFrom': '¿Restaurar la copia de seguridad del {date}? Se añadirá {summary}. No se borrará nada de este dispositivo.',
+  'backup.confirm': '¿Restaurar la copia de seguridad? Se añadirá {summary}. No se borrará nada de este dispositivo.',
+  'points.streakBonus': '¡Bonus de racha!',
+  'points.dailyBonus': '¡Bonus diario!',
+  'points.aiAssist': '+15 ¡Ayuda de IA!',
+  'doItForMe.cancelled': 'Cancelado',
+  'common.copied': '¡Copiado al portapapeles!',
+  'chat.failed': 'Lo siento, no pude procesar eso. ¡Inténtalo de nuevo!',
+  'chatAction.step': 'Paso {id}',
+  'chatAction.addSteps': { one: 'Añadir {count} paso', other: 'Añadir {count} pasos' },
+  'chatAction.addStepsAfter': { one: 'Añadir {count} paso después de "{title}"', other: 'Añadir {count} pasos después de "{title}"' },
+  'chatAction.edit': 'Editar "{title}"',
+  'chatAction.field.title': 'Título',
+  'chatAction.field.description': 'Descripción',
+  'chatAction.field.duration': 'Duración',
+  'chatAction.reorder': 'Reordenar pasos',
+  'chatAction.setDueDate': 'Cambiar la fecha límite al {date}',
+  'chatAction.currently': 'Actualmente {date}',
+  'chatAction.markComplete': 'Marcar "{title}" como completado',
+  'chat.welcomeBack': '¡Hola de nuevo! ¿Seguimos donde lo dejamos con "{name}" o hay algo nuevo?',
+  'chat.greeting': '¡Hola! Estoy aquí para ayudarte con "{name}". Puedes pedirme más orientación, solicitar pasos adicionales o contarme más sobre tu situación para ajustar mejor el plan. ¿Qué te gustaría saber?',
+  'achievement.unlocked': '¡{name} desbloqueado!',
+  'share.madeWith': '{name} - hecho con Aclio',
+  'share.imageFailed': 'No se pudo compartir la imagen. Inténtalo de nuevo.',
+  'share.getPlan': 'Consigue el plan: {link}',
+  'share.completedText': { one: '🎉 ¡Acabo de cumplir mi meta "{name}" con Aclio! ¡{count} paso superado! 💪', other: '🎉 ¡Acabo de cumplir mi meta "{name}" con Aclio! ¡{count} pasos superados! 💪' },
+  'share.progressText': '🎯 Trabajando en mi meta "{name}" con Aclio. ¡{progress} % completado!',
+  'goal.confirmDelete': '¿Eliminar esta meta?',
+  'purchase.welcome': '🎉 ¡Bienvenido a Premium!',
+  'purchase.notActivated': 'Tu compra se realizó, pero aún no pudimos activar Premium. Usa Restaurar compras en un momento.',
+  'purchase.failed': 'La compra falló: {reason}',
+  'purchase.unknownError': 'Error desconocido',
+  'purchase.iosOnly': 'Las compras solo están disponibles en la app de Aclio para iOS.',
+  'purchase.restored': '¡Premium restaurado correctamente!',
+  'purchase.noneFound': 'No se encontraron compras anteriores.',
+  'purchase.restoreFailed': 'No se pudieron restaurar las compras. Inténtalo de nuevo.',
+  'points.firstGoal': '+30 ¡Primera meta!',
+  'points.stepDone': '+10 ¡Paso hecho!',
+  'points.goalComplete': '+50 ¡Meta cumplida!',
+  'points.checkedIn': '+10 ¡Registrado!',
+  'due.overdue': { one: '{count} día de retraso', other: '{count} días de retraso' },
+  'due.today': 'Vence hoy',
+  'due.daysLeft': { one: 'Queda {count} día', other: 'Quedan {count} días' },
+  'generate.starting': 'Iniciando la IA...',
+  'generate.step1': 'Entendiendo tu meta...',
+  'generate.step2': 'Analizando las mejores estrategias...',
+  'generate.step3': 'Creando pasos concretos...',
+  'generate.step4': 'Añadiendo recursos específicos...',
+  'generate.step5': 'Terminando tu plan...',
+  'generate.done': '¡Listo!',
+  'feasibility.compressFeedback': 'Mi fecha límite es el {date} y solo me quedan unos {available} para esta meta, pero los pasos restantes necesitan alrededor de {needed}. Comprime el plan para que quepa: une o acorta pasos y quita lo que no sea imprescindible.',
+  'greeting.morning': 'Buenos días',
+  'greeting.afternoon': 'Buenas tardes',
+  'greeting.evening': 'Buenas noches',
+  'suggestion.1': 'Aprender un idioma nuevo',
+  'suggestion.2': 'Correr un maratón',
+  'suggestion.3': 'Montar un negocio paralelo',
+  'suggestion.4': 'Leer 20 libros este año',
+  'crisis.title': 'No estás solo',
+  'crisis.call': 'Llamar al {phone}',
+  'crisis.text': 'Enviar un mensaje al {number}',
+  'crisis.website': 'Sitio web',
+  'crisis.emergency': 'Si estás en peligro inmediato, llama al {number}.',
+  'crisis.localEmergency': 'número de emergencias local',
+  'crisis.message': 'Parece que estás pasando por algo muy difícil ahora mismo, y no tienes que enfrentarlo solo. Por favor, habla con alguien que pueda ayudarte - estas personas están ahí para escucharte, a cualquier hora.',
+  'moderation.blocked': 'No puedo ayudarte con eso porque podría causar daño. Si te he entendido mal, ¡prueba a decirlo de otra forma!',
+  'common.close': 'Cerrar',
+  'dashboard.refreshing': 'Actualizando...',
+  'dashboard.releaseToRefresh': 'Suelta para actualizar',
+  'dashboard.pullToRefresh': 'Desliza para actualizar',
+  'dashboard.achiever': 'Triunfador',
+  'dashboard.subtitle': 'Avancemos hoy en tus metas.',
+  'dashboard.createGoal': 'Crear nueva meta',
+  'common.lightMode': 'Modo claro',
+  'common.darkMode': 'Modo oscuro',
+  'premium.bannerTitle': 'Hazte Premium',
+  'premium.bannerDesc': '¡Desbloquea metas ilimitadas, ayuda de IA y logros para compartir!',
+  'premium.bannerCta': 'Prueba gratis 3 días',
+  'dashboard.searchPlaceholder': 'Buscar metas...',
+  'planner.todaysPlan': 'Plan de hoy',
+  'planner.budget': '{planned} de {budget}',
+  'planner.title': 'Planificador diario',
+  'planner.restDay': 'Día de descanso: no hay nada planeado. Lo pendiente espera a tu próximo día.',
+  'planner.fromYesterday': 'De ayer',
+  'planner.session': 'Sesión de {minutes}',
+  'dashboard.activeGoals': 'Metas activas',
+  'goal.personal': 'Meta personal',
+  'feasibility.wontFit': 'No llegará a tiempo',
+  'feasibility.fallingBehind': 'Vas con retraso',
+  'habit.dayStreak': { one: 'Racha de {count} día', other: 'Racha de {count} días' },
+  'habit.weekStreak': { one: 'Racha de {count} semana', other: 'Racha de {count} semanas' },
+  'goal.progress': 'Progreso',
+  'dashboard.noResults': 'No se encontraron metas',
+  'dashboard.noGoals': 'Aún no tienes metas',
+  'dashboard.noResultsText': 'Ninguna meta coincide con "{query}". Prueba otra búsqueda.',
+  'dashboard.noGoalsText': '¡Toca "Nueva meta" para fijar tu primera meta y deja que la IA cree tu plan de acción!',
+  'level.number': 'Nivel {level}',
+  'level.points': 'puntos',
+  'level.max': 'MÁX.',
+  'dailyBonus.title': '¡Bonus diario disponible!',
+  'dailyBonus.desc': 'Consigue +{points} puntos',
+  'dailyBonus.claim': 'Reclamar',
+  'streak.current': 'Racha actual',
+  'streak.best': 'Mejor',
+  'streak.days': { one: '{count} día', other: '{count} días' },
+  'dashboard.progressHub': 'Centro de progreso',
+  'dashboard.levelAchiever': 'Triunfador de nivel {level}',
+  'dashboard.goalSetter': 'Fijador de metas',
+  'dashboard.streakChampion': 'Campeón de rachas',
+  'dashboard.newGoal': 'Nueva meta',
+  'dashboard.goalsLeft': { one: 'queda {count}', other: 'quedan {count}' },
+  'levelUp.title': '¡Subiste de nivel!',
+  'levelUp.reached': 'Llegaste al nivel {level}: {name}',
+  'levelUp.newTitle': '¡Nuevo título desbloqueado!',
+  'levelUp.awesome': '¡Genial!',
+  'premium.badge': 'Premium',
+  'premium.title': 'Desbloquea todo tu potencial',
+  'premium.subtitle': 'Accede sin límites a todas las funciones y cumple tus metas más rápido con la orientación de la IA.',
+  'premium.weekly': 'Semanal',
+  'premium.monthly': 'Mensual',
+  'premium.yearly': 'Anual',
+  'premium.perWeekShort': '/sem',
+  'premium.perMonthShort': '/mes',
+  'premium.perYearShort': '/año',
+  'premium.bestValue': 'Mejor precio',
+  'premium.save': 'Ahorra un {percent} %',
+  'premium.startTrial': 'Empezar prueba gratis',
+  'premium.trialTerms.week': '3 días de prueba gratis y luego {price}/semana. Cancela cuando quieras.',
+  'premium.trialTerms.month': '3 días de prueba gratis y luego {price}/mes. Cancela cuando quieras.',
+  'premium.trialTerms.year': '3 días de prueba gratis y luego {price}/año. Cancela cuando quieras.',
+  'premium.terms': 'Términos del servicio',
+  'premium.privacy': 'Política de privacidad',
+  'premium.restore': 'Restaurar compras',
+  'newGoal.label': '¿Qué quieres lograr?',
+  'newGoal.placeholder': 'p. ej., Aprender lo básico de salsa en 3 meses',
+  'newGoal.hint': 'Sé concreto sobre cómo sería el éxito',
+  'newGoal.getQuestions': 'Obtener preguntas personalizadas',
+  'newGoal.preparingQuestions': 'La IA está preparando preguntas...',
+  'newGoal.questionsTitle': 'Ayuda a la IA a entenderte mejor',
+  'newGoal.questionsSubtitle': 'Responde para obtener un plan personalizado',
+  'newGoal.questionsHint': 'Tus respuestas dan forma a tus pasos',
+  'newGoal.skipQuestions': 'Omitir preguntas',
+  'newGoal.kind': 'Tipo de meta',
+  'newGoal.kind.auto': 'Que decida Aclio',
+  'newGoal.kind.plan': 'Plan puntual',
+  'newGoal.kind.habit': 'Hábito',
+  'newGoal.dueDate': 'Fecha objetivo (opcional)',
+  'newGoal.dueDatePlaceholder': 'Opcional: ayuda a priorizar los pasos',
+  'location.enabled': 'Ubicación activada',
+  'location.enabledHint': 'Sugerencias cercanas activas',
+  'location.loading': 'Obteniendo ubicación...',
+  'location.enable': 'Activar ubicación',
+  'location.enableHint': 'Recibe sugerencias de recursos cercanos',
+  'newGoal.templateTitle': 'Empezar con una plantilla',
+  'newGoal.templateDesc': 'Planes listos para cada categoría',
+  'newGoal.quickIdeas': 'Ideas rápidas',
+  'newGoal.ctaHint': 'Crearemos un plan paso a paso basado en tu meta',
+  'newGoal.ctaHintAnswers': 'Crearemos un plan paso a paso basado en tu meta y tus respuestas',
+  'newGoal.generating': 'Generando...',
+  'newGoal.generatePersonalized': 'Generar plan personalizado',
+  'newGoal.generate': 'Generar plan',
+  'generate.title': 'Creando tu plan',
+  'generate.crafting': 'La IA está preparando un plan de acción personalizado solo para ti...',
+  'generate.progress': 'Paso {step} de {total}',
+  'generate.initializing': 'Iniciando...',
+  'generate.stage1': 'Entendiendo tu meta',
+  'generate.stage2': 'Analizando estrategias',
+  'generate.stage3': 'Creando los pasos',
+  'generate.stage4': 'Añadiendo recursos',
+  'generate.stage5': 'Terminando el plan',
+  'detail.title': 'Detalles de la meta',
+  'detail.share': 'Compartir meta',
+  'common.premiumFeature': 'Función Premium',
+  'detail.recently': 'Reciente',
+  'habit.rampUpWeek': 'Semana de progresión {week}',
+  'habit.doneThis.day': { one: '{done} de {count} hoy', other: '{done} de {count} hoy' },
+  'habit.doneThis.week': { one: '{done} de {count} esta semana', other: '{done} de {count} esta semana' },
+  'habit.checkedIn': 'Registrado hoy',
+  'habit.checkIn': 'Registrar hoy',
+  'habit.streakLabel.day': 'días de racha',
+  'habit.streakLabel.week': 'semanas de racha',
+  'habit.best': 'mejor',
+  'habit.last.day': { one: 'último día', other: 'últimos {count} días' },
+  'habit.last.week': { one: 'última semana', other: 'últimas {count} semanas' },
+  'habit.week': 'Semana {week}',
+  'habit.then': 'Después',
+  'detail.stepsCompleted': { one: '{done} de {count} paso completado', other: '{done} de {count} pasos completados' },
+  'feasibility.onTrack': 'Vas bien: quedan unos {work} de trabajo y tienes {available} disponibles hasta el {date}',
+  'feasibility.title.overdue': 'La fecha límite ya pasó',
+  'feasibility.title.unrealistic': 'Este plan no cabe antes de la fecha límite',
+  'feasibility.title.at_risk': 'La fecha límite está justa',
+  'feasibility.overdueText': { one: 'Quedan unos {work} de trabajo en {count} paso.', other: 'Quedan unos {work} de trabajo en {count} pasos.' },
+  'feasibility.tightText': 'Quedan unos {work} de trabajo, pero a {perDay} al día tienes {available} antes del {date}.',
+  'feasibility.compress': 'Comprimir plan',
+  'feasibility.moveTo': 'Mover al {date}',
+  'feasibility.changeTime': 'Cambiar mi tiempo diario',
+  'chat.talkToAclio': 'Habla con Aclio',
+  'replan.button': 'Replanificar los pasos restantes',
+  'detail.gettingStarted': 'Para empezar',
+  'detail.actionSteps': 'Pasos de acción',
+  'detail.phase': 'Fase {number}',
+  'detail.stepPrefix': 'PASO {id}:',
+  'detail.waitingOn': 'Esperando a {steps}',
+  'detail.ready': 'Listo para empezar',
+  'detail.viewDetails': 'Ver detalles',
+  'detail.expand': 'Ampliar',
+  'detail.viewResult': 'Ver resultado',
+  'detail.doItForMe': 'Hazlo por mí',
+  'detail.nearby': 'Cerca',
+  'detail.export': 'Exportar',
+  'detail.exportChecklist': 'Lista',
+  'detail.exportCalendar': 'Calendario',
+  'detail.delete': 'Eliminar meta',
+  'celebration.title': '¡Meta cumplida!',
+  'celebration.text': '¡Gran trabajo! Superaste todos los pasos. ¡Hora de celebrarlo y compartirlo!',
+  'celebration.share': 'Comparte tu logro',
+  'celebration.back': 'Volver al inicio',
+  'doItForMe.subtitle': 'Resultado generado por IA',
+  'doItForMe.working': 'La IA está trabajando en esto...',
+  'doItForMe.creating': 'Trabajando en: {title}',
+  'common.cancel': 'Cancelar',
+  'common.tryAgain': 'Reintentar',
+  'doItForMe.saved': 'Guardado',
+  'doItForMe.stoppedEarly': 'Detenido antes de terminar',
+  'doItForMe.stop': 'Detener',
+  'common.copy': 'Copiar',
+  'common.download': 'Descargar',
+  'common.save': 'Guardar',
+  'expand.title': 'Detalles del paso',
+  'expand.loading': 'Buscando recursos y creando tu guía...',
+  'expand.guide': 'Guía detallada',
+  'expand.resources': 'Recursos recomendados',
+  'expand.tips': 'Consejos',
+  'expand.searchMore': 'Buscar más recursos',
+  'expand.regenerate': 'Regenerar',
+  'expand.save': 'Guardar recursos',
+  'resource.course': 'curso',
+  'resource.video': 'vídeo',
+  'resource.article': 'artículo',
+  'resource.app': 'app',
+  'resource.website': 'sitio web',
+  'resource.book': 'libro',
+  'resource.tool': 'herramienta',
+  'chat.subtitle': 'Tu coach de metas con IA',
+  'chatAction.dismiss': 'Descartar',
+  'chatAction.apply': 'Aplicar',
+  'chatAction.applied': 'Aplicado',
+  'chatAction.dismissed': 'Descartado',
+  'chat.thinking': 'Pensando',
+  'chat.placeholder': 'Pide orientación, más pasos o comparte contexto...',
+  'chat.stop': 'Detener',
+  'chat.prompt.moreSteps': 'Añadir más pasos',
+  'chat.prompt.moreSteps.message': '¿Puedes añadir pasos más detallados?',
+  'chat.prompt.help': 'Necesito ayuda',
+  'chat.prompt.help.message': 'Me está costando esta meta. ¿Algún consejo?',
+  'chat.prompt.next': '¿Qué sigue?',
+  'chat.prompt.next.message': '¿En qué debería centrarme primero?',
+  'edit.goalTitle': 'Editar meta',
+  'edit.stepTitle': 'Editar paso',
+  'edit.goalName': 'Nombre de la meta',
+  'edit.dueDate': 'Fecha límite',
+  'edit.type': 'Tipo',
+  'edit.repeat': 'Repetir',
+  'edit.daily': 'Diario',
+  'edit.weekly': 'Semanal',
+  'edit.timesAWeek': 'Veces por semana',
+  'edit.eachTime': 'Cada vez',
+  'edit.eachTimePlaceholder': 'p. ej., 20 minutos de lectura',
+  'edit.saveChanges': 'Guardar cambios',
+  'edit.stepName': 'Título del paso',
+  'edit.durationPlaceholder': 'p. ej., 2 horas, 1 semana',
+  'replan.reviewTitle': 'Revisar cambios',
+  'replan.title': 'Replanificar meta',
+  'replan.intro': 'Cuéntale a Aclio qué cambió y rehará los pasos que aún no has hecho. Los pasos completados se quedan como están.',
+  'replan.dueDate': 'Tu fecha límite es',
+  'replan.whatChanged': '¿Qué cambió?',
+  'replan.placeholder': 'p. ej., voy dos semanas atrasado o ya no tengo acceso al gimnasio',
+  'replan.loading': 'Replanificando...',
+  'replan.submit': 'Replanificar',
+  'replan.change.add': 'Nuevo',
+  'replan.change.remove': 'Eliminado',
+  'replan.change.modify': 'Cambiado',
+  'replan.keep': 'Mantener cambio',
+  'replan.reject': 'Rechazar',
+  'replan.was': 'antes {duration}',
+  'replan.discard': 'Descartar',
+  'replan.apply': { one: 'Aplicar {count} cambio', other: 'Aplicar {count} cambios' },
+  'share.cardAlt': 'Tarjeta para compartir de {name}',
+  'share.achieved': '¡Meta cumplida!',
+  'share.working': '¡En ello!',
+  'share.crushed': '¡Cumplí esta meta!',
+  'share.progressing': 'Avanzando cada día',
+  'share.myGoal': 'Mi meta',
+  'share.steps': 'Pasos',
+  'share.complete': 'Completado',
+  'share.done': '¡Hecho!',
+  'share.theme.light': 'Claro',
+  'share.theme.dark': 'Oscuro',
+  'share.size.square': 'Cuadrado',
+  'share.size.story': 'Historia',
+  'share.creatingLink': 'Creando enlace...',
+  'share.createLink': 'Compartir enlace al plan',
+  'share.linkCopied': '¡Enlace copiado! Cualquiera que lo tenga puede copiar tus pasos como meta propia.',
+  'share.linkHint': 'Cualquiera con el enlace puede ver tus pasos y copiarlos. Tu progreso y tus notas siguen siendo privados.',
+  'share.preparing': 'Preparando...',
+  'share.image': 'Compartir imagen',
+  'share.copyText': 'Copiar texto',
+  'settings.title': 'Ajustes',
+  'settings.profile': 'Perfil',
+  'settings.yourProfile': 'Tu perfil',
+  'settings.profileDesc': 'Edita tu nombre, edad y género',
+  'settings.preferences': 'Preferencias',
+  'settings.darkMode': 'Modo oscuro',
+  'settings.darkModeDesc': 'Cambia entre apariencia clara y oscura',
+  'settings.language': 'Idioma',
+  'settings.languageDesc': 'Para la app y para los planes y respuestas que escribe Aclio',
+  'settings.notifications': 'Notificaciones',
+  'settings.notificationsDesc': 'Recibe recordatorios de tus metas',
+  'reminders.title': 'Recordatorios',
+  'settings.remindersDesc': 'Fechas límite, aviso diario, alertas de racha, horas de silencio',
+  'settings.planner': 'Planificador diario',
+  'settings.plannerDescEveryDay': '{minutes} al día, todos los días',
+  'settings.plannerDesc': { one: '{minutes} al día, {count} día a la semana', other: '{minutes} al día, {count} días a la semana' },
+  'settings.location': 'Ubicación',
+  'settings.locationDesc': 'Actívala para recibir sugerencias cercanas',
+  'settings.data': 'Datos',
+  'settings.backup': 'Copia de seguridad',
+  'settings.backupDesc': 'Metas, progreso, insignias y contenido de IA guardado en un archivo JSON',
+  'settings.restore': 'Restaurar copia',
+  'settings.restoreDesc': 'Combina un archivo de copia de seguridad con este dispositivo',
+  'settings.clearConfirm': '¿Seguro? Esto eliminará TODAS tus metas y no se puede deshacer.',
+  'settings.clear': 'Borrar todas las metas',
+  'settings.clearDesc': 'Elimina todos los datos para siempre',
+  'settings.developer': 'Desarrollador',
+  'settings.errorLog': 'Registro de errores',
+  'settings.noIssues': 'No se detectaron problemas',
+  'settings.errors': { one: '{count} error', other: '{count} errores' },
+  'settings.warnings': { one: '{count} advertencia', other: '{count} advertencias' },
+  'settings.errorReports': 'Enviar informes de errores',
+  'settings.errorReportsDesc': 'Comparte detalles de los fallos para ayudar a corregirlos. Antes se eliminan el texto de las metas y los datos del perfil.',
+  'settings.about': 'Acerca de',
+  'settings.version': 'Versión {version} • Hecho con ❤️',
+  'settings.account': 'Cuenta',
+  'settings.sync': 'Sincronización',
+  'settings.signedInAs': 'Sesión iniciada como {email}',
+  'settings.syncDesc': 'Inicia sesión para sincronizar entre dispositivos',
+  'settings.logoutConfirm': '¿Seguro que quieres cerrar sesión? Volverás a la pantalla de bienvenida.',
+  'settings.logout': 'Cerrar sesión',
+  'settings.logoutDesc': 'Volver a la pantalla de bienvenida',
+  'analytics.title': 'Estadísticas',
+  'analytics.heading': 'Tu progreso',
+  'analytics.since': 'Sigue tu camino desde el {date}',
+  'analytics.sinceStart': 'Sigue tu camino desde que empezaste',
+  'analytics.emptyTitle': 'Aún no hay datos',
+  'analytics.emptyText': '¡Crea tu primera meta para empezar a seguir tu progreso y tus logros!',
+  'analytics.goals': 'Metas',
+  'analytics.totalGoals': 'Metas totales',
+  'analytics.completed': 'Completadas',
+  'analytics.rate': '{percent} % de éxito',
+  'analytics.avgProgress': 'Progreso medio',
+  'analytics.daysActive': 'Días activo',
+  'analytics.stepsCompleted': 'Pasos completados',
+  'analytics.ofAll': '{percent} % del total',
+  'analytics.totalSteps': 'Pasos totales',
+  'analytics.avgPerGoal': 'Media por meta',
+  'analytics.remaining': 'Restantes',
+  'analytics.goalsActivity': 'Actividad de metas',
+  'analytics.stepsActivity': 'Actividad de pasos',
+  'analytics.tab.day': 'Diario',
+  'analytics.tab.week': 'Semanal',
+  'analytics.tab.month': 'Mensual',
+  'analytics.bestDay': 'Mejor día • {date}',
+  'analytics.mostProductive': { one: 'Día más productivo • {count} día activo', other: 'Día más productivo • {count} días activos' },
+  'analytics.velocity': 'Ritmo',
+  'analytics.stepsPerWeek': 'pasos / semana',
+  'analytics.weeksToFinish': { one: '~{count} semana para terminar a este ritmo', other: '~{count} semanas para terminar a este ritmo' },
+  'analytics.noStepsYet': 'Aún no hay pasos completados',
+  'analytics.lastActive': 'última actividad el {date}',
+  'analytics.completedGoals': { one: '¡Has cumplido {count} meta!', other: '¡Has cumplido {count} metas!' },
+  'analytics.keepGoing': '¡Sigue así!',
+  'analytics.stepsDoneIn': '{steps} en {days}',
+  'analytics.stepsDone': { one: '{count} paso', other: '{count} pasos' },
+  'analytics.firstStep': 'Completa tu primer paso para ver tu progreso',
+  'analytics.completedList': 'Metas cumplidas',
+  'analytics.done': 'Hecho',
+  'analytics.achievements': 'Logros',
+  'analytics.totalPoints': 'Puntos totales',
+  'analytics.dayStreak': 'Días de racha',
+  'analytics.bestStreak': 'Mejor racha',
+  'analytics.habits': 'Hábitos',
+  'analytics.metOfLast.day': { one: '{met} del último día', other: '{met} de los últimos {count} días' },
+  'analytics.metOfLast.week': { one: '{met} de la última semana', other: '{met} de las últimas {count} semanas' },
+  'analytics.justStarted': 'Recién empezado',
+  'analytics.inProgress': 'En curso',
+  'analytics.stepsFraction': { one: '{done}/{count} paso', other: '{done}/{count} pasos' },
+  'reminders.dueDates': 'Fechas límite',
+  'reminders.remindMe': 'Recordarme',
+  'reminders.onTheDay': 'El mismo día',
+  'reminders.daysBefore': { one: '{count} día antes', other: '{count} días antes' },
+  'reminders.at': 'Hora',
+  'reminders.daily': 'Diario',
+  'reminders.nudge': 'Aviso del siguiente paso',
+  'reminders.nudgeDesc': 'Tu siguiente paso, una vez al día',
+  'reminders.streak': 'Racha en peligro',
+  'reminders.streakDesc': 'Un aviso por la tarde si aún no has completado ningún paso',
+  'reminders.quietHours': 'Horas de silencio',
+  'reminders.quiet': 'Horas de silencio',
+  'reminders.quietDesc': 'Los recordatorios esperan a que terminen las horas de silencio',
+  'reminders.from': 'Desde',
+  'reminders.to': 'hasta',
+  'reminders.comingUp': 'Próximamente',
+  'templates.title': 'Plantillas',
+  'templates.all': 'Todas',
+  'templates.loading': 'Cargando plantillas...',
+  'import.template': 'Plantilla',
+  'import.shared': 'Plan compartido',
+  'import.loading': 'Cargando plan...',
+  'import.unavailable': 'Plan no disponible',
+  'import.hint': 'Se añade como una meta nueva tuya: nada de lo que hagas se comparte',
+  'import.add': 'Añadir a mis metas',
+  'planner.timePerDay': 'Tiempo al día',
+  'planner.timeForGoals': 'Tiempo para tus metas cada día',
+  'planner.daysAvailable': 'Días disponibles',
+  'planner.planOn': 'Planificar tareas los',
+  'planner.rollOver': 'Las tareas pendientes pasan al siguiente día en que estés disponible.',
+  'planner.today': 'Hoy',
+  'planner.restDayTitle': 'Día de descanso',
+  'planner.nothingPlanned': 'No hay nada planeado hoy',
+  'planner.nothingToPlan': 'Nada que planificar',
+  'planner.createGoal': 'Crea una meta para llenar tu día',
+  'planner.sessionOf': '{minutes} de ~{estimate}',
+  'account.syncing': 'Sincronizando...',
+  'account.syncFailed': 'La última sincronización falló',
+  'account.lastSynced': 'Última sincronización: {date}',
+  'account.notSynced': 'Aún sin sincronizar',
+  'account.createAccount': 'Crear cuenta',
+  'account.signIn': 'Iniciar sesión',
+  'account.syncNow': 'Sincronizar ahora',
+  'account.syncNowDesc': 'Metas, puntos, racha, insignias y resultados guardados',
+  'account.signOut': 'Cerrar sesión de sincronización',
+  'account.signOutNote': 'Tus metas se quedan en este dispositivo al cerrar sesión.',
+  'account.intro': 'Mantén tus metas, puntos e insignias sincronizados en todos tus dispositivos.',
+  'account.email': 'Correo electrónico',
+  'account.password': 'Contraseña',
+  'account.passwordNew': 'Al menos 8 caracteres',
+  'account.passwordCurrent': 'Tu contraseña',
+  'account.wait': 'Espera un momento...',
+  'account.haveAccount': '¿Ya tienes una cuenta?',
+  'account.newHere': '¿Eres nuevo?',
+  'account.switchSignIn': 'Inicia sesión',
+  'account.switchRegister': 'Crea una cuenta',
+  'error.verifyPurchase': 'No se pudo verificar la compra',
+  'error.questions': 'No se pudieron generar las preguntas',
+  'questions.fallback1': '¿Cuál es tu nivel de experiencia actual?',
+  'questions.fallback1.placeholder': 'p. ej., Principiante, Intermedio',
+  'questions.fallback2': '¿Cuál es tu motivación principal?',
+  'questions.fallback2.placeholder': 'p. ej., Trabajo, Crecimiento personal, Diversión',
+  'questions.fallback3': '¿Algún enfoque o preferencia concreta?',
+  'questions.fallback3.placeholder': 'p. ej., Aprender en línea, Práctica directa',
+  'replan.noChanges': 'Aclio cree que tu plan actual todavía encaja. Intenta describir con más detalle qué cambió.',
+  'offline.banner': 'Estás sin conexión. Tus metas y tu progreso se siguen guardando en este dispositivo.',
+  'offline.bannerQueued': { one: 'Estás sin conexión. {count} solicitud se enviará cuando vuelvas a conectarte.', other: 'Estás sin conexión. {count} solicitudes se enviarán cuando vuelvas a conectarte.' },
+  'offline.queued': 'En cola',
+  'offline.requestFailed': 'No se pudo completar - toca para reintentar',
+  'offline.alreadyQueued': 'Esto ya está en cola. Estará listo cuando vuelvas a tener conexión.',
+  'offline.goalWaiting': 'Esperando conexión',
+  'offline.goalFailed': 'No se pudo crear el plan',
+  'offline.goalWaitingText': 'Aclio creará el plan de esta meta en cuanto vuelvas a tener conexión.',
+  'offline.createHint': 'Estás sin conexión. Guardaremos tu meta ahora y crearemos su plan cuando vuelvas a conectarte.'
+};
@@ -0,0 +1,619 @@
+/**
+ * Achieve AI - French
+ * French UI text, keyed like ./en.js.
+ */
+
+export default {
+  'category.Health & Fitness': 'Santé et forme',
+  'category.Career': 'Carrière',
+  'category.Education': 'Éducation',
+  'category.Finance': 'Finances',
+  'category.Creative': 'Créativité',
+  'category.Personal Growth': 'Développement personnel',
+  'category.Relationships': 'Relations',
+  'category.Travel': 'Voyages',
+  'category.Home & Living': 'Maison',
+  'category.Technology': 'Technologie',
+  'level.1': 'Débutant',
+  'level.2': 'Explorateur',
+  'level.3': 'Battant',
+  'level.4': 'Champion',
+  'level.5': 'Maître',
+  'level.6': 'Expert',
+  'level.7': 'Légende',
+  'level.8': 'Élite',
+  'level.9': 'Grand maître',
+  'level.10': 'Ultime',
+  'achievement.first_goal.name': 'Premier objectif',
+  'achievement.first_step.name': 'Premier pas',
+  'achievement.first_complete.name': 'Battant',
+  'achievement.streak_3.name': 'Sur une lancée',
+  'achievement.streak_7.name': 'Inarrêtable',
+  'achievement.five_goals.name': 'Ambitieux',
+  'achievement.three_complete.name': 'Triplé',
+  'achievement.ten_steps.name': 'Maître des étapes',
+  'achievement.fifty_steps.name': 'Persévérant',
+  'achievement.hundred_points.name': 'Centurion',
+  'achievement.five_hundred_points.name': 'Élite',
+  'achievement.level_5.name': 'Maître',
+  'premium.goals.title': 'Objectifs illimités',
+  'premium.goals.desc': 'Créez autant d\'objectifs que vous voulez',
+  'premium.doItForMe.title': '« Fais-le pour moi » illimité',
+  'premium.doItForMe.desc': 'Laissez l\'IA accomplir n\'importe quelle tâche pour vous',
+  'premium.share.title': 'Partagez vos réussites',
+  'premium.share.desc': 'De belles cartes de célébration à partager',
+  'premium.priority.title': 'IA prioritaire',
+  'premium.priority.desc': 'Des étapes générées plus vite et plus détaillées',
+  'error.backendDown': 'Le serveur ne tourne pas. Lancez-le avec : cd server && npm start',
+  'error.requestFailed': 'La requête a échoué',
+  'error.streamFailed': 'Le flux a échoué',
+  'error.connectionClosed': 'La connexion s\'est fermée avant la fin de la réponse',
+  'error.publish': 'Impossible de créer un lien vers ce plan',
+  'error.sharedPlan': 'Impossible d\'ouvrir ce plan partagé',
+  'error.templates': 'Impossible de charger les modèles',
+  'error.template': 'Impossible de charger ce modèle',
+  'error.shareImage': 'Impossible de créer l\'image à partager',
+  'rateLimit.moment': 'un instant',
+  'rateLimit.seconds': { one: '{count} seconde', other: '{count} secondes' },
+  'rateLimit.minutes': { one: '{count} minute', other: '{count} minutes' },
+  'rateLimit.message': 'Doucement ! Aclio a besoin d\'une pause — réessayez dans {wait}.',
+  'onboarding.plan.title': 'Planification d\'objectifs par IA',
+  'onboarding.plan.text': 'Transformez vos aspirations en plans d\'action personnalisés, générés par IA et adaptés à vos objectifs.',
+  'onboarding.plan.guidance': 'Des conseils intelligents pour tout objectif',
+  'onboarding.plan.personalized': 'Des plans d\'action personnalisés',
+  'onboarding.plan.timeline': 'Adaptés à votre calendrier',
+  'onboarding.steps.title': 'Un guide étape par étape',
+  'onboarding.steps.text': 'Découpez votre objectif en tâches claires et faciles, avec un coaching intelligent qui s\'adapte à vos progrès.',
+  'onboarding.steps.research': 'Étudier les tendances du secteur',
+  'onboarding.steps.course': 'Suivre un cours en ligne',
+  'onboarding.steps.portfolio': 'Réaliser un projet pour son portfolio',
+  'onboarding.steps.mentors': 'Contacter des mentors',
+  'onboarding.steps.apply': 'Mettre en pratique ses nouvelles compétences',
+  'onboarding.track.title': 'Suivez votre réussite',
+  'onboarding.track.text': 'Célébrez les étapes clés, restez motivé et regardez vos séries grandir à mesure que vous atteignez vos objectifs.',
+  'onboarding.track.badge': 'Série de 7 jours débloquée',
+  'welcome.mascot': 'Mascotte Aclio',
+  'welcome.tagline': 'Allumez vos objectifs.',
+  'welcome.getStarted': 'Commencer',
+  'welcome.haveAccount': 'Vous avez déjà un compte ?',
+  'welcome.signIn': 'Connectez-vous',
+  'common.skip': 'Passer',
+  'common.next': 'Suivant',
+  'profileSetup.title': 'Parlez-nous de vous',
+  'profileSetup.subtitle': 'Pour personnaliser votre expérience',
+  'profileSetup.name': 'Votre prénom *',
+  'profileSetup.namePlaceholder': 'ex. : Theyab',
+  'profileSetup.age': 'Votre âge',
+  'profileSetup.agePlaceholder': 'ex. : 22',
+  'profileSetup.continueAs': 'Continuer en tant que {name}',
+  'profileSetup.enterName': 'Saisissez votre prénom pour continuer',
+  'profile.gender': 'Genre',
+  'profile.gender.Male': 'Homme',
+  'profile.gender.Female': 'Femme',
+  'profile.gender.Other': 'Autre',
+  'profile.edit': 'Modifier le profil',
+  'profile.name': 'Votre prénom',
+  'profile.save': 'Enregistrer le profil',
+  'backup.notJson': 'Ce fichier n\'est pas une sauvegarde valide (ce n\'est pas du JSON).',
+  'backup.notBackup': 'Ce fichier n\'est pas une sauvegarde Achieve AI.',
+  'backup.newer': 'Cette sauvegarde provient d\'une version plus récente de l\'app. Mettez l\'app à jour et réessayez.',
+  'backup.damagedGoals': 'Les objectifs de cette sauvegarde sont endommagés, rien n\'a donc été restauré.',
+  'backup.damagedPart': 'Les données « {part} » de cette sauvegarde sont endommagées, rien n\'a donc été restauré.',
+  'export.due': 'Échéance le {date}',
+  'export.stepsDone': { one: '{done}/{count} étape terminée', other: '{done}/{count} étapes terminées' },
+  'export.habit': 'Habitude :',
+  'export.checkIns': { one: '{count} validation jusqu\'ici', other: '{count} validations jusqu\'ici' },
+  'export.milestone': 'Étape clé : {milestone}',
+  'export.csv.step': 'Étape',
+  'export.csv.phase': 'Phase',
+  'export.csv.title': 'Titre',
+  'export.csv.description': 'Description',
+  'export.csv.duration': 'Durée',
+  'export.csv.status': 'Statut',
+  'export.csv.goal': 'Objectif',
+  'export.csv.dueDate': 'Échéance',
+  'export.done': 'Terminé',
+  'export.toDo': 'À faire',
+  'export.time': 'Temps : {duration}',
+  'export.goal': 'Objectif : {name}',
+  'export.dueEvent': 'Échéance : {name}',
+  'analytics.period.day': '7 derniers jours',
+  'analytics.period.week': '8 dernières semaines',
+  'analytics.period.month': '6 derniers mois',
+  'habit.everyDay': 'Tous les jours',
+  'habit.timesAWeek': { one: '{count} fois par semaine', other: '{count} fois par semaine' },
+  'time.minutes': '{minutes} min',
+  'time.hoursMinutes': '{hours} h {minutes} min',
+  'time.hours': '{hours} h',
+  'planner.checkIn': 'Valider : {target}',
+  'reminder.dueToday': '« {name} » arrive à échéance aujourd\'hui',
+  'reminder.dueTomorrow': '« {name} » arrive à échéance demain',
+  'reminder.dueIn': { one: '« {name} » arrive à échéance dans {count} jour', other: '« {name} » arrive à échéance dans {count} jours' },
+  'reminder.stepsToGo': { one: 'Plus que {count} étape. Vous y êtes presque !', other: 'Plus que {count} étapes. Vous pouvez le faire !' },
+  'reminder.nextUp': 'Ensuite : {title}',
+  'reminder.closer': 'Un pas de plus vers « {name} ».',
+  'reminder.habit': 'C\'est l\'heure de « {name} »',
+  'reminder.streak': { one: 'Votre série de {count} jour est en danger 🔥', other: 'Votre série de {count} jours est en danger 🔥' },
+  'reminder.streakBody': 'Terminez une étape aujourd\'hui pour la garder.',
+  'error.requestStatus': 'La requête a échoué ({status})',
+  'notifications.enabled': 'Notifications activées ! Nous vous rappellerons vos objectifs.',
+  'notifications.blocked': 'Les notifications sont bloquées. Vous pouvez les activer dans les réglages de l\'appareil.',
+  'location.failed': 'Impossible d\'obtenir votre position. Activez les services de localisation.',
+  'location.unsupported': 'Votre navigateur ne prend pas en charge la localisation.',
+  'error.expand': 'Impossible de détailler l\'étape',
+  'error.replan': 'Impossible de replanifier cet objectif. Réessayez.',
+  'backup.nothingNew': 'Tout le contenu de cette sauvegarde est déjà sur cet appareil.',
+  'backup.newGoals': { one: '{count} nouvel objectif', other: '{count} nouveaux objectifs' },
+  'backup.mergedGoals': { one: 'la progression de {count} objectif existant', other: 'la progression de {count} objectifs existants' },
+  'backup.and': ' et ',
+  'backup.savedContent': 'le contenu enregistré et les statistiques',
+  'backup.confirmFrom': 'Restaurer la sauvegarde du {date} ? Cela ajoutera {summary}. Rien ne sera supprimé de cet appareil.',
+  'backup.confirm': 'Restaurer la sauvegarde ? Cela ajoutera {summary}. Rien ne sera supprimé de cet appareil.',
+  'points.streakBonus': 'Bonus de série !',
+  'points.dailyBonus': 'Bonus quotidien !',
+  'points.aiAssist': '+15 Aide de l\'IA !',
+  'doItForMe.cancelled': 'Annulé',
+  'common.copied': 'Copié dans le presse-papiers !',
+  'chat.failed': 'Désolé, je n\'ai pas pu traiter votre demande. Réessayez !',
+  'chatAction.step': 'Étape {id}',
+  'chatAction.addSteps': { one: 'Ajouter {count} étape', other: 'Ajouter {count} étapes' },
+  'chatAction.addStepsAfter': { one: 'Ajouter {count} étape après « {title} »', other: 'Ajouter {count} étapes après « {title} »' },
+  'chatAction.edit': 'Modifier « {title} »',
+  'chatAction.field.title': 'Titre',
+  'chatAction.field.description': 'Description',
+  'chatAction.field.duration': 'Durée',
+  'chatAction.reorder': 'Réordonner les étapes',
+  'chatAction.setDueDate': 'Fixer l\'échéance au {date}',
+  'chatAction.currently': 'Actuellement {date}',
+  'chatAction.markComplete': 'Marquer « {title} » comme terminée',
+  'chat.welcomeBack': 'Re-bonjour ! On reprend « {name} » là où on s\'était arrêtés, ou il y a du nouveau ?',
+  'chat.greeting': 'Bonjour ! Je suis là pour vous aider avec « {name} ». Vous pouvez me demander des conseils, réclamer des étapes supplémentaires ou m\'en dire plus sur votre situation pour que j\'adapte le plan. Que voulez-vous savoir ?',
+  'achievement.unlocked': '{name} débloqué !',
+  'share.madeWith': '{name} - réalisé avec Aclio',
+  'share.imageFailed': 'Impossible de partager l\'image. Réessayez.',
+  'share.getPlan': 'Obtenez le plan : {link}',
+  'share.completedText': { one: '🎉 Je viens d\'atteindre mon objectif « {name} » avec Aclio ! {count} étape franchie ! 💪', other: '🎉 Je viens d\'atteindre mon objectif « {name} » avec Aclio ! {count} étapes franchies ! 💪' },
+  'share.progressText': '🎯 Je travaille sur mon objectif « {name} » avec Aclio. Déjà {progress} % accomplis !',
+  'goal.confirmDelete': 'Supprimer cet objectif ?',
+  'purchase.welcome': '🎉 Bienvenue dans Premium !',
+  'purchase.notActivated': 'Votre achat a abouti, mais Premium n\'a pas encore pu être activé. Utilisez Restaurer les achats dans un instant.',
+  'purchase.failed': 'L\'achat a échoué : {reason}',
+  'purchase.unknownError': 'Erreur inconnue',
+  'purchase.iosOnly': 'Les achats ne sont disponibles que dans l\'app Aclio pour iOS.',
+  'purchase.restored': 'Premium restauré avec succès !',
+  'purchase.noneFound': 'Aucun achat précédent trouvé.',
+  'purchase.restoreFailed': 'Impossible de restaurer les achats. Réessayez.',
+  'points.firstGoal': '+30 Premier objectif !',
+  'points.stepDone': '+10 Étape terminée !',
+  'points.goalComplete': '+50 Objectif atteint !',
+  'points.checkedIn': '+10 Validé !',
+  'due.overdue': { one: '{count} jour de retard', other: '{count} jours de retard' },
+  'due.today': 'Échéance aujourd\'hui',
+  'due.daysLeft': { one: '{count} jour restant', other: '{count} jours restants' },
+  'generate.starting': 'Démarrage de l\'IA...',
+  'generate.step1': 'Compréhension de votre objectif...',
+  'generate.step2': 'Analyse des meilleures stratégies...',
+  'generate.step3': 'Création d\'étapes concrètes...',
+  'generate.step4': 'Ajout de ressources précises...',
+  'generate.step5': 'Finalisation de votre plan...',
+  'generate.done': 'Terminé !',
+  'feasibility.compressFeedback': 'Mon échéance est le {date} et il ne me reste qu\'environ {available} pour cet objectif, mais les étapes restantes demandent environ {needed}. Compresse le plan pour qu\'il tienne : fusionne ou raccourcis des étapes et supprime tout ce qui n\'est pas indispensable.',
+  'greeting.morning': 'Bonjour',
+  'greeting.afternoon': 'Bon après-midi',
+  'greeting.evening': 'Bonsoir',
+  'suggestion.1': 'Apprendre une nouvelle langue',
+  'suggestion.2': 'Courir un marathon',
+  'suggestion.3': 'Lancer un projet à côté',
+  'suggestion.4': 'Lire 20 livres cette année',
+  'crisis.title': 'Vous n\'êtes pas seul',
+  'crisis.call': 'Appeler le {phone}',
+  'crisis.text': 'Envoyer un SMS au {number}',
+  'crisis.website': 'Site web',
+  'crisis.emergency': 'Si vous êtes en danger immédiat, appelez le {number}.',
+  'crisis.localEmergency': 'numéro d\'urgence local',
+  'crisis.message': 'On dirait que vous traversez un moment très difficile, et vous n\'avez pas à y faire face seul. Contactez quelqu\'un qui peut vous aider - ces personnes sont là pour vous écouter, à toute heure.',
+  'moderation.blocked': 'Je ne peux pas vous aider avec ça, car cela pourrait causer du tort. Si j\'ai mal compris, essayez de reformuler !',
+  'common.close': 'Fermer',
+  'dashboard.refreshing': 'Actualisation...',
+  'dashboard.releaseToRefresh': 'Relâchez pour actualiser',
+  'dashboard.pullToRefresh': 'Tirez pour actualiser',
+  'dashboard.achiever': 'Battant',
+  'dashboard.subtitle': 'Faisons avancer vos objectifs aujourd\'hui.',
+  'dashboard.createGoal': 'Créer un objectif',
+  'common.lightMode': 'Mode clair',
+  'common.darkMode': 'Mode sombre',
+  'premium.bannerTitle': 'Passez à Premium',
+  'premium.bannerDesc': 'Débloquez les objectifs illimités, l\'aide de l\'IA et des réussites à partager !',
+  'premium.bannerCta': 'Essai gratuit de 3 jours',
+  'dashboard.searchPlaceholder': 'Rechercher des objectifs...',
+  'planner.todaysPlan': 'Programme du jour',
+  'planner.budget': '{planned} sur {budget}',
+  'planner.title': 'Planificateur quotidien',
+  'planner.restDay': 'Jour de repos : rien n\'est prévu. Ce qui reste attend votre prochain jour.',
+  'planner.fromYesterday': 'D\'hier',
+  'planner.session': 'Séance de {minutes}',
+  'dashboard.activeGoals': 'Objectifs en cours',
+  'goal.personal': 'Objectif personnel',
+  'feasibility.wontFit': 'Ne tiendra pas l\'échéance',
+  'feasibility.fallingBehind': 'En retard',
+  'habit.dayStreak': { one: 'Série de {count} jour', other: 'Série de {count} jours' },
+  'habit.weekStreak': { one: 'Série de {count} semaine', other: 'Série de {count} semaines' },
+  'goal.progress': 'Progression',
+  'dashboard.noResults': 'Aucun objectif trouvé',
+  'dashboard.noGoals': 'Pas encore d\'objectif',
+  'dashboard.noResultsText': 'Aucun objectif ne correspond à « {query} ». Essayez une autre recherche.',
+  'dashboard.noGoalsText': 'Touchez « Nouvel objectif » pour fixer votre premier objectif et laissez l\'IA créer votre plan d\'action !',
+  'level.number': 'Niveau {level}',
+  'level.points': 'points',
+  'level.max': 'MAX',
+  'dailyBonus.title': 'Bonus quotidien disponible !',
+  'dailyBonus.desc': 'Gagnez +{points} points',
+  'dailyBonus.claim': 'Récupérer',
+  'streak.current': 'Série actuelle',
+  'streak.best': 'Record',
+  'streak.days': { one: '{count} jour', other: '{count} jours' },
+  'dashboard.progressHub': 'Centre de progression',
+  'dashboard.levelAchiever': 'Battant niveau {level}',
+  'dashboard.goalSetter': 'Fixeur d\'objectifs',
+  'dashboard.streakChampion': 'Champion des séries',
+  'dashboard.newGoal': 'Nouvel objectif',
+  'dashboard.goalsLeft': { one: '{count} restant', other: '{count} restants' },
+  'levelUp.title': 'Niveau supérieur !',
+  'levelUp.reached': 'Vous avez atteint le niveau {level} : {name}',
+  'levelUp.newTitle': 'Nouveau titre débloqué !',
+  'levelUp.awesome': 'Génial !',
+  'premium.badge': 'Premium',
+  'premium.title': 'Libérez tout votre potentiel',
+  'premium.subtitle': 'Accédez sans limite à toutes les fonctions et atteignez vos objectifs plus vite grâce aux conseils de l\'IA.',
+  'premium.weekly': 'Hebdomadaire',
+  'premium.monthly': 'Mensuel',
+  'premium.yearly': 'Annuel',
+  'premium.perWeekShort': '/sem.',
+  'premium.perMonthShort': '/mois',
+  'premium.perYearShort': '/an',
+  'premium.bestValue': 'Meilleure offre',
+  'premium.save': 'Économisez {percent} %',
+  'premium.startTrial': 'Commencer l\'essai gratuit',
+  'premium.trialTerms.week': 'Essai gratuit de 3 jours, puis {price}/semaine. Annulable à tout moment.',
+  'premium.trialTerms.month': 'Essai gratuit de 3 jours, puis {price}/mois. Annulable à tout moment.',
+  'premium.trialTerms.year': 'Essai gratuit de 3 jours, puis {price}/an. Annulable à tout moment.',
+  'premium.terms': 'Conditions d\'utilisation',
+  'premium.privacy': 'Politique de confidentialité',
+  'premium.restore': 'Restaurer les achats',
+  'newGoal.label': 'Que voulez-vous accomplir ?',
+  'newGoal.placeholder': 'ex. : Apprendre les bases de la salsa en 3 mois',
+  'newGoal.hint': 'Soyez précis sur ce à quoi ressemble la réussite',
+  'newGoal.getQuestions': 'Obtenir des questions personnalisées',
+  'newGoal.preparingQuestions': 'L\'IA prépare des questions...',
+  'newGoal.questionsTitle': 'Aidez l\'IA à mieux vous comprendre',
+  'newGoal.questionsSubtitle': 'Répondez pour obtenir un plan personnalisé',
+  'newGoal.questionsHint': 'Vos réponses façonnent vos étapes',
+  'newGoal.skipQuestions': 'Passer les questions',
+  'newGoal.kind': 'Type d\'objectif',
+  'newGoal.kind.auto': 'Laisser Aclio décider',
+  'newGoal.kind.plan': 'Plan ponctuel',
+  'newGoal.kind.habit': 'Habitude',
+  'newGoal.dueDate': 'Date cible (facultatif)',
+  'newGoal.dueDatePlaceholder': 'Facultatif : aide à prioriser les étapes',
+  'location.enabled': 'Localisation activée',
+  'location.enabledHint': 'Suggestions à proximité activées',
+  'location.loading': 'Localisation en cours...',
+  'location.enable': 'Activer la localisation',
+  'location.enableHint': 'Recevez des suggestions de ressources à proximité',
+  'newGoal.templateTitle': 'Partir d\'un modèle',
+  'newGoal.templateDesc': 'Des plans prêts à l\'emploi dans chaque catégorie',
+  'newGoal.quickIdeas': 'Idées rapides',
+  'newGoal.ctaHint': 'Nous créerons un plan étape par étape à partir de votre objectif',
+  'newGoal.ctaHintAnswers': 'Nous créerons un plan étape par étape à partir de votre objectif et de vos réponses',
+  'newGoal.generating': 'Génération...',
+  'newGoal.generatePersonalized': 'Générer un plan personnalisé',
+  'newGoal.generate': 'Générer le plan',
+  'generate.title': 'Création de votre plan',
+  'generate.crafting': 'L\'IA prépare un plan d\'action personnalisé rien que pour vous...',
+  'generate.progress': 'Étape {step} sur {total}',
+  'generate.initializing': 'Initialisation...',
+  'generate.stage1': 'Compréhension de votre objectif',
+  'generate.stage2': 'Analyse des stratégies',
+  'generate.stage3': 'Création des étapes',
+  'generate.stage4': 'Ajout des ressources',
+  'generate.stage5': 'Finalisation du plan',
+  'detail.title': 'Détails de l\'objectif',
+  'detail.share': 'Partager l\'objectif',
+  'common.premiumFeature': 'Fonction Premium',
+  'detail.recently': 'Récemment',
+  'habit.rampUpWeek': 'Semaine de montée en charge {week}',
+  'habit.doneThis.day': { one: '{done} sur {count} aujourd\'hui', other: '{done} sur {count} aujourd\'hui' },
+  'habit.doneThis.week': { one: '{done} sur {count} cette semaine', other: '{done} sur {count} cette semaine' },
+  'habit.checkedIn': 'Validé aujourd\'hui',
+  'habit.checkIn': 'Valider aujourd\'hui',
+  'habit.streakLabel.day': 'jours de série',
+  'habit.streakLabel.week': 'semaines de série',
+  'habit.best': 'record',
+  'habit.last.day': { one: 'dernier jour', other: '{count} derniers jours' },
+  'habit.last.week': { one: 'dernière semaine', other: '{count} dernières semaines' },
+  'habit.week': 'Semaine {week}',
+  'habit.then': 'Ensuite',
+  'detail.stepsCompleted': { one: '{done} étape sur {count} terminée', other: '{done} étapes sur {count} terminées' },
+  'feasibility.onTrack': 'Dans les temps : environ {work} de travail restant, et {available} disponibles d\'ici le {date}',
+  'feasibility.title.overdue': 'L\'échéance est dépassée',
+  'feasibility.title.unrealistic': 'Ce plan ne tiendra pas avant l\'échéance',
+  'feasibility.title.at_risk': 'L\'échéance est serrée',
+  'feasibility.overdueText': { one: 'Il reste environ {work} de travail sur {count} étape.', other: 'Il reste environ {work} de travail sur {count} étapes.' },
+  'feasibility.tightText': 'Il reste environ {work} de travail, mais à {perDay} par jour vous avez {available} avant le {date}.',
+  'feasibility.compress': 'Compresser le plan',
+  'feasibility.moveTo': 'Reporter au {date}',
+  'feasibility.changeTime': 'Modifier mon temps quotidien',
+  'chat.talkToAclio': 'Parler à Aclio',
+  'replan.button': 'Replanifier les étapes restantes',
+  'detail.gettingStarted': 'Pour commencer',
+  'detail.actionSteps': 'Étapes d\'action',
+  'detail.phase': 'Phase {number}',
+  'detail.stepPrefix': 'ÉTAPE {id} :',
+  'detail.waitingOn': 'En attente de {steps}',
+  'detail.ready': 'Prête à commencer',
+  'detail.viewDetails': 'Voir les détails',
+  'detail.expand': 'Détailler',
+  'detail.viewResult': 'Voir le résultat',
+  'detail.doItForMe': 'Fais-le pour moi',
+  'detail.nearby': 'À proximité',
+  'detail.export': 'Exporter',
+  'detail.exportChecklist': 'Liste',
+  'detail.exportCalendar': 'Calendrier',
+  'detail.delete': 'Supprimer l\'objectif',
+  'celebration.title': 'Objectif atteint !',
+  'celebration.text': 'Bravo ! Vous avez franchi toutes les étapes. C\'est le moment de fêter et de partager votre réussite !',
+  'celebration.share': 'Partager votre réussite',
+  'celebration.back': 'Retour à l\'accueil',
+  'doItForMe.subtitle': 'Résultat généré par IA',
+  'doItForMe.working': 'L\'IA s\'en occupe...',
+  'doItForMe.creating': 'En cours : {title}',
+  'common.cancel': 'Annuler',
+  'common.tryAgain': 'Réessayer',
+  'doItForMe.saved': 'Enregistré',
+  'doItForMe.stoppedEarly': 'Arrêté avant la fin',
+  'doItForMe.stop': 'Arrêter',
+  'common.copy': 'Copier',
+  'common.download': 'Télécharger',
+  'common.save': 'Enregistrer',
+  'expand.title': 'Détails de l\'étape',
+  'expand.loading': 'Recherche de ressources et création de votre guide...',
+  'expand.guide': 'Guide détaillé',
+  'expand.resources': 'Ressources recommandées',
+  'expand.tips': 'Astuces',
+  'expand.searchMore': 'Chercher plus de ressources',
+  'expand.regenerate': 'Régénérer',
+  'expand.save': 'Enregistrer les ressources',
+  'resource.course': 'cours',
+  'resource.video': 'vidéo',
+  'resource.article': 'article',
+  'resource.app': 'app',
+  'resource.website': 'site web',
+  'resource.book': 'livre',
+  'resource.tool': 'outil',
+  'chat.subtitle': 'Votre coach d\'objectifs IA',
+  'chatAction.dismiss': 'Ignorer',
+  'chatAction.apply': 'Appliquer',
+  'chatAction.applied': 'Appliqué',
+  'chatAction.dismissed': 'Ignoré',
+  'chat.thinking': 'Réflexion',
+  'chat.placeholder': 'Demandez des conseils, plus d\'étapes ou donnez du contexte...',
+  'chat.stop': 'Arrêter',
+  'chat.prompt.moreSteps': 'Ajouter des étapes',
+  'chat.prompt.moreSteps.message': 'Peux-tu ajouter des étapes plus détaillées ?',
+  'chat.prompt.help': 'J\'ai besoin d\'aide',
+  'chat.prompt.help.message': 'J\'ai du mal avec cet objectif. Des conseils ?',
+  'chat.prompt.next': 'Et ensuite ?',
+  'chat.prompt.next.message': 'Sur quoi devrais-je me concentrer d\'abord ?',
+  'edit.goalTitle': 'Modifier l\'objectif',
+  'edit.stepTitle': 'Modifier l\'étape',
+  'edit.goalName': 'Nom de l\'objectif',
+  'edit.dueDate': 'Échéance',
+  'edit.type': 'Type',
+  'edit.repeat': 'Répétition',
+  'edit.daily': 'Quotidienne',
+  'edit.weekly': 'Hebdomadaire',
+  'edit.timesAWeek': 'Fois par semaine',
+  'edit.eachTime': 'À chaque fois',
+  'edit.eachTimePlaceholder': 'ex. : 20 minutes de lecture',
+  'edit.saveChanges': 'Enregistrer les modifications',
+  'edit.stepName': 'Titre de l\'étape',
+  'edit.durationPlaceholder': 'ex. : 2 heures, 1 semaine',
+  'replan.reviewTitle': 'Vérifier les changements',
+  'replan.title': 'Replanifier l\'objectif',
+  'replan.intro': 'Dites à Aclio ce qui a changé et il refera les étapes que vous n\'avez pas encore faites. Les étapes terminées restent telles quelles.',
+  'replan.dueDate': 'Votre échéance est',
+  'replan.whatChanged': 'Qu\'est-ce qui a changé ?',
+  'replan.placeholder': 'ex. : j\'ai deux semaines de retard, ou je n\'ai plus accès à la salle de sport',
+  'replan.loading': 'Replanification...',
+  'replan.submit': 'Replanifier',
+  'replan.change.add': 'Nouveau',
+  'replan.change.remove': 'Supprimé',
+  'replan.change.modify': 'Modifié',
+  'replan.keep': 'Garder le changement',
+  'replan.reject': 'Refuser',
+  'replan.was': 'avant {duration}',
+  'replan.discard': 'Abandonner',
+  'replan.apply': { one: 'Appliquer {count} changement', other: 'Appliquer {count} changements' },
+  'share.cardAlt': 'Carte de partage pour {name}',
+  'share.achieved': 'Objectif atteint !',
+  'share.working': 'En cours !',
+  'share.crushed': 'J\'ai atteint cet objectif !',
+  'share.progressing': 'Des progrès chaque jour',
+  'share.myGoal': 'Mon objectif',
+  'share.steps': 'Étapes',
+  'share.complete': 'Accompli',
+  'share.done': 'Terminé !',
+  'share.theme.light': 'Clair',
+  'share.theme.dark': 'Sombre',
+  'share.size.square': 'Carré',
+  'share.size.story': 'Story',
+  'share.creatingLink': 'Création du lien...',
+  'share.createLink': 'Partager un lien vers le plan',
+  'share.linkCopied': 'Lien copié ! Toute personne qui l\'a peut copier vos étapes pour en faire son propre objectif.',
+  'share.linkHint': 'Toute personne ayant le lien peut voir vos étapes et les copier. Votre progression et vos notes restent privées.',
+  'share.preparing': 'Préparation...',
+  'share.image': 'Partager l\'image',
+  'share.copyText': 'Copier le texte',
+  'settings.title': 'Réglages',
+  'settings.profile': 'Profil',
+  'settings.yourProfile': 'Votre profil',
+  'settings.profileDesc': 'Modifiez votre prénom, votre âge et votre genre',
+  'settings.preferences': 'Préférences',
+  'settings.darkMode': 'Mode sombre',
+  'settings.darkModeDesc': 'Basculer entre l\'apparence claire et sombre',
+  'settings.language': 'Langue',
+  'settings.languageDesc': 'Pour l\'app ainsi que les plans et réponses rédigés par Aclio',
+  'settings.notifications': 'Notifications',
+  'settings.notificationsDesc': 'Recevez des rappels pour vos objectifs',
+  'reminders.title': 'Rappels',
+  'settings.remindersDesc': 'Échéances, rappel quotidien, alertes de série, heures calmes',
+  'settings.planner': 'Planificateur quotidien',
+  'settings.plannerDescEveryDay': '{minutes} par jour, tous les jours',
+  'settings.plannerDesc': { one: '{minutes} par jour, {count} jour par semaine', other: '{minutes} par jour, {count} jours par semaine' },
+  'settings.location': 'Localisation',
+  'settings.locationDesc': 'Activez-la pour des suggestions à proximité',
+  'settings.data': 'Données',
+  'settings.backup': 'Sauvegarder',
+  'settings.backupDesc': 'Objectifs, progression, badges et contenu IA enregistré dans un fichier JSON',
+  'settings.restore': 'Restaurer une sauvegarde',
+  'settings.restoreDesc': 'Fusionner un fichier de sauvegarde avec cet appareil',
+  'settings.clearConfirm': 'Vous êtes sûr ? Cela supprimera TOUS vos objectifs et c\'est irréversible.',
+  'settings.clear': 'Effacer tous les objectifs',
+  'settings.clearDesc': 'Supprimer définitivement toutes les données',
+  'settings.developer': 'Développeur',
+  'settings.errorLog': 'Journal des erreurs',
+  'settings.noIssues': 'Aucun problème détecté',
+  'settings.errors': { one: '{count} erreur', other: '{count} erreurs' },
+  'settings.warnings': { one: '{count} avertissement', other: '{count} avertissements' },
+  'settings.errorReports': 'Envoyer les rapports d\'erreur',
+  'settings.errorReportsDesc': 'Partagez les détails des plantages pour aider à les corriger. Le texte des objectifs et les infos de profil sont retirés avant.',
+  'settings.about': 'À propos',
+  'settings.version': 'Version {version} • Fait avec ❤️',
+  'settings.account': 'Compte',
+  'settings.sync': 'Synchronisation',
+  'settings.signedInAs': 'Connecté en tant que {email}',
+  'settings.syncDesc': 'Connectez-vous pour synchroniser vos appareils',
+  'settings.logoutConfirm': 'Voulez-vous vraiment vous déconnecter ? Vous reviendrez à l\'écran d\'accueil.',
+  'settings.logout': 'Se déconnecter',
+  'settings.logoutDesc': 'Revenir à l\'écran d\'accueil',
+  'analytics.title': 'Statistiques',
+  'analytics.heading': 'Votre progression',
+  'analytics.since': 'Suivez votre parcours depuis le {date}',
+  'analytics.sinceStart': 'Suivez votre parcours depuis vos débuts',
+  'analytics.emptyTitle': 'Pas encore de données',
+  'analytics.emptyText': 'Créez votre premier objectif pour commencer à suivre votre progression et vos réussites !',
+  'analytics.goals': 'Objectifs',
+  'analytics.totalGoals': 'Objectifs au total',
+  'analytics.completed': 'Atteints',
+  'analytics.rate': '{percent} % de réussite',
+  'analytics.avgProgress': 'Progression moyenne',
+  'analytics.daysActive': 'Jours actifs',
+  'analytics.stepsCompleted': 'Étapes terminées',
+  'analytics.ofAll': '{percent} % du total',
+  'analytics.totalSteps': 'Étapes au total',
+  'analytics.avgPerGoal': 'Moyenne par objectif',
+  'analytics.remaining': 'Restantes',
+  'analytics.goalsActivity': 'Activité des objectifs',
+  'analytics.stepsActivity': 'Activité des étapes',
+  'analytics.tab.day': 'Jour',
+  'analytics.tab.week': 'Semaine',
+  'analytics.tab.month': 'Mois',
+  'analytics.bestDay': 'Meilleur jour • {date}',
+  'analytics.mostProductive': { one: 'Jour le plus productif • {count} jour actif', other: 'Jour le plus productif • {count} jours actifs' },
+  'analytics.velocity': 'Rythme',
+  'analytics.stepsPerWeek': 'étapes / semaine',
+  'analytics.weeksToFinish': { one: '~{count} semaine pour finir à ce rythme', other: '~{count} semaines pour finir à ce rythme' },
+  'analytics.noStepsYet': 'Aucune étape terminée pour l\'instant',
+  'analytics.lastActive': 'dernière activité le {date}',
+  'analytics.completedGoals': { one: 'Vous avez atteint {count} objectif !', other: 'Vous avez atteint {count} objectifs !' },
+  'analytics.keepGoing': 'Continuez comme ça !',
+  'analytics.stepsDoneIn': '{steps} en {days}',
+  'analytics.stepsDone': { one: '{count} étape', other: '{count} étapes' },
+  'analytics.firstStep': 'Terminez votre première étape pour voir votre progression',
+  'analytics.completedList': 'Objectifs atteints',
+  'analytics.done': 'Terminé',
+  'analytics.achievements': 'Réussites',
+  'analytics.totalPoints': 'Points au total',
+  'analytics.dayStreak': 'Jours de série',
+  'analytics.bestStreak': 'Meilleure série',
+  'analytics.habits': 'Habitudes',
+  'analytics.metOfLast.day': { one: '{met} sur le dernier jour', other: '{met} sur les {count} derniers jours' },
+  'analytics.metOfLast.week': { one: '{met} sur la dernière semaine', other: '{met} sur les {count} dernières semaines' },
+  'analytics.justStarted': 'Tout juste commencé',
+  'analytics.inProgress': 'En cours',
+  'analytics.stepsFraction': { one: '{done}/{count} étape', other: '{done}/{count} étapes' },
+  'reminders.dueDates': 'Échéances',
+  'reminders.remindMe': 'Me rappeler',
+  'reminders.onTheDay': 'Le jour même',
+  'reminders.daysBefore': { one: '{count} jour avant', other: '{count} jours avant' },
+  'reminders.at': 'Heure',
+  'reminders.daily': 'Quotidien',
+  'reminders.nudge': 'Rappel de la prochaine étape',
+  'reminders.nudgeDesc': 'Votre prochaine étape, une fois par jour',
+  'reminders.streak': 'Série en danger',
+  'reminders.streakDesc': 'Un rappel en soirée si vous n\'avez terminé aucune étape',
+  'reminders.quietHours': 'Heures calmes',
+  'reminders.quiet': 'Heures calmes',
+  'reminders.quietDesc': 'Les rappels attendent la fin des heures calmes',
+  'reminders.from': 'De',
+  'reminders.to': 'à',
+  'reminders.comingUp': 'À venir',
+  'templates.title': 'Modèles',
+  'templates.all': 'Tous',
+  'templates.loading': 'Chargement des modèles...',
+  'import.template': 'Modèle',
+  'import.shared': 'Plan partagé',
+  'import.loading': 'Chargement du plan...',
+  'import.unavailable': 'Plan indisponible',
+  'import.hint': 'Ajouté comme un nouvel objectif à vous — rien de ce que vous faites n\'est partagé',
+  'import.add': 'Ajouter à mes objectifs',
+  'planner.timePerDay': 'Temps par jour',
+  'planner.timeForGoals': 'Temps pour vos objectifs chaque jour',
+  'planner.daysAvailable': 'Jours disponibles',
+  'planner.planOn': 'Planifier des tâches le',
+  'planner.rollOver': 'Les tâches non faites passent au prochain jour où vous êtes disponible.',
+  'planner.today': 'Aujourd\'hui',
+  'planner.restDayTitle': 'Jour de repos',
+  'planner.nothingPlanned': 'Rien de prévu aujourd\'hui',
+  'planner.nothingToPlan': 'Rien à planifier',
+  'planner.createGoal': 'Créez un objectif pour remplir votre journée',
+  'planner.sessionOf': '{minutes} sur ~{estimate}',
+  'account.syncing': 'Synchronisation...',
+  'account.syncFailed': 'La dernière synchronisation a échoué',
+  'account.lastSynced': 'Dernière synchro : {date}',
+  'account.notSynced': 'Pas encore synchronisé',
+  'account.createAccount': 'Créer un compte',
+  'account.signIn': 'Se connecter',
+  'account.syncNow': 'Synchroniser maintenant',
+  'account.syncNowDesc': 'Objectifs, points, série, badges et résultats enregistrés',
+  'account.signOut': 'Se déconnecter de la synchro',
+  'account.signOutNote': 'Vos objectifs restent sur cet appareil après la déconnexion.',
+  'account.intro': 'Gardez vos objectifs, points et badges synchronisés sur tous vos appareils.',
+  'account.email': 'E-mail',
+  'account.password': 'Mot de passe',
+  'account.passwordNew': 'Au moins 8 caractères',
+  'account.passwordCurrent': 'Votre mot de passe',
+  'account.wait': 'Un instant...',
+  'account.haveAccount': 'Vous avez déjà un compte ?',
+  'account.newHere': 'Nouveau ici ?',
+  'account.switchSignIn': 'Connectez-vous',
+  'account.switchRegister': 'Créez un compte',
+  'error.verifyPurchase': 'Impossible de vérifier l\'achat',
+  'error.questions': 'Impossible de générer les questions',
+  'questions.fallback1': 'Quel est votre niveau d\'expérience actuel ?',
+  'questions.fallback1.placeholder': 'ex. : Débutant, Intermédiaire',
+  'questions.fallback2': 'Quelle est votre motivation principale ?',
+  'questions.fallback2.placeholder': 'ex. : Travail, Développement personnel, Plaisir',
+  'questions.fallback3': 'Une approche ou une préférence particulière ?',
+  'questions.fallback3.placeholder': 'ex. : Apprentissage en ligne, Pratique concrète',
+  'replan.noChanges': 'Aclio pense que votre plan actuel convient toujours. Essayez de décrire plus en détail ce qui a changé.',
+  'offline.banner': 'Vous êtes hors ligne. Vos objectifs et votre progression restent enregistrés sur cet appareil.',
+  'offline.bannerQueued': { one: 'Vous êtes hors ligne. {count} demande sera envoyée à votre reconnexion.', other: 'Vous êtes hors ligne. {count} demandes seront envoyées à votre reconnexion.' },
+  'offline.queued': 'En attente',
+  'offline.requestFailed': 'Échec - touchez pour réessayer',
+  'offline.alreadyQueued': 'Cette demande est déjà en attente. Elle sera prête dès votre retour en ligne.',
+  'offline.goalWaiting': 'En attente de connexion',
+  'offline.goalFailed': 'Le plan n\'a pas pu être créé',
+  'offline.goalWaitingText': 'Aclio créera le plan de cet objectif dès votre retour en ligne.',
+  'offline.createHint': 'Vous êtes hors ligne. Nous enregistrons votre objectif maintenant et créerons son plan à votre reconnexion.'
+};
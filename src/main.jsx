@@ -1,11 +1,19 @@
-import React from 'react'
-import ReactDOM from 'react-dom/client'
-import App from './App'
-import './index.css'
+/**
+ * Achieve AI - Entry
+ * Error tracking is imported first so it catches anything thrown while the rest of the app loads.
+ */
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-)
+import './errorTracker';
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App';
+import './index.css';
 
+ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+
+// The service worker caches the app shell so the web app opens offline. Native builds already load from the device.
+if (import.meta.env.PROD && 'serviceWorker' in navigator && !window.Capacitor?.isNativePlatform?.()) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err.message));
+  });
+}
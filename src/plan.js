@@ -0,0 +1,50 @@
+/**
+ * Achieve AI - Plan Structure
+ * Bigger plans are grouped into phases and steps can carry a checklist and dependencies:
+ * goal.phases: [{ id, title, milestone }], step.phase (a phase id), step.subtasks: [{ id, title }],
+ * step.blockedBy: [ids of steps to finish first]. Ticked sub-tasks live in goal.completedSubtasks
+ * as 'stepId.subtaskId' keys, so devices merge them the same way as completedSteps.
+ */
+
+export const subtaskKey = (stepId, subtaskId) => `${stepId}.${subtaskId}`;
+
+export const isSubtaskDone = (goal, stepId, subtaskId) => (goal.completedSubtasks || []).includes(subtaskKey(stepId, subtaskId));
+
+// A finished step counts in full; an open one counts for the share of its sub-tasks ticked off
+const getStepProgress = (goal, step) => {
+  if (goal.completedSteps.includes(step.id)) return 1;
+  if (!step.subtasks?.length) return 0;
+  return step.subtasks.filter(sub => isSubtaskDone(goal, step.id, sub.id)).length / step.subtasks.length;
+};
+
+export const getPlanProgress = (goal) => goal.steps.length
+  ? Math.round((goal.steps.reduce((sum, step) => sum + getStepProgress(goal, step), 0) / goal.steps.length) * 100)
+  : 0;
+
+// Open steps this one is still waiting on. Blockers that were since removed don't count.
+export const getStepBlockers = (goal, step) => (step.blockedBy || [])
+  .map(id => goal.steps.find(s => s.id === id))
+  .filter(blocker => blocker && !goal.completedSteps.includes(blocker.id));
+
+// The first open step that isn't waiting on another one (or just the first open step if they all are)
+export const getNextPlanStep = (goal) => {
+  const open = goal.steps.filter(s => !goal.completedSteps.includes(s.id));
+  return open.find(s => getStepBlockers(goal, s).length === 0) || open[0];
+};
+
+// Steps grouped by phase in plan order: [{ phase, steps }]. A plan without phases is a single group
+// with phase null, and so are steps whose phase no longer exists.
+export const getPlanPhases = (goal) => {
+  const phases = goal.phases || [];
+  const groups = phases
+    .map(phase => ({ phase, steps: goal.steps.filter(s => s.phase === phase.id) }))
+    .filter(group => group.steps.length > 0);
+  const loose = goal.steps.filter(s => !phases.some(p => p.id === s.phase));
+  return loose.length > 0 ? [...groups, { phase: null, steps: loose }] : groups;
+};
+
+// Steps added later (re-plans, chat) join the phase of the step they follow
+export const inheritPhase = (goal, afterId) => {
+  const before = goal.steps.find(s => s.id === afterId) || goal.steps.find(s => !goal.completedSteps.includes(s.id));
+  return before?.phase !== undefined ? { phase: before.phase } : {};
+};
@@ -0,0 +1,224 @@
+/**
+ * Achieve AI - Today Planner
+ * Steps' free-text durations ("2-3 hours", "45 min", "1h 30m") are read as minute ranges, and each day's
+ * tasks are packed across all goals into the user's daily time budget, nearest due date first.
+ * The day's plan is saved as [{ key, minutes, carried }] so whatever isn't finished by the end of the
+ * day rolls over to the front of the next day the user works on their goals.
+ */
+
+import { t } from './i18n';
+import { getStepBlockers } from './plan';
+import { isHabit, toDateKey, habitStage, getHabitPeriods } from './habits';
+
+const PLANNER_DEFAULTS = {
+  dailyMinutes: 60,
+  days: [0, 1, 2, 3, 4, 5, 6] // Weekdays the user works on goals, 0 = Sunday
+};
+export const PLANNER_BUDGETS = [15, 30, 45, 60, 90, 120, 180, 240];
+const DEFAULT_TASK_MINUTES = 30; // For durations we can't read
+const MIN_SESSION_MINUTES = 15;  // Shortest slice of a long step worth putting in a day
+const MAX_SUGGESTION_DAYS = 3 * 365; // How far out a deadline check looks for a date the plan fits by
+
+// Days and weeks of effort are counted as working time
+const DURATION_UNITS = [
+  [/^(m|mins?|minutes?)$/, 1],
+  [/^(h|hrs?|hours?)$/, 60],
+  [/^(d|days?)$/, 8 * 60],
+  [/^(w|wks?|weeks?)$/, 5 * 8 * 60]
+];
+
+export const loadPlannerSettings = () => ({ ...PLANNER_DEFAULTS, ...JSON.parse(localStorage.getItem('achieve_planner_settings') || '{}') });
+export const savePlannerSettings = (settings) => localStorage.setItem('achieve_planner_settings', JSON.stringify(settings));
+export const loadTodayPlan = () => JSON.parse(localStorage.getItem('achieve_today_plan') || 'null');
+export const saveTodayPlan = (plan) => localStorage.setItem('achieve_today_plan', JSON.stringify(plan));
+
+export const FEASIBILITY_WARNINGS = ['at_risk', 'unrealistic', 'overdue'];
+
+/**
+ * Read a duration as { min, max } minutes, or null when there's no amount of time in it.
+ * Amounts add up ("1h 30m") unless a dash, "to" or "or" makes them a range ("30 min - 1 hour").
+ * When a session length sits next to a calendar span ("20 minutes a day for 2 weeks"), the session is what counts.
+ */
+const parseDuration = (text) => {
+  const normalized = String(text || '').toLowerCase()
+    .replace(/half an? hour/g, '30 min')
+    .replace(/\ban? (few|couple(?: of)?) (minutes|hours|days|weeks)\b/g, (m, amount, unit) => `${amount === 'few' ? '2-3' : '2'} ${unit}`)
+    .replace(/\ban? (minute|hour|day|week)\b/g, '1 $1')
+    .replace(/(\d)\s*½/g, '$1.5');
+  const parts = [...normalized.matchAll(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*([a-z]+)/g)]
+    .map(match => {
+      const unit = DURATION_UNITS.find(([pattern]) => pattern.test(match[3]));
+      return unit && { index: match.index, end: match.index + match[0].length, min: match[1] * unit[1], max: (match[2] || match[1]) * unit[1], session: unit[1] < 8 * 60 };
+    })
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const counted = parts.some(p => p.session) ? parts.filter(p => p.session) : parts;
+  // Split into the low and high end of a range wherever a separator sits between two amounts
+  const bounds = [[]];
+  counted.forEach((part, i) => {
+    const between = i > 0 ? normalized.slice(counted[i - 1].end, part.index) : '';
+    if (/-|–|\bto\b|\bor\b/.test(between) && bounds.length === 1) bounds.push([]);
+    bounds[bounds.length - 1].push(part);
+  });
+  const sum = (group, field) => group.reduce((total, part) => total + part[field], 0);
+  const min = Math.round(sum(bounds[0], 'min'));
+  const max = Math.round(sum(bounds[bounds.length - 1], 'max'));
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+export const formatMinutes = (minutes) => {
+  if (minutes < 60) return t('time.minutes', { minutes });
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? t('time.hoursMinutes', { hours, minutes: minutes % 60 }) : t('time.hours', { hours });
+};
+
+/**
+ * Check whether a goal's open steps fit before its due date, using the time the user has:
+ * availability is { dailyMinutes, days (weekdays, 0 = Sunday), activeGoals sharing that time }.
+ * Returns the status ('done' | 'on_track' | 'at_risk' | 'unrealistic' | 'overdue'), the numbers behind it and,
+ * when the plan doesn't fit, how much it runs over and the earliest date it would fit by.
+ */
+export const checkFeasibility = (goal, availability, today = new Date()) => {
+  const completed = new Set(goal.completedSteps.map(String));
+  const remaining = goal.steps.filter(step => !completed.has(String(step.id)));
+  const effort = remaining.reduce((total, step) => {
+    const range = parseDuration(step.duration);
+    const min = range ? range.min : DEFAULT_TASK_MINUTES;
+    const max = range ? range.max : DEFAULT_TASK_MINUTES;
+    return {
+      min: total.min + min,
+      max: total.max + max,
+      expected: total.expected + Math.round((min + max) / 2),
+      unestimated: total.unestimated + (range ? 0 : 1)
+    };
+  }, { min: 0, max: 0, expected: 0, unestimated: 0 });
+
+  const days = availability.days?.length > 0 ? availability.days : PLANNER_DEFAULTS.days;
+  const perDay = Math.round((availability.dailyMinutes || PLANNER_DEFAULTS.dailyMinutes) / Math.max(1, availability.activeGoals || 1));
+
+  const start = new Date(today);
+  start.setHours(0, 0, 0, 0);
+  const due = new Date(`${goal.dueDate}T00:00`);
+  const dayAfter = (date, offset) => {
+    const next = new Date(date);
+    next.setDate(next.getDate() + offset);
+    return next;
+  };
+
+  let workDays = 0;
+  for (let day = start; day <= due; day = dayAfter(day, 1)) {
+    if (days.includes(day.getDay())) workDays++;
+  }
+  const available = workDays * perDay;
+
+  let status;
+  if (remaining.length === 0) status = 'done';
+  else if (due < start) status = 'overdue';
+  else if (effort.expected <= available) status = 'on_track';
+  else if (effort.min <= available) status = 'at_risk';
+  else status = 'unrealistic';
+
+  // Earliest date with enough working days for the expected effort
+  let suggestedDueDate = null;
+  if (FEASIBILITY_WARNINGS.includes(status)) {
+    let covered = 0;
+    for (let i = 0; i < MAX_SUGGESTION_DAYS && !suggestedDueDate; i++) {
+      const day = dayAfter(start, i);
+      if (days.includes(day.getDay())) covered += perDay;
+      if (covered >= effort.expected) suggestedDueDate = toDateKey(day);
+    }
+  }
+
+  return {
+    status,
+    remainingSteps: remaining.length,
+    effort: { min: effort.min, max: effort.max, expected: effort.expected },
+    unestimatedSteps: effort.unestimated,
+    perDay,
+    workDays,
+    available,
+    overBy: Math.max(0, effort.expected - available),
+    suggestedDueDate
+  };
+};
+
+// Planning uses the middle of the range
+const estimateMinutes = (duration) => {
+  const range = parseDuration(duration);
+  return range ? Math.round((range.min + range.max) / 2) : DEFAULT_TASK_MINUTES;
+};
+
+const plannerTaskKey = (goalId, stepId) => `${goalId}:${stepId}`;
+
+// A planner task from its key, or null once its goal or step is gone
+export const getPlannerTask = (goals, key, date) => {
+  const [goalId, stepId] = key.split(':');
+  const goal = goals.find(g => String(g.id) === goalId);
+  if (!goal) return null;
+  if (stepId === 'check-in') {
+    if (!isHabit(goal)) return null;
+    const target = habitStage(goal.habit, date).target;
+    return { key, goalId: goal.id, goalName: goal.name, checkIn: true, title: t('planner.checkIn', { target }), estimate: estimateMinutes(target), done: (goal.checkIns || []).includes(toDateKey(date)), dueDate: null };
+  }
+  const step = goal.steps.find(s => String(s.id) === stepId);
+  if (!step) return null;
+  return { key, goalId: goal.id, goalName: goal.name, stepId: step.id, title: step.title, duration: step.duration, estimate: estimateMinutes(step.duration), done: goal.completedSteps.includes(step.id), dueDate: goal.dueDate };
+};
+
+// Everything that could go into a day, in the order it should: habits still owed a check-in,
+// then each goal's unblocked open steps with overdue and soonest-due goals first and undated ones last
+const getPlannerCandidates = (goals, date) => {
+  const dayKey = toDateKey(date);
+  const checkIns = goals
+    .filter(g => isHabit(g) && !(g.checkIns || []).includes(dayKey) && !getHabitPeriods(g, date).at(-1)?.met)
+    .map(g => plannerTaskKey(g.id, 'check-in'));
+  const byUrgency = [...goals].sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'));
+  const steps = byUrgency.flatMap(g => g.steps
+    .filter(s => !g.completedSteps.includes(s.id) && getStepBlockers(g, s).length === 0)
+    .map(s => plannerTaskKey(g.id, s.id)));
+  return [...checkIns, ...steps];
+};
+
+/**
+ * The plan for `date`: { date, restDay, budget, planned, tasks: [{ ...task, minutes, carried, session }] }.
+ * `saved` is the last saved plan. Today's saved tasks stay put (done ones included) and the rest of the
+ * budget is filled from the candidates. On a new day, the saved plan's open tasks are carried over first,
+ * with the time they were given.
+ * A task too long to ever fit a day becomes a session that uses up what's left of the budget.
+ */
+export const buildDayPlan = (goals, settings, saved, date = new Date()) => {
+  const dayKey = toDateKey(date);
+  const budget = settings.dailyMinutes;
+  if (!settings.days.includes(date.getDay())) {
+    return { date: dayKey, restDay: true, budget, planned: 0, tasks: [] };
+  }
+
+  const pinned = saved?.date === dayKey
+    ? saved.tasks
+    : (saved?.tasks || [])
+      .filter(t => !t.key.endsWith(':check-in') && getPlannerTask(goals, t.key, date)?.done === false)
+      .map(t => ({ key: t.key, minutes: t.minutes, carried: true }));
+  const tasks = [];
+  let planned = 0;
+  const place = (entry) => {
+    const task = getPlannerTask(goals, entry.key, date);
+    if (!task || tasks.some(t => t.key === entry.key)) return;
+    const left = budget - planned;
+    let minutes = entry.minutes;
+    if (minutes === undefined) {
+      if (task.estimate <= left) minutes = task.estimate;
+      else if (task.estimate > budget && left >= MIN_SESSION_MINUTES) minutes = left;
+      else return;
+    }
+    tasks.push({ ...task, minutes, carried: !!entry.carried, session: minutes < task.estimate });
+    planned += minutes;
+  };
+
+  pinned.forEach(place);
+  getPlannerCandidates(goals, date).forEach(key => place({ key }));
+  return { date: dayKey, restDay: false, budget, planned, tasks };
+};
+
+// What gets saved for a plan - rest days leave the last plan alone so it can still roll over
+export const toSavedPlan = (plan) => ({ date: plan.date, tasks: plan.tasks.map(({ key, minutes, carried }) => ({ key, minutes, ...(carried ? { carried } : {}) })) });
@@ -0,0 +1,75 @@
+/**
+ * Achieve AI - Premium
+ * Subscription plans and free-tier limits, and the RevenueCat plumbing the native app buys them with.
+ * The server owns entitlements and quotas; the app caches them.
+ */
+
+export const PREMIUM_CONFIG = {
+  FREE_GOAL_LIMIT: 3,
+  FREE_DOITFORME_DAILY: 2,
+  FREE_EXPAND_DAILY: 3,
+  PLANS: {
+    weekly: { id: 'aclio_premium_weekly', price: '$2.99', priceNum: 2.99, period: 'week' },
+    monthly: { id: 'aclio_premium_monthly', price: '$7.99', priceNum: 7.99, period: 'month' },
+    yearly: { id: 'aclio_premium_yearly', price: '$49.99', priceNum: 49.99, period: 'year', isBestValue: true }
+  },
+  FEATURES: [
+    // Titles and descriptions are premium.<id>.title / .desc in MESSAGES
+    { id: 'goals', icon: 'infinity' },
+    { id: 'doItForMe', icon: 'wand' },
+    { id: 'share', icon: 'share' },
+    { id: 'priority', icon: 'sparkles' },
+  ]
+};
+
+export const REVENUECAT_API_KEY = 'appl_bDbfydrvxEqoWAvaZPwQeWoWCtY'; // RevenueCat Production API key
+const PREMIUM_ENTITLEMENT = 'Aclio Premium';
+
+// RevenueCat's Capacitor plugin in the native app, null in a browser
+export const getPurchases = () => window.Capacitor?.Plugins?.Purchases || null;
+
+export const hasPremiumEntitlement = (customerInfo) => !!customerInfo?.entitlements?.active?.[PREMIUM_ENTITLEMENT];
+
+// The store package for a PREMIUM_CONFIG.PLANS key
+export const findPlanPackage = async (Purchases, planKey) => {
+  const plan = PREMIUM_CONFIG.PLANS[planKey];
+  const offeringsResult = await Purchases.getOfferings();
+  console.log('Offerings result:', JSON.stringify(offeringsResult, null, 2));
+
+  // The offerings might be nested differently
+  const offerings = offeringsResult?.offerings || offeringsResult;
+  console.log('Parsed offerings:', JSON.stringify(offerings, null, 2));
+
+  if (!offerings?.current) {
+    throw new Error('No offerings available - check RevenueCat dashboard');
+  }
+
+  // Get the package directly from offerings.current
+  let pkg = null;
+  if (planKey === 'yearly' && offerings.current.annual) {
+    pkg = offerings.current.annual;
+  } else if (planKey === 'monthly' && offerings.current.monthly) {
+    pkg = offerings.current.monthly;
+  } else if (planKey === 'weekly' && offerings.current.weekly) {
+    pkg = offerings.current.weekly;
+  }
+
+  // Fallback: search in availablePackages
+  if (!pkg && offerings.current.availablePackages) {
+    pkg = offerings.current.availablePackages.find(p =>
+      p.product?.identifier === plan.id ||
+      p.identifier?.toLowerCase().includes(planKey)
+    );
+  }
+
+  if (!pkg) {
+    console.error('Available packages:', offerings.current.availablePackages);
+    throw new Error('Package not found for: ' + planKey);
+  }
+  return pkg;
+};
+
+export const isPurchaseCancelled = (error) => error.code === 'PURCHASE_CANCELLED' ||
+  error.code === 1 ||
+  error.message?.includes('cancelled') ||
+  error.message?.includes('canceled');
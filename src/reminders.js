@@ -0,0 +1,195 @@
+/**
+ * Achieve AI - Reminders
+ * The notification schedule is rebuilt from goals and the streak whenever they change.
+ * Native builds hand it to Capacitor LocalNotifications; browsers fire it from timers through the service worker.
+ */
+
+import { t } from './i18n';
+import { getNextPlanStep } from './plan';
+import { isHabit, toDateKey, habitStage } from './habits';
+
+const REMINDER_DEFAULTS = {
+  dueOffsets: [3, 1, 0], // Days before a goal's due date
+  dueTime: '09:00',
+  dailyNudge: true,
+  nudgeTime: '09:00',
+  streakAlert: true,
+  streakTime: '20:00',
+  quietHours: true,
+  quietStart: '22:00',
+  quietEnd: '08:00'
+};
+export const REMINDER_DUE_OFFSETS = [7, 3, 1, 0];
+const REMINDER_DAYS_AHEAD = 7;
+const REMINDER_LIMIT = 60; // iOS keeps at most 64 pending local notifications
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // Longer setTimeout delays overflow and fire straight away
+
+export const loadReminderSettings = () => ({ ...REMINDER_DEFAULTS, ...JSON.parse(localStorage.getItem('achieve_reminder_settings') || '{}') });
+export const saveReminderSettings = (settings) => localStorage.setItem('achieve_reminder_settings', JSON.stringify(settings));
+
+// "HH:MM" helpers
+const minutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+const atTimeOn = (day, time) => {
+  const date = new Date(day);
+  date.setHours(0, minutesOfDay(time), 0, 0);
+  return date;
+};
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// Move anything that lands in quiet hours to the moment they end
+const outsideQuietHours = (date, settings) => {
+  if (!settings.quietHours || settings.quietStart === settings.quietEnd) return date;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOfDay(settings.quietStart);
+  const end = minutesOfDay(settings.quietEnd);
+  const isQuiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!isQuiet) return date;
+  const shifted = atTimeOn(date, settings.quietEnd);
+  return shifted <= date ? addDays(shifted, 1) : shifted;
+};
+
+// Capacitor wants integer ids - derive a stable one from the reminder key
+const reminderId = (key) => {
+  let hash = 0;
+  for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return (Math.abs(hash) % 2147483646) + 1;
+};
+
+export const buildReminderSchedule = (goals, streak, settings, now = new Date()) => {
+  const reminders = [];
+  const add = (key, at, title, body, goalId = null) => {
+    const when = outsideQuietHours(at, settings);
+    if (when > now) reminders.push({ id: reminderId(key), key, at: when, title, body, goalId });
+  };
+  const openGoals = goals.filter(g => g.steps.length > 0 && g.completedSteps.length < g.steps.length);
+
+  // Due date reminders at each chosen offset
+  openGoals.filter(g => g.dueDate).forEach(goal => {
+    const due = new Date(`${goal.dueDate}T00:00`);
+    const stepsLeft = goal.steps.length - goal.completedSteps.length;
+    settings.dueOffsets.forEach(days => {
+      const title = days === 0 ? t('reminder.dueToday', { name: goal.name })
+        : days === 1 ? t('reminder.dueTomorrow', { name: goal.name })
+        : t('reminder.dueIn', { name: goal.name, count: days });
+      add(`due:${goal.id}:${days}`, atTimeOn(addDays(due, -days), settings.dueTime),
+        title, t('reminder.stepsToGo', { count: stepsLeft }), goal.id);
+    });
+  });
+
+  // Daily nudge with the next step, rotating through open goals
+  if (settings.dailyNudge && openGoals.length > 0) {
+    for (let i = 0; i < REMINDER_DAYS_AHEAD; i++) {
+      const day = addDays(now, i);
+      const goal = openGoals[i % openGoals.length];
+      const next = getNextPlanStep(goal);
+      add(`nudge:${day.toDateString()}`, atTimeOn(day, settings.nudgeTime),
+        t('reminder.nextUp', { title: next.title }), t('reminder.closer', { name: goal.name }), goal.id);
+    }
+  }
+
+  // Daily habits get a check-in reminder until they're done for the day
+  if (settings.dailyNudge) {
+    goals.filter(g => isHabit(g) && g.habit.period === 'day').forEach(goal => {
+      for (let i = 0; i < REMINDER_DAYS_AHEAD; i++) {
+        const day = addDays(now, i);
+        if (goal.checkIns?.includes(toDateKey(day))) continue;
+        add(`habit:${goal.id}:${day.toDateString()}`, atTimeOn(day, settings.nudgeTime),
+          t('reminder.habit', { name: goal.name }), habitStage(goal.habit, day).target, goal.id);
+      }
+    });
+  }
+
+  // Streak at risk - the evening of the day it would break (rebuilt, and so cancelled, once they're active)
+  if (settings.streakAlert && streak.current > 0) {
+    const activeToday = streak.lastActive === now.toDateString();
+    const activeYesterday = streak.lastActive === addDays(now, -1).toDateString();
+    const day = activeToday ? addDays(now, 1) : activeYesterday ? now : null;
+    if (day) {
+      add(`streak:${day.toDateString()}`, atTimeOn(day, settings.streakTime),
+        t('reminder.streak', { count: streak.current }), t('reminder.streakBody'));
+    }
+  }
+
+  return reminders.sort((a, b) => a.at - b.at).slice(0, REMINDER_LIMIT);
+};
+
+export const ReminderScheduler = {
+  timers: [],
+
+  native() {
+    return window.Capacitor?.Plugins?.LocalNotifications || null;
+  },
+
+  async requestPermission() {
+    const native = this.native();
+    if (native) return (await native.requestPermissions()).display === 'granted';
+    if (!('Notification' in window)) return false;
+    return (await Notification.requestPermission()) === 'granted';
+  },
+
+  // Browsers show notifications through the service worker so taps can reopen the app
+  async registerServiceWorker() {
+    if (this.native() || !('serviceWorker' in navigator)) return null;
+    try {
+      return await navigator.serviceWorker.register('/sw.js');
+    } catch (e) {
+      console.warn('Service worker registration failed:', e);
+      return null;
+    }
+  },
+
+  async show({ key, title, body, goalId }) {
+    const options = { body, tag: key, icon: '/mascot.png', data: { goalId } };
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) registration.showNotification(title, options);
+    else new Notification(title, options);
+  },
+
+  // Due date reminders can be weeks away, so long waits are split and re-checked when each part ends
+  arm(reminder) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter(id => id !== timer);
+      if (reminder.at - Date.now() > 0) this.arm(reminder);
+      else this.show(reminder);
+    }, Math.min(reminder.at - Date.now(), MAX_TIMER_DELAY));
+    this.timers.push(timer);
+  },
+
+  async clear() {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    const native = this.native();
+    if (native) {
+      const { notifications } = await native.getPending();
+      if (notifications.length > 0) await native.cancel({ notifications: notifications.map(n => ({ id: n.id })) });
+    }
+  },
+
+  // Replace everything pending with this schedule
+  async schedule(reminders) {
+    await this.clear();
+    const native = this.native();
+    if (native) {
+      if (reminders.length === 0) return;
+      await native.schedule({
+        notifications: reminders.map(r => ({
+          id: r.id,
+          title: r.title,
+          body: r.body,
+          schedule: { at: r.at, allowWhileIdle: true },
+          extra: { goalId: r.goalId }
+        }))
+      });
+      return;
+    }
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    reminders.forEach(r => this.arm(r));
+  }
+};
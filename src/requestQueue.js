@@ -0,0 +1,64 @@
+/**
+ * Achieve AI - Request Queue
+ * AI requests made while offline wait here until the server is reachable again. Each entry is
+ * { id, type: 'create_goal' | 'expand' | 'doitforme', payload, createdAt, attempts, error }.
+ * Entries are replayed oldest first; one that the server turned down keeps its error until it's retried or dropped.
+ */
+
+const QUEUE_STORAGE_KEY = 'achieve_request_queue';
+
+export const RequestQueue = {
+  items: JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || '[]'),
+  listeners: new Set(),
+
+  save() {
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(this.items));
+    this.listeners.forEach(listener => listener(this.items));
+  },
+
+  // listener(items) runs after every change
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  add(type, payload) {
+    const item = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      payload,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      error: null
+    };
+    this.items = [...this.items, item];
+    this.save();
+    return item;
+  },
+
+  update(id, changes) {
+    this.items = this.items.map(item => item.id === id ? { ...item, ...changes } : item);
+    this.save();
+  },
+
+  remove(id) {
+    this.items = this.items.filter(item => item.id !== id);
+    this.save();
+  },
+
+  // Drop everything queued for a goal, e.g. when it's deleted
+  removeForGoal(goalId) {
+    this.items = this.items.filter(item => item.payload.goalId !== goalId);
+    this.save();
+  },
+
+  find(type, goalId, stepId = null) {
+    return this.items.find(item => item.type === type && item.payload.goalId === goalId &&
+      (stepId === null || item.payload.step?.id === stepId)) || null;
+  },
+
+  // Entries that haven't been turned down, oldest first
+  pending() {
+    return this.items.filter(item => !item.error);
+  }
+};
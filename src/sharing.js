@@ -0,0 +1,109 @@
+/**
+ * Achieve AI - Shared Plans & Templates
+ * A shared link is a snapshot of a goal's plan on the server: name, category, phases, steps and
+ * habit, never progress or notes. Opening <app>/?import=<id> offers it as a new goal, the same way
+ * the template catalogue does.
+ */
+
+import { I18n, t } from './i18n';
+import { API_URL, apiHeaders, readApiError } from './api';
+import { CATEGORY_ICONS, CATEGORY_COLORS, ICON_COLORS } from './categories';
+import { downloadFile } from './backup';
+import { toDateKey } from './habits';
+
+export const publishGoal = async (goal) => {
+  const response = await fetch(`${API_URL}/shares`, {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({ goal })
+  });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.publish'));
+  }
+  return await response.json(); // { id, url }
+};
+
+export const fetchSharedPlan = async (id) => {
+  const response = await fetch(`${API_URL}/shares/${encodeURIComponent(id)}`, { headers: apiHeaders() });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.sharedPlan'));
+  }
+  return await response.json();
+};
+
+export const fetchTemplates = async () => {
+  const response = await fetch(`${API_URL}/templates`, { headers: apiHeaders() });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.templates'));
+  }
+  return (await response.json()).templates;
+};
+
+export const fetchTemplate = async (id) => {
+  const response = await fetch(`${API_URL}/templates/${encodeURIComponent(id)}`, { headers: apiHeaders() });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.template'));
+  }
+  return await response.json();
+};
+
+// The achievement card, drawn by the server: card is { goal, level, badges }, options { theme, size }. Resolves a PNG Blob.
+export const renderShareCard = async (card, { theme = 'light', size = 'square' } = {}) => {
+  const response = await fetch(`${API_URL}/share-card`, {
+    method: 'POST',
+    headers: apiHeaders(),
+    body: JSON.stringify({ ...card, theme, size, format: 'png', locale: I18n.locale })
+  });
+  if (!response.ok) {
+    throw await readApiError(response, t('error.shareImage'));
+  }
+  return await response.blob();
+};
+
+// Read a Blob as plain base64 (no data: prefix), which is what Capacitor's Filesystem writes
+const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1]);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Hand an image to the share sheet: the native one in the iOS app, the Web Share API where the
+// browser can share files, otherwise download it. Resolves 'shared' or 'downloaded'.
+export const shareImage = async (blob, fileName, text) => {
+  const { Share, Filesystem } = window.Capacitor?.Plugins || {};
+  if (Share && Filesystem) {
+    const { uri } = await Filesystem.writeFile({ path: fileName, data: await blobToBase64(blob), directory: 'CACHE' });
+    await Share.share({ title: 'My Aclio goal', text, files: [uri] });
+    return 'shared';
+  }
+
+  const file = new File([blob], fileName, { type: blob.type });
+  if (navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], text });
+    return 'shared';
+  }
+
+  downloadFile(fileName, blob, blob.type);
+  return 'downloaded';
+};
+
+// Turn a plan - freshly generated, shared or from a template - into a new goal with no progress yet
+export const goalFromPlan = (name, plan) => {
+  const category = plan.category || 'Personal Growth';
+  return {
+    id: Date.now(),
+    name,
+    category,
+    iconKey: CATEGORY_ICONS[category] || 'target',
+    iconColor: CATEGORY_COLORS[category] || ICON_COLORS[0],
+    steps: plan.steps,
+    ...(plan.phases ? { phases: plan.phases } : {}),
+    completedSteps: [],
+    completedSubtasks: [],
+    completedAt: {},
+    dueDate: null,
+    createdAt: new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+    ...(plan.habit ? { type: 'habit', habit: { ...plan.habit, startDate: toDateKey(new Date()) }, checkIns: [] } : {})
+  };
+};
@@ -0,0 +1,14 @@
+/**
+ * Achieve AI - Storage
+ * Goals, onboarding, profile and theme in localStorage. Features with their own settings or data
+ * (planner, reminders, chats, sync, activity log) keep their keys next to their code.
+ */
+
+export const saveGoals = (goals) => localStorage.setItem('achieve_goals', JSON.stringify(goals));
+export const loadGoals = () => JSON.parse(localStorage.getItem('achieve_goals') || '[]');
+export const hasOnboarded = () => localStorage.getItem('achieve_onboarded') === 'true';
+export const setOnboarded = () => localStorage.setItem('achieve_onboarded', 'true');
+export const saveUserProfile = (profile) => localStorage.setItem('achieve_profile', JSON.stringify(profile));
+export const loadUserProfile = () => JSON.parse(localStorage.getItem('achieve_profile') || 'null');
+export const saveTheme = (theme) => localStorage.setItem('achieve_theme', theme);
+export const loadTheme = () => localStorage.getItem('achieve_theme') || 'light';
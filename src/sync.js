@@ -0,0 +1,158 @@
+/**
+ * Achieve AI - Account Sync
+ * Signed-in users get their goals, points, streak, badges, chats and saved AI output on every device.
+ * Each piece is a versioned document. We remember the version and value we last synced for each
+ * one, so when two devices change the same thing the server can merge against that common base.
+ */
+
+import { t } from './i18n';
+import { loadGoals } from './storage';
+import { API_URL, apiHeaders, apiError } from './api';
+
+export const SYNC_STORAGE_KEYS = {
+  points: 'achieve_points',
+  streak: 'achieve_streak',
+  badges: 'achieve_badges',
+  expanded: 'achieve_expanded',
+  doitforme: 'achieve_doitforme',
+  profile: 'achieve_profile',
+  chats: 'achieve_chats'
+};
+
+export const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The server takes at most 500 changes and a 2 MB body per push, so bigger pushes go in batches
+const MAX_CHANGES_PER_PUSH = 500;
+const MAX_PUSH_CHARS = 1500000;
+
+const toBatches = (changes) => changes.reduce((batches, change) => {
+  const batch = batches[batches.length - 1];
+  const size = JSON.stringify(change).length;
+  if (batch && batch.changes.length < MAX_CHANGES_PER_PUSH && batch.size + size <= MAX_PUSH_CHARS) {
+    batch.changes.push(change);
+    batch.size += size;
+  } else {
+    batches.push({ changes: [change], size });
+  }
+  return batches;
+}, []).map(batch => batch.changes);
+
+// Snapshot everything we sync, straight from storage so it's always the latest saved state
+const readSyncDocs = () => {
+  const docs = {};
+  // Goals still waiting for their plan stay on this device until it's generated
+  loadGoals().filter(goal => !goal.pending).forEach(goal => { docs[`goal:${goal.id}`] = goal; });
+  Object.entries(SYNC_STORAGE_KEYS).forEach(([key, storageKey]) => {
+    const raw = localStorage.getItem(storageKey);
+    if (raw !== null) docs[key] = JSON.parse(raw);
+  });
+  return docs;
+};
+
+const emptySyncState = () => ({ token: null, user: null, rev: 0, docs: {}, lastSyncedAt: null });
+
+export const SyncClient = {
+  state: JSON.parse(localStorage.getItem('achieve_sync') || 'null') || emptySyncState(),
+
+  isSignedIn() {
+    return !!this.state.token;
+  },
+
+  save() {
+    localStorage.setItem('achieve_sync', JSON.stringify(this.state));
+  },
+
+  reset() {
+    this.state = emptySyncState();
+    localStorage.removeItem('achieve_sync');
+  },
+
+  async request(path, options = {}) {
+    const response = await fetch(`${API_URL}/${path}`, { ...options, headers: apiHeaders() });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Session expired or revoked - drop it so the user can sign in again
+      if (response.status === 401 && this.state.token) this.reset();
+      throw apiError(data, t('error.requestStatus', { status: response.status }));
+    }
+    return data;
+  },
+
+  // mode: 'login' | 'register'
+  async signIn(mode, email, password) {
+    const data = await this.request(`auth/${mode}`, {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    this.state = { ...emptySyncState(), token: data.token, user: data.user };
+    this.save();
+    return data.user;
+  },
+
+  async signOut() {
+    try {
+      await this.request('auth/logout', { method: 'POST' });
+    } catch (e) {
+      // Forgetting the session locally is what matters
+    }
+    this.reset();
+  },
+
+  // Pull remote changes, then push local ones.
+  // Returns { [docKey]: value } for local data that changed (null means deleted).
+  async sync() {
+    const state = this.state;
+    const updates = {};
+    const local = readSyncDocs();
+    // Worked on as a copy and kept only once every push has landed, so a sync that fails part way
+    // never records values this device hasn't applied yet (resending what did land is harmless)
+    const known = { ...state.docs };
+    const isUntouched = (key) => known[key] ? isSameValue(local[key], known[key].base) : local[key] === undefined;
+
+    const pulled = await this.request(`sync?since=${state.rev}`);
+    pulled.docs.forEach(remote => {
+      const value = remote.deleted ? undefined : remote.value;
+      // If we changed it too, keep our copy - the push below sends it against the old version and the server merges
+      if (!isUntouched(remote.key) && !isSameValue(local[remote.key], value)) return;
+
+      if (!isSameValue(local[remote.key], value)) {
+        updates[remote.key] = value === undefined ? null : value;
+        local[remote.key] = value;
+      }
+      known[remote.key] = { version: remote.version, base: value };
+    });
+
+    const changes = [];
+    new Set([...Object.keys(local), ...Object.keys(known)]).forEach(key => {
+      if (isUntouched(key)) return;
+      const entry = known[key] || {};
+      changes.push(local[key] === undefined
+        ? { key, deleted: true, baseVersion: entry.version, base: entry.base }
+        : { key, value: local[key], baseVersion: entry.version, base: entry.base });
+    });
+
+    for (const batch of toBatches(changes)) {
+      const pushed = await this.request('sync', {
+        method: 'POST',
+        body: JSON.stringify({ changes: batch })
+      });
+      pushed.results.forEach(result => {
+        const value = result.deleted ? undefined : result.value;
+        if (result.merged && !isSameValue(local[result.key], value)) {
+          updates[result.key] = value === undefined ? null : value;
+        }
+        known[result.key] = { version: result.version, base: value };
+      });
+    }
+
+    // Signed out (or into another account) while we were talking to the server
+    if (this.state !== state) return {};
+
+    state.docs = known;
+    state.rev = pulled.rev;
+    state.lastSyncedAt = new Date().toISOString();
+    this.save();
+    return updates;
+  }
+};
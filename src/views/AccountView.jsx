@@ -0,0 +1,112 @@
+import { t, formatDate } from '../i18n';
+import { hasOnboarded } from '../storage';
+import { Icons } from '../icons';
+import { SyncClient } from '../sync';
+
+export default function AccountView({ app }) {
+  const {
+    view, setView, syncStatus, authForm, setAuthForm, runSync, submitAuth, signOutOfSync
+  } = app;
+
+  const signedIn = SyncClient.isSignedIn();
+  const isRegister = authForm.mode === 'register';
+  const syncDesc = syncStatus.state === 'syncing' ? t('account.syncing')
+    : syncStatus.state === 'error' ? t('account.syncFailed')
+    : syncStatus.lastSyncedAt ? t('account.lastSynced', { date: formatDate(syncStatus.lastSyncedAt, { dateStyle: 'medium', timeStyle: 'short' }) })
+    : t('account.notSynced');
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView(hasOnboarded() ? 'settings' : 'welcome')}><Icons.arrowLeft /></button>
+          <span className="header-title">{signedIn ? t('settings.sync') : isRegister ? t('account.createAccount') : t('account.signIn')}</span>
+        </div>
+      </header>
+
+      <div className="settings-view fade-in">
+        {signedIn ? (
+          <>
+            <div className="settings-section">
+              <div className="settings-card">
+                <div className="settings-item">
+                  <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                    <Icons.user />
+                  </div>
+                  <div className="settings-item-content">
+                    <p className="settings-item-title">{SyncClient.state.user?.email}</p>
+                    <p className="settings-item-desc">{syncDesc}</p>
+                  </div>
+                </div>
+
+                <div className="settings-item" onClick={runSync}>
+                  <div className="settings-item-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                    <Icons.refreshCw />
+                  </div>
+                  <div className="settings-item-content">
+                    <p className="settings-item-title">{t('account.syncNow')}</p>
+                    <p className="settings-item-desc">{t('account.syncNowDesc')}</p>
+                  </div>
+                  {syncStatus.state === 'syncing' && <span className="spin" style={{color: 'var(--accent)'}}>◌</span>}
+                </div>
+              </div>
+            </div>
+
+            {syncStatus.error && <p className="error-msg">{syncStatus.error}</p>}
+
+            <button className="secondary-btn" style={{marginTop: '24px'}} onClick={signOutOfSync}>
+              {t('account.signOut')}
+            </button>
+            <p className="account-note">{t('account.signOutNote')}</p>
+          </>
+        ) : (
+          <form onSubmit={(e) => { e.preventDefault(); submitAuth(); }}>
+            <p className="account-intro">{t('account.intro')}</p>
+
+            <div className="profile-field">
+              <label className="profile-label">{t('account.email')}</label>
+              <input
+                className="profile-input"
+                type="email"
+                autoComplete="email"
+                placeholder="you@example.com"
+                value={authForm.email}
+                onChange={(e) => setAuthForm({...authForm, email: e.target.value})}
+              />
+            </div>
+
+            <div className="profile-field">
+              <label className="profile-label">{t('account.password')}</label>
+              <input
+                className="profile-input"
+                type="password"
+                autoComplete={isRegister ? 'new-password' : 'current-password'}
+                placeholder={isRegister ? t('account.passwordNew') : t('account.passwordCurrent')}
+                value={authForm.password}
+                onChange={(e) => setAuthForm({...authForm, password: e.target.value})}
+              />
+            </div>
+
+            {authForm.error && <p className="error-msg">{authForm.error}</p>}
+
+            <button
+              type="submit"
+              className="primary-btn"
+              style={{marginTop: '24px'}}
+              disabled={authForm.loading || !authForm.email.trim() || !authForm.password}
+            >
+              {authForm.loading ? t('account.wait') : isRegister ? t('account.createAccount') : t('account.signIn')}
+            </button>
+
+            <p className="account-switch">
+              {isRegister ? t('account.haveAccount') : t('account.newHere')}{' '}
+              <button type="button" onClick={() => setAuthForm({...authForm, mode: isRegister ? 'login' : 'register', error: ''})}>
+                {isRegister ? t('account.switchSignIn') : t('account.switchRegister')}
+              </button>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,402 @@
+import { t, formatDate, categoryLabel } from '../i18n';
+import { levelName, getLevel } from '../gamification';
+import { Icons } from '../icons';
+import {
+  ActivityLog, ANALYTICS_PERIODS, buildActivityChart, getBestDayStats, getGoalVelocity
+} from '../activityLog';
+import { isHabit, getHabitStreak, getHabitCompletion } from '../habits';
+
+// ANALYTICS DASHBOARD
+export default function AnalyticsView({ app }) {
+  const {
+    view, setView, goals, setActiveGoal, theme, analyticsFilter, setAnalyticsFilter,
+    analyticsPeriod, setAnalyticsPeriod, userPoints, streakData, toggleTheme, getProgress,
+    isGoalComplete
+  } = app;
+
+  // Calculate analytics data
+  const totalGoals = goals.length;
+  const completedGoals = goals.filter(isGoalComplete);
+  const habits = goals.filter(isHabit);
+  const totalSteps = goals.reduce((sum, g) => sum + g.steps.length, 0);
+  const completedSteps = goals.reduce((sum, g) => sum + g.completedSteps.length, 0);
+  const avgProgress = totalGoals > 0 ? Math.round(goals.reduce((sum, g) => sum + getProgress(g), 0) / totalGoals) : 0;
+
+  // Activity chart from the real activity log
+  const today = new Date();
+  const activityEvents = ActivityLog.getEvents();
+  const chartData = buildActivityChart(activityEvents, analyticsPeriod, analyticsFilter);
+  const maxChartValue = Math.max(...chartData.map(d => d.value), 1);
+  const bestDay = getBestDayStats(activityEvents);
+  const activeGoals = goals.filter(g => !isGoalComplete(g));
+
+  // Days since first goal
+  const firstGoalDate = goals.length > 0 ? new Date(goals[goals.length - 1].id) : new Date();
+  const daysSinceStart = Math.max(1, Math.ceil((today - firstGoalDate) / (1000 * 60 * 60 * 24)));
+
+  // Completion rate
+  const completionRate = totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
+
+  // Average steps per goal
+  const avgStepsPerGoal = totalGoals > 0 ? Math.round(totalSteps / totalGoals) : 0;
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('dashboard')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('analytics.title')}</span>
+        </div>
+        <div className="header-right">
+          <button className="header-icon" onClick={toggleTheme} title={theme === 'dark' ? t('common.lightMode') : t('common.darkMode')}>
+            {theme === 'dark' ? <Icons.sun /> : <Icons.moon />}
+          </button>
+        </div>
+      </header>
+
+      <div className="analytics-view fade-in">
+        <div className="analytics-header">
+          <h1 className="analytics-title">{t('analytics.heading')}</h1>
+          <p className="analytics-subtitle">
+            {goals.length > 0 && goals[goals.length - 1].createdAt
+              ? t('analytics.since', { date: formatDate(goals[goals.length - 1].createdAt) })
+              : t('analytics.sinceStart')}
+          </p>
+        </div>
+
+        {totalGoals === 0 ? (
+          <div className="analytics-empty">
+            <div className="analytics-empty-icon"><Icons.barChart /></div>
+            <h3 className="analytics-empty-title">{t('analytics.emptyTitle')}</h3>
+            <p className="analytics-empty-text">{t('analytics.emptyText')}</p>
+          </div>
+        ) : (
+          <>
+            {/* Filter Tabs */}
+            <div className="analytics-tabs">
+              <button
+                className={`analytics-tab ${analyticsFilter === 'goals' ? 'active' : ''}`}
+                onClick={() => setAnalyticsFilter('goals')}
+              >
+                {t('analytics.goals')}
+              </button>
+              <button
+                className={`analytics-tab ${analyticsFilter === 'steps' ? 'active' : ''}`}
+                onClick={() => setAnalyticsFilter('steps')}
+              >
+                {t('share.steps')}
+              </button>
+            </div>
+
+            {/* Stats Grid */}
+            <div className="stats-grid">
+              {analyticsFilter === 'goals' ? (
+                <>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                      <Icons.target />
+                    </div>
+                    <div className="stat-value">{totalGoals}</div>
+                    <div className="stat-label">{t('analytics.totalGoals')}</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                      <Icons.trophy />
+                    </div>
+                    <div className="stat-value">{completedGoals.length}</div>
+                    <div className="stat-label">{t('analytics.completed')}</div>
+                    {completedGoals.length > 0 && (
+                      <div className="stat-change positive">
+                        <Icons.trendingUp /> {t('analytics.rate', { percent: Math.round((completedGoals.length / totalGoals) * 100) })}
+                      </div>
+                    )}
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--purple-soft)', color: 'var(--purple)'}}>
+                      <Icons.activity />
+                    </div>
+                    <div className="stat-value">{avgProgress}%</div>
+                    <div className="stat-label">{t('analytics.avgProgress')}</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--orange-soft)', color: 'var(--orange)'}}>
+                      <Icons.calendar />
+                    </div>
+                    <div className="stat-value">{daysSinceStart}</div>
+                    <div className="stat-label">{t('analytics.daysActive')}</div>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                      <Icons.check />
+                    </div>
+                    <div className="stat-value">{completedSteps}</div>
+                    <div className="stat-label">{t('analytics.stepsCompleted')}</div>
+                    {completedSteps > 0 && (
+                      <div className="stat-change positive">
+                        <Icons.trendingUp /> {t('analytics.ofAll', { percent: completionRate })}
+                      </div>
+                    )}
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--purple-soft)', color: 'var(--purple)'}}>
+                      <Icons.target />
+                    </div>
+                    <div className="stat-value">{totalSteps}</div>
+                    <div className="stat-label">{t('analytics.totalSteps')}</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                      <Icons.zap />
+                    </div>
+                    <div className="stat-value">{avgStepsPerGoal}</div>
+                    <div className="stat-label">{t('analytics.avgPerGoal')}</div>
+                  </div>
+                  <div className="stat-card">
+                    <div className="stat-icon" style={{background: 'var(--gold-soft)', color: '#b45309'}}>
+                      <Icons.flame />
+                    </div>
+                    <div className="stat-value">{totalSteps - completedSteps}</div>
+                    <div className="stat-label">{t('analytics.remaining')}</div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* Progress Chart */}
+            <div className="chart-card">
+              <div className="chart-header">
+                <h3 className="chart-title">
+                  {analyticsFilter === 'goals' ? t('analytics.goalsActivity') : t('analytics.stepsActivity')}
+                </h3>
+                <span className="chart-period">{t(ANALYTICS_PERIODS[analyticsPeriod].label)}</span>
+              </div>
+              <div className="chart-period-tabs">
+                {Object.keys(ANALYTICS_PERIODS).map(period => (
+                  <button
+                    key={period}
+                    className={`chart-period-tab ${analyticsPeriod === period ? 'active' : ''}`}
+                    onClick={() => setAnalyticsPeriod(period)}
+                  >
+                    {t(`analytics.tab.${period}`)}
+                  </button>
+                ))}
+              </div>
+              <div className="chart-bars">
+                {chartData.map((d, i) => (
+                  <div key={i} className="chart-bar-wrap">
+                    <span className="chart-bar-value">{d.value > 0 ? d.value : ''}</span>
+                    <div
+                      className="chart-bar"
+                      style={{
+                        height: `${(d.value / maxChartValue) * 90}px`,
+                        background: i === chartData.length - 1 ? 'var(--accent)' : 'var(--accent-soft)'
+                      }}
+                    />
+                    <span className="chart-bar-label">{d.label}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Best Day */}
+            {bestDay && (
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--gold-soft)', color: '#b45309'}}>
+                    <Icons.trophy />
+                  </div>
+                  <div className="stat-value">{bestDay.count}</div>
+                  <div className="stat-label">{t('analytics.bestDay', { date: formatDate(bestDay.date, { month: 'short', day: 'numeric' }) })}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                    <Icons.calendar />
+                  </div>
+                  <div className="stat-value" style={{fontSize: '20px'}}>{bestDay.weekday}</div>
+                  <div className="stat-label">{t('analytics.mostProductive', { count: bestDay.activeDays })}</div>
+                </div>
+              </div>
+            )}
+
+            {/* Completion Velocity */}
+            {activeGoals.length > 0 && (
+              <div className="completed-section">
+                <div className="completed-header">
+                  <h3 className="completed-title">{t('analytics.velocity')}</h3>
+                  <span className="completed-count">{t('analytics.stepsPerWeek')}</span>
+                </div>
+                {activeGoals.map(goal => {
+                  const IconComponent = Icons[goal.iconKey] || Icons.target;
+                  const velocity = getGoalVelocity(goal, activityEvents);
+                  return (
+                    <div key={goal.id} className="completed-goal" onClick={() => { setActiveGoal(goal); setView('detail'); }} style={{cursor: 'pointer'}}>
+                      <div className="completed-goal-icon" style={{background: goal.iconColor?.bg || 'var(--accent-soft)', color: goal.iconColor?.color || 'var(--accent)'}}>
+                        <IconComponent />
+                      </div>
+                      <div className="completed-goal-info">
+                        <h4 className="completed-goal-name">{goal.name}</h4>
+                        <p className="completed-goal-meta">
+                          {velocity.weeksToFinish
+                            ? t('analytics.weeksToFinish', { count: velocity.weeksToFinish })
+                            : t('analytics.noStepsYet')}
+                          {velocity.lastActivity && ` • ${t('analytics.lastActive', { date: formatDate(velocity.lastActivity, { month: 'short', day: 'numeric' }) })}`}
+                        </p>
+                      </div>
+                      <div style={{fontWeight: '700', color: 'var(--accent)'}}>{velocity.perWeek}</div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Summary Card */}
+            <div className="chart-card" style={{background: 'linear-gradient(135deg, var(--accent) 0%, var(--accent-light) 100%)', border: 'none', color: '#fff'}}>
+              <div style={{display: 'flex', alignItems: 'center', gap: '16px'}}>
+                <div style={{width: '56px', height: '56px', background: 'rgba(255,255,255,0.2)', borderRadius: '16px', display: 'flex', alignItems: 'center', justifyContent: 'center'}}>
+                  <Icons.award />
+                </div>
+                <div>
+                  <h3 style={{fontSize: '18px', fontWeight: '700', marginBottom: '4px'}}>
+                    {completedGoals.length > 0
+                      ? t('analytics.completedGoals', { count: completedGoals.length })
+                      : t('analytics.keepGoing')}
+                  </h3>
+                  <p style={{fontSize: '14px', opacity: 0.9}}>
+                    {completedSteps > 0
+                      ? t('analytics.stepsDoneIn', { steps: t('analytics.stepsDone', { count: completedSteps }), days: t('streak.days', { count: daysSinceStart }) })
+                      : t('analytics.firstStep')}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Completed Goals List */}
+            {completedGoals.length > 0 && (
+              <div className="completed-section">
+                <div className="completed-header">
+                  <h3 className="completed-title">{t('analytics.completedList')}</h3>
+                  <span className="completed-count">{completedGoals.length}</span>
+                </div>
+                {completedGoals.map(goal => {
+                  const IconComponent = Icons[goal.iconKey] || Icons.target;
+                  return (
+                    <div key={goal.id} className="completed-goal">
+                      <div className="completed-goal-icon" style={{background: goal.iconColor?.bg || 'var(--accent-soft)', color: goal.iconColor?.color || 'var(--accent)'}}>
+                        <IconComponent />
+                      </div>
+                      <div className="completed-goal-info">
+                        <h4 className="completed-goal-name">{goal.name}</h4>
+                        <p className="completed-goal-meta">{t('analytics.stepsDone', { count: goal.steps.length })} • {categoryLabel(goal.category)}</p>
+                      </div>
+                      <div className="completed-goal-badge">
+                        <Icons.check /> {t('analytics.done')}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Gamification Stats */}
+            <div className="chart-card">
+              <div className="chart-header">
+                <h3 className="chart-title">{t('analytics.achievements')}</h3>
+              </div>
+              <div className="stats-grid" style={{marginBottom: 0}}>
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--gold-soft)', color: '#b45309'}}>
+                    <Icons.coins />
+                  </div>
+                  <div className="stat-value">{userPoints}</div>
+                  <div className="stat-label">{t('analytics.totalPoints')}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--purple-soft)', color: 'var(--purple)'}}>
+                    <Icons.crown />
+                  </div>
+                  <div className="stat-value">{getLevel(userPoints).level}</div>
+                  <div className="stat-label">{levelName(getLevel(userPoints))}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--orange-soft)', color: 'var(--orange)'}}>
+                    <Icons.flame />
+                  </div>
+                  <div className="stat-value">{streakData.current}</div>
+                  <div className="stat-label">{t('analytics.dayStreak')}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                    <Icons.trophy />
+                  </div>
+                  <div className="stat-value">{streakData.best}</div>
+                  <div className="stat-label">{t('analytics.bestStreak')}</div>
+                </div>
+              </div>
+            </div>
+
+            {/* In Progress Goals */}
+            {/* Habit Completion Rates */}
+            {habits.length > 0 && (
+              <div className="completed-section">
+                <div className="completed-header">
+                  <h3 className="completed-title">{t('analytics.habits')}</h3>
+                  <span className="completed-count">{habits.length}</span>
+                </div>
+                {habits.map(goal => {
+                  const IconComponent = Icons[goal.iconKey] || Icons.target;
+                  const completion = getHabitCompletion(goal);
+                  const habitStreak = getHabitStreak(goal);
+                  return (
+                    <div key={goal.id} className="completed-goal" onClick={() => { setActiveGoal(goal); setView('detail'); }} style={{cursor: 'pointer'}}>
+                      <div className="completed-goal-icon" style={{background: goal.iconColor?.bg || 'var(--accent-soft)', color: goal.iconColor?.color || 'var(--accent)'}}>
+                        <IconComponent />
+                      </div>
+                      <div className="completed-goal-info">
+                        <h4 className="completed-goal-name">{goal.name}</h4>
+                        <p className="completed-goal-meta">
+                          {completion.total > 0 ? t(`analytics.metOfLast.${goal.habit.period}`, { met: completion.met, count: completion.total }) : t('analytics.justStarted')} • {t(`habit.${goal.habit.period}Streak`, { count: habitStreak.current })}
+                        </p>
+                        <div className="habit-rate-bar">
+                          <div className="habit-rate-fill" style={{width: `${completion.rate || 0}%`}} />
+                        </div>
+                      </div>
+                      <div style={{fontWeight: '700', color: 'var(--accent)'}}>{completion.rate === null ? '–' : `${completion.rate}%`}</div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {goals.filter(g => !isHabit(g) && getProgress(g) < 100 && getProgress(g) > 0).length > 0 && (
+              <div className="completed-section">
+                <div className="completed-header">
+                  <h3 className="completed-title">{t('analytics.inProgress')}</h3>
+                  <span className="completed-count">{goals.filter(g => !isHabit(g) && getProgress(g) < 100 && getProgress(g) > 0).length}</span>
+                </div>
+                {goals.filter(g => !isHabit(g) && getProgress(g) < 100 && getProgress(g) > 0).map(goal => {
+                  const IconComponent = Icons[goal.iconKey] || Icons.target;
+                  const progress = getProgress(goal);
+                  return (
+                    <div key={goal.id} className="completed-goal" onClick={() => { setActiveGoal(goal); setView('detail'); }} style={{cursor: 'pointer'}}>
+                      <div className="completed-goal-icon" style={{background: goal.iconColor?.bg || 'var(--accent-soft)', color: goal.iconColor?.color || 'var(--accent)'}}>
+                        <IconComponent />
+                      </div>
+                      <div className="completed-goal-info">
+                        <h4 className="completed-goal-name">{goal.name}</h4>
+                        <p className="completed-goal-meta">{t('analytics.stepsFraction', { done: goal.completedSteps.length, count: goal.steps.length })} • {categoryLabel(goal.category)}</p>
+                      </div>
+                      <div style={{fontWeight: '700', color: 'var(--accent)'}}>{progress}%</div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,441 @@
+import React from 'react';
+import { t, categoryLabel } from '../i18n';
+import { levelName, POINTS, getLevel, getNextLevel } from '../gamification';
+import { Icons } from '../icons';
+import { PREMIUM_CONFIG } from '../premium';
+import { isHabit, describeHabitFrequency, getHabitStreak } from '../habits';
+import { formatMinutes } from '../planner';
+
+// DASHBOARD
+export default function DashboardView({ app }) {
+  const {
+    view, setView, goals, setActiveGoal, userProfile, theme, searchQuery, setSearchQuery,
+    feasibility, userPoints, streakData, showLevelUp, setShowLevelUp, showPointsPopup,
+    dailyBonusClaimed, isPremium, setShowPaywall, showPaywall, selectedPlan, setSelectedPlan,
+    swipingGoalId, swipeX, isRefreshing, pullDistance, dashboardRef, toggleTheme, claimDailyBonus,
+    handleSwipeStart, handleSwipeMove, handleSwipeEnd, handlePullStart, handlePullMove,
+    handlePullEnd, handlePremiumFeature, handlePurchase, restorePurchases, filteredGoals,
+    getDueDateStatus, toggleStep, toggleCheckIn, deleteGoal, getProgress, getNextStep, todayPlan,
+    getGreeting, queuedRequests, offlineBanner
+  } = app;
+
+  const activeGoal = goals.find(g => g.steps && g.steps.length > 0);
+  return (
+    <div className="app">
+      {offlineBanner}
+      <div
+        className="dashboard fade-in"
+        ref={dashboardRef}
+        onTouchStart={handlePullStart}
+        onTouchMove={handlePullMove}
+        onTouchEnd={handlePullEnd}
+      >
+        {/* Dark Hero Section */}
+        <div className="dashboard-hero">
+          {/* Pull to Refresh Indicator */}
+          <div className={`pull-refresh-indicator ${pullDistance > 20 || isRefreshing ? 'visible' : ''} ${isRefreshing ? 'refreshing' : ''}`} style={{color: '#fff'}}>
+            <Icons.refreshCw className="pull-refresh-icon" />
+            <span>{isRefreshing ? t('dashboard.refreshing') : pullDistance > 60 ? t('dashboard.releaseToRefresh') : t('dashboard.pullToRefresh')}</span>
+        </div>
+
+        <div className="greeting-section">
+            <p className="greeting-text">{getGreeting()},</p>
+            <p className="greeting-name">{userProfile?.name || t('dashboard.achiever')}</p>
+            <p className="greeting-subtitle">{t('dashboard.subtitle')}</p>
+              </div>
+
+          <button className="hero-cta" onClick={() => handlePremiumFeature('goal', () => setView('new'))}>
+            <Icons.plus style={{width: '20px', height: '20px'}} /> {t('dashboard.createGoal')}
+          </button>
+
+          {/* Header icons in hero */}
+          <div style={{position: 'absolute', top: 'calc(var(--safe-top) + 16px)', right: '16px', display: 'flex', gap: '8px'}}>
+            <button className="header-icon" style={{color: 'rgba(255,255,255,0.8)', background: 'rgba(255,255,255,0.1)'}} onClick={toggleTheme} title={theme === 'dark' ? t('common.lightMode') : t('common.darkMode')}>
+              {theme === 'dark' ? <Icons.sun /> : <Icons.moon />}
+            </button>
+            <button className="header-icon" style={{color: 'rgba(255,255,255,0.8)', background: 'rgba(255,255,255,0.1)'}} onClick={() => setView('analytics')}><Icons.barChart /></button>
+            <button className="header-icon" style={{color: 'rgba(255,255,255,0.8)', background: 'rgba(255,255,255,0.1)'}} onClick={() => setView('settings')}><Icons.settings /></button>
+          </div>
+        </div>
+
+        {/* Dashboard Content */}
+        <div className="dashboard-content">
+        {/* Premium Banner - Only show for free users */}
+        {!isPremium && (
+          <div className="premium-banner" onClick={() => setShowPaywall(true)}>
+            <div className="premium-banner-content">
+              <div className="premium-banner-header">
+                <div className="premium-banner-icon"><Icons.crown /></div>
+                <span className="premium-banner-title">{t('premium.bannerTitle')}</span>
+              </div>
+              <p className="premium-banner-desc">
+                {t('premium.bannerDesc')}
+              </p>
+              <button className="premium-banner-btn" onClick={(e) => { e.stopPropagation(); setShowPaywall(true); }}>
+                {t('premium.bannerCta')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Search Bar */}
+        <div className="search-bar">
+          <Icons.search />
+          <input
+            className="search-input"
+            placeholder={t('dashboard.searchPlaceholder')}
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+          />
+          {searchQuery && (
+            <button className="search-clear" onClick={() => setSearchQuery('')}>
+              <Icons.x />
+            </button>
+          )}
+        </div>
+
+        {(todayPlan.tasks.length > 0 || (todayPlan.restDay && goals.length > 0)) && (
+          <div className="section">
+            <div className="focus-card">
+              <div className="focus-header">
+                <span className="focus-icon" style={{color: 'var(--accent)'}}><Icons.sparkles /></span>
+                <span className="focus-title">{t('planner.todaysPlan')}</span>
+                {!todayPlan.restDay && (
+                  <span className="focus-budget">{t('planner.budget', { planned: formatMinutes(todayPlan.planned), budget: formatMinutes(todayPlan.budget) })}</span>
+                )}
+                <button className="focus-settings" onClick={() => setView('planner')} title={t('planner.title')}><Icons.settings /></button>
+              </div>
+              {todayPlan.restDay && (
+                <p className="focus-rest">{t('planner.restDay')}</p>
+              )}
+              {todayPlan.tasks.map(task => (
+                <div key={task.key} className="focus-item" onClick={() => task.checkIn ? toggleCheckIn(task.goalId) : toggleStep(task.goalId, task.stepId)}>
+                  <div className={`focus-check ${task.done ? 'checked' : ''}`}>{task.done && <Icons.check />}</div>
+                  <div className="focus-content">
+                    <p className={`focus-task ${task.done ? 'done' : ''}`}>{task.title}</p>
+                    <p className="focus-goal">
+                      {task.goalName}
+                      {task.carried && <span className="focus-tag">{t('planner.fromYesterday')}</span>}
+                    </p>
+                  </div>
+                  <span className="focus-minutes">{task.session ? t('planner.session', { minutes: formatMinutes(task.minutes) }) : formatMinutes(task.minutes)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="section">
+          <div className="section-header">
+            <h2 className="section-title">{t('dashboard.activeGoals')}</h2>
+          </div>
+
+          {filteredGoals.length > 0 ? filteredGoals.map((goal, i) => {
+            const progress = getProgress(goal);
+            const next = getNextStep(goal);
+            const iconBg = goal.iconColor?.bg || 'var(--accent-soft)';
+            const iconColor = goal.iconColor?.color || 'var(--accent)';
+            const IconComponent = Icons[goal.iconKey] || Icons.target;
+            const dueDateInfo = getDueDateStatus(goal.dueDate);
+            const isSwiping = swipingGoalId === goal.id;
+            const goalRequest = goal.pending && queuedRequests.find(r => r.type === 'create_goal' && r.payload.goalId === goal.id);
+            return (
+              <div key={goal.id} className="goal-card-wrapper slide-up" style={{animationDelay: `${i * 0.1}s`}}>
+                <div className="goal-card-delete" onClick={() => { if(confirm(t('goal.confirmDelete'))) deleteGoal(goal.id); }}>
+                  <Icons.trash />
+                </div>
+                <div
+                  className={`goal-card ${isSwiping ? 'swiping' : ''}`}
+                  style={{transform: isSwiping ? `translateX(-${swipeX}px)` : 'translateX(0)'}}
+                  onClick={() => { if (!isSwiping || swipeX < 10) { setActiveGoal(goal); setView('detail'); } }}
+                  onTouchStart={(e) => handleSwipeStart(e, goal.id)}
+                  onTouchMove={(e) => handleSwipeMove(e, goal.id)}
+                  onTouchEnd={() => handleSwipeEnd(goal.id)}
+                >
+                <div className="goal-header">
+                  <div className="goal-icon-wrap" style={{background: iconBg, color: iconColor}}>
+                    <IconComponent />
+                  </div>
+                  <div className="goal-info">
+                    <h3 className="goal-name">{goal.name}</h3>
+                    <p className="goal-category">{goal.category ? categoryLabel(goal.category) : t('goal.personal')}</p>
+                    {goal.pending && (
+                      <div className={`pending-badge ${goalRequest?.error ? 'failed' : ''}`}>
+                        <Icons.clock /> {goalRequest?.error ? t('offline.goalFailed') : t('offline.goalWaiting')}
+                      </div>
+                    )}
+                    {dueDateInfo && (
+                      <div className={`due-date-badge ${dueDateInfo.status}`}>
+                        <Icons.calendar /> {dueDateInfo.text}
+                      </div>
+                    )}
+                    {['at_risk', 'unrealistic'].includes(feasibility[goal.id]?.result.status) && (
+                      <div className="due-date-badge behind">
+                        <Icons.alertTriangle /> {feasibility[goal.id].result.status === 'unrealistic' ? t('feasibility.wontFit') : t('feasibility.fallingBehind')}
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div className="goal-progress-row">
+                  <span className="goal-progress-label">
+                    {isHabit(goal)
+                      ? `${describeHabitFrequency(goal.habit)} • ${t(`habit.${goal.habit.period}Streak`, { count: getHabitStreak(goal).current })}`
+                      : t('goal.progress')}
+                  </span>
+                  <span className="goal-progress-value">{progress}%</span>
+                </div>
+                <div className="goal-progress-bar">
+                  <div className="goal-progress-fill" style={{width: `${progress}%`}} />
+                </div>
+                {next && (
+                  <div className="goal-next">
+                    <span className="goal-next-arrow"><Icons.arrowRight /></span>
+                    <span className="goal-next-text">{next.title}</span>
+                  </div>
+                )}
+                </div>
+              </div>
+            );
+          }) : (
+            <div className="empty-state">
+              <div className="empty-emoji" style={{color: 'var(--accent)'}}>
+                {searchQuery ? <Icons.search /> : <Icons.target />}
+              </div>
+              <h3 className="empty-title">{searchQuery ? t('dashboard.noResults') : t('dashboard.noGoals')}</h3>
+              <p className="empty-text">
+                {searchQuery
+                  ? t('dashboard.noResultsText', { query: searchQuery })
+                  : t('dashboard.noGoalsText')}
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Level Card - Moved to bottom */}
+        {!searchQuery && (() => {
+          const currentLevel = getLevel(userPoints);
+          const nextLevel = getNextLevel(userPoints);
+          const LevelIcon = Icons[currentLevel.icon] || Icons.star;
+          const progressToNext = nextLevel
+            ? ((userPoints - currentLevel.minPoints) / (nextLevel.minPoints - currentLevel.minPoints)) * 100
+            : 100;
+
+          return (
+            <div className="level-card">
+              <div className="level-header">
+                <div className="level-info">
+                  <div className="level-badge"><LevelIcon /></div>
+                  <div>
+                    <p className="level-number">{t('level.number', { level: currentLevel.level })}</p>
+                    <h3 className="level-title">{levelName(currentLevel)}</h3>
+                  </div>
+                </div>
+                <div className="level-points">
+                  <p className="level-points-value">{userPoints}</p>
+                  <p className="level-points-label">{t('level.points')}</p>
+                </div>
+              </div>
+              <div className="level-progress">
+                <div className="level-progress-bar">
+                  <div className="level-progress-fill" style={{width: `${progressToNext}%`}} />
+                </div>
+                <div className="level-progress-text">
+                  <span>{currentLevel.minPoints} XP</span>
+                  <span>{nextLevel ? `${nextLevel.minPoints} XP` : t('level.max')}</span>
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Daily Bonus - Moved to bottom */}
+        {!searchQuery && !dailyBonusClaimed && (
+          <div className="daily-bonus-card" onClick={claimDailyBonus}>
+            <div className="daily-bonus-icon"><Icons.coins /></div>
+            <div className="daily-bonus-info">
+              <p className="daily-bonus-title">{t('dailyBonus.title')}</p>
+              <p className="daily-bonus-desc">{t('dailyBonus.desc', { points: POINTS.DAILY_BONUS })}</p>
+            </div>
+            <button className="daily-bonus-btn">{t('dailyBonus.claim')}</button>
+          </div>
+        )}
+
+        {/* Streak Card - Moved to bottom */}
+        {!searchQuery && (
+          <div className="streak-card">
+            <div className="streak-header">
+              <div className="streak-info">
+                <div className="streak-icon"><Icons.flame /></div>
+                <div>
+                  <p className="streak-label">{t('streak.current')}</p>
+                  <p className="streak-value">{t('streak.days', { count: streakData.current })}</p>
+                </div>
+              </div>
+              <div className="streak-best">
+                <p className="streak-best-label">{t('streak.best')}</p>
+                <p className="streak-best-value">{t('streak.days', { count: streakData.best })}</p>
+              </div>
+            </div>
+            <div className="streak-days">
+              {[...Array(7)].map((_, i) => {
+                const isActive = i < streakData.current;
+                const isToday = i === streakData.current - 1 || (streakData.current === 0 && i === 0);
+                return (
+                  <div
+                    key={i}
+                    className={`streak-day ${isActive ? 'active' : ''} ${isToday && streakData.current > 0 ? 'today' : ''}`}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Progress Hub - At bottom */}
+        {!searchQuery && (
+          <div className="progress-hub" style={{marginTop: 'var(--section-gap)'}}>
+            <h3 className="progress-hub-title">{t('dashboard.progressHub')}</h3>
+            <div className="progress-hub-badges">
+              <div className="progress-badge streak">
+                <span>🔥</span>
+                <span>{t('habit.dayStreak', { count: streakData.current })}</span>
+            </div>
+              <div className="progress-badge level">
+                <span>⭐</span>
+                <span>{t('dashboard.levelAchiever', { level: getLevel(userPoints).level })}</span>
+                  </div>
+            </div>
+          </div>
+        )}
+
+        {/* Achievement Cards */}
+        {!searchQuery && (
+          <div className="achievements-row">
+            <div className="achievement-card purple">
+              <span className="achievement-card-icon">🏆</span>
+              <span className="achievement-card-label">{t('dashboard.goalSetter')}</span>
+            </div>
+            <div className="achievement-card teal">
+              <span className="achievement-card-icon">⚡</span>
+              <span className="achievement-card-label">{t('dashboard.streakChampion')}</span>
+            </div>
+          </div>
+        )}
+        </div>{/* End dashboard-content */}
+      </div>
+
+      <button className="fab" onClick={() => handlePremiumFeature('goal', () => setView('new'))}>
+        <span className="fab-icon"><Icons.plus /></span> {t('dashboard.newGoal')}
+        {!isPremium && goals.length >= PREMIUM_CONFIG.FREE_GOAL_LIMIT - 1 && goals.length < PREMIUM_CONFIG.FREE_GOAL_LIMIT && (
+          <span style={{marginLeft: '8px', fontSize: '11px', opacity: 0.8}}>({t('dashboard.goalsLeft', { count: PREMIUM_CONFIG.FREE_GOAL_LIMIT - goals.length })})</span>
+        )}
+      </button>
+
+      {/* Points Popup */}
+      {showPointsPopup && (
+        <div className="points-popup">
+          <Icons.coins /> {showPointsPopup.reason}
+        </div>
+      )}
+
+      {/* Level Up Modal */}
+      {showLevelUp && (
+        <div className="levelup-modal" onClick={() => setShowLevelUp(null)}>
+          <div className="levelup-card fade-in" onClick={e => e.stopPropagation()}>
+            <div className="levelup-icon">
+              {Icons[showLevelUp.icon] ? React.createElement(Icons[showLevelUp.icon]) : <Icons.star />}
+            </div>
+            <h2 className="levelup-title">{t('levelUp.title')}</h2>
+            <p className="levelup-level">{t('levelUp.reached', { level: showLevelUp.level, name: levelName(showLevelUp) })}</p>
+            <div className="levelup-rewards">
+              <div className="levelup-reward">
+                <Icons.trophy /> {t('levelUp.newTitle')}
+              </div>
+            </div>
+            <button className="levelup-btn" onClick={() => setShowLevelUp(null)}>
+              {t('levelUp.awesome')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Premium Paywall Modal */}
+      {showPaywall && (
+        <div className="paywall-modal" onClick={() => setShowPaywall(false)}>
+          <div className="paywall-content" onClick={e => e.stopPropagation()}>
+            <button className="paywall-close" onClick={() => setShowPaywall(false)}><Icons.x /></button>
+
+            <div className="paywall-badge">
+              <Icons.crown /> {t('premium.badge')}
+            </div>
+
+            <h2 className="paywall-title">{t('premium.title')}</h2>
+            <p className="paywall-subtitle">{t('premium.subtitle')}</p>
+
+            <div className="paywall-features">
+              {PREMIUM_CONFIG.FEATURES.map((feature, i) => {
+                const FeatureIcon = Icons[feature.icon] || Icons.star;
+                return (
+                  <div key={i} className="paywall-feature">
+                    <div className="paywall-feature-icon"><FeatureIcon /></div>
+                    <div className="paywall-feature-text">
+                      <h4>{t(`premium.${feature.id}.title`)}</h4>
+                      <p>{t(`premium.${feature.id}.desc`)}</p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="paywall-plans">
+              {(() => {
+                const monthlyPerYear = PREMIUM_CONFIG.PLANS.monthly.priceNum * 12;
+                const yearlySavings = Math.round(((monthlyPerYear - PREMIUM_CONFIG.PLANS.yearly.priceNum) / monthlyPerYear) * 100);
+                return (
+                  <>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'weekly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('weekly')}
+                    >
+                      <p className="paywall-plan-period">{t('premium.weekly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.weekly.price}<span>{t('premium.perWeekShort')}</span></p>
+                    </div>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'monthly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('monthly')}
+                    >
+                      <p className="paywall-plan-period">{t('premium.monthly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.monthly.price}<span>{t('premium.perMonthShort')}</span></p>
+                    </div>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'yearly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('yearly')}
+                    >
+                      <div className="paywall-plan-badge">{t('premium.bestValue')}</div>
+                      <p className="paywall-plan-period">{t('premium.yearly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.yearly.price}<span>{t('premium.perYearShort')}</span></p>
+                      <p className="paywall-plan-savings">{t('premium.save', { percent: yearlySavings })}</p>
+                    </div>
+                  </>
+                );
+              })()}
+            </div>
+
+            <button className="paywall-cta" onClick={handlePurchase}>
+              {t('premium.startTrial')}
+            </button>
+
+            <p className="paywall-terms">
+              {t(`premium.trialTerms.${PREMIUM_CONFIG.PLANS[selectedPlan].period}`, { price: PREMIUM_CONFIG.PLANS[selectedPlan].price })}<br/>
+              <a href="#">{t('premium.terms')}</a> • <a href="#">{t('premium.privacy')}</a>
+            </p>
+
+            <button className="paywall-restore" onClick={restorePurchases}>
+              {t('premium.restore')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
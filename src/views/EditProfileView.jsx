@@ -0,0 +1,65 @@
+import { t } from '../i18n';
+import { saveUserProfile } from '../storage';
+import { Icons } from '../icons';
+
+export default function EditProfileView({ app }) {
+  const { view, setView, userProfile, setUserProfile } = app;
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('settings')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('profile.edit')}</span>
+        </div>
+      </header>
+
+      <div className="settings-view fade-in">
+        <div className="profile-field">
+          <label className="profile-label">{t('profile.name')}</label>
+          <input
+            className="profile-input"
+            type="text"
+            placeholder={t('profileSetup.namePlaceholder')}
+            value={userProfile.name}
+            onChange={(e) => setUserProfile({...userProfile, name: e.target.value})}
+          />
+        </div>
+
+        <div className="profile-field">
+          <label className="profile-label">{t('profileSetup.age')}</label>
+          <input
+            className="profile-input"
+            type="number"
+            placeholder={t('profileSetup.agePlaceholder')}
+            value={userProfile.age}
+            onChange={(e) => setUserProfile({...userProfile, age: e.target.value})}
+          />
+        </div>
+
+        <div className="profile-field">
+          <label className="profile-label">{t('profile.gender')}</label>
+          <div className="profile-gender-options">
+            {['Male', 'Female', 'Other'].map(option => (
+              <button
+                key={option}
+                className={`profile-gender-btn ${userProfile.gender === option ? 'selected' : ''}`}
+                onClick={() => setUserProfile({...userProfile, gender: option})}
+              >
+                {t(`profile.gender.${option}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <button
+          className="primary-btn"
+          style={{marginTop: '24px'}}
+          onClick={() => { saveUserProfile(userProfile); setView('settings'); }}
+        >
+          {t('profile.save')}
+        </button>
+      </div>
+    </div>
+  );
+}
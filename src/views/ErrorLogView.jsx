@@ -0,0 +1,164 @@
+import { ErrorTracker } from '../errorTracker';
+import { Icons } from '../icons';
+
+// ERROR LOG VIEW
+export default function ErrorLogView({ app }) {
+  const {
+    view, setView, errorFilter, setErrorFilter, setExpandedError, expandedError, setErrorStats
+  } = app;
+
+  const errors = ErrorTracker.getErrors(errorFilter);
+  const stats = ErrorTracker.getStats();
+
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diff = now - date;
+
+    if (diff < 60000) return 'Just now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  const copyError = (error) => {
+    const text = `Error: ${error.message}\nType: ${error.type}\nTime: ${error.context.timestamp}\nStack: ${error.stack || 'N/A'}\nContext: ${JSON.stringify(error.context, null, 2)}`;
+    navigator.clipboard.writeText(text);
+    alert('Error details copied to clipboard!');
+  };
+
+  const exportErrors = () => {
+    const data = ErrorTracker.export();
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `achieve-ai-errors-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+  };
+
+  const clearErrors = () => {
+    if (confirm('Clear all error logs?')) {
+      ErrorTracker.clear();
+      setErrorStats(ErrorTracker.getStats());
+    }
+  };
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => { setErrorStats(ErrorTracker.getStats()); setView('settings'); }}><Icons.arrowLeft /></button>
+          <span className="header-title">Error Log</span>
+        </div>
+      </header>
+
+      <div className="error-log-view fade-in">
+        {/* Summary Stats */}
+        <div className="error-summary">
+          <div className="error-stat">
+            <div className={`error-stat-value ${stats.errors > 0 ? 'errors' : 'healthy'}`}>{stats.errors}</div>
+            <div className="error-stat-label">Errors</div>
+          </div>
+          <div className="error-stat">
+            <div className={`error-stat-value ${stats.warnings > 0 ? 'warnings' : 'healthy'}`}>{stats.warnings}</div>
+            <div className="error-stat-label">Warnings</div>
+          </div>
+          <div className="error-stat">
+            <div className="error-stat-value healthy">{stats.total}</div>
+            <div className="error-stat-label">Total</div>
+          </div>
+        </div>
+
+        {stats.total === 0 ? (
+          <div className="error-empty">
+            <div className="error-empty-icon"><Icons.shield /></div>
+            <h3 className="error-empty-title">All Clear!</h3>
+            <p className="error-empty-text">No errors or warnings have been logged. Your app is running smoothly.</p>
+          </div>
+        ) : (
+          <>
+            {/* Filters */}
+            <div className="error-filters">
+              {[
+                { key: 'all', label: 'All', count: stats.total },
+                { key: 'error', label: 'Errors', count: stats.errors },
+                { key: 'warning', label: 'Warnings', count: stats.warnings },
+                { key: 'info', label: 'Info', count: stats.info },
+              ].map(f => (
+                <button
+                  key={f.key}
+                  className={`error-filter ${errorFilter === f.key ? 'active' : ''}`}
+                  onClick={() => setErrorFilter(f.key)}
+                >
+                  {f.label}
+                  {f.count > 0 && <span className="error-filter-count">{f.count}</span>}
+                </button>
+              ))}
+            </div>
+
+            {/* Error List */}
+            <div className="error-list">
+              {errors.map(error => (
+                <div key={error.id} className="error-item">
+                  <div className="error-item-header" onClick={() => setExpandedError(expandedError === error.id ? null : error.id)}>
+                    <div className={`error-item-icon ${error.type}`}>
+                      {error.type === 'error' ? <Icons.alertTriangle /> :
+                       error.type === 'warning' ? <Icons.alertTriangle /> :
+                       <Icons.info />}
+                    </div>
+                    <div className="error-item-content">
+                      <p className="error-item-message">{error.message.slice(0, 100)}{error.message.length > 100 ? '...' : ''}</p>
+                      <div className="error-item-meta">
+                        <span style={{textTransform: 'capitalize', color: error.type === 'error' ? 'var(--red)' : error.type === 'warning' ? 'var(--orange)' : 'var(--accent)'}}>{error.type}</span>
+                        <span className="error-item-time">{formatTime(error.context.timestamp)}</span>
+                      </div>
+                    </div>
+                    <span className={`error-item-expand ${expandedError === error.id ? 'open' : ''}`}>
+                      <Icons.chevronRight style={{transform: 'rotate(90deg)'}} />
+                    </span>
+                  </div>
+
+                  {expandedError === error.id && (
+                    <div className="error-item-details">
+                      <div className="error-detail-section">
+                        <div className="error-detail-label">Full Message</div>
+                        <div className="error-detail-code">{error.message}</div>
+                      </div>
+
+                      {error.stack && (
+                        <div className="error-detail-section">
+                          <div className="error-detail-label">Stack Trace</div>
+                          <div className="error-detail-code">{error.stack}</div>
+                        </div>
+                      )}
+
+                      <div className="error-detail-section">
+                        <div className="error-detail-label">Context</div>
+                        <div className="error-detail-code">{JSON.stringify(error.context, null, 2)}</div>
+                      </div>
+
+                      <button className="error-copy-btn" onClick={() => copyError(error)}>
+                        <Icons.copy /> Copy Error Details
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            {/* Actions */}
+            <div className="error-actions">
+              <button className="error-action-btn" onClick={exportErrors}>
+                <Icons.arrowRight style={{transform: 'rotate(-45deg)'}} /> Export
+              </button>
+              <button className="error-action-btn danger" onClick={clearErrors}>
+                <Icons.trash /> Clear All
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,1071 @@
+import React from 'react';
+import { MESSAGES, t, formatDate, categoryLabel } from '../i18n';
+import { Icons } from '../icons';
+import { PREMIUM_CONFIG } from '../premium';
+import { exportGoal } from '../backup';
+import { isSubtaskDone, getStepBlockers, getPlanPhases } from '../plan';
+import {
+  HABIT_HISTORY, isHabit, toDateKey, fromDateKey, describeHabitFrequency, habitStage,
+  getHabitPeriods, getHabitStreak, getHabitCompletion
+} from '../habits';
+import { FEASIBILITY_WARNINGS, formatMinutes } from '../planner';
+import { MarkdownText } from '../components';
+
+// GOAL DETAIL
+export default function GoalDetailView({ app }) {
+  const {
+    view, setView, goals, activeGoal, showCelebration, setShowCelebration, theme, setEditModal,
+    editModal, setReplanModal, replanModal, feasibility, expandModal, setExpandModal, expandedSteps,
+    doItForMeModal, savedDoItForMe, shareModal, setShareModal, shareCard, isPremium, showPaywall,
+    setShowPaywall, selectedPlan, setSelectedPlan, doItForMeUsesToday, expandUsesToday,
+    showAclioChat, aclioMessage, setAclioMessage, aclioLoading, aclioChatHistory, toggleTheme,
+    expandStep, saveExpandedContent, canDoItForMe, doItForMe, cancelDoItForMe, closeDoItForMe,
+    saveDoItForMeResult, copyDoItForMeResult, downloadDoItForMeResult, sendAclioMessage,
+    setChatActionStatus, applyChatAction, describeChatAction, cancelAclioMessage, closeAclioChat,
+    openAclioChat, aclioGreeting, shareGoal, shareCardImage, createShareLink, shareToTwitter,
+    shareToWhatsApp, copyShareLink, trackDoItForMeUse, trackExpandUse, handlePremiumFeature,
+    handlePurchase, restorePurchases, updateGoal, updateStep, requestReplan, getReplanChanges,
+    toggleReplanChange, applyReplan, getDueDateStatus, toggleStep, toggleSubtask, toggleCheckIn,
+    deleteGoal, getProgress, getNextStep, compressPlan, crisisSupportSheet, queuedRequests,
+    retryQueuedRequest, offlineBanner
+  } = app;
+
+  const goal = goals.find(g => g.id === activeGoal.id) || activeGoal;
+  const progress = getProgress(goal);
+  const dueDateInfo = getDueDateStatus(goal.dueDate);
+  const habit = isHabit(goal) ? goal.habit : null;
+  const deadlineCheck = goal.dueDate && !habit ? feasibility[goal.id]?.result : null;
+  // Only plans with dependencies mark which steps are ready - otherwise every step is
+  const hasDependencies = goal.steps.some(s => s.blockedBy?.length > 0);
+  // Requests waiting for a connection (or turned down on the way back) for this goal and its steps
+  const goalRequest = goal.pending && queuedRequests.find(r => r.type === 'create_goal' && r.payload.goalId === goal.id);
+  const queuedFor = (type, stepId) => queuedRequests.find(r => r.type === type && r.payload.goalId === goal.id && r.payload.step?.id === stepId);
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('dashboard')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('detail.title')}</span>
+        </div>
+        <div className="header-right">
+          <button className="header-icon" onClick={toggleTheme} title={theme === 'dark' ? t('common.lightMode') : t('common.darkMode')}>
+            {theme === 'dark' ? <Icons.sun /> : <Icons.moon />}
+          </button>
+          <button className="goal-share-btn" onClick={() => handlePremiumFeature('share', () => shareGoal(goal))} title={isPremium ? t('detail.share') : t('common.premiumFeature')}>
+            <Icons.share />
+          </button>
+          <button className="header-icon" onClick={() => setEditModal({ type: 'goal', goalId: goal.id, data: { name: goal.name, dueDate: goal.dueDate || '', type: goal.type || 'plan', ...(goal.habit ? { habit: goal.habit } : {}) } })}>
+            <Icons.edit />
+          </button>
+        </div>
+      </header>
+      {offlineBanner}
+      <div className="detail-view fade-in">
+        {/* Goal Summary Card */}
+        <div className="goal-summary-card">
+          <div className="goal-summary-header">
+            <div className="goal-summary-icon">
+              {goal.iconKey && Icons[goal.iconKey] ? '' : '🎯'}
+              {Icons[goal.iconKey] && ''}
+            </div>
+            <div className="goal-summary-info">
+              <h2 className="goal-summary-title">{goal.name}</h2>
+              <p className="goal-summary-meta">
+                {goal.category ? categoryLabel(goal.category) : t('goal.personal')} • {goal.dueDate ? formatDate(fromDateKey(goal.dueDate)) : goal.createdAt ? formatDate(goal.createdAt) : t('detail.recently')}
+              </p>
+                </div>
+            </div>
+
+          {habit ? (() => {
+            const today = toDateKey(new Date());
+            const checkedInToday = (goal.checkIns || []).includes(today);
+            const stage = habitStage(habit);
+            const periods = getHabitPeriods(goal);
+            const current = periods.at(-1) || { done: 0, needed: stage.timesPerPeriod };
+            const habitStreak = getHabitStreak(goal);
+            const completion = getHabitCompletion(goal);
+            return (
+              <div className="habit-panel">
+                <p className="habit-rule">
+                  {describeHabitFrequency(stage)} • {stage.target}
+                  {stage.rampingUp && <span className="habit-rampup-tag">{t('habit.rampUpWeek', { week: stage.week })}</span>}
+                </p>
+
+                <div className="goal-progress-row">
+                  <span className="goal-progress-label">{t(`habit.doneThis.${habit.period}`, { done: current.done, count: current.needed })}</span>
+                  <span className="goal-progress-value">{progress}%</span>
+                </div>
+                <div className="goal-progress-bar">
+                  <div className="goal-progress-fill" style={{width: `${progress}%`}} />
+                </div>
+
+                <button className={`habit-checkin-btn ${checkedInToday ? 'done' : ''}`} onClick={() => toggleCheckIn(goal.id, today)}>
+                  <Icons.check /> {checkedInToday ? t('habit.checkedIn') : t('habit.checkIn')}
+                </button>
+
+                <div className="habit-stats">
+                  <div className="habit-stat">
+                    <span className="habit-stat-value">{habitStreak.current}</span>
+                    <span className="habit-stat-label">{t(`habit.streakLabel.${habit.period}`)}</span>
+                  </div>
+                  <div className="habit-stat">
+                    <span className="habit-stat-value">{habitStreak.best}</span>
+                    <span className="habit-stat-label">{t('habit.best')}</span>
+                  </div>
+                  <div className="habit-stat">
+                    <span className="habit-stat-value">{completion.rate === null ? '–' : `${completion.rate}%`}</span>
+                    <span className="habit-stat-label">{t(`habit.last.${habit.period}`, { count: HABIT_HISTORY[habit.period] })}</span>
+                  </div>
+                </div>
+
+                {/* Recent periods, oldest first - tap a past day to fix a missed check-in */}
+                <div className="habit-history">
+                  {periods.slice(-14).map(p => (
+                    <button
+                      key={p.start.getTime()}
+                      className={`habit-history-cell ${p.met ? 'met' : p.done > 0 ? 'partial' : ''} ${p.current ? 'current' : ''}`}
+                      title={`${formatDate(p.start)}: ${p.done}/${p.needed}`}
+                      onClick={() => habit.period === 'day' && toggleCheckIn(goal.id, toDateKey(p.start))}
+                    />
+                  ))}
+                </div>
+
+                {habit.rampUp?.length > 0 && (
+                  <div className="habit-rampup">
+                    {habit.rampUp.map((s, i) => (
+                      <p key={s.week} className={`habit-rampup-stage ${stage.rampingUp && stage.week >= s.week && stage.week < (habit.rampUp[i + 1]?.week ?? s.week + 1) ? 'active' : ''}`}>
+                        {t('habit.week', { week: s.week })}: {describeHabitFrequency({ period: habit.period, timesPerPeriod: s.timesPerPeriod || habit.timesPerPeriod })} • {s.target}
+                      </p>
+                    ))}
+                    <p className={`habit-rampup-stage ${!stage.rampingUp ? 'active' : ''}`}>
+                      {t('habit.then')}: {describeHabitFrequency(habit)} • {habit.target}
+                    </p>
+                  </div>
+                )}
+              </div>
+            );
+          })() : !goal.pending && (
+          <div className="goal-summary-progress">
+            <div className="goal-progress-row">
+              <span className="goal-progress-label">{t('detail.stepsCompleted', { done: goal.completedSteps.length, count: goal.steps.length })}</span>
+              <span className="goal-progress-value">{progress}%</span>
+          </div>
+            <div className="goal-progress-bar">
+              <div className="goal-progress-fill" style={{width: `${progress}%`}} />
+            </div>
+            </div>
+          )}
+
+          {deadlineCheck && deadlineCheck.status !== 'done' && (() => {
+            const dueLabel = formatDate(fromDateKey(goal.dueDate), { month: 'short', day: 'numeric' });
+            const workLeft = formatMinutes(deadlineCheck.effort.expected);
+            if (!FEASIBILITY_WARNINGS.includes(deadlineCheck.status)) {
+              return (
+                <p className="feasibility-ok">
+                  <Icons.check /> {t('feasibility.onTrack', { work: workLeft, available: formatMinutes(deadlineCheck.available), date: dueLabel })}
+                </p>
+              );
+            }
+            const suggested = deadlineCheck.suggestedDueDate;
+            return (
+              <div className={`feasibility-card ${deadlineCheck.status}`}>
+                <p className="feasibility-title">
+                  <Icons.alertTriangle />
+                  {t(`feasibility.title.${deadlineCheck.status}`)}
+                </p>
+                <p className="feasibility-text">
+                  {deadlineCheck.status === 'overdue'
+                    ? t('feasibility.overdueText', { work: workLeft, count: deadlineCheck.remainingSteps })
+                    : t('feasibility.tightText', { work: workLeft, perDay: formatMinutes(deadlineCheck.perDay), available: formatMinutes(deadlineCheck.available), date: dueLabel })}
+                </p>
+                <div className="feasibility-actions">
+                  {deadlineCheck.status !== 'overdue' && (
+                    <button className="feasibility-btn" onClick={() => compressPlan(goal, deadlineCheck)}>
+                      <Icons.refresh /> {t('feasibility.compress')}
+                    </button>
+                  )}
+                  {suggested && (
+                    <button className="feasibility-btn" onClick={() => updateGoal(goal.id, { dueDate: suggested })}>
+                      <Icons.calendar /> {t('feasibility.moveTo', { date: formatDate(fromDateKey(suggested), { month: 'short', day: 'numeric' }) })}
+                    </button>
+                  )}
+                </div>
+                <button className="feasibility-link" onClick={() => setView('planner')}>{t('feasibility.changeTime')}</button>
+              </div>
+            );
+          })()}
+
+          {goal.pending && (
+            <div className={`pending-card ${goalRequest?.error ? 'failed' : ''}`}>
+              <p className="pending-card-title"><Icons.clock /> {goalRequest?.error ? t('offline.goalFailed') : t('offline.goalWaiting')}</p>
+              <p className="pending-card-text">{goalRequest?.error || t('offline.goalWaitingText')}</p>
+              {goalRequest?.error && (
+                <button className="feasibility-btn" onClick={() => retryQueuedRequest(goalRequest)}>
+                  <Icons.refresh /> {t('common.tryAgain')}
+                </button>
+              )}
+            </div>
+          )}
+
+          {!goal.pending && (
+            <button
+              className="talk-to-aclio-btn"
+              onClick={() => handlePremiumFeature('chat', () => openAclioChat(goal))}
+            >
+              {t('chat.talkToAclio')} {!isPremium && <Icons.crown style={{width: '14px', height: '14px', marginLeft: '4px'}} />}
+            </button>
+          )}
+
+          {!goal.pending && (habit ? getNextStep(goal) : progress < 100) && (
+            <button
+              className="replan-btn"
+              onClick={() => setReplanModal({ goalId: goal.id, feedback: '', loading: false, error: '', plan: null, rejected: {} })}
+            >
+              <Icons.refresh /> {t('replan.button')}
+            </button>
+          )}
+        </div>
+
+        {!goal.pending && <h3 className="action-steps-title">{habit ? t('detail.gettingStarted') : t('detail.actionSteps')}</h3>}
+        <div className="steps-list">
+          {getPlanPhases(goal).map(({ phase, steps }) => {
+            const phaseDone = steps.filter(s => goal.completedSteps.includes(s.id)).length;
+            return (
+            <React.Fragment key={phase ? phase.id : 'steps'}>
+              {phase && (
+                <div className={`phase-header ${phaseDone === steps.length ? 'done' : ''}`}>
+                  <div className="phase-header-row">
+                    <span className="phase-label">{t('detail.phase', { number: goal.phases.indexOf(phase) + 1 })}</span>
+                    <span className="phase-count">{phaseDone}/{steps.length}</span>
+                  </div>
+                  <h4 className="phase-title">{phase.title}</h4>
+                  {phase.milestone && (
+                    <p className="phase-milestone">{phaseDone === steps.length ? <Icons.check /> : <Icons.target />} {phase.milestone}</p>
+                  )}
+                </div>
+              )}
+              {steps.map(step => {
+                const isDone = goal.completedSteps.includes(step.id);
+                const blockers = getStepBlockers(goal, step);
+                const expandQueued = queuedFor('expand', step.id);
+                const doItQueued = queuedFor('doitforme', step.id);
+                return (
+                  <div key={step.id} className={`step-item slide-up ${isDone ? 'done' : ''} ${blockers.length > 0 ? 'blocked' : ''}`} style={{animationDelay: `${goal.steps.indexOf(step)*0.05}s`}}>
+                    <div className="step-check" onClick={() => toggleStep(goal.id, step.id)}>{isDone && <Icons.check />}</div>
+                    <div className="step-body">
+                      <div onClick={() => toggleStep(goal.id, step.id)}>
+                        <h4 className="step-title">
+                          <span className="step-title-prefix">{t('detail.stepPrefix', { id: step.id })} </span>
+                          {step.title}
+                        </h4>
+                      <p className="step-desc">{step.description}</p>
+                      </div>
+                      {step.subtasks?.length > 0 && (
+                        <div className="subtask-list">
+                          {step.subtasks.map(sub => {
+                            const subDone = isDone || isSubtaskDone(goal, step.id, sub.id);
+                            return (
+                              <button
+                                key={sub.id}
+                                className={`subtask-item ${subDone ? 'done' : ''}`}
+                                onClick={(e) => { e.stopPropagation(); toggleSubtask(goal.id, step.id, sub.id); }}
+                              >
+                                <span className="subtask-check">{subDone && <Icons.check />}</span>
+                                {sub.title}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      )}
+                      <div className="step-meta-row">
+                        <span className="step-dur"><Icons.clock /> {step.duration}</span>
+                        {!isDone && (blockers.length > 0 ? (
+                          <span className="step-status waiting">{t('detail.waitingOn', { steps: blockers.map(b => t('chatAction.step', { id: b.id })).join(', ') })}</span>
+                        ) : hasDependencies && (
+                          <span className="step-status ready">{t('detail.ready')}</span>
+                        ))}
+                      </div>
+                      {!isDone && (
+                        <div className="step-actions-row">
+                        <button
+                            className={`step-action-btn expand ${expandQueued ? 'queued' : expandedSteps[`${goal.id}-${step.id}`] ? 'done' : ''}`}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            if (expandedSteps[`${goal.id}-${step.id}`] || expandQueued) {
+                              expandStep(goal.id, step, goal.name);
+                            } else {
+                              handlePremiumFeature('expand', () => {
+                                trackExpandUse();
+                                expandStep(goal.id, step, goal.name);
+                              });
+                            }
+                          }}
+                        >
+                            <Icons.sparkles />
+                            {expandQueued ? (expandQueued.error ? t('offline.requestFailed') : t('offline.queued')) : expandedSteps[`${goal.id}-${step.id}`] ? t('detail.viewDetails') : t('detail.expand')}
+                            {!isPremium && !expandedSteps[`${goal.id}-${step.id}`] && !expandQueued && (
+                              <span className="step-action-count">({PREMIUM_CONFIG.FREE_EXPAND_DAILY - expandUsesToday})</span>
+                          )}
+                        </button>
+                        {canDoItForMe(step.title, step.description) && (
+                          <button
+                              className={`step-action-btn doitforme ${doItQueued ? 'queued' : savedDoItForMe[`${goal.id}-${step.id}`] ? 'done' : ''}`}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (savedDoItForMe[`${goal.id}-${step.id}`] || doItQueued) {
+                                doItForMe(goal.id, step, goal.name);
+                              } else {
+                                handlePremiumFeature('doitforme', () => {
+                                  trackDoItForMeUse();
+                                  doItForMe(goal.id, step, goal.name);
+                                });
+                              }
+                            }}
+                          >
+                              <Icons.wand />
+                              {doItQueued ? (doItQueued.error ? t('offline.requestFailed') : t('offline.queued')) : savedDoItForMe[`${goal.id}-${step.id}`] ? t('detail.viewResult') : t('detail.doItForMe')}
+                              {!isPremium && !savedDoItForMe[`${goal.id}-${step.id}`] && !doItQueued && (
+                                <span className="step-action-count">({PREMIUM_CONFIG.FREE_DOITFORME_DAILY - doItForMeUsesToday})</span>
+                            )}
+                          </button>
+                        )}
+                        {step.mapSearch && (
+                          <button
+                            className="step-action-btn nearby"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              window.open(`https://www.google.com/maps/search/${encodeURIComponent(step.mapSearch)}`, '_blank');
+                            }}
+                          >
+                            <Icons.mapPin /> {t('detail.nearby')}
+                          </button>
+                        )}
+                      </div>
+                      )}
+                    </div>
+                    {isDone && (
+                      <div className="step-done-icon">
+                        <Icons.check />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </React.Fragment>
+            );
+          })}
+        </div>
+        <div className="goal-export">
+          <span className="goal-export-label">{t('detail.export')}</span>
+          <button className="goal-export-btn" onClick={() => exportGoal(goal, 'markdown')}><Icons.fileText /> {t('detail.exportChecklist')}</button>
+          <button className="goal-export-btn" onClick={() => exportGoal(goal, 'csv')}><Icons.download /> CSV</button>
+          <button className="goal-export-btn" onClick={() => exportGoal(goal, 'ics')}><Icons.calendar /> {t('detail.exportCalendar')}</button>
+        </div>
+        <button className="delete-btn" onClick={() => deleteGoal(goal.id)}>{t('detail.delete')}</button>
+      </div>
+
+      {showCelebration && (
+        <div className="modal-overlay">
+          <div className="modal-card fade-in">
+            <div className="modal-emoji" style={{fontSize: '56px'}}>🎉</div>
+            <h2 className="modal-title">{t('celebration.title')}</h2>
+            <p className="modal-text">{t('celebration.text')}</p>
+            <div style={{display: 'flex', flexDirection: 'column', gap: '12px', marginTop: '20px'}}>
+              <button className="primary-btn" style={{background: 'linear-gradient(135deg, #667eea, #764ba2)'}} onClick={() => { setShowCelebration(false); shareGoal(goal); }}>
+                <Icons.share /> {t('celebration.share')}
+              </button>
+              <button className="modal-btn" style={{background: 'var(--border)', color: 'var(--text)'}} onClick={() => { setShowCelebration(false); setView('dashboard'); }}>
+                {t('celebration.back')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Do It For Me Modal - Full Page */}
+      {doItForMeModal && (
+        <div className="doitforme-modal">
+          <div className="doitforme-modal-content fade-in">
+            <div className="doitforme-modal-header">
+              <button className="header-back" onClick={closeDoItForMe}><Icons.arrowLeft /></button>
+              <div className="doitforme-modal-icon"><Icons.wand /></div>
+              <div style={{flex: 1, minWidth: 0}}>
+                <h2 className="doitforme-modal-title" style={{overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>{doItForMeModal.step?.title}</h2>
+                <p className="doitforme-modal-subtitle">{t('doItForMe.subtitle')}</p>
+              </div>
+            </div>
+
+            <div className="doitforme-modal-body">
+              {doItForMeModal.loading ? (
+                <div className="doitforme-loading">
+                  <div className="doitforme-loading-icon"><span className="spin">◌</span></div>
+                  <p className="doitforme-loading-text">{t('doItForMe.working')}</p>
+                  <p className="doitforme-loading-subtext">{t('doItForMe.creating', { title: doItForMeModal.step?.title })}</p>
+                  <button className="doitforme-stop-btn" onClick={cancelDoItForMe}>
+                    <Icons.x /> {t('common.cancel')}
+                  </button>
+                </div>
+              ) : doItForMeModal.error ? (
+                <div style={{textAlign: 'center', padding: '40px 20px'}}>
+                  <p style={{color: 'var(--red)', marginBottom: '16px'}}>{doItForMeModal.error}</p>
+                  <button className="primary-btn" style={{maxWidth: '200px', margin: '0 auto'}} onClick={() => doItForMe(doItForMeModal.goalId, doItForMeModal.step, doItForMeModal.goalName)}>
+                    {t('common.tryAgain')}
+                  </button>
+                </div>
+              ) : doItForMeModal.result ? (
+                <>
+                  {savedDoItForMe[`${doItForMeModal.goalId}-${doItForMeModal.stepId}`] && (
+                    <div className="doitforme-saved-badge">
+                      <Icons.check /> {t('doItForMe.saved')}
+                    </div>
+                  )}
+                  {doItForMeModal.cancelled && (
+                    <div className="doitforme-saved-badge cancelled">
+                      <Icons.x /> {t('doItForMe.stoppedEarly')}
+                    </div>
+                  )}
+                  <div className={`doitforme-result ${doItForMeModal.streaming ? 'streaming' : ''}`}>
+                    <MarkdownText text={doItForMeModal.result} />
+                  </div>
+                </>
+              ) : null}
+            </div>
+
+            {doItForMeModal.streaming && (
+              <div className="doitforme-modal-footer">
+                <button className="doitforme-action-btn" onClick={cancelDoItForMe}>
+                  <Icons.x /> {t('doItForMe.stop')}
+                </button>
+              </div>
+            )}
+
+            {!doItForMeModal.loading && !doItForMeModal.streaming && doItForMeModal.result && (
+              <div className="doitforme-modal-footer">
+                <button className="doitforme-action-btn" onClick={copyDoItForMeResult}>
+                  <Icons.copy /> {t('common.copy')}
+                </button>
+                <button className="doitforme-action-btn" onClick={downloadDoItForMeResult}>
+                  <Icons.download /> {t('common.download')}
+                </button>
+                {doItForMeModal.cancelled ? (
+                  <button className="doitforme-action-btn primary" onClick={() => doItForMe(doItForMeModal.goalId, doItForMeModal.step, doItForMeModal.goalName)}>
+                    <Icons.refresh /> {t('common.tryAgain')}
+                  </button>
+                ) : !savedDoItForMe[`${doItForMeModal.goalId}-${doItForMeModal.stepId}`] && (
+                  <button className="doitforme-action-btn primary" onClick={saveDoItForMeResult}>
+                    <Icons.bookmark /> {t('common.save')}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Expand Modal - Full Page */}
+      {expandModal && (
+        <div className="expand-modal">
+          <div className="expand-modal-content fade-in">
+            <div className="expand-modal-header">
+              <div className="header-left">
+                <button className="header-back" onClick={() => setExpandModal(null)}><Icons.arrowLeft /></button>
+                <h2 className="expand-modal-title">{expandModal.step?.title || t('expand.title')}</h2>
+              </div>
+            </div>
+
+            <div className="expand-modal-body">
+              {expandModal.loading ? (
+                <div className="expand-loading">
+                  <div className="expand-loading-spinner spin">◌</div>
+                  <p className="expand-loading-text">{t('expand.loading')}</p>
+                </div>
+              ) : expandModal.error ? (
+                <div style={{textAlign: 'center', padding: '40px 20px'}}>
+                  <p style={{color: 'var(--red)', marginBottom: '16px'}}>{expandModal.error}</p>
+                  <button className="primary-btn" style={{maxWidth: '200px', margin: '0 auto'}} onClick={() => expandStep(expandModal.goalId, expandModal.step, expandModal.goalName)}>
+                    {t('common.tryAgain')}
+                  </button>
+                </div>
+              ) : expandModal.content ? (
+                <>
+                  {/* Detailed Guide */}
+                  <div className="expand-section">
+                    <h3 className="expand-section-title"><Icons.book /> {t('expand.guide')}</h3>
+                    <p className="expand-text" style={{whiteSpace: 'pre-line'}}>{expandModal.content.detailedGuide}</p>
+                  </div>
+
+                  {/* Resources */}
+                  {expandModal.content.resources?.length > 0 && (
+                    <div className="expand-section">
+                      <h3 className="expand-section-title"><Icons.link /> {t('expand.resources')}</h3>
+                      {expandModal.content.resources.map((resource, i) => (
+                        <a
+                          key={i}
+                          href={resource.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="expand-resource"
+                        >
+                          <div className="expand-resource-icon">
+                            {resource.type === 'video' ? <Icons.star /> :
+                             resource.type === 'course' ? <Icons.book /> :
+                             resource.type === 'app' ? <Icons.code /> :
+                             <Icons.externalLink />}
+                          </div>
+                          <div className="expand-resource-info">
+                            <p className="expand-resource-name">{resource.name}</p>
+                            <p className="expand-resource-desc">{resource.description}</p>
+                            <p className="expand-resource-meta">
+                              <span style={{textTransform: 'capitalize'}}>{MESSAGES.en[`resource.${resource.type}`] ? t(`resource.${resource.type}`) : resource.type}</span>
+                              {resource.cost && <> • {resource.cost}</>}
+                            </p>
+                          </div>
+                        </a>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Tips */}
+                  {expandModal.content.tips?.length > 0 && (
+                    <div className="expand-section">
+                      <h3 className="expand-section-title"><Icons.zap /> {t('expand.tips')}</h3>
+                      {expandModal.content.tips.map((tip, i) => (
+                        <div key={i} className="expand-tip">
+                          <span className="expand-tip-icon"><Icons.star /></span>
+                          <p className="expand-tip-text">{tip}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Search for more */}
+                  {expandModal.content.searchQuery && (
+                    <div className="expand-section">
+                      <a
+                        href={`https://www.google.com/search?q=${encodeURIComponent(expandModal.content.searchQuery)}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{
+                          display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px',
+                          padding: '14px', background: 'var(--bg)', border: '1px dashed var(--border)',
+                          borderRadius: '12px', color: 'var(--text-dim)', textDecoration: 'none',
+                          fontSize: '14px', fontWeight: '500'
+                        }}
+                      >
+                        <Icons.search /> {t('expand.searchMore')}
+                      </a>
+                    </div>
+                  )}
+                </>
+              ) : null}
+            </div>
+
+            {!expandModal.loading && expandModal.content && (
+              <div className="expand-modal-footer">
+                {expandModal.step && (
+                  <button className="edit-btn-cancel" onClick={() => handlePremiumFeature('expand', () => {
+                    trackExpandUse();
+                    expandStep(expandModal.goalId, expandModal.step, expandModal.goalName, { regenerate: true });
+                  })}>
+                    <Icons.refresh style={{width: '16px', height: '16px', marginRight: '6px'}} /> {t('expand.regenerate')}
+                  </button>
+                )}
+                {!expandedSteps[`${expandModal.goalId}-${expandModal.stepId}`] && (
+                  <button className="edit-btn-save" style={{flex: 1}} onClick={saveExpandedContent}>
+                    <Icons.bookmark style={{width: '16px', height: '16px', marginRight: '6px'}} /> {t('expand.save')}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Talk to Aclio Chat Modal */}
+      {showAclioChat && (
+        <div className="aclio-chat-modal" onClick={closeAclioChat}>
+          <div className="aclio-chat-content" onClick={e => e.stopPropagation()}>
+            <div className="aclio-chat-header">
+              <div className="aclio-chat-avatar">
+                <img src="/mascot.png" alt="Aclio" style={{width: '100%', height: '100%', objectFit: 'contain'}} />
+              </div>
+              <div>
+                <h2 className="aclio-chat-title">{t('chat.talkToAclio')}</h2>
+                <p className="aclio-chat-subtitle">{t('chat.subtitle')}</p>
+              </div>
+              <button className="aclio-chat-close" onClick={closeAclioChat}><Icons.x /></button>
+            </div>
+
+            <div className="aclio-chat-messages">
+              <div className="aclio-message assistant">
+                <div className="aclio-message-avatar">🎯</div>
+                <div className="aclio-message-bubble">{aclioGreeting(goal)}</div>
+              </div>
+              {aclioChatHistory.map((msg, i) => (
+                <div key={i} className={`aclio-message ${msg.role}`}>
+                  {msg.role === 'assistant' && (
+                    <div className="aclio-message-avatar">🎯</div>
+                  )}
+                  <div className="aclio-message-body">
+                    {(msg.content || !msg.actions?.length) && (
+                      <div className={`aclio-message-bubble ${msg.streaming ? 'streaming' : ''}`}>
+                        {msg.role === 'assistant' ? <MarkdownText text={msg.content} /> : msg.content}
+                      </div>
+                    )}
+                    {msg.actions?.map(action => {
+                      const { title, lines } = describeChatAction(goal, action);
+                      return (
+                        <div key={action.id} className={`aclio-action-card ${action.status}`}>
+                          <p className="aclio-action-title">{title}</p>
+                          {lines.length > 0 && (
+                            <ul className="aclio-action-lines">
+                              {lines.map((line, j) => <li key={j}>{line}</li>)}
+                            </ul>
+                          )}
+                          {action.status === 'pending' ? (
+                            <div className="aclio-action-buttons">
+                              <button className="aclio-action-btn dismiss" onClick={() => setChatActionStatus(goal.id, i, action.id, 'dismissed')}>{t('chatAction.dismiss')}</button>
+                              <button className="aclio-action-btn apply" onClick={() => applyChatAction(goal.id, i, action)}>
+                                <Icons.check /> {t('chatAction.apply')}
+                              </button>
+                            </div>
+                          ) : (
+                            <p className="aclio-action-status">{action.status === 'applied' ? t('chatAction.applied') : t('chatAction.dismissed')}</p>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+              {aclioLoading && !aclioChatHistory[aclioChatHistory.length - 1]?.streaming && (
+                <div className="aclio-message assistant">
+                  <div className="aclio-message-avatar">🎯</div>
+                  <div className="aclio-message-bubble">
+                    <span className="aclio-typing">{t('chat.thinking')}<span>.</span><span>.</span><span>.</span></span>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="aclio-chat-input-container">
+              <input
+                className="aclio-chat-input"
+                type="text"
+                placeholder={t('chat.placeholder')}
+                value={aclioMessage}
+                onChange={(e) => setAclioMessage(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && !aclioLoading && sendAclioMessage(goal)}
+                disabled={aclioLoading}
+              />
+              {aclioLoading ? (
+                <button className="aclio-chat-send stop" onClick={cancelAclioMessage} title={t('chat.stop')}>
+                  <Icons.x />
+                </button>
+              ) : (
+                <button
+                  className="aclio-chat-send"
+                  onClick={() => sendAclioMessage(goal)}
+                  disabled={!aclioMessage.trim()}
+                >
+                  <Icons.send />
+                </button>
+              )}
+            </div>
+
+            <div className="aclio-quick-prompts">
+              {['moreSteps', 'help', 'next'].map(prompt => (
+                <button key={prompt} onClick={() => { setAclioMessage(t(`chat.prompt.${prompt}.message`)); }}>{t(`chat.prompt.${prompt}`)}</button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Edit Modal */}
+      {editModal && (
+        <div className="edit-modal" onClick={() => setEditModal(null)}>
+          <div className="edit-modal-content" onClick={e => e.stopPropagation()}>
+            <div className="edit-modal-header">
+              <h2 className="edit-modal-title">{editModal.type === 'goal' ? t('edit.goalTitle') : t('edit.stepTitle')}</h2>
+              <button className="edit-modal-close" onClick={() => setEditModal(null)}><Icons.x /></button>
+            </div>
+
+            {editModal.type === 'goal' && (
+              <>
+                <div className="edit-field">
+                  <label className="edit-label">{t('edit.goalName')}</label>
+                  <input
+                    className="edit-input"
+                    value={editModal.data.name}
+                    onChange={(e) => setEditModal({...editModal, data: {...editModal.data, name: e.target.value}})}
+                  />
+                </div>
+                <div className="edit-field">
+                  <label className="edit-label">{t('edit.dueDate')}</label>
+                  <input
+                    className="edit-input"
+                    type="date"
+                    value={editModal.data.dueDate}
+                    onChange={(e) => setEditModal({...editModal, data: {...editModal.data, dueDate: e.target.value}})}
+                  />
+                </div>
+                <div className="edit-field">
+                  <label className="edit-label">{t('edit.type')}</label>
+                  <div className="chips">
+                    <button className={`chip ${editModal.data.type !== 'habit' ? 'selected' : ''}`} onClick={() => setEditModal({...editModal, data: {...editModal.data, type: 'plan'}})}>{t('newGoal.kind.plan')}</button>
+                    <button
+                      className={`chip ${editModal.data.type === 'habit' ? 'selected' : ''}`}
+                      onClick={() => setEditModal({...editModal, data: {
+                        ...editModal.data,
+                        type: 'habit',
+                        habit: editModal.data.habit || { period: 'week', timesPerPeriod: 3, target: editModal.data.name, rampUp: [], startDate: toDateKey(new Date()) }
+                      }})}
+                    >
+                      {t('newGoal.kind.habit')}
+                    </button>
+                  </div>
+                </div>
+                {editModal.data.type === 'habit' && (() => {
+                  const habit = editModal.data.habit;
+                  const setHabit = (updates) => setEditModal({...editModal, data: {...editModal.data, habit: {...habit, ...updates}}});
+                  return (
+                    <>
+                      <div className="edit-field">
+                        <label className="edit-label">{t('edit.repeat')}</label>
+                        <div className="chips">
+                          <button className={`chip ${habit.period === 'day' ? 'selected' : ''}`} onClick={() => setHabit({ period: 'day', timesPerPeriod: 1 })}>{t('edit.daily')}</button>
+                          <button className={`chip ${habit.period === 'week' ? 'selected' : ''}`} onClick={() => setHabit({ period: 'week', timesPerPeriod: Math.min(habit.timesPerPeriod, 6) || 3 })}>{t('edit.weekly')}</button>
+                        </div>
+                      </div>
+                      {habit.period === 'week' && (
+                        <div className="edit-field">
+                          <label className="edit-label">{t('edit.timesAWeek')}</label>
+                          <input
+                            className="edit-input"
+                            type="number"
+                            min="1"
+                            max="7"
+                            value={habit.timesPerPeriod}
+                            onChange={(e) => setHabit({ timesPerPeriod: Math.min(7, Math.max(1, parseInt(e.target.value, 10) || 1)) })}
+                          />
+                        </div>
+                      )}
+                      <div className="edit-field">
+                        <label className="edit-label">{t('edit.eachTime')}</label>
+                        <input
+                          className="edit-input"
+                          value={habit.target}
+                          placeholder={t('edit.eachTimePlaceholder')}
+                          onChange={(e) => setHabit({ target: e.target.value })}
+                        />
+                      </div>
+                    </>
+                  );
+                })()}
+                <div className="edit-actions">
+                  <button className="edit-btn-cancel" onClick={() => setEditModal(null)}>{t('common.cancel')}</button>
+                  <button className="edit-btn-save" onClick={() => updateGoal(editModal.goalId, editModal.data)}>{t('edit.saveChanges')}</button>
+                </div>
+              </>
+            )}
+
+            {editModal.type === 'step' && (
+              <>
+                <div className="edit-field">
+                  <label className="edit-label">{t('edit.stepName')}</label>
+                  <input
+                    className="edit-input"
+                    value={editModal.data.title}
+                    onChange={(e) => setEditModal({...editModal, data: {...editModal.data, title: e.target.value}})}
+                  />
+                </div>
+                <div className="edit-field">
+                  <label className="edit-label">{t('chatAction.field.description')}</label>
+                  <textarea
+                    className="edit-textarea"
+                    value={editModal.data.description}
+                    onChange={(e) => setEditModal({...editModal, data: {...editModal.data, description: e.target.value}})}
+                  />
+                </div>
+                <div className="edit-field">
+                  <label className="edit-label">{t('chatAction.field.duration')}</label>
+                  <input
+                    className="edit-input"
+                    value={editModal.data.duration}
+                    placeholder={t('edit.durationPlaceholder')}
+                    onChange={(e) => setEditModal({...editModal, data: {...editModal.data, duration: e.target.value}})}
+                  />
+                </div>
+                <div className="edit-actions">
+                  <button className="edit-btn-cancel" onClick={() => setEditModal(null)}>{t('common.cancel')}</button>
+                  <button className="edit-btn-save" onClick={() => updateStep(editModal.goalId, editModal.stepId, editModal.data)}>{t('edit.saveChanges')}</button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Re-plan Modal */}
+      {replanModal && replanModal.goalId === goal.id && (
+        <div className="edit-modal" onClick={() => !replanModal.loading && setReplanModal(null)}>
+          <div className="edit-modal-content" onClick={e => e.stopPropagation()}>
+            <div className="edit-modal-header">
+              <h2 className="edit-modal-title">{replanModal.plan ? t('replan.reviewTitle') : t('replan.title')}</h2>
+              <button className="edit-modal-close" onClick={() => setReplanModal(null)} disabled={replanModal.loading}><Icons.x /></button>
+            </div>
+
+            {!replanModal.plan ? (
+              <>
+                <p className="replan-intro">
+                  {t('replan.intro')}
+                  {goal.dueDate && <> {t('replan.dueDate')} <strong>{formatDate(fromDateKey(goal.dueDate))}</strong>.</>}
+                </p>
+                <div className="edit-field">
+                  <label className="edit-label">{t('replan.whatChanged')}</label>
+                  <textarea
+                    className="edit-textarea"
+                    value={replanModal.feedback}
+                    placeholder={t('replan.placeholder')}
+                    maxLength={500}
+                    onChange={(e) => setReplanModal({ ...replanModal, feedback: e.target.value })}
+                  />
+                </div>
+                {replanModal.error && <p className="replan-error">{replanModal.error}</p>}
+                <div className="edit-actions">
+                  <button className="edit-btn-cancel" onClick={() => setReplanModal(null)} disabled={replanModal.loading}>{t('common.cancel')}</button>
+                  <button className="edit-btn-save" onClick={() => requestReplan(goal)} disabled={!replanModal.feedback.trim() || replanModal.loading}>
+                    {replanModal.loading ? <><span className="spin">◌</span> {t('replan.loading')}</> : t('replan.submit')}
+                  </button>
+                </div>
+              </>
+            ) : (() => {
+              const changes = getReplanChanges(replanModal.plan);
+              const acceptedCount = changes.filter(c => !replanModal.rejected[c.key]).length;
+              return (
+                <>
+                  <p className="replan-intro">{replanModal.plan.summary}</p>
+                  {replanModal.error && <p className="replan-error">{replanModal.error}</p>}
+                  <div className="replan-changes">
+                    {changes.map(change => {
+                      const rejected = !!replanModal.rejected[change.key];
+                      const step = change.after || change.before;
+                      return (
+                        <div key={change.key} className={`replan-change ${change.type} ${rejected ? 'rejected' : ''}`}>
+                          <div className="replan-change-header">
+                            <span className={`replan-change-badge ${change.type}`}>
+                              {t(`replan.change.${change.type}`)}
+                            </span>
+                            <button className="replan-change-toggle" onClick={() => toggleReplanChange(change.key)}>
+                              {rejected ? <><Icons.refresh /> {t('replan.keep')}</> : <><Icons.x /> {t('replan.reject')}</>}
+                            </button>
+                          </div>
+                          {change.type === 'modify' && change.before.title !== change.after.title && (
+                            <p className="replan-change-old">{change.before.title}</p>
+                          )}
+                          <h4 className="replan-change-title">{step.title}</h4>
+                          <p className="replan-change-desc">{step.description}</p>
+                          <span className="step-dur">
+                            <Icons.clock /> {step.duration}
+                            {change.type === 'modify' && change.before.duration !== change.after.duration && (
+                              <span className="replan-change-old"> ({t('replan.was', { duration: change.before.duration })})</span>
+                            )}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="edit-actions">
+                    <button className="edit-btn-cancel" onClick={() => setReplanModal(null)}>{t('replan.discard')}</button>
+                    <button className="edit-btn-save" onClick={() => applyReplan(goal.id)} disabled={acceptedCount === 0}>
+                      {t('replan.apply', { count: acceptedCount })}
+                    </button>
+                  </div>
+                </>
+              );
+            })()}
+          </div>
+        </div>
+      )}
+
+      {/* Share Modal */}
+      {shareModal && (
+        <div className="share-modal" onClick={() => setShareModal(null)}>
+          <div className="share-card-container" onClick={e => e.stopPropagation()}>
+            <button className="share-close" onClick={() => setShareModal(null)}><Icons.x /></button>
+
+            {/* The HTML card stands in while the image renders, or when the server can't be reached */}
+            {shareCard?.url ? (
+              <img className={`share-card-image ${shareModal.size}`} src={shareCard.url} alt={t('share.cardAlt', { name: shareModal.goal.name })} />
+            ) : (
+              <div className="share-card">
+                <div className="share-card-content">
+                  {shareModal.isCompleted && <div className="share-card-confetti">🎉</div>}
+                  <div className="share-card-badge">
+                    {shareModal.isCompleted ? '🏆' : '🎯'}
+                  </div>
+                  <h2 className="share-card-title">
+                    {shareModal.isCompleted ? t('share.achieved') : t('share.working')}
+                  </h2>
+                  <p className="share-card-subtitle">
+                    {shareModal.isCompleted ? t('share.crushed') : t('share.progressing')}
+                  </p>
+                  <div className="share-card-goal">
+                    <p className="share-card-goal-label">{t('share.myGoal')}</p>
+                    <p className="share-card-goal-name">{shareModal.goal.name}</p>
+                  </div>
+                  <div className="share-card-stats">
+                    <div className="share-card-stat">
+                      <p className="share-card-stat-value">{shareModal.goal.steps?.length || 0}</p>
+                      <p className="share-card-stat-label">{t('share.steps')}</p>
+                    </div>
+                    <div className="share-card-stat">
+                      <p className="share-card-stat-value">{getProgress(shareModal.goal)}%</p>
+                      <p className="share-card-stat-label">{t('share.complete')}</p>
+                    </div>
+                    {shareModal.isCompleted && (
+                      <div className="share-card-stat">
+                        <p className="share-card-stat-value">✓</p>
+                        <p className="share-card-stat-label">{t('share.done')}</p>
+                      </div>
+                    )}
+                  </div>
+                  <div className="share-card-logo">
+                    <Icons.target /> Aclio
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="share-card-options">
+              {['light', 'dark'].map(value => (
+                <button key={value} className={`share-option ${shareModal.theme === value ? 'selected' : ''}`} onClick={() => setShareModal(m => ({ ...m, theme: value }))}>
+                  {t(`share.theme.${value}`)}
+                </button>
+              ))}
+              <span className="share-option-divider" />
+              {['square', 'story'].map(value => (
+                <button key={value} className={`share-option ${shareModal.size === value ? 'selected' : ''}`} onClick={() => setShareModal(m => ({ ...m, size: value }))}>
+                  {t(`share.size.${value}`)}
+                </button>
+              ))}
+            </div>
+            {shareCard?.error && <p className="share-link-error">{shareCard.error}</p>}
+
+            <div className="share-link">
+              {shareModal.link ? (
+                <input className="share-link-input" readOnly value={shareModal.link} onFocus={e => e.target.select()} />
+              ) : (
+                <button className="share-btn primary" onClick={createShareLink} disabled={shareModal.linkLoading}>
+                  <Icons.link /> {shareModal.linkLoading ? t('share.creatingLink') : t('share.createLink')}
+                </button>
+              )}
+              {shareModal.linkError && <p className="share-link-error">{shareModal.linkError}</p>}
+              <p className="share-link-hint">
+                {shareModal.link
+                  ? t('share.linkCopied')
+                  : t('share.linkHint')}
+              </p>
+            </div>
+
+            <div className="share-actions">
+              <button className="share-btn download" onClick={shareCardImage} disabled={!shareCard?.blob}>
+                <Icons.download /> {shareCard?.loading ? t('share.preparing') : t('share.image')}
+              </button>
+              <button className="share-btn twitter" onClick={shareToTwitter}>
+                <Icons.twitter /> Twitter
+              </button>
+              <button className="share-btn whatsapp" onClick={shareToWhatsApp}>
+                <Icons.whatsapp /> WhatsApp
+              </button>
+              <button className="share-btn" onClick={copyShareLink}>
+                <Icons.copy /> {t('share.copyText')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Premium Paywall Modal - Goal Detail */}
+      {showPaywall && (
+        <div className="paywall-modal" onClick={() => setShowPaywall(false)}>
+          <div className="paywall-content" onClick={e => e.stopPropagation()}>
+            <button className="paywall-close" onClick={() => setShowPaywall(false)}><Icons.x /></button>
+
+            <div className="paywall-badge">
+              <Icons.crown /> {t('premium.badge')}
+            </div>
+
+            <h2 className="paywall-title">{t('premium.title')}</h2>
+            <p className="paywall-subtitle">{t('premium.subtitle')}</p>
+
+            <div className="paywall-features">
+              {PREMIUM_CONFIG.FEATURES.map((feature, i) => {
+                const FeatureIcon = Icons[feature.icon] || Icons.star;
+                return (
+                  <div key={i} className="paywall-feature">
+                    <div className="paywall-feature-icon"><FeatureIcon /></div>
+                    <div className="paywall-feature-text">
+                      <h4>{t(`premium.${feature.id}.title`)}</h4>
+                      <p>{t(`premium.${feature.id}.desc`)}</p>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="paywall-plans">
+              {(() => {
+                const monthlyPerYear = PREMIUM_CONFIG.PLANS.monthly.priceNum * 12;
+                const yearlySavings = Math.round(((monthlyPerYear - PREMIUM_CONFIG.PLANS.yearly.priceNum) / monthlyPerYear) * 100);
+                return (
+                  <>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'weekly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('weekly')}
+                    >
+                      <p className="paywall-plan-period">{t('premium.weekly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.weekly.price}<span>{t('premium.perWeekShort')}</span></p>
+                    </div>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'monthly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('monthly')}
+                    >
+                      <p className="paywall-plan-period">{t('premium.monthly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.monthly.price}<span>{t('premium.perMonthShort')}</span></p>
+                    </div>
+                    <div
+                      className={`paywall-plan ${selectedPlan === 'yearly' ? 'selected' : ''}`}
+                      onClick={() => setSelectedPlan('yearly')}
+                    >
+                      <div className="paywall-plan-badge">{t('premium.bestValue')}</div>
+                      <p className="paywall-plan-period">{t('premium.yearly')}</p>
+                      <p className="paywall-plan-price">{PREMIUM_CONFIG.PLANS.yearly.price}<span>{t('premium.perYearShort')}</span></p>
+                      <p className="paywall-plan-savings">{t('premium.save', { percent: yearlySavings })}</p>
+                    </div>
+                  </>
+                );
+              })()}
+            </div>
+
+            <button className="paywall-cta" onClick={handlePurchase}>
+              {t('premium.startTrial')}
+            </button>
+
+            <p className="paywall-terms">
+              {t(`premium.trialTerms.${PREMIUM_CONFIG.PLANS[selectedPlan].period}`, { price: PREMIUM_CONFIG.PLANS[selectedPlan].price })}<br/>
+              <a href="#">{t('premium.terms')}</a> • <a href="#">{t('premium.privacy')}</a>
+            </p>
+
+            <button className="paywall-restore" onClick={restorePurchases}>
+              {t('premium.restore')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {crisisSupportSheet}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+import { t, categoryLabel } from '../i18n';
+import { CATEGORY_ICONS, CATEGORY_COLORS, ICON_COLORS } from '../categories';
+import { Icons } from '../icons';
+import { getPlanPhases } from '../plan';
+import { describeHabitFrequency } from '../habits';
+
+export default function ImportView({ app }) {
+  const { view, setView, importPreview, setImportPreview, importPlan } = app;
+
+  const { source, plan, loading: previewLoading, error: previewError } = importPreview || {};
+  const leave = () => {
+    setImportPreview(null);
+    setView(source === 'template' ? 'templates' : 'dashboard');
+  };
+  const category = plan?.category || 'Personal Growth';
+  const IconComponent = Icons[CATEGORY_ICONS[category]] || Icons.target;
+  const colors = CATEGORY_COLORS[category] || ICON_COLORS[0];
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={leave}><Icons.arrowLeft /></button>
+          <span className="header-title">{source === 'template' ? t('import.template') : t('import.shared')}</span>
+        </div>
+      </header>
+
+      <div className="new-goal-view fade-in">
+        {previewLoading && (
+          <div className="questions-loading">
+            <span className="spin" style={{fontSize: '20px', color: 'var(--accent)'}}>◌</span>
+            {t('import.loading')}
+          </div>
+        )}
+
+        {previewError && (
+          <div className="empty-state">
+            <div className="empty-emoji"><Icons.link /></div>
+            <h3 className="empty-title">{t('import.unavailable')}</h3>
+            <p className="empty-text">{previewError}</p>
+          </div>
+        )}
+
+        {plan && (
+          <>
+            <div className="goal-header">
+              <div className="goal-icon-wrap" style={{background: colors.bg, color: colors.color}}>
+                <IconComponent />
+              </div>
+              <div className="goal-info">
+                <h3 className="goal-name">{plan.name}</h3>
+                <p className="goal-category">{categoryLabel(category)} • {t('analytics.stepsDone', { count: plan.steps.length })}</p>
+              </div>
+            </div>
+            {plan.summary && <p className="template-summary">{plan.summary}</p>}
+            {plan.habit && (
+              <p className="import-habit"><Icons.refresh /> {describeHabitFrequency(plan.habit)}: {plan.habit.target}</p>
+            )}
+
+            <div className="import-steps">
+              {getPlanPhases(plan).map(({ phase, steps }) => (
+                <React.Fragment key={phase ? phase.id : 'steps'}>
+                  {phase && (
+                    <div className="phase-header">
+                      <span className="phase-label">{t('detail.phase', { number: plan.phases.indexOf(phase) + 1 })}</span>
+                      <h4 className="phase-title">{phase.title}</h4>
+                      {phase.milestone && <p className="phase-milestone"><Icons.target /> {phase.milestone}</p>}
+                    </div>
+                  )}
+                  {steps.map(step => (
+                    <div key={step.id} className="import-step">
+                      <p className="import-step-title">{plan.steps.indexOf(step) + 1}. {step.title}</p>
+                      {step.description && <p className="import-step-desc">{step.description}</p>}
+                      {step.subtasks && (
+                        <ul className="import-step-subtasks">
+                          {step.subtasks.map(sub => <li key={sub.id}>{sub.title}</li>)}
+                        </ul>
+                      )}
+                      {step.duration && <span className="import-step-duration"><Icons.clock /> {step.duration}</span>}
+                    </div>
+                  ))}
+                </React.Fragment>
+              ))}
+            </div>
+
+            <div className="cta-footer">
+              <p className="cta-hint">{t('import.hint')}</p>
+              <button className="primary-btn" onClick={() => importPlan(plan)}>
+                <Icons.plus /> {t('import.add')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
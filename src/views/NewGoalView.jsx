@@ -0,0 +1,267 @@
+import { t } from '../i18n';
+import { Icons } from '../icons';
+
+// NEW GOAL
+export default function NewGoalView({ app }) {
+  const {
+    view, setView, newGoal, setNewGoal, newGoalDueDate, setNewGoalDueDate, newGoalType,
+    setNewGoalType, goalQuestions, setGoalQuestions, questionsLoading, loading, generationProgress,
+    error, theme, userLocation, locationLoading, toggleTheme, requestLocation, generateQuestions,
+    updateQuestionAnswer, resetGoalForm, createGoal, suggestions, crisisSupportSheet, online,
+    offlineBanner
+  } = app;
+
+  const hasAnsweredQuestions = goalQuestions && Object.keys(goalQuestions.answers).length > 0;
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => { resetGoalForm(); setView('dashboard'); }}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('dashboard.newGoal')}</span>
+        </div>
+        <div className="header-right">
+          <button className="header-icon" onClick={toggleTheme} title={theme === 'dark' ? t('common.lightMode') : t('common.darkMode')}>
+            {theme === 'dark' ? <Icons.sun /> : <Icons.moon />}
+          </button>
+        </div>
+      </header>
+      {offlineBanner}
+      <div className="new-goal-view fade-in">
+        {/* Primary Goal Input */}
+        <div className="input-group">
+          <label className="input-label">{t('newGoal.label')}</label>
+          <input
+            className="goal-input-primary"
+            placeholder={t('newGoal.placeholder')}
+            value={newGoal}
+            onChange={e => { setNewGoal(e.target.value); setGoalQuestions(null); }}
+            disabled={loading}
+            autoFocus
+          />
+          <p className="input-hint">{t('newGoal.hint')}</p>
+        </div>
+
+        {/* AI Questions Button */}
+        {newGoal.trim() && !goalQuestions && !questionsLoading && (
+          <button
+            className="questions-generate-btn"
+            onClick={() => generateQuestions(newGoal)}
+            disabled={loading}
+          >
+            <Icons.sparkles /> {t('newGoal.getQuestions')}
+          </button>
+        )}
+
+        {/* AI Questions Loading */}
+        {questionsLoading && (
+          <div className="questions-section">
+            <div className="questions-loading">
+              <span className="spin" style={{fontSize: '20px', color: 'var(--accent)'}}>◌</span>
+              {t('newGoal.preparingQuestions')}
+            </div>
+          </div>
+        )}
+
+        {/* AI Questions Card */}
+        {goalQuestions && (
+          <div className="questions-section">
+            <div className="questions-header">
+              <div className="questions-icon"><Icons.sparkles /></div>
+              <div className="questions-header-text">
+                <h3 className="questions-title">{t('newGoal.questionsTitle')}</h3>
+                <p className="questions-subtitle">{t('newGoal.questionsSubtitle')}</p>
+                <p className="questions-value-hint">{t('newGoal.questionsHint')}</p>
+              </div>
+            </div>
+
+            <div className="questions-list">
+              {goalQuestions.questions.map((q, i) => (
+                <div key={q.id} className="question-item">
+                  <label className="question-label">
+                    <span className="question-number">{i + 1}</span>
+                    {q.question}
+                  </label>
+                  <input
+                    className="question-input"
+                    placeholder={q.placeholder}
+                    value={goalQuestions.answers[q.id] || ''}
+                    onChange={(e) => updateQuestionAnswer(q.id, e.target.value)}
+                    disabled={loading}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="questions-skip">
+              <button className="questions-skip-btn" onClick={() => setGoalQuestions(null)}>
+                {t('newGoal.skipQuestions')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Plan or Habit */}
+        <div className="input-group">
+          <label className="input-label">{t('newGoal.kind')}</label>
+          <div className="chips">
+            {['auto', 'plan', 'habit'].map(type => (
+              <button key={type} type="button" className={`chip ${newGoalType === type ? 'selected' : ''}`} onClick={() => setNewGoalType(type)} disabled={loading}>
+                {t(`newGoal.kind.${type}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Target Date */}
+        <div className="input-group">
+          <label className="input-label">{t('newGoal.dueDate')}</label>
+          <input
+            className="text-input"
+            type="date"
+            value={newGoalDueDate}
+            onChange={e => setNewGoalDueDate(e.target.value)}
+            disabled={loading}
+            min={new Date().toISOString().split('T')[0]}
+            placeholder={t('newGoal.dueDatePlaceholder')}
+          />
+        </div>
+
+        {/* Location Card */}
+        {userLocation ? (
+          <div className="location-enabled">
+            <Icons.mapPin />
+            <span className="location-enabled-text">{t('location.enabled')}</span>
+            <span className="location-enabled-hint">• {t('location.enabledHint')}</span>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="location-card"
+            onClick={requestLocation}
+            disabled={locationLoading}
+          >
+            <div className="location-card-icon">
+              <Icons.mapPin />
+            </div>
+            <div className="location-card-content">
+              <p className="location-card-title">
+                {locationLoading ? t('location.loading') : t('location.enable')}
+              </p>
+              <p className="location-card-subtitle">{t('location.enableHint')}</p>
+            </div>
+            {locationLoading ? (
+              <span className="spin" style={{color: 'var(--accent)'}}>◌</span>
+            ) : (
+              <div className="location-card-chevron"><Icons.chevronRight /></div>
+            )}
+          </button>
+        )}
+
+        {/* Templates */}
+        <button className="template-browse" onClick={() => setView('templates')} disabled={loading}>
+          <Icons.fileText />
+          <span className="template-browse-text">
+            <span className="template-browse-title">{t('newGoal.templateTitle')}</span>
+            <span className="template-browse-desc">{t('newGoal.templateDesc')}</span>
+          </span>
+          <Icons.chevronRight />
+        </button>
+
+        {/* Suggestions */}
+        <div className="suggestions">
+          <p className="suggestions-label">{t('newGoal.quickIdeas')}</p>
+          <div className="chips">
+            {suggestions.map(s => (
+              <button
+                key={s}
+                className="chip"
+                onClick={() => { setNewGoal(s); setGoalQuestions(null); }}
+                disabled={loading}
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Error Message */}
+        {error && <p className="error-msg">{error}</p>}
+
+        {/* CTA Footer */}
+        <div className="cta-footer">
+          <p className="cta-hint">{!online ? t('offline.createHint') : hasAnsweredQuestions ? t('newGoal.ctaHintAnswers') : t('newGoal.ctaHint')}</p>
+          <button className="primary-btn" onClick={createGoal} disabled={!newGoal.trim() || loading}>
+            {loading ? (
+              <><span className="spin">◌</span> {t('newGoal.generating')}</>
+            ) : (
+              <><Icons.sparkles /> {hasAnsweredQuestions ? t('newGoal.generatePersonalized') : t('newGoal.generate')}</>
+            )}
+          </button>
+        </div>
+      </div>
+
+      {/* Generation Loading Overlay */}
+      {loading && (
+        <div className="generation-overlay fade-in">
+          <div className="generation-content">
+            <div className="generation-icon">
+              <Icons.sparkles />
+            </div>
+            <h2 className="generation-title">{t('generate.title')}</h2>
+            <p className="generation-message">
+              {generationProgress.message || t('generate.crafting')}
+            </p>
+
+            <div className="generation-progress-container">
+              <div className="generation-progress-bar">
+                <div
+                  className="generation-progress-fill"
+                  style={{width: `${Math.min((generationProgress.step / 5) * 100, 95)}%`}}
+                />
+              </div>
+              <p className="generation-progress-text">
+                {generationProgress.step > 0 ? t('generate.progress', { step: generationProgress.step, total: 5 }) : t('generate.initializing')}
+              </p>
+            </div>
+
+            <div className="generation-steps">
+              <div className={`generation-step ${generationProgress.step >= 1 ? (generationProgress.step > 1 ? 'done' : 'active') : ''}`}>
+                <div className="generation-step-icon">
+                  {generationProgress.step > 1 ? <Icons.check /> : '1'}
+                </div>
+                <span className="generation-step-text">{t('generate.stage1')}</span>
+              </div>
+              <div className={`generation-step ${generationProgress.step >= 2 ? (generationProgress.step > 2 ? 'done' : 'active') : ''}`}>
+                <div className="generation-step-icon">
+                  {generationProgress.step > 2 ? <Icons.check /> : '2'}
+                </div>
+                <span className="generation-step-text">{t('generate.stage2')}</span>
+              </div>
+              <div className={`generation-step ${generationProgress.step >= 3 ? (generationProgress.step > 3 ? 'done' : 'active') : ''}`}>
+                <div className="generation-step-icon">
+                  {generationProgress.step > 3 ? <Icons.check /> : '3'}
+                </div>
+                <span className="generation-step-text">{t('generate.stage3')}</span>
+              </div>
+              <div className={`generation-step ${generationProgress.step >= 4 ? (generationProgress.step > 4 ? 'done' : 'active') : ''}`}>
+                <div className="generation-step-icon">
+                  {generationProgress.step > 4 ? <Icons.check /> : '4'}
+                </div>
+                <span className="generation-step-text">{t('generate.stage4')}</span>
+              </div>
+              <div className={`generation-step ${generationProgress.step >= 5 ? (generationProgress.step > 5 ? 'done' : 'active') : ''}`}>
+                <div className="generation-step-icon">
+                  {generationProgress.step > 5 ? <Icons.check /> : '5'}
+                </div>
+                <span className="generation-step-text">{t('generate.stage5')}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {crisisSupportSheet}
+    </div>
+  );
+}
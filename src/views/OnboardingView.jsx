@@ -0,0 +1,125 @@
+import { t } from '../i18n';
+import { Icons } from '../icons';
+
+// Slide text is MESSAGES keys
+const ONBOARDING_SLIDES = [
+  {
+    icon: 'zap',
+    iconBg: 'rgba(255, 159, 67, 0.15)',
+    iconColor: '#FF9F43',
+    image: 'https://em-content.zobj.net/source/apple/391/light-bulb_1f4a1.png',
+    title: 'onboarding.plan.title',
+    text: 'onboarding.plan.text',
+    features: [
+      { icon: 'sparkles', text: 'onboarding.plan.guidance' },
+      { icon: 'zap', text: 'onboarding.plan.personalized' },
+      { icon: 'target', text: 'onboarding.plan.timeline' }
+    ]
+  },
+  {
+    icon: 'check',
+    iconBg: 'rgba(34, 197, 94, 0.1)',
+    iconColor: '#22C55E',
+    image: 'https://em-content.zobj.net/source/apple/391/clipboard_1f4cb.png',
+    title: 'onboarding.steps.title',
+    text: 'onboarding.steps.text',
+    tasks: [
+      'onboarding.steps.research',
+      'onboarding.steps.course',
+      'onboarding.steps.portfolio',
+      'onboarding.steps.mentors',
+      'onboarding.steps.apply'
+    ]
+  },
+  {
+    icon: 'trophy',
+    iconBg: 'rgba(255, 179, 71, 0.15)',
+    iconColor: '#FFB347',
+    image: 'https://em-content.zobj.net/source/apple/391/trophy_1f3c6.png',
+    title: 'onboarding.track.title',
+    text: 'onboarding.track.text',
+    badge: { icon: 'trophy', text: 'onboarding.track.badge' }
+  },
+];
+
+// ONBOARDING - INTRO SCREENS
+export default function OnboardingView({ app }) {
+  const { view, setView, onboardStep, setOnboardStep } = app;
+
+  const slide = ONBOARDING_SLIDES[onboardStep];
+  const SlideIcon = Icons[slide.icon];
+  return (
+    <div className="app app-no-scroll">
+      <div className="onboarding fade-in" key={onboardStep}>
+        <button className="onboarding-skip-top" onClick={() => setView('profile-setup')}>{t('common.skip')}</button>
+
+        <div className="onboarding-content">
+          {/* Illustration */}
+          <div className="onboarding-illustration">
+            <div className="onboarding-blob">
+              <div className="onboarding-image-container">
+                <img src={slide.image} alt="" className="onboarding-image" />
+              </div>
+              <div className="onboarding-icon-badge" style={{background: slide.iconBg, color: slide.iconColor}}>
+                <SlideIcon />
+              </div>
+            </div>
+          </div>
+
+          {/* Title & Subtitle */}
+          <h1 className="onboarding-title">{t(slide.title)}</h1>
+          <p className="onboarding-text">{t(slide.text)}</p>
+
+          {/* Screen 1: Feature List */}
+          {slide.features && (
+            <div className="onboarding-features">
+              {slide.features.map((feature, i) => {
+                const FeatureIcon = Icons[feature.icon];
+                return (
+                  <div key={i} className="onboarding-feature-item">
+                    <span className="onboarding-feature-icon"><FeatureIcon /></span>
+                    <span>{t(feature.text)}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Screen 2: Task Cards */}
+          {slide.tasks && (
+            <div className="onboarding-task-list">
+              {slide.tasks.slice(0, 4).map((task, i) => (
+                <div key={task} className={`onboarding-task-card ${i < 2 ? 'completed' : ''}`}>
+                  <div className="onboarding-task-icon">
+                    {i < 2 ? <Icons.check /> : <div className="onboarding-task-bullet" />}
+                  </div>
+                  <span className={i < 2 ? 'task-done' : ''}>{t(task)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Screen 3: Achievement Badge */}
+          {slide.badge && (
+            <div className="onboarding-badge">
+              <span className="onboarding-badge-icon"><Icons.trophy /></span>
+              <span>{t(slide.badge.text)}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Bottom Section */}
+        <div className="onboarding-footer">
+          <div className="onboarding-dots">
+            {ONBOARDING_SLIDES.map((_, i) => (
+              <div key={i} className={`onboarding-dot ${i === onboardStep ? 'active' : ''}`} />
+            ))}
+          </div>
+          <button className="onboarding-cta" onClick={() => onboardStep < 2 ? setOnboardStep(onboardStep + 1) : setView('profile-setup')}>
+            {onboardStep < 2 ? t('common.next') : t('welcome.getStarted')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { t, formatDate } from '../i18n';
+import { Icons } from '../icons';
+import { PLANNER_BUDGETS, formatMinutes } from '../planner';
+
+export default function PlannerView({ app }) {
+  const { view, setView, plannerSettings, updatePlannerSettings, todayPlan } = app;
+
+  const settings = plannerSettings;
+  const toggleDay = (day) => {
+    const days = settings.days.includes(day) ? settings.days.filter(d => d !== day) : [...settings.days, day].sort();
+    if (days.length > 0) updatePlannerSettings({ days });
+  };
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('dashboard')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('settings.planner')}</span>
+        </div>
+      </header>
+
+      <div className="settings-view fade-in">
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('planner.timePerDay')}</h3>
+          <div className="settings-card">
+            <div className="settings-item reminder-item">
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('planner.timeForGoals')}</p>
+                <div className="chips reminder-chips">
+                  {PLANNER_BUDGETS.map(minutes => (
+                    <button
+                      key={minutes}
+                      className={`chip ${settings.dailyMinutes === minutes ? 'selected' : ''}`}
+                      onClick={() => updatePlannerSettings({ dailyMinutes: minutes })}
+                    >
+                      {formatMinutes(minutes)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('planner.daysAvailable')}</h3>
+          <div className="settings-card">
+            <div className="settings-item reminder-item">
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('planner.planOn')}</p>
+                <div className="chips reminder-chips">
+                  {[0, 1, 2, 3, 4, 5, 6].map(day => (
+                    <button
+                      key={day}
+                      className={`chip ${settings.days.includes(day) ? 'selected' : ''}`}
+                      onClick={() => toggleDay(day)}
+                    >
+                      {formatDate(new Date(2024, 0, 7 + day), { weekday: 'short' })}
+                    </button>
+                  ))}
+                </div>
+                <p className="settings-item-desc">{t('planner.rollOver')}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('planner.today')}</h3>
+          <div className="settings-card">
+            {todayPlan.restDay && (
+              <div className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('planner.restDayTitle')}</p>
+                  <p className="settings-item-desc">{t('planner.nothingPlanned')}</p>
+                </div>
+              </div>
+            )}
+            {!todayPlan.restDay && todayPlan.tasks.length === 0 && (
+              <div className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('planner.nothingToPlan')}</p>
+                  <p className="settings-item-desc">{t('planner.createGoal')}</p>
+                </div>
+              </div>
+            )}
+            {todayPlan.tasks.map(task => (
+              <div key={task.key} className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{task.title}</p>
+                  <p className="settings-item-desc">
+                    {task.goalName} • {task.session ? t('planner.sessionOf', { minutes: formatMinutes(task.minutes), estimate: formatMinutes(task.estimate) }) : formatMinutes(task.minutes)}
+                    {task.duration && ` (${task.duration})`}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
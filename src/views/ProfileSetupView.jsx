@@ -0,0 +1,69 @@
+import { t } from '../i18n';
+
+// PROFILE SETUP - All on one page
+export default function ProfileSetupView({ app }) {
+  const { view, userProfile, setUserProfile, finishOnboarding } = app;
+
+  const canContinue = userProfile.name.trim();
+
+  return (
+    <div className="app app-no-scroll">
+      <div className="profile-setup fade-in">
+        <button className="onboarding-skip-top" onClick={finishOnboarding}>{t('common.skip')}</button>
+
+        <div className="profile-header">
+          <h1 className="profile-title">{t('profileSetup.title')}</h1>
+          <p className="profile-subtitle">{t('profileSetup.subtitle')}</p>
+        </div>
+
+        <div className="profile-form">
+          <div className="profile-field">
+            <label className="profile-label">{t('profileSetup.name')}</label>
+            <input
+              className="profile-input"
+              type="text"
+              placeholder={t('profileSetup.namePlaceholder')}
+              value={userProfile.name}
+              onChange={(e) => setUserProfile({...userProfile, name: e.target.value})}
+              autoFocus
+            />
+          </div>
+
+          <div className="profile-field">
+            <label className="profile-label">{t('profileSetup.age')}</label>
+            <input
+              className="profile-input"
+              type="number"
+              placeholder={t('profileSetup.agePlaceholder')}
+              value={userProfile.age}
+              onChange={(e) => setUserProfile({...userProfile, age: e.target.value})}
+            />
+          </div>
+
+          <div className="profile-field">
+            <label className="profile-label">{t('profile.gender')}</label>
+            <div className="profile-gender-options">
+              {['Male', 'Female', 'Other'].map(option => (
+                <button
+                  key={option}
+                  className={`profile-gender-btn ${userProfile.gender === option ? 'selected' : ''}`}
+                  onClick={() => setUserProfile({...userProfile, gender: option})}
+                >
+                  {t(`profile.gender.${option}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <button
+          className="onboarding-btn profile-submit"
+          onClick={finishOnboarding}
+          disabled={!canContinue}
+        >
+          {canContinue ? t('profileSetup.continueAs', { name: userProfile.name }) : t('profileSetup.enterName')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { t, formatDate } from '../i18n';
+import { Icons } from '../icons';
+import { REMINDER_DUE_OFFSETS, buildReminderSchedule } from '../reminders';
+
+// EDIT PROFILE (from settings)
+// ACCOUNT & SYNC
+export default function RemindersView({ app }) {
+  const { view, setView, goals, reminderSettings, streakData, updateReminderSettings } = app;
+
+  const settings = reminderSettings;
+  const toggleDueOffset = (days) => updateReminderSettings({
+    dueOffsets: settings.dueOffsets.includes(days)
+      ? settings.dueOffsets.filter(d => d !== days)
+      : [...settings.dueOffsets, days].sort((a, b) => b - a)
+  });
+  const upcoming = buildReminderSchedule(goals, streakData, settings).slice(0, 3);
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('settings')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('reminders.title')}</span>
+        </div>
+      </header>
+
+      <div className="settings-view fade-in">
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('reminders.dueDates')}</h3>
+          <div className="settings-card">
+            <div className="settings-item reminder-item">
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('reminders.remindMe')}</p>
+                <div className="chips reminder-chips">
+                  {REMINDER_DUE_OFFSETS.map(days => (
+                    <button
+                      key={days}
+                      className={`chip ${settings.dueOffsets.includes(days) ? 'selected' : ''}`}
+                      onClick={() => toggleDueOffset(days)}
+                    >
+                      {days === 0 ? t('reminders.onTheDay') : t('reminders.daysBefore', { count: days })}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="settings-item reminder-item">
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('reminders.at')}</p>
+              </div>
+              <input className="reminder-time" type="time" value={settings.dueTime} onChange={(e) => e.target.value && updateReminderSettings({ dueTime: e.target.value })} />
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('reminders.daily')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={() => updateReminderSettings({ dailyNudge: !settings.dailyNudge })}>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('reminders.nudge')}</p>
+                <p className="settings-item-desc">{t('reminders.nudgeDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${settings.dailyNudge ? 'active' : ''}`} />
+            </div>
+            {settings.dailyNudge && (
+              <div className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('reminders.at')}</p>
+                </div>
+                <input className="reminder-time" type="time" value={settings.nudgeTime} onChange={(e) => e.target.value && updateReminderSettings({ nudgeTime: e.target.value })} />
+              </div>
+            )}
+            <div className="settings-item" onClick={() => updateReminderSettings({ streakAlert: !settings.streakAlert })}>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('reminders.streak')}</p>
+                <p className="settings-item-desc">{t('reminders.streakDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${settings.streakAlert ? 'active' : ''}`} />
+            </div>
+            {settings.streakAlert && (
+              <div className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('reminders.at')}</p>
+                </div>
+                <input className="reminder-time" type="time" value={settings.streakTime} onChange={(e) => e.target.value && updateReminderSettings({ streakTime: e.target.value })} />
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('reminders.quietHours')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={() => updateReminderSettings({ quietHours: !settings.quietHours })}>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('reminders.quiet')}</p>
+                <p className="settings-item-desc">{t('reminders.quietDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${settings.quietHours ? 'active' : ''}`} />
+            </div>
+            {settings.quietHours && (
+              <div className="settings-item reminder-item">
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('reminders.from')}</p>
+                </div>
+                <input className="reminder-time" type="time" value={settings.quietStart} onChange={(e) => e.target.value && updateReminderSettings({ quietStart: e.target.value })} />
+                <span className="reminder-to">{t('reminders.to')}</span>
+                <input className="reminder-time" type="time" value={settings.quietEnd} onChange={(e) => e.target.value && updateReminderSettings({ quietEnd: e.target.value })} />
+              </div>
+            )}
+          </div>
+        </div>
+
+        {upcoming.length > 0 && (
+          <div className="settings-section">
+            <h3 className="settings-section-title">{t('reminders.comingUp')}</h3>
+            <div className="settings-card">
+              {upcoming.map(reminder => (
+                <div key={reminder.key} className="settings-item reminder-item">
+                  <div className="settings-item-content">
+                    <p className="settings-item-title">{reminder.title}</p>
+                    <p className="settings-item-desc">{formatDate(reminder.at, { weekday: 'short', hour: 'numeric', minute: '2-digit' })}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
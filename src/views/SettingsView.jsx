@@ -0,0 +1,275 @@
+import { APP_VERSION, ErrorTracker } from '../errorTracker';
+import { LANGUAGES, t } from '../i18n';
+import { Icons } from '../icons';
+import { SyncClient } from '../sync';
+import { ActivityLog } from '../activityLog';
+import { formatMinutes } from '../planner';
+
+// SETTINGS
+export default function SettingsView({ app }) {
+  const {
+    view, setView, goals, setGoals, userProfile, theme, locale, notificationsEnabled,
+    plannerSettings, userLocation, locationLoading, errorStats, errorReporting, setErrorReporting,
+    setChatThreads, restoreInputRef, toggleTheme, changeLocale, toggleNotifications,
+    requestLocation, clearLocation, downloadBackup, restoreBackup, signOutOfSync
+  } = app;
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('dashboard')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('settings.title')}</span>
+        </div>
+        <div className="header-right">
+          <button className="header-icon" onClick={toggleTheme} title={theme === 'dark' ? t('common.lightMode') : t('common.darkMode')}>
+            {theme === 'dark' ? <Icons.sun /> : <Icons.moon />}
+          </button>
+        </div>
+      </header>
+
+      <div className="settings-view fade-in">
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.profile')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={() => setView('edit-profile')}>
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.user />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{userProfile?.name || t('settings.yourProfile')}</p>
+                <p className="settings-item-desc">{t('settings.profileDesc')}</p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.preferences')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={toggleTheme}>
+              <div className="settings-item-icon" style={{background: 'var(--purple-soft)', color: 'var(--purple)'}}>
+                {theme === 'dark' ? <Icons.moon /> : <Icons.sun />}
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.darkMode')}</p>
+                <p className="settings-item-desc">{t('settings.darkModeDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${theme === 'dark' ? 'active' : ''}`} />
+            </div>
+
+            <div className="settings-item reminder-item">
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.globe />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.language')}</p>
+                <p className="settings-item-desc">{t('settings.languageDesc')}</p>
+                <div className="chips reminder-chips">
+                  {Object.entries(LANGUAGES).map(([code, name]) => (
+                    <button key={code} lang={code} className={`chip ${locale === code ? 'selected' : ''}`} onClick={() => changeLocale(code)}>
+                      {name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className="settings-item" onClick={toggleNotifications}>
+              <div className="settings-item-icon" style={{background: 'var(--orange-soft)', color: 'var(--orange)'}}>
+                <Icons.bellRing />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.notifications')}</p>
+                <p className="settings-item-desc">{t('settings.notificationsDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${notificationsEnabled ? 'active' : ''}`} />
+            </div>
+
+            {notificationsEnabled && (
+              <div className="settings-item" onClick={() => setView('reminders')}>
+                <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                  <Icons.clock />
+                </div>
+                <div className="settings-item-content">
+                  <p className="settings-item-title">{t('reminders.title')}</p>
+                  <p className="settings-item-desc">{t('settings.remindersDesc')}</p>
+                </div>
+                <span className="settings-item-arrow"><Icons.chevronRight /></span>
+              </div>
+            )}
+
+            <div className="settings-item" onClick={() => setView('planner')}>
+              <div className="settings-item-icon" style={{background: 'var(--purple-soft)', color: 'var(--purple)'}}>
+                <Icons.calendar />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.planner')}</p>
+                <p className="settings-item-desc">
+                  {plannerSettings.days.length === 7
+                    ? t('settings.plannerDescEveryDay', { minutes: formatMinutes(plannerSettings.dailyMinutes) })
+                    : t('settings.plannerDesc', { minutes: formatMinutes(plannerSettings.dailyMinutes), count: plannerSettings.days.length })}
+                </p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+            </div>
+
+            <div className="settings-item" onClick={userLocation ? clearLocation : requestLocation}>
+              <div className="settings-item-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                <Icons.mapPin />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.location')}</p>
+                <p className="settings-item-desc">
+                  {locationLoading ? t('location.loading') : userLocation ? `📍 ${userLocation.display}` : t('settings.locationDesc')}
+                </p>
+              </div>
+              {!locationLoading && (
+                <div className={`settings-item-toggle ${userLocation ? 'active' : ''}`} />
+              )}
+              {locationLoading && <span className="spin" style={{color: 'var(--accent)'}}>◌</span>}
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.data')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={downloadBackup}>
+              <div className="settings-item-icon" style={{background: 'var(--success-soft)', color: 'var(--success)'}}>
+                <Icons.download />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.backup')}</p>
+                <p className="settings-item-desc">{t('settings.backupDesc')}</p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+            </div>
+
+            <div className="settings-item" onClick={() => restoreInputRef.current?.click()}>
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.refresh />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.restore')}</p>
+                <p className="settings-item-desc">{t('settings.restoreDesc')}</p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+              <input
+                ref={restoreInputRef}
+                type="file"
+                accept="application/json,.json"
+                style={{display: 'none'}}
+                onClick={e => e.stopPropagation()}
+                onChange={e => {
+                  const file = e.target.files[0];
+                  e.target.value = '';
+                  if (file) restoreBackup(file);
+                }}
+              />
+            </div>
+
+            <div className="settings-item settings-danger" onClick={() => {
+              if (confirm(t('settings.clearConfirm'))) {
+                goals.forEach(g => ActivityLog.record('goal_deleted', { goalId: g.id, goalName: g.name }));
+                setGoals([]);
+                setChatThreads({});
+                localStorage.removeItem('achieve_goals');
+              }
+            }}>
+              <div className="settings-item-icon" style={{background: 'rgba(239,68,68,0.1)', color: 'var(--red)'}}>
+                <Icons.trash />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.clear')}</p>
+                <p className="settings-item-desc" style={{color: 'var(--text-dim)'}}>{t('settings.clearDesc')}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.developer')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={() => setView('error-log')}>
+              <div className="settings-item-icon" style={{background: errorStats.errors > 0 ? 'rgba(239,68,68,0.1)' : 'var(--success-soft)', color: errorStats.errors > 0 ? 'var(--red)' : 'var(--success)'}}>
+                <Icons.bug />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.errorLog')}</p>
+                <p className="settings-item-desc">
+                  {errorStats.total === 0 ? t('settings.noIssues') : `${t('settings.errors', { count: errorStats.errors })}, ${t('settings.warnings', { count: errorStats.warnings })}`}
+                </p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+            </div>
+
+            <div className="settings-item" onClick={() => {
+              ErrorTracker.setReporting(!errorReporting);
+              setErrorReporting(!errorReporting);
+            }}>
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.shield />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.errorReports')}</p>
+                <p className="settings-item-desc">{t('settings.errorReportsDesc')}</p>
+              </div>
+              <div className={`settings-item-toggle ${errorReporting ? 'active' : ''}`} />
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.about')}</h3>
+          <div className="settings-card">
+            <div className="settings-item">
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.info />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">Aclio</p>
+                <p className="settings-item-desc">{t('settings.version', { version: APP_VERSION })}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3 className="settings-section-title">{t('settings.account')}</h3>
+          <div className="settings-card">
+            <div className="settings-item" onClick={() => setView('account')}>
+              <div className="settings-item-icon" style={{background: 'var(--accent-soft)', color: 'var(--accent)'}}>
+                <Icons.refreshCw />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.sync')}</p>
+                <p className="settings-item-desc">
+                  {SyncClient.isSignedIn() ? t('settings.signedInAs', { email: SyncClient.state.user?.email }) : t('settings.syncDesc')}
+                </p>
+              </div>
+              <span className="settings-item-arrow"><Icons.chevronRight /></span>
+            </div>
+
+            <div className="settings-item settings-danger" onClick={() => {
+              if (confirm(t('settings.logoutConfirm'))) {
+                if (SyncClient.isSignedIn()) signOutOfSync();
+                localStorage.removeItem('achieve_onboarded');
+                setView('welcome');
+              }
+            }}>
+              <div className="settings-item-icon" style={{background: 'rgba(239,68,68,0.1)', color: 'var(--red)'}}>
+                <Icons.logout />
+              </div>
+              <div className="settings-item-content">
+                <p className="settings-item-title">{t('settings.logout')}</p>
+                <p className="settings-item-desc" style={{color: 'var(--text-dim)'}}>{t('settings.logoutDesc')}</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { t, categoryLabel } from '../i18n';
+import { CATEGORIES, CATEGORY_ICONS, CATEGORY_COLORS, ICON_COLORS } from '../categories';
+import { Icons } from '../icons';
+import { fetchTemplate } from '../sharing';
+
+export default function TemplatesView({ app }) {
+  const {
+    view, setView, templates, templatesError, templateCategory, setTemplateCategory, previewPlan
+  } = app;
+
+  const shown = (templates || []).filter(t => templateCategory === 'all' || t.category === templateCategory);
+  const groups = CATEGORIES
+    .map(category => ({ category, items: shown.filter(t => t.category === category) }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className="app">
+      <header className="header">
+        <div className="header-left">
+          <button className="header-back" onClick={() => setView('new')}><Icons.arrowLeft /></button>
+          <span className="header-title">{t('templates.title')}</span>
+        </div>
+      </header>
+
+      <div className="templates-view fade-in">
+        <div className="chips template-categories">
+          {['all', ...CATEGORIES].map(category => (
+            <button
+              key={category}
+              className={`chip ${templateCategory === category ? 'selected' : ''}`}
+              onClick={() => setTemplateCategory(category)}
+            >
+              {category === 'all' ? t('templates.all') : categoryLabel(category)}
+            </button>
+          ))}
+        </div>
+
+        {!templates && !templatesError && (
+          <div className="questions-loading">
+            <span className="spin" style={{fontSize: '20px', color: 'var(--accent)'}}>◌</span>
+            {t('templates.loading')}
+          </div>
+        )}
+        {templatesError && <p className="error-msg">{templatesError}</p>}
+
+        {groups.map(({ category, items }) => {
+          const IconComponent = Icons[CATEGORY_ICONS[category]] || Icons.target;
+          const colors = CATEGORY_COLORS[category] || ICON_COLORS[0];
+          return (
+            <div key={category} className="settings-section">
+              <h3 className="settings-section-title">{categoryLabel(category)}</h3>
+              {items.map(template => (
+                <div key={template.id} className="goal-card template-card" onClick={() => previewPlan('template', () => fetchTemplate(template.id))}>
+                  <div className="goal-header">
+                    <div className="goal-icon-wrap" style={{background: colors.bg, color: colors.color}}>
+                      <IconComponent />
+                    </div>
+                    <div className="goal-info">
+                      <h3 className="goal-name">{template.name}</h3>
+                      <p className="goal-category">{template.type === 'habit' ? t('newGoal.kind.habit') : t('analytics.stepsDone', { count: template.stepCount })}</p>
+                    </div>
+                  </div>
+                  <p className="template-summary">{template.summary}</p>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { t } from '../i18n';
+
+// WELCOME SCREEN - Aclio Style
+export default function WelcomeView({ app }) {
+  const { view, setView } = app;
+
+  return (
+    <div className="app app-no-scroll">
+      <div className="welcome-screen fade-in">
+        <div className="welcome-content">
+          {/* Flame Bunny Mascot */}
+          <div className="welcome-mascot">
+            <img src="/mascot.png" alt={t('welcome.mascot')} />
+          </div>
+          <h1 className="welcome-title">Aclio</h1>
+          <p className="welcome-tagline">{t('welcome.tagline')}</p>
+        </div>
+
+        <div className="welcome-bottom">
+          <button className="welcome-btn" onClick={() => setView('onboarding')}>
+            {t('welcome.getStarted')}
+          </button>
+          <p className="welcome-signin">{t('welcome.haveAccount')} <button onClick={() => setView('account')}>{t('welcome.signIn')}</button></p>
+        </div>
+      </div>
+    </div>
+  );
+}